@@ -0,0 +1,549 @@
+/**
+ * Memory Adapter
+ * In-process storage backend used for offline development, demos and
+ * integration tests. Tables live in plain arrays, seeded with the default
+ * departments and staff accounts; nothing is persisted across restarts.
+ */
+
+const crypto = require('crypto');
+const { QueryBuilder } = require('./QueryBuilder');
+const { applySelection } = require('./relations');
+const seed = require('./seed');
+
+const now = () => new Date().toISOString();
+
+/**
+ * Per-table column defaults and constraints, mirroring the SQL schema
+ */
+const TABLES = {
+  departments: {
+    unique: ['name', 'code'],
+    defaults: () => ({ sla_hours: 48, head_email: null, escalation_levels: null, business_calendar: null, assignment_strategy: 'least_open', is_active: true, created_at: now(), updated_at: now() })
+  },
+  users: {
+    unique: ['username', 'email'],
+    defaults: () => ({
+      role: 'authority',
+      is_active: true,
+      last_login_at: null,
+      totp_secret: null,
+      totp_enabled: false,
+      totp_enrolled_at: null,
+      totp_last_used_step: null,
+      skills: [],
+      shift_schedule: null,
+      last_assigned_at: null,
+      created_at: now(),
+      updated_at: now()
+    })
+  },
+  issues: {
+    uuid: true,
+    unique: ['issue_id'],
+    defaults: () => ({
+      images: [],
+      image_hashes: [],
+      status: 'submitted',
+      status_history: [],
+      priority: 'medium',
+      severity_level: 'medium',
+      confidence_score: 0,
+      assigned_department_id: null,
+      assigned_to_user_id: null,
+      routing_logs: [],
+      resolution_images: [],
+      is_duplicate: false,
+      parent_issue_id: null,
+      merged_into_issue_id: null,
+      merged_at: null,
+      supporter_count: 0,
+      reopen_count: 0,
+      last_reopened_at: null,
+      needs_review: false,
+      was_reclassified: false,
+      ai_processing_status: 'pending',
+      ai_processing_token: null,
+      auto_escalated: false,
+      escalation_level: 0,
+      escalated_at: null,
+      submitted_at: now(),
+      created_at: now(),
+      updated_at: now()
+    })
+  },
+  audit_logs: {
+    defaults: () => ({ changed_at: now() })
+  },
+  notifications: {
+    defaults: () => ({ is_sent: false, retry_count: 0, created_at: now() })
+  },
+  workflows: {
+    unique: ['department_id'],
+    defaults: () => ({
+      initial_status: 'submitted',
+      statuses: [],
+      transitions: [],
+      version: 1,
+      is_active: true,
+      created_at: now(),
+      updated_at: now()
+    })
+  },
+  citizen_login_codes: {
+    defaults: () => ({ attempts: 0, consumed_at: null, ip_address: null, created_at: now() })
+  },
+  password_reset_tokens: {
+    unique: ['token_hash'],
+    defaults: () => ({ used_at: null, ip_address: null, created_at: now() })
+  },
+  user_sessions: {
+    uuid: true,
+    unique: ['refresh_token_hash'],
+    defaults: () => ({
+      previous_token_hash: null,
+      user_agent: null,
+      ip_address: null,
+      last_used_at: now(),
+      revoked_at: null,
+      revoked_reason: null,
+      created_at: now()
+    })
+  },
+  user_recovery_codes: {
+    defaults: () => ({ used_at: null, created_at: now() })
+  },
+  roles: {
+    unique: ['name'],
+    defaults: () => ({ description: null, permissions: [], is_system: false, created_at: now(), updated_at: now() })
+  },
+  issue_supporters: {
+    defaults: () => ({ name: null, follow: true, ip_address: null, created_at: now(), updated_at: now() })
+  },
+  issue_comments: {
+    defaults: () => ({
+      parent_comment_id: null,
+      author_user_id: null,
+      author_email: null,
+      is_official: false,
+      is_internal: false,
+      is_hidden: false,
+      hidden_reason: null,
+      hidden_by_user_id: null,
+      hidden_at: null,
+      report_count: 0,
+      ip_address: null,
+      created_at: now(),
+      updated_at: now()
+    })
+  },
+  issue_comment_reports: {
+    defaults: () => ({ reason: null, created_at: now() })
+  },
+  issue_reopens: {
+    defaults: () => ({ image_url: null, resolved_at: null, resolved_by_user_id: null, citizen_email: null, ip_address: null, created_at: now() })
+  },
+  wards: {
+    unique: ['code'],
+    defaults: () => ({ zone: null, is_active: true, created_at: now(), updated_at: now() })
+  },
+  routing_rules: {
+    defaults: () => ({ conditions: {}, priority: 'medium', sla_hours: null, is_active: true, updated_by_user_id: null, created_at: now() })
+  },
+  work_orders: {
+    defaults: () => ({
+      department_id: null,
+      instructions: null,
+      crew_members: [],
+      materials: [],
+      labour_cost: 0,
+      estimated_cost: 0,
+      actual_cost: null,
+      checklist: [],
+      status: 'scheduled',
+      completion_notes: null,
+      started_at: null,
+      completed_at: null,
+      completed_by_user_id: null,
+      created_by_user_id: null,
+      created_at: now(),
+      updated_at: now()
+    })
+  },
+  classification_reviews: {
+    defaults: () => ({
+      ai_confidence: null,
+      ai_classifier: null,
+      image_url: null,
+      description: null,
+      notes: null,
+      reviewed_by_user_id: null,
+      created_at: now()
+    })
+  },
+  ai_settings: {
+    unique: ['key'],
+    defaults: () => ({ updated_by_user_id: null, updated_at: now() })
+  },
+  jobs: {
+    defaults: () => ({
+      payload: {},
+      status: 'pending',
+      attempts: 0,
+      max_attempts: 3,
+      run_at: now(),
+      locked_by: null,
+      locked_at: null,
+      last_error: null,
+      result: null,
+      completed_at: null,
+      created_at: now(),
+      updated_at: now()
+    })
+  }
+};
+
+const DEFAULT_TABLE = { defaults: () => ({ created_at: now() }) };
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}/;
+
+const isNil = (value) => value === null || value === undefined;
+
+/**
+ * Read a column, supporting JSON paths like `location->>ward`
+ */
+const readColumn = (row, column) => {
+  const [base, ...path] = column.split(/->>?/);
+  return path.reduce((value, key) => (isNil(value) ? null : value[key]), row[base.trim()]);
+};
+
+const looseEqual = (a, b) => {
+  if (Array.isArray(a) || Array.isArray(b) || (typeof a === 'object' && typeof b === 'object')) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+  return a === b || String(a) === String(b);
+};
+
+const compareValues = (a, b) => {
+  if (typeof a === 'number' || typeof b === 'number') return Number(a) - Number(b);
+  if (typeof a === 'string' && typeof b === 'string' && ISO_DATE.test(a) && ISO_DATE.test(b)) {
+    return new Date(a).getTime() - new Date(b).getTime();
+  }
+  return String(a) < String(b) ? -1 : String(a) > String(b) ? 1 : 0;
+};
+
+const likeToRegExp = (pattern, flags) => new RegExp(
+  '^' + String(pattern).replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/%/g, '.*').replace(/_/g, '.') + '$',
+  flags
+);
+
+/**
+ * Evaluate a single filter with SQL three-valued logic (null = unknown)
+ */
+const evaluate = (row, filter) => {
+  if (filter.or) {
+    const results = filter.or.map(condition => evaluate(row, condition));
+    return results.includes(true) ? true : results.includes(null) ? null : false;
+  }
+
+  const value = readColumn(row, filter.column);
+  let result;
+
+  switch (filter.operator) {
+    case 'is':
+      result = filter.value === null ? isNil(value) : value === filter.value;
+      break;
+    case 'eq':
+      result = isNil(value) ? null : looseEqual(value, filter.value);
+      break;
+    case 'neq':
+      result = isNil(value) ? null : !looseEqual(value, filter.value);
+      break;
+    case 'gt':
+      result = isNil(value) ? null : compareValues(value, filter.value) > 0;
+      break;
+    case 'gte':
+      result = isNil(value) ? null : compareValues(value, filter.value) >= 0;
+      break;
+    case 'lt':
+      result = isNil(value) ? null : compareValues(value, filter.value) < 0;
+      break;
+    case 'lte':
+      result = isNil(value) ? null : compareValues(value, filter.value) <= 0;
+      break;
+    case 'in':
+      result = isNil(value) ? null : filter.value.some(candidate => looseEqual(value, candidate));
+      break;
+    case 'like':
+      result = isNil(value) ? null : likeToRegExp(filter.value).test(String(value));
+      break;
+    case 'ilike':
+      result = isNil(value) ? null : likeToRegExp(filter.value, 'i').test(String(value));
+      break;
+    case 'cs':
+      result = isNil(value) ? null : [].concat(filter.value).every(item => [].concat(value).some(entry => looseEqual(entry, item)));
+      break;
+    default:
+      throw new Error(`Unsupported filter operator: ${filter.operator}`);
+  }
+
+  if (!filter.negate || result === null) return result;
+  return !result;
+};
+
+const sortRows = (rows, orders) => rows.sort((left, right) => {
+  for (const order of orders) {
+    const a = readColumn(left, order.column);
+    const b = readColumn(right, order.column);
+    if (isNil(a) && isNil(b)) continue;
+    if (isNil(a)) return order.nullsFirst ? -1 : 1;
+    if (isNil(b)) return order.nullsFirst ? 1 : -1;
+    const diff = compareValues(a, b);
+    if (diff !== 0) return order.ascending ? diff : -diff;
+  }
+  return 0;
+});
+
+const stripUndefined = (values) => Object.fromEntries(
+  Object.entries(values).filter(([, value]) => value !== undefined)
+);
+
+const toError = (message, code) => ({ message, code, details: null, hint: null });
+
+class MemoryAdapter {
+  constructor(options = {}) {
+    this.name = 'memory';
+    this.functions = {};
+    this.seedOnReset = options.seed !== false;
+    this.registerDefaultFunctions();
+    this.reset();
+  }
+
+  /**
+   * Start a query against a table
+   */
+  from(table) {
+    return new QueryBuilder(this, table);
+  }
+
+  /**
+   * Call a registered stored function
+   */
+  async rpc(name, params = {}) {
+    const fn = this.functions[name];
+    if (!fn) {
+      return { data: null, error: toError(`Could not find the function public.${name} in the schema cache`, 'PGRST202') };
+    }
+    try {
+      return { data: structuredClone(await fn(params, this)), error: null };
+    } catch (error) {
+      return { data: null, error: toError(error.message) };
+    }
+  }
+
+  /**
+   * Register a JS implementation of a stored function
+   */
+  registerFunction(name, fn) {
+    this.functions[name] = fn;
+  }
+
+  /**
+   * Drop all data and reload the seed rows
+   */
+  reset() {
+    this.tables = {};
+    this.sequences = {};
+
+    if (this.seedOnReset) {
+      this.insertRows('departments', seed.departments);
+      this.insertRows('users', seed.users);
+    }
+  }
+
+  async ping() {
+    return true;
+  }
+
+  async close() {}
+
+  table(name) {
+    if (!this.tables[name]) this.tables[name] = [];
+    return this.tables[name];
+  }
+
+  definition(name) {
+    return TABLES[name] || DEFAULT_TABLE;
+  }
+
+  nextId(name) {
+    if (this.definition(name).uuid) return crypto.randomUUID();
+    this.sequences[name] = (this.sequences[name] || 0) + 1;
+    return this.sequences[name];
+  }
+
+  checkUnique(name, candidate, ignoreRow = null) {
+    const unique = this.definition(name).unique || [];
+    for (const column of unique) {
+      if (isNil(candidate[column])) continue;
+      const clash = this.table(name).find(row => row !== ignoreRow && looseEqual(row[column], candidate[column]));
+      if (clash) {
+        const error = new Error(`duplicate key value violates unique constraint "${name}_${column}_key"`);
+        error.code = '23505';
+        throw error;
+      }
+    }
+  }
+
+  insertRows(name, rows) {
+    const rowsTable = this.table(name);
+
+    return rows.map(values => {
+      const row = { ...this.definition(name).defaults(), ...stripUndefined(structuredClone(values)) };
+      if (isNil(row.id)) {
+        row.id = this.nextId(name);
+      } else if (typeof row.id === 'number') {
+        this.sequences[name] = Math.max(this.sequences[name] || 0, row.id);
+      }
+      this.checkUnique(name, row);
+      rowsTable.push(row);
+      return row;
+    });
+  }
+
+  updateRows(name, rows, values) {
+    const changes = stripUndefined(structuredClone(values));
+    const touchesUpdatedAt = this.definition(name).defaults().updated_at !== undefined;
+
+    return rows.map(row => {
+      const next = { ...row, ...changes };
+      if (touchesUpdatedAt) next.updated_at = now();
+      this.checkUnique(name, next, row);
+      Object.assign(row, next);
+      return row;
+    });
+  }
+
+  async fetchByIds(name, ids) {
+    return this.table(name).filter(row => ids.some(id => looseEqual(row.id, id)));
+  }
+
+  /**
+   * Execute a QueryBuilder, resolving to { data, error, count }
+   */
+  async execute(query) {
+    try {
+      const { table } = query;
+      const matched = this.table(table).filter(row => query.filters.every(filter => evaluate(row, filter) === true));
+      let rows;
+
+      switch (query.action) {
+        case 'insert':
+          rows = this.insertRows(table, query.payload);
+          break;
+        case 'upsert':
+          rows = this.upsertRows(table, query);
+          break;
+        case 'update':
+          rows = this.updateRows(table, matched, query.payload);
+          break;
+        case 'delete':
+          this.tables[table] = this.table(table).filter(row => !matched.includes(row));
+          rows = matched;
+          break;
+        default:
+          rows = matched;
+      }
+
+      if (query.action !== 'select' && !query.returning) {
+        return { data: null, error: null, count: null, status: 204 };
+      }
+
+      rows = sortRows([...rows], query.orders);
+      const count = query.countMode ? rows.length : null;
+
+      if (query.head) {
+        return { data: null, error: null, count, status: 200 };
+      }
+
+      if (query.offsetCount !== null) rows = rows.slice(query.offsetCount);
+      if (query.limitCount !== null) rows = rows.slice(0, query.limitCount);
+
+      const data = structuredClone(
+        await applySelection(table, rows, query.selection, (name, ids) => this.fetchByIds(name, ids))
+      );
+
+      return this.shape(query, data, count);
+    } catch (error) {
+      return { data: null, error: toError(error.message, error.code), count: null, status: 400 };
+    }
+  }
+
+  upsertRows(name, query) {
+    const conflictColumns = query.onConflict.split(',').map(column => column.trim());
+
+    return query.payload.flatMap(values => {
+      const existing = this.table(name).find(row =>
+        conflictColumns.every(column => looseEqual(row[column], values[column]))
+      );
+      if (!existing) return this.insertRows(name, [values]);
+      if (query.ignoreDuplicates) return [];
+      return this.updateRows(name, [existing], values);
+    });
+  }
+
+  shape(query, data, count) {
+    if (!query.singleMode) {
+      return { data, error: null, count, status: 200 };
+    }
+    if (data.length === 1) {
+      return { data: data[0], error: null, count, status: 200 };
+    }
+    if (data.length === 0 && query.singleMode === 'maybe') {
+      return { data: null, error: null, count, status: 200 };
+    }
+    return {
+      data: null,
+      error: toError('JSON object requested, multiple (or no) rows returned', 'PGRST116'),
+      count,
+      status: 406
+    };
+  }
+
+  /**
+   * JS versions of the stored functions defined in the SQL schema
+   */
+  registerDefaultFunctions() {
+    this.registerFunction('next_issue_sequence', (params, adapter) => {
+      const counters = adapter.table('issue_id_counters');
+      let counter = counters.find(row => row.scope === params.counter_scope);
+      if (!counter) {
+        counter = { scope: params.counter_scope, last_value: 0 };
+        counters.push(counter);
+      }
+      counter.last_value += 1;
+      counter.updated_at = now();
+      return counter.last_value;
+    });
+
+    this.registerFunction('find_nearby_issues', (params, adapter) => {
+      const toRadians = (degrees) => degrees * Math.PI / 180;
+      const since = new Date(params.since_time).getTime();
+
+      return adapter.table('issues').filter(issue => {
+        if (issue.category !== params.issue_category) return false;
+        if (new Date(issue.created_at).getTime() < since) return false;
+        if (['closed', 'rejected'].includes(issue.status)) return false;
+        if (!issue.location) return false;
+
+        const lat = Number(issue.location.lat);
+        const lng = Number(issue.location.lng);
+        const a = Math.sin(toRadians(params.issue_lat - lat) / 2) ** 2
+          + Math.cos(toRadians(params.issue_lat)) * Math.cos(toRadians(lat))
+          * Math.sin(toRadians(params.issue_lng - lng) / 2) ** 2;
+        return 6371000 * 2 * Math.asin(Math.sqrt(a)) <= params.radius_meters;
+      });
+    });
+  }
+}
+
+module.exports = MemoryAdapter;
@@ -0,0 +1,214 @@
+/**
+ * Migrator
+ * Applies the versioned SQL files in db/migrations and records each one in
+ * the schema_migrations table. Every file has a `-- migrate:up` section and
+ * a `-- migrate:down` section; each migration runs in its own transaction.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATIONS_TABLE = 'schema_migrations';
+const FILE_PATTERN = /^(\d+)_([\w-]+)\.sql$/;
+
+// Arbitrary key for pg_advisory_lock so two deploys never migrate at once
+const LOCK_KEY = 7245913;
+
+/**
+ * Split a migration file into its up and down sections
+ */
+const parseMigration = (contents, file) => {
+  const upMarker = contents.search(/^--\s*migrate:up\s*$/m);
+  const downMarker = contents.search(/^--\s*migrate:down\s*$/m);
+
+  if (upMarker === -1) {
+    throw new Error(`Migration ${file} has no "-- migrate:up" section`);
+  }
+
+  const upEnd = downMarker > upMarker ? downMarker : contents.length;
+  const stripMarker = (section) => section.replace(/^--\s*migrate:(up|down)\s*$/m, '').trim();
+
+  return {
+    up: stripMarker(contents.slice(upMarker, upEnd)),
+    down: downMarker > upMarker ? stripMarker(contents.slice(downMarker)) : ''
+  };
+};
+
+/**
+ * Read every migration file in version order
+ */
+const loadMigrations = (directory = MIGRATIONS_DIR) => fs.readdirSync(directory)
+  .filter(file => FILE_PATTERN.test(file))
+  .sort()
+  .map(file => {
+    const [, version, name] = file.match(FILE_PATTERN);
+    const contents = fs.readFileSync(path.join(directory, file), 'utf8').replace(/\r\n/g, '\n');
+    const { up, down } = parseMigration(contents, file);
+    return {
+      version,
+      name,
+      file,
+      up,
+      down,
+      checksum: crypto.createHash('sha256').update(up).digest('hex')
+    };
+  });
+
+/**
+ * Full schema (all up sections in order), for pasting into the Supabase SQL
+ * editor when the database is not reachable from the command line
+ */
+const buildSchema = (directory = MIGRATIONS_DIR) => loadMigrations(directory)
+  .map(migration => `-- ${migration.file}\n${migration.up}`)
+  .join('\n\n');
+
+class Migrator {
+  constructor({ pool, directory = MIGRATIONS_DIR, log = console.log } = {}) {
+    if (!pool) {
+      throw new Error('Migrator requires a pg Pool (set DATABASE_URL)');
+    }
+    this.pool = pool;
+    this.directory = directory;
+    this.log = log;
+  }
+
+  /**
+   * Run fn with a dedicated client holding the migration lock
+   */
+  async withLock(fn) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('SELECT pg_advisory_lock($1)', [LOCK_KEY]);
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS ${MIGRATIONS_TABLE} (
+          version VARCHAR(20) PRIMARY KEY,
+          name VARCHAR(255) NOT NULL,
+          checksum VARCHAR(64) NOT NULL,
+          applied_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+        )
+      `);
+      return await fn(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [LOCK_KEY]).catch(() => {});
+      client.release();
+    }
+  }
+
+  async appliedMigrations(client) {
+    const result = await client.query(
+      `SELECT version, name, checksum, applied_at FROM ${MIGRATIONS_TABLE} ORDER BY version`
+    );
+    return result.rows;
+  }
+
+  /**
+   * Applied / pending state of every known migration
+   */
+  async status() {
+    return this.withLock(async (client) => {
+      const applied = new Map((await this.appliedMigrations(client)).map(row => [row.version, row]));
+      const migrations = loadMigrations(this.directory);
+
+      const rows = migrations.map(migration => {
+        const record = applied.get(migration.version);
+        applied.delete(migration.version);
+        return {
+          version: migration.version,
+          name: migration.name,
+          state: !record ? 'pending' : record.checksum === migration.checksum ? 'applied' : 'modified',
+          applied_at: record ? record.applied_at : null
+        };
+      });
+
+      // Recorded in the database but the file is gone
+      applied.forEach(record => rows.push({
+        version: record.version,
+        name: record.name,
+        state: 'missing',
+        applied_at: record.applied_at
+      }));
+
+      return rows.sort((a, b) => a.version.localeCompare(b.version));
+    });
+  }
+
+  /**
+   * Apply pending migrations, optionally stopping at a target version
+   */
+  async up({ to = null } = {}) {
+    return this.withLock(async (client) => {
+      const applied = new Map((await this.appliedMigrations(client)).map(row => [row.version, row]));
+      const migrations = loadMigrations(this.directory);
+
+      migrations.forEach(migration => {
+        const record = applied.get(migration.version);
+        if (record && record.checksum !== migration.checksum) {
+          throw new Error(`Migration ${migration.file} was edited after it was applied. Add a new migration instead.`);
+        }
+      });
+
+      const pending = migrations.filter(migration =>
+        !applied.has(migration.version) && (!to || migration.version <= to)
+      );
+
+      for (const migration of pending) {
+        this.log(`⬆️  Applying ${migration.file}`);
+        await this.runInTransaction(client, migration.up, () => client.query(
+          `INSERT INTO ${MIGRATIONS_TABLE} (version, name, checksum) VALUES ($1, $2, $3)`,
+          [migration.version, migration.name, migration.checksum]
+        ));
+      }
+
+      return pending.map(migration => migration.file);
+    });
+  }
+
+  /**
+   * Roll back the most recent migrations (one by default)
+   */
+  async down({ steps = 1, to = null } = {}) {
+    return this.withLock(async (client) => {
+      const byVersion = new Map(loadMigrations(this.directory).map(migration => [migration.version, migration]));
+      const applied = (await this.appliedMigrations(client)).reverse();
+      const targets = to
+        ? applied.filter(record => record.version > to)
+        : applied.slice(0, steps);
+
+      for (const record of targets) {
+        const migration = byVersion.get(record.version);
+        if (!migration) {
+          throw new Error(`Cannot roll back ${record.version}_${record.name}: migration file is missing`);
+        }
+        this.log(`⬇️  Reverting ${migration.file}`);
+        await this.runInTransaction(client, migration.down, () => client.query(
+          `DELETE FROM ${MIGRATIONS_TABLE} WHERE version = $1`,
+          [migration.version]
+        ));
+      }
+
+      return targets.map(record => `${record.version}_${record.name}.sql`);
+    });
+  }
+
+  async runInTransaction(client, sql, record) {
+    try {
+      await client.query('BEGIN');
+      if (sql) await client.query(sql);
+      await record();
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    }
+  }
+}
+
+module.exports = {
+  Migrator,
+  loadMigrations,
+  buildSchema,
+  MIGRATIONS_DIR,
+  MIGRATIONS_TABLE
+};
@@ -0,0 +1,298 @@
+/**
+ * Postgres Adapter
+ * Talks to a plain PostgreSQL database (self-hosted, Docker, CI) through `pg`,
+ * compiling the shared QueryBuilder into parameterised SQL. Embedded selects
+ * are resolved with follow-up `id = ANY($1)` lookups.
+ */
+
+const { Pool, types } = require('pg');
+const { QueryBuilder } = require('./QueryBuilder');
+const { applySelection } = require('./relations');
+
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+const quoteIdentifier = (name) => {
+  if (!IDENTIFIER.test(name)) {
+    throw new Error(`Invalid identifier: ${name}`);
+  }
+  return `"${name}"`;
+};
+
+/**
+ * Quote a column reference, supporting JSON paths like `location->>ward`
+ */
+const columnSql = (column) => {
+  const parts = column.split(/(->>?)/).map(part => part.trim());
+  let sql = quoteIdentifier(parts[0]);
+  for (let i = 1; i < parts.length; i += 2) {
+    sql += `${parts[i]}'${parts[i + 1].replace(/'/g, "''")}'`;
+  }
+  return sql;
+};
+
+/**
+ * Return timestamps as ISO strings and numerics as numbers, matching the
+ * JSON that PostgREST (and therefore the Supabase adapter) hands back
+ */
+const NUMERIC_OIDS = [types.builtins.NUMERIC, types.builtins.INT8];
+
+const typeParsers = {
+  getTypeParser(oid, format) {
+    if (oid === types.builtins.TIMESTAMPTZ) {
+      return (value) => (value === null ? null : new Date(value).toISOString());
+    }
+    if (oid === types.builtins.TIMESTAMP) {
+      return (value) => (value === null ? null : new Date(`${value.replace(' ', 'T')}Z`).toISOString());
+    }
+    if (NUMERIC_OIDS.includes(oid)) {
+      return (value) => (value === null ? null : Number(value));
+    }
+    return types.getTypeParser(oid, format);
+  }
+};
+
+const toError = (error) => ({
+  message: error.message,
+  code: error.code || null,
+  details: error.detail || null,
+  hint: error.hint || null
+});
+
+const stripUndefined = (values) => Object.fromEntries(
+  Object.entries(values).filter(([, value]) => value !== undefined)
+);
+
+class PostgresAdapter {
+  constructor(options = {}) {
+    this.name = 'postgres';
+    this.pool = options.pool || new Pool({
+      connectionString: options.connectionString || process.env.DATABASE_URL,
+      ssl: options.ssl !== undefined ? options.ssl : (process.env.DATABASE_SSL === 'true' ? { rejectUnauthorized: false } : undefined),
+      max: options.max || parseInt(process.env.DATABASE_POOL_SIZE, 10) || 10,
+      types: typeParsers
+    });
+    this.columnTypes = {};
+  }
+
+  from(table) {
+    return new QueryBuilder(this, table);
+  }
+
+  /**
+   * Call a stored function with named arguments
+   */
+  async rpc(name, params = {}) {
+    try {
+      const keys = Object.keys(params);
+      const args = keys.map((key, index) => `${quoteIdentifier(key)} => $${index + 1}`).join(', ');
+      const result = await this.pool.query(
+        `SELECT * FROM ${quoteIdentifier(name)}(${args})`,
+        keys.map(key => params[key])
+      );
+      // Scalar functions come back as a bare value, like PostgREST returns them
+      const scalar = result.rows.length === 1 && result.fields.length === 1 && result.fields[0].name === name;
+      return { data: scalar ? result.rows[0][name] : result.rows, error: null };
+    } catch (error) {
+      return { data: null, error: toError(error) };
+    }
+  }
+
+  /**
+   * Run raw SQL (used by migrations and maintenance scripts)
+   */
+  async query(sql, params = []) {
+    return this.pool.query(sql, params);
+  }
+
+  async ping() {
+    await this.pool.query('SELECT 1');
+    return true;
+  }
+
+  async close() {
+    await this.pool.end();
+  }
+
+  /**
+   * Column data types, cached per table, so JSON columns get serialised
+   * while TEXT[] columns receive native arrays
+   */
+  async getColumnTypes(table) {
+    if (!this.columnTypes[table]) {
+      const result = await this.pool.query(
+        `SELECT column_name, data_type FROM information_schema.columns
+         WHERE table_schema = current_schema() AND table_name = $1`,
+        [table]
+      );
+      this.columnTypes[table] = Object.fromEntries(result.rows.map(row => [row.column_name, row.data_type]));
+    }
+    return this.columnTypes[table];
+  }
+
+  serialize(types, column, value) {
+    if (value === null || value === undefined) return null;
+    if (['json', 'jsonb'].includes(types[column])) return JSON.stringify(value);
+    return value;
+  }
+
+  /**
+   * Compile filters into a WHERE clause, appending bound values to params
+   */
+  compileFilters(filters, params) {
+    const compileOne = (filter) => {
+      if (filter.or) {
+        return `(${filter.or.map(compileOne).join(' OR ')})`;
+      }
+
+      const column = columnSql(filter.column);
+      const bind = (value) => {
+        params.push(value);
+        return `$${params.length}`;
+      };
+      let sql;
+
+      switch (filter.operator) {
+        case 'eq': sql = `${column} = ${bind(filter.value)}`; break;
+        case 'neq': sql = `${column} <> ${bind(filter.value)}`; break;
+        case 'gt': sql = `${column} > ${bind(filter.value)}`; break;
+        case 'gte': sql = `${column} >= ${bind(filter.value)}`; break;
+        case 'lt': sql = `${column} < ${bind(filter.value)}`; break;
+        case 'lte': sql = `${column} <= ${bind(filter.value)}`; break;
+        case 'like': sql = `${column}::text LIKE ${bind(filter.value)}`; break;
+        case 'ilike': sql = `${column}::text ILIKE ${bind(filter.value)}`; break;
+        case 'in': sql = `${column} = ANY(${bind(filter.value)})`; break;
+        case 'cs': sql = `${column} @> ${bind(filter.value)}`; break;
+        case 'is':
+          if (filter.value === null) sql = `${column} IS NULL`;
+          else sql = `${column} IS ${filter.value ? 'TRUE' : 'FALSE'}`;
+          break;
+        default:
+          throw new Error(`Unsupported filter operator: ${filter.operator}`);
+      }
+
+      return filter.negate ? `NOT (${sql})` : sql;
+    };
+
+    if (!filters.length) return '';
+    return ` WHERE ${filters.map(compileOne).join(' AND ')}`;
+  }
+
+  compileOrder(orders) {
+    if (!orders.length) return '';
+    return ' ORDER BY ' + orders.map(order =>
+      `${columnSql(order.column)} ${order.ascending ? 'ASC' : 'DESC'} NULLS ${order.nullsFirst ? 'FIRST' : 'LAST'}`
+    ).join(', ');
+  }
+
+  async fetchByIds(table, ids) {
+    const result = await this.pool.query(
+      `SELECT * FROM ${quoteIdentifier(table)} WHERE "id" = ANY($1)`,
+      [ids]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Execute a QueryBuilder, resolving to { data, error, count }
+   */
+  async execute(query) {
+    try {
+      const table = quoteIdentifier(query.table);
+      let rows = [];
+      let count = null;
+
+      if (query.action === 'select') {
+        const params = [];
+        const where = this.compileFilters(query.filters, params);
+
+        if (query.countMode) {
+          const result = await this.pool.query(`SELECT count(*)::int AS count FROM ${table}${where}`, params);
+          count = result.rows[0].count;
+        }
+        if (query.head) {
+          return { data: null, error: null, count, status: 200 };
+        }
+
+        let sql = `SELECT * FROM ${table}${where}${this.compileOrder(query.orders)}`;
+        if (query.limitCount !== null) sql += ` LIMIT ${parseInt(query.limitCount, 10)}`;
+        if (query.offsetCount !== null) sql += ` OFFSET ${parseInt(query.offsetCount, 10)}`;
+        rows = (await this.pool.query(sql, params)).rows;
+      } else {
+        rows = await this.executeWrite(query, table);
+        if (!query.returning) {
+          return { data: null, error: null, count: null, status: 204 };
+        }
+      }
+
+      const data = await applySelection(query.table, rows, query.selection, (name, ids) => this.fetchByIds(name, ids));
+      return this.shape(query, data, count);
+    } catch (error) {
+      return { data: null, error: toError(error), count: null, status: 400 };
+    }
+  }
+
+  async executeWrite(query, table) {
+    const types = await this.getColumnTypes(query.table);
+    const params = [];
+    const bind = (column, value) => {
+      params.push(this.serialize(types, column, value));
+      return `$${params.length}`;
+    };
+
+    if (query.action === 'insert' || query.action === 'upsert') {
+      const payload = query.payload.map(stripUndefined);
+      const columns = [...new Set(payload.flatMap(row => Object.keys(row)))];
+      if (!columns.length) {
+        const result = await this.pool.query(`INSERT INTO ${table} DEFAULT VALUES RETURNING *`);
+        return result.rows;
+      }
+
+      const values = payload.map(row =>
+        `(${columns.map(column => (column in row ? bind(column, row[column]) : 'DEFAULT')).join(', ')})`
+      ).join(', ');
+      let sql = `INSERT INTO ${table} (${columns.map(quoteIdentifier).join(', ')}) VALUES ${values}`;
+
+      if (query.action === 'upsert') {
+        const conflict = query.onConflict.split(',').map(column => quoteIdentifier(column.trim()));
+        const updates = columns
+          .filter(column => !conflict.includes(quoteIdentifier(column)))
+          .map(column => `${quoteIdentifier(column)} = EXCLUDED.${quoteIdentifier(column)}`);
+        sql += ` ON CONFLICT (${conflict.join(', ')}) ` +
+          (query.ignoreDuplicates || !updates.length ? 'DO NOTHING' : `DO UPDATE SET ${updates.join(', ')}`);
+      }
+
+      return (await this.pool.query(`${sql} RETURNING *`, params)).rows;
+    }
+
+    if (query.action === 'update') {
+      const changes = stripUndefined(query.payload);
+      const assignments = Object.keys(changes).map(column => `${quoteIdentifier(column)} = ${bind(column, changes[column])}`);
+      if (!assignments.length) return [];
+      const where = this.compileFilters(query.filters, params);
+      return (await this.pool.query(`UPDATE ${table} SET ${assignments.join(', ')}${where} RETURNING *`, params)).rows;
+    }
+
+    const where = this.compileFilters(query.filters, params);
+    return (await this.pool.query(`DELETE FROM ${table}${where} RETURNING *`, params)).rows;
+  }
+
+  shape(query, data, count) {
+    if (!query.singleMode) {
+      return { data, error: null, count, status: 200 };
+    }
+    if (data.length === 1) {
+      return { data: data[0], error: null, count, status: 200 };
+    }
+    if (data.length === 0 && query.singleMode === 'maybe') {
+      return { data: null, error: null, count, status: 200 };
+    }
+    return {
+      data: null,
+      error: { message: 'JSON object requested, multiple (or no) rows returned', code: 'PGRST116', details: null, hint: null },
+      count,
+      status: 406
+    };
+  }
+}
+
+module.exports = PostgresAdapter;
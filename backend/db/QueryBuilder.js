@@ -0,0 +1,242 @@
+/**
+ * Query Builder
+ * Chainable, awaitable query description shared by every storage adapter.
+ * Mirrors the subset of the supabase-js fluent API used by the services so
+ * call sites stay identical regardless of the configured backend.
+ */
+
+class QueryBuilder {
+  constructor(adapter, table) {
+    this.adapter = adapter;
+    this.table = table;
+    this.action = 'select';
+    this.columns = '*';
+    this.returning = false;
+    this.countMode = null;
+    this.head = false;
+    this.payload = null;
+    this.onConflict = null;
+    this.ignoreDuplicates = false;
+    this.filters = [];
+    this.orders = [];
+    this.limitCount = null;
+    this.offsetCount = null;
+    this.singleMode = null;
+  }
+
+  /**
+   * Select columns (or request the affected rows back after a write)
+   */
+  select(columns = '*', options = {}) {
+    this.columns = columns;
+    if (this.action === 'select') {
+      this.countMode = options.count || null;
+      this.head = !!options.head;
+    } else {
+      this.returning = true;
+    }
+    return this;
+  }
+
+  insert(rows) {
+    this.action = 'insert';
+    this.payload = Array.isArray(rows) ? rows : [rows];
+    return this;
+  }
+
+  upsert(rows, options = {}) {
+    this.action = 'upsert';
+    this.payload = Array.isArray(rows) ? rows : [rows];
+    this.onConflict = options.onConflict || 'id';
+    this.ignoreDuplicates = !!options.ignoreDuplicates;
+    return this;
+  }
+
+  update(values) {
+    this.action = 'update';
+    this.payload = values;
+    return this;
+  }
+
+  delete() {
+    this.action = 'delete';
+    return this;
+  }
+
+  // ---- Filters ----
+
+  eq(column, value) { return this.addFilter(column, 'eq', value); }
+  neq(column, value) { return this.addFilter(column, 'neq', value); }
+  gt(column, value) { return this.addFilter(column, 'gt', value); }
+  gte(column, value) { return this.addFilter(column, 'gte', value); }
+  lt(column, value) { return this.addFilter(column, 'lt', value); }
+  lte(column, value) { return this.addFilter(column, 'lte', value); }
+  like(column, pattern) { return this.addFilter(column, 'like', pattern); }
+  ilike(column, pattern) { return this.addFilter(column, 'ilike', pattern); }
+  is(column, value) { return this.addFilter(column, 'is', value); }
+  in(column, values) { return this.addFilter(column, 'in', values); }
+  contains(column, values) { return this.addFilter(column, 'cs', values); }
+
+  /**
+   * Negated filter, e.g. not('status', 'in', '("resolved","closed")')
+   */
+  not(column, operator, value) {
+    return this.addFilter(column, operator, parseFilterValue(operator, value), true);
+  }
+
+  /**
+   * OR group in PostgREST syntax, e.g. or('username.eq.admin,email.eq.admin@city.gov')
+   */
+  or(expression) {
+    this.filters.push({ or: parseOrExpression(expression) });
+    return this;
+  }
+
+  match(criteria) {
+    Object.entries(criteria).forEach(([column, value]) => this.eq(column, value));
+    return this;
+  }
+
+  addFilter(column, operator, value, negate = false) {
+    this.filters.push({ column, operator, value, negate });
+    return this;
+  }
+
+  // ---- Modifiers ----
+
+  order(column, options = {}) {
+    const ascending = options.ascending !== false;
+    this.orders.push({
+      column,
+      ascending,
+      nullsFirst: options.nullsFirst !== undefined ? options.nullsFirst : !ascending
+    });
+    return this;
+  }
+
+  limit(count) {
+    this.limitCount = count;
+    return this;
+  }
+
+  range(from, to) {
+    this.offsetCount = from;
+    this.limitCount = to - from + 1;
+    return this;
+  }
+
+  single() {
+    this.singleMode = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.singleMode = 'maybe';
+    return this;
+  }
+
+  /**
+   * Parsed select list: plain columns plus embedded relations
+   */
+  get selection() {
+    return parseSelect(this.columns);
+  }
+
+  /**
+   * Execute lazily when awaited, resolving to { data, error, count }
+   */
+  then(resolve, reject) {
+    return this.adapter.execute(this).then(resolve, reject);
+  }
+
+  catch(reject) {
+    return this.then(undefined, reject);
+  }
+}
+
+/**
+ * Split on commas that are not nested inside parentheses
+ */
+const splitTopLevel = (input) => {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+
+  for (const char of input) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if (char === ',' && depth === 0) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+
+  return parts.map(part => part.trim()).filter(Boolean);
+};
+
+/**
+ * Parse a select list such as `*, departments (id, name), resolved_by:users!resolved_by_user_id (full_name)`
+ */
+const parseSelect = (columns = '*') => {
+  const fields = [];
+  const embeds = [];
+
+  splitTopLevel(String(columns).replace(/\s+/g, ' ')).forEach(item => {
+    const match = item.match(/^(?:(\w+)\s*:\s*)?(\w+)(?:\s*!\s*(\w+))?\s*\((.*)\)$/s);
+    if (match && match[2] !== 'count') {
+      const [, alias, table, hint, inner] = match;
+      embeds.push({ alias: alias || table, table, hint: hint || null, selection: parseSelect(inner) });
+    } else {
+      fields.push(item);
+    }
+  });
+
+  const all = fields.length === 0 || fields.includes('*') || fields.some(field => /\(/.test(field));
+  return { all, fields: all ? [] : fields, embeds };
+};
+
+/**
+ * Convert PostgREST literal values ('("a","b")', 'null', '{}') into JS values
+ */
+const parseFilterValue = (operator, value) => {
+  if (typeof value !== 'string') return value;
+
+  if (operator === 'in') {
+    return value
+      .replace(/^\(|\)$/g, '')
+      .split(',')
+      .map(item => item.trim().replace(/^"|"$/g, ''))
+      .filter(item => item !== '');
+  }
+  if (operator === 'is') {
+    if (value === 'null') return null;
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+  }
+  if (/^\{.*\}$/.test(value)) {
+    const inner = value.slice(1, -1);
+    return inner === '' ? [] : inner.split(',').map(item => item.trim().replace(/^"|"$/g, ''));
+  }
+  return value;
+};
+
+const parseOrExpression = (expression) => splitTopLevel(expression).map(condition => {
+  const negate = condition.startsWith('not.');
+  const body = negate ? condition.slice(4) : condition;
+  const firstDot = body.indexOf('.');
+  const secondDot = body.indexOf('.', firstDot + 1);
+  const column = body.slice(0, firstDot);
+  const operator = body.slice(firstDot + 1, secondDot);
+  const value = parseFilterValue(operator, body.slice(secondDot + 1));
+  return { column, operator, value, negate };
+});
+
+module.exports = {
+  QueryBuilder,
+  parseSelect,
+  parseFilterValue,
+  splitTopLevel
+};
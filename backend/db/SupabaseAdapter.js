@@ -0,0 +1,38 @@
+/**
+ * Supabase Adapter
+ * Default storage backend: delegates straight to supabase-js, whose fluent
+ * API the other adapters imitate.
+ */
+
+const { createClient } = require('@supabase/supabase-js');
+
+class SupabaseAdapter {
+  constructor(options = {}) {
+    this.name = 'supabase';
+    this.client = createClient(
+      options.url || process.env.SUPABASE_URL || 'https://your-project.supabase.co',
+      options.key || process.env.SUPABASE_ANON_KEY || 'your-anon-key'
+    );
+  }
+
+  from(table) {
+    return this.client.from(table);
+  }
+
+  rpc(name, params) {
+    return this.client.rpc(name, params);
+  }
+
+  async ping() {
+    const { error } = await this.client
+      .from('issues')
+      .select('id', { count: 'exact', head: true });
+
+    if (error) throw new Error(error.message);
+    return true;
+  }
+
+  async close() {}
+}
+
+module.exports = SupabaseAdapter;
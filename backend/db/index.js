@@ -0,0 +1,30 @@
+/**
+ * Storage adapters
+ * Selects the database backend from DB_ADAPTER:
+ *   supabase (default) - hosted Supabase via SUPABASE_URL / SUPABASE_ANON_KEY
+ *   postgres           - any PostgreSQL database via DATABASE_URL
+ *   memory             - in-process tables, for offline dev and tests
+ */
+
+const ADAPTERS = {
+  supabase: () => require('./SupabaseAdapter'),
+  postgres: () => require('./PostgresAdapter'),
+  memory: () => require('./MemoryAdapter')
+};
+
+const createAdapter = (name = process.env.DB_ADAPTER || 'supabase', options = {}) => {
+  const key = String(name).toLowerCase();
+  const load = ADAPTERS[key];
+
+  if (!load) {
+    throw new Error(`Unknown DB_ADAPTER "${name}". Expected one of: ${Object.keys(ADAPTERS).join(', ')}`);
+  }
+
+  const Adapter = load();
+  return new Adapter(options);
+};
+
+module.exports = {
+  createAdapter,
+  adapters: Object.keys(ADAPTERS)
+};
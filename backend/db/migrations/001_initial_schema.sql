@@ -1,19 +1,9 @@
--- ============================================================
--- Smart Civic Issue Reporter - Complete Database Setup
--- Run this ENTIRE script in your Supabase SQL Editor
--- ============================================================
+-- Initial schema: departments, users, issues, audit_logs, notifications
+-- Safe to apply on databases created by the old supabase-setup.sql script:
+-- every statement is idempotent, so existing data is left untouched.
 
--- Drop existing tables (in correct order due to foreign keys)
-DROP TABLE IF EXISTS notifications CASCADE;
-DROP TABLE IF EXISTS audit_logs CASCADE;
-DROP TABLE IF EXISTS issues CASCADE;
-DROP TABLE IF EXISTS users CASCADE;
-DROP TABLE IF EXISTS departments CASCADE;
+-- migrate:up
 
--- Drop existing triggers/functions
-DROP FUNCTION IF EXISTS update_updated_at_column() CASCADE;
-
--- 1. Create departments table
 CREATE TABLE IF NOT EXISTS departments (
   id SERIAL PRIMARY KEY,
   name VARCHAR(100) NOT NULL UNIQUE,
@@ -21,31 +11,29 @@ CREATE TABLE IF NOT EXISTS departments (
   description TEXT,
   contact_email VARCHAR(255),
   contact_phone VARCHAR(20),
-  sla_hours INTEGER DEFAULT 48,
+  sla_hours INTEGER DEFAULT 48, -- Service Level Agreement in hours
   head_of_department VARCHAR(255),
   is_active BOOLEAN DEFAULT TRUE,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
--- 2. Create users table
 CREATE TABLE IF NOT EXISTS users (
   id SERIAL PRIMARY KEY,
   username VARCHAR(50) UNIQUE NOT NULL,
-  password VARCHAR(255) NOT NULL,
+  password VARCHAR(255) NOT NULL, -- Hashed password
   role VARCHAR(20) DEFAULT 'authority' CHECK (role IN ('citizen', 'authority', 'admin', 'super_admin')),
   email VARCHAR(255) NOT NULL UNIQUE,
   full_name VARCHAR(255),
   phone VARCHAR(20),
   department_id INTEGER REFERENCES departments(id),
-  ward_area VARCHAR(100),
+  ward_area VARCHAR(100), -- For location-based assignment
   is_active BOOLEAN DEFAULT TRUE,
   last_login_at TIMESTAMP WITH TIME ZONE,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
--- 3. Create issues table
 CREATE TABLE IF NOT EXISTS issues (
   id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
   issue_id VARCHAR(20) UNIQUE NOT NULL,
@@ -55,7 +43,7 @@ CREATE TABLE IF NOT EXISTS issues (
   category VARCHAR(50) NOT NULL CHECK (category IN ('pothole', 'garbage', 'streetlight', 'graffiti', 'water', 'traffic', 'sidewalk', 'other')),
   subcategory VARCHAR(100),
   description TEXT,
-  location JSONB NOT NULL,
+  location JSONB NOT NULL, -- {lat, lng, address, ward, area}
   images TEXT[] DEFAULT '{}',
   status VARCHAR(20) DEFAULT 'submitted' CHECK (status IN ('submitted', 'assigned', 'in_progress', 'resolved', 'closed', 'rejected')),
   status_history JSONB DEFAULT '[]'::JSONB,
@@ -78,17 +66,6 @@ CREATE TABLE IF NOT EXISTS issues (
   duplicate_of_issue_id VARCHAR(20),
   is_duplicate BOOLEAN DEFAULT FALSE,
   ai_classification JSONB,
-  
-  -- Enhanced AI Classification fields
-  verified_category VARCHAR(50) CHECK (verified_category IS NULL OR verified_category IN ('pothole', 'garbage', 'streetlight', 'graffiti', 'water', 'traffic', 'sidewalk', 'other')),
-  ai_explanation TEXT,
-  needs_review BOOLEAN DEFAULT FALSE,
-  was_reclassified BOOLEAN DEFAULT FALSE,
-  reclassification_event JSONB,
-  ai_processing_status VARCHAR(20) DEFAULT 'pending' CHECK (ai_processing_status IN ('pending', 'processing', 'completed', 'failed')),
-  ai_error TEXT,
-  processed_at TIMESTAMP WITH TIME ZONE,
-  
   auto_escalated BOOLEAN DEFAULT FALSE,
   escalation_reason TEXT,
   submitted_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
@@ -100,7 +77,6 @@ CREATE TABLE IF NOT EXISTS issues (
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
--- 4. Create audit_logs table
 CREATE TABLE IF NOT EXISTS audit_logs (
   id SERIAL PRIMARY KEY,
   entity_type VARCHAR(50) NOT NULL,
@@ -114,7 +90,6 @@ CREATE TABLE IF NOT EXISTS audit_logs (
   details TEXT
 );
 
--- 5. Create notifications table
 CREATE TABLE IF NOT EXISTS notifications (
   id SERIAL PRIMARY KEY,
   recipient_email VARCHAR(255) NOT NULL,
@@ -130,7 +105,6 @@ CREATE TABLE IF NOT EXISTS notifications (
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
--- 6. Create indexes
 CREATE INDEX IF NOT EXISTS idx_issues_status ON issues(status);
 CREATE INDEX IF NOT EXISTS idx_issues_category ON issues(category);
 CREATE INDEX IF NOT EXISTS idx_issues_citizen_email ON issues(citizen_email);
@@ -144,7 +118,7 @@ CREATE INDEX IF NOT EXISTS idx_audit_logs_timestamp ON audit_logs(changed_at);
 CREATE INDEX IF NOT EXISTS idx_notifications_recipient ON notifications(recipient_email);
 CREATE INDEX IF NOT EXISTS idx_notifications_sent ON notifications(is_sent);
 
--- 7. Auto-update trigger
+-- Keep updated_at current on every UPDATE
 CREATE OR REPLACE FUNCTION update_updated_at_column()
 RETURNS TRIGGER AS $$
 BEGIN
@@ -165,8 +139,7 @@ DROP TRIGGER IF EXISTS update_departments_updated_at ON departments;
 CREATE TRIGGER update_departments_updated_at BEFORE UPDATE
 ON departments FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
--- 8. Create find_nearby_issues RPC function for duplicate detection
-DROP FUNCTION IF EXISTS find_nearby_issues(TEXT, DOUBLE PRECISION, DOUBLE PRECISION, DOUBLE PRECISION, TIMESTAMP WITH TIME ZONE);
+-- Nearby open issues of the same category, used for duplicate detection
 CREATE OR REPLACE FUNCTION find_nearby_issues(
   issue_category TEXT,
   issue_lat DOUBLE PRECISION,
@@ -194,66 +167,14 @@ BEGIN
 END;
 $$ LANGUAGE plpgsql STABLE;
 
--- 9. Seed departments
-INSERT INTO departments (name, code, description, contact_email, sla_hours) VALUES
-('Roads and Infrastructure', 'ROADS', 'Handles potholes, road repairs, and infrastructure issues', 'roads@city.gov', 48),
-('Sanitation Department', 'SANITATION', 'Manages garbage collection, waste management, and cleanliness', 'sanitation@city.gov', 24),
-('Water and Sewerage', 'WATER', 'Water supply, leakages, and sewerage issues', 'water@city.gov', 12),
-('Electricity and Street Lighting', 'ELECTRICITY', 'Street lights, electrical issues, and power-related problems', 'electricity@city.gov', 24),
-('Traffic Management', 'TRAFFIC', 'Traffic signals, road signs, and traffic-related issues', 'traffic@city.gov', 48),
-('Parks and Recreation', 'PARKS', 'Park maintenance, recreational facilities', 'parks@city.gov', 72),
-('Building and Planning', 'PLANNING', 'Construction issues, illegal buildings, planning violations', 'planning@city.gov', 168)
-ON CONFLICT (code) DO NOTHING;
-
--- 10. Seed users (default password for ALL users: Admin@123)
--- Hash generated via: bcrypt.hash('Admin@123', 12) — verified with bcrypt v6
-INSERT INTO users (username, password, role, email, full_name, department_id, ward_area) VALUES
-('admin', '$2b$12$cg3WIBctmUt9MPUVI5SySOE6ys8RKFgqslDF3vgrU5c5paTgFY9Tm', 'admin', 'admin@city.gov', 'System Administrator', 1, 'Central'),
-('roads_supervisor', '$2b$12$cg3WIBctmUt9MPUVI5SySOE6ys8RKFgqslDF3vgrU5c5paTgFY9Tm', 'authority', 'roads@city.gov', 'Roads Department Supervisor', 1, 'North'),
-('sanitation_head', '$2b$12$cg3WIBctmUt9MPUVI5SySOE6ys8RKFgqslDF3vgrU5c5paTgFY9Tm', 'authority', 'sanitation@city.gov', 'Sanitation Department Head', 2, 'South'),
-('water_engineer', '$2b$12$cg3WIBctmUt9MPUVI5SySOE6ys8RKFgqslDF3vgrU5c5paTgFY9Tm', 'authority', 'water@city.gov', 'Water Department Engineer', 3, 'East'),
-('electricity_tech', '$2b$12$cg3WIBctmUt9MPUVI5SySOE6ys8RKFgqslDF3vgrU5c5paTgFY9Tm', 'authority', 'electricity@city.gov', 'Electrical Technician', 4, 'West'),
-('traffic_officer', '$2b$12$cg3WIBctmUt9MPUVI5SySOE6ys8RKFgqslDF3vgrU5c5paTgFY9Tm', 'authority', 'traffic@city.gov', 'Traffic Management Officer', 5, 'Central'),
-('parks_manager', '$2b$12$cg3WIBctmUt9MPUVI5SySOE6ys8RKFgqslDF3vgrU5c5paTgFY9Tm', 'authority', 'parks@city.gov', 'Parks and Recreation Manager', 6, 'North'),
-('planning_officer', '$2b$12$cg3WIBctmUt9MPUVI5SySOE6ys8RKFgqslDF3vgrU5c5paTgFY9Tm', 'authority', 'planning@city.gov', 'Building and Planning Officer', 7, 'South')
-ON CONFLICT (username) DO UPDATE SET password = EXCLUDED.password;
-
--- 11. Seed sample issues
-INSERT INTO issues (
-  issue_id, citizen_name, citizen_email, category, description, 
-  location, images, status, priority, created_at, updated_at
-) VALUES
-(
-  'ISSUE-001', 'John Doe', 'john@example.com', 'pothole',
-  'Large pothole on Main Street causing traffic issues',
-  '{"lat": 40.7128, "lng": -74.0060, "address": "Main Street, New York, NY"}',
-  ARRAY['/uploads/sample-pothole.jpg'], 'submitted', 'medium',
-  '2026-01-20T10:00:00Z', '2026-01-20T10:00:00Z'
-),
-(
-  'ISSUE-002', 'Jane Smith', 'jane@example.com', 'garbage',
-  'Overflowing garbage bins on Oak Avenue',
-  '{"lat": 40.7589, "lng": -73.9851, "address": "Oak Avenue, New York, NY"}',
-  ARRAY['/uploads/sample-garbage.jpg'], 'in_progress', 'high',
-  '2026-01-18T14:30:00Z', '2026-01-19T09:15:00Z'
-),
-(
-  'ISSUE-003', 'Mike Wilson', 'mike@example.com', 'streetlight',
-  'Street light not working on Pine Street',
-  '{"lat": 40.7505, "lng": -73.9934, "address": "Pine Street, New York, NY"}',
-  ARRAY['/uploads/sample-streetlight.jpg'], 'resolved', 'low',
-  '2026-01-15T18:45:00Z', '2026-01-17T11:20:00Z'
-)
-ON CONFLICT (issue_id) DO NOTHING;
-
--- 12. Disable RLS for development (enable and configure policies for production)
+-- Row level security: the API authenticates users itself, so allow the
+-- service key full access (tighten these policies for direct client access)
 ALTER TABLE departments ENABLE ROW LEVEL SECURITY;
 ALTER TABLE users ENABLE ROW LEVEL SECURITY;
 ALTER TABLE issues ENABLE ROW LEVEL SECURITY;
 ALTER TABLE audit_logs ENABLE ROW LEVEL SECURITY;
 ALTER TABLE notifications ENABLE ROW LEVEL SECURITY;
 
--- Allow full access via service role / anon key for development
 DROP POLICY IF EXISTS "Allow all for departments" ON departments;
 CREATE POLICY "Allow all for departments" ON departments FOR ALL USING (true) WITH CHECK (true);
 
@@ -269,7 +190,12 @@ CREATE POLICY "Allow all for audit_logs" ON audit_logs FOR ALL USING (true) WITH
 DROP POLICY IF EXISTS "Allow all for notifications" ON notifications;
 CREATE POLICY "Allow all for notifications" ON notifications FOR ALL USING (true) WITH CHECK (true);
 
--- ============================================================
--- Setup complete! 
--- Login credentials: username=admin, password=Admin@123
--- ============================================================
+-- migrate:down
+
+DROP FUNCTION IF EXISTS find_nearby_issues(TEXT, DOUBLE PRECISION, DOUBLE PRECISION, DOUBLE PRECISION, TIMESTAMP WITH TIME ZONE);
+DROP TABLE IF EXISTS notifications;
+DROP TABLE IF EXISTS audit_logs;
+DROP TABLE IF EXISTS issues;
+DROP TABLE IF EXISTS users;
+DROP TABLE IF EXISTS departments;
+DROP FUNCTION IF EXISTS update_updated_at_column();
@@ -0,0 +1,35 @@
+-- Default departments and staff accounts
+-- Default password for ALL seeded users: Admin@123 (change after first login).
+-- Existing rows are never overwritten.
+
+-- migrate:up
+
+INSERT INTO departments (name, code, description, contact_email, sla_hours) VALUES
+('Roads and Infrastructure', 'ROADS', 'Handles potholes, road repairs, and infrastructure issues', 'roads@city.gov', 48),
+('Sanitation Department', 'SANITATION', 'Manages garbage collection, waste management, and cleanliness', 'sanitation@city.gov', 24),
+('Water and Sewerage', 'WATER', 'Water supply, leakages, and sewerage issues', 'water@city.gov', 12),
+('Electricity and Street Lighting', 'ELECTRICITY', 'Street lights, electrical issues, and power-related problems', 'electricity@city.gov', 24),
+('Traffic Management', 'TRAFFIC', 'Traffic signals, road signs, and traffic-related issues', 'traffic@city.gov', 48),
+('Parks and Recreation', 'PARKS', 'Park maintenance, recreational facilities', 'parks@city.gov', 72),
+('Building and Planning', 'PLANNING', 'Construction issues, illegal buildings, planning violations', 'planning@city.gov', 168)
+ON CONFLICT (code) DO NOTHING;
+
+INSERT INTO users (username, password, role, email, full_name, department_id, ward_area)
+SELECT seed.username, '$2b$12$cg3WIBctmUt9MPUVI5SySOE6ys8RKFgqslDF3vgrU5c5paTgFY9Tm', seed.role, seed.email, seed.full_name, d.id, seed.ward_area
+FROM (VALUES
+  ('admin', 'admin', 'admin@city.gov', 'System Administrator', 'ROADS', 'Central'),
+  ('roads_supervisor', 'authority', 'roads@city.gov', 'Roads Department Supervisor', 'ROADS', 'North'),
+  ('sanitation_head', 'authority', 'sanitation@city.gov', 'Sanitation Department Head', 'SANITATION', 'South'),
+  ('water_engineer', 'authority', 'water@city.gov', 'Water Department Engineer', 'WATER', 'East'),
+  ('electricity_tech', 'authority', 'electricity@city.gov', 'Electrical Technician', 'ELECTRICITY', 'West'),
+  ('traffic_officer', 'authority', 'traffic@city.gov', 'Traffic Management Officer', 'TRAFFIC', 'Central'),
+  ('parks_manager', 'authority', 'parks@city.gov', 'Parks and Recreation Manager', 'PARKS', 'North'),
+  ('planning_officer', 'authority', 'planning@city.gov', 'Building and Planning Officer', 'PLANNING', 'South')
+) AS seed (username, role, email, full_name, department_code, ward_area)
+JOIN departments d ON d.code = seed.department_code
+ON CONFLICT DO NOTHING;
+
+-- migrate:down
+
+-- Seed rows may be referenced by live issues, so they are left in place.
+SELECT 1;
@@ -0,0 +1,37 @@
+-- Atomic, collision-free issue ID sequences
+-- One counter per scope (the rendered ISSUE_ID_FORMAT without {SEQ}, e.g.
+-- "CIV-2026-"), incremented under a row lock so concurrent submissions never
+-- receive the same number and deleted issues never free theirs up.
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS issue_id_counters (
+  scope VARCHAR(40) PRIMARY KEY,
+  last_value BIGINT NOT NULL DEFAULT 0,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE OR REPLACE FUNCTION next_issue_sequence(counter_scope TEXT)
+RETURNS BIGINT AS $$
+  INSERT INTO issue_id_counters AS c (scope, last_value)
+  VALUES (counter_scope, 1)
+  ON CONFLICT (scope) DO UPDATE
+    SET last_value = c.last_value + 1,
+        updated_at = NOW()
+  RETURNING last_value;
+$$ LANGUAGE sql VOLATILE;
+
+-- Room for prefixes, ward codes and the check digit
+ALTER TABLE issues ALTER COLUMN issue_id TYPE VARCHAR(40);
+ALTER TABLE issues ALTER COLUMN duplicate_of_issue_id TYPE VARCHAR(40);
+ALTER TABLE notifications ALTER COLUMN issue_id TYPE VARCHAR(40);
+
+ALTER TABLE issue_id_counters ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Allow all for issue_id_counters" ON issue_id_counters;
+CREATE POLICY "Allow all for issue_id_counters" ON issue_id_counters FOR ALL USING (true) WITH CHECK (true);
+
+-- migrate:down
+
+-- Column widths are kept: IDs issued by the sequence may not fit VARCHAR(20).
+DROP FUNCTION IF EXISTS next_issue_sequence(TEXT);
+DROP TABLE IF EXISTS issue_id_counters;
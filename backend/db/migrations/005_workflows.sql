@@ -0,0 +1,78 @@
+-- Configurable issue workflows
+-- One workflow per department (department_id NULL = the default used by
+-- departments without their own). Statuses map onto the core lifecycle
+-- stages; transitions may carry guards such as required photos or roles.
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS workflows (
+  id SERIAL PRIMARY KEY,
+  department_id INTEGER UNIQUE REFERENCES departments(id) ON DELETE CASCADE,
+  name VARCHAR(255) NOT NULL,
+  initial_status VARCHAR(50) NOT NULL DEFAULT 'submitted',
+  statuses JSONB NOT NULL DEFAULT '[]'::JSONB,
+  transitions JSONB NOT NULL DEFAULT '[]'::JSONB,
+  version INTEGER NOT NULL DEFAULT 1,
+  is_active BOOLEAN DEFAULT true,
+  updated_by_user_id INTEGER REFERENCES users(id),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- At most one default workflow
+CREATE UNIQUE INDEX IF NOT EXISTS idx_workflows_default ON workflows ((department_id IS NULL)) WHERE department_id IS NULL;
+
+DROP TRIGGER IF EXISTS update_workflows_updated_at ON workflows;
+CREATE TRIGGER update_workflows_updated_at BEFORE UPDATE ON workflows
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Default workflow, equivalent to the previously hard-coded transitions
+INSERT INTO workflows (department_id, name, initial_status, statuses, transitions)
+SELECT NULL, 'Standard workflow', 'submitted',
+  '[
+    {"key": "submitted", "label": "Submitted", "stage": "submitted"},
+    {"key": "assigned", "label": "Assigned", "stage": "assigned"},
+    {"key": "in_progress", "label": "In Progress", "stage": "in_progress"},
+    {"key": "resolved", "label": "Resolved", "stage": "resolved"},
+    {"key": "closed", "label": "Closed", "stage": "closed"},
+    {"key": "rejected", "label": "Rejected", "stage": "rejected"}
+  ]'::JSONB,
+  '[
+    {"from": "submitted", "to": "assigned"},
+    {"from": "submitted", "to": "in_progress"},
+    {"from": "submitted", "to": "resolved", "guards": [{"type": "resolution_images", "min": 1}]},
+    {"from": "submitted", "to": "rejected"},
+    {"from": "assigned", "to": "in_progress"},
+    {"from": "assigned", "to": "resolved", "guards": [{"type": "resolution_images", "min": 1}]},
+    {"from": "assigned", "to": "rejected"},
+    {"from": "in_progress", "to": "resolved", "guards": [{"type": "resolution_images", "min": 1}]},
+    {"from": "in_progress", "to": "assigned"},
+    {"from": "in_progress", "to": "closed"},
+    {"from": "resolved", "to": "closed"},
+    {"from": "resolved", "to": "in_progress"},
+    {"from": "rejected", "to": "submitted"}
+  ]'::JSONB
+WHERE NOT EXISTS (SELECT 1 FROM workflows WHERE department_id IS NULL);
+
+-- Statuses are now defined by workflows rather than a fixed list
+ALTER TABLE issues DROP CONSTRAINT IF EXISTS issues_status_check;
+ALTER TABLE issues ALTER COLUMN status TYPE VARCHAR(50);
+
+ALTER TABLE workflows ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Allow all for workflows" ON workflows;
+CREATE POLICY "Allow all for workflows" ON workflows FOR ALL USING (true) WITH CHECK (true);
+
+-- migrate:down
+
+-- Issues in custom statuses fall back to the stage they belong to
+UPDATE issues i
+SET status = s.value->>'stage'
+FROM workflows w, jsonb_array_elements(w.statuses) s
+WHERE s.value->>'key' = i.status
+  AND i.status NOT IN ('submitted', 'assigned', 'in_progress', 'resolved', 'closed', 'rejected');
+
+DROP TABLE IF EXISTS workflows;
+
+ALTER TABLE issues ALTER COLUMN status TYPE VARCHAR(20);
+ALTER TABLE issues ADD CONSTRAINT issues_status_check
+  CHECK (status IN ('submitted', 'assigned', 'in_progress', 'resolved', 'closed', 'rejected'));
@@ -0,0 +1,35 @@
+-- Passwordless citizen accounts
+-- Citizens sign in with a one-time code emailed to them, so their user rows
+-- carry no password. Codes are stored hashed and expire after a few minutes.
+
+-- migrate:up
+
+ALTER TABLE users ALTER COLUMN password DROP NOT NULL;
+
+CREATE TABLE IF NOT EXISTS citizen_login_codes (
+  id SERIAL PRIMARY KEY,
+  email VARCHAR(255) NOT NULL,
+  code_hash VARCHAR(64) NOT NULL,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  consumed_at TIMESTAMP WITH TIME ZONE,
+  ip_address VARCHAR(45),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_citizen_login_codes_email ON citizen_login_codes(email, created_at DESC);
+
+-- Citizen reports are matched to accounts by email; store it in one case
+UPDATE issues SET citizen_email = LOWER(citizen_email) WHERE citizen_email <> LOWER(citizen_email);
+
+ALTER TABLE citizen_login_codes ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Allow all for citizen_login_codes" ON citizen_login_codes;
+CREATE POLICY "Allow all for citizen_login_codes" ON citizen_login_codes FOR ALL USING (true) WITH CHECK (true);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS citizen_login_codes;
+
+-- Passwordless accounts get an unusable hash and are disabled
+UPDATE users SET password = '!', is_active = false WHERE password IS NULL;
+ALTER TABLE users ALTER COLUMN password SET NOT NULL;
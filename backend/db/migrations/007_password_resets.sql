@@ -0,0 +1,25 @@
+-- Staff password reset tokens
+-- Only a SHA-256 hash of each emailed token is stored. A token is single-use
+-- and expires after a short window.
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS password_reset_tokens (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  token_hash VARCHAR(64) NOT NULL UNIQUE,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  used_at TIMESTAMP WITH TIME ZONE,
+  ip_address VARCHAR(45),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_user ON password_reset_tokens(user_id);
+
+ALTER TABLE password_reset_tokens ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Allow all for password_reset_tokens" ON password_reset_tokens;
+CREATE POLICY "Allow all for password_reset_tokens" ON password_reset_tokens FOR ALL USING (true) WITH CHECK (true);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS password_reset_tokens;
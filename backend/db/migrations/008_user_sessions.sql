@@ -0,0 +1,31 @@
+-- Server-side sessions backing short-lived access tokens
+-- Each sign-in creates a session holding the hash of its current refresh
+-- token. Refreshing rotates the token; presenting the previous one again
+-- means it was copied, and the session is revoked.
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS user_sessions (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  refresh_token_hash VARCHAR(64) NOT NULL UNIQUE,
+  previous_token_hash VARCHAR(64),
+  user_agent TEXT,
+  ip_address VARCHAR(45),
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  last_used_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  revoked_at TIMESTAMP WITH TIME ZONE,
+  revoked_reason VARCHAR(50),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_sessions_user ON user_sessions(user_id) WHERE revoked_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_user_sessions_previous_token ON user_sessions(previous_token_hash);
+
+ALTER TABLE user_sessions ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Allow all for user_sessions" ON user_sessions;
+CREATE POLICY "Allow all for user_sessions" ON user_sessions FOR ALL USING (true) WITH CHECK (true);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS user_sessions;
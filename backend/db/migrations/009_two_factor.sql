@@ -0,0 +1,34 @@
+-- TOTP two-factor authentication
+-- The shared secret is stored encrypted (AES-256-GCM). totp_last_used_step
+-- stops a code from being replayed inside its 30-second window. Recovery
+-- codes are stored hashed and each can be used once.
+
+-- migrate:up
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_secret TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_enabled BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_enrolled_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_last_used_step BIGINT;
+
+CREATE TABLE IF NOT EXISTS user_recovery_codes (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  code_hash VARCHAR(64) NOT NULL,
+  used_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_recovery_codes_user ON user_recovery_codes(user_id);
+
+ALTER TABLE user_recovery_codes ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Allow all for user_recovery_codes" ON user_recovery_codes;
+CREATE POLICY "Allow all for user_recovery_codes" ON user_recovery_codes FOR ALL USING (true) WITH CHECK (true);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS user_recovery_codes;
+
+ALTER TABLE users DROP COLUMN IF EXISTS totp_last_used_step;
+ALTER TABLE users DROP COLUMN IF EXISTS totp_enrolled_at;
+ALTER TABLE users DROP COLUMN IF EXISTS totp_enabled;
+ALTER TABLE users DROP COLUMN IF EXISTS totp_secret;
@@ -0,0 +1,53 @@
+-- Editable roles built from named permissions
+-- Replaces the fixed citizen < authority < admin < super_admin hierarchy.
+-- users.role now names a row in `roles`; the four built-in roles are seeded
+-- with the permissions they had before, so nobody's access changes.
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS roles (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(50) UNIQUE NOT NULL,
+  display_name VARCHAR(100) NOT NULL,
+  description TEXT,
+  permissions JSONB NOT NULL DEFAULT '[]'::JSONB,
+  is_system BOOLEAN NOT NULL DEFAULT false,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+DROP TRIGGER IF EXISTS update_roles_updated_at ON roles;
+CREATE TRIGGER update_roles_updated_at BEFORE UPDATE ON roles
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+INSERT INTO roles (name, display_name, description, permissions, is_system) VALUES
+  ('citizen', 'Citizen', 'Signs in with an emailed code to follow their own reports', '[]'::JSONB, true),
+  ('authority', 'Authority', 'Department staff working on their department''s issues',
+    '["issue.audit.read", "issue.priority.update", "issue.statistics.read", "issue.status.update"]'::JSONB, true),
+  ('admin', 'Admin', 'Manages issues, staff and departments across the city',
+    '["analytics.read", "audit.read", "department.read", "department.status.edit", "issue.assign", "issue.audit.read",
+      "issue.edit", "issue.priority.update", "issue.read_all", "issue.reassign", "issue.statistics.read", "issue.status.update",
+      "notification.read", "upload.manage", "user.manage", "user.read", "workflow.manage"]'::JSONB, true),
+  ('super_admin', 'Super Admin', 'Full access, including roles, SLAs and maintenance', '[]'::JSONB, true)
+ON CONFLICT (name) DO NOTHING;
+
+-- Roles are rows now, not a fixed list
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_check;
+ALTER TABLE users ALTER COLUMN role TYPE VARCHAR(50);
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_fkey;
+ALTER TABLE users ADD CONSTRAINT users_role_fkey FOREIGN KEY (role) REFERENCES roles(name);
+
+ALTER TABLE roles ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Allow all for roles" ON roles;
+CREATE POLICY "Allow all for roles" ON roles FOR ALL USING (true) WITH CHECK (true);
+
+-- migrate:down
+
+-- Users on custom roles fall back to the nearest built-in role
+UPDATE users SET role = 'authority' WHERE role NOT IN ('citizen', 'authority', 'admin', 'super_admin');
+
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_fkey;
+ALTER TABLE users ALTER COLUMN role TYPE VARCHAR(20);
+ALTER TABLE users ADD CONSTRAINT users_role_check CHECK (role IN ('citizen', 'authority', 'admin', 'super_admin'));
+
+DROP TABLE IF EXISTS roles;
@@ -0,0 +1,29 @@
+-- Split and merged reports
+-- A report covering several problems is split into sub-issues that point at
+-- it through parent_issue_id. Several reports of one problem are merged into
+-- a master; each merged report keeps its reporter and points at the master
+-- through merged_into_issue_id, following its status from then on.
+
+-- migrate:up
+
+ALTER TABLE issues ADD COLUMN IF NOT EXISTS parent_issue_id VARCHAR(40) REFERENCES issues(issue_id) ON DELETE SET NULL;
+ALTER TABLE issues ADD COLUMN IF NOT EXISTS merged_into_issue_id VARCHAR(40) REFERENCES issues(issue_id) ON DELETE SET NULL;
+ALTER TABLE issues ADD COLUMN IF NOT EXISTS merged_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_issues_parent_issue_id ON issues(parent_issue_id) WHERE parent_issue_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_issues_merged_into_issue_id ON issues(merged_into_issue_id) WHERE merged_into_issue_id IS NOT NULL;
+
+-- Department staff may split and merge the reports they can see
+UPDATE roles SET permissions = permissions || '["issue.link"]'::JSONB
+  WHERE name IN ('authority', 'admin') AND NOT permissions ? 'issue.link';
+
+-- migrate:down
+
+UPDATE roles SET permissions = permissions - 'issue.link';
+
+DROP INDEX IF EXISTS idx_issues_merged_into_issue_id;
+DROP INDEX IF EXISTS idx_issues_parent_issue_id;
+
+ALTER TABLE issues DROP COLUMN IF EXISTS merged_at;
+ALTER TABLE issues DROP COLUMN IF EXISTS merged_into_issue_id;
+ALTER TABLE issues DROP COLUMN IF EXISTS parent_issue_id;
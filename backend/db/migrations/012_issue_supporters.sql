@@ -0,0 +1,32 @@
+-- Citizen confirmations ("me too") on existing issues
+-- A resident who finds their problem already reported confirms that issue
+-- instead of filing a duplicate. Each email counts once per issue, may opt
+-- in to status emails, and the count feeds into the issue's priority.
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS issue_supporters (
+  id SERIAL PRIMARY KEY,
+  issue_id VARCHAR(40) NOT NULL REFERENCES issues(issue_id) ON DELETE CASCADE,
+  name VARCHAR(255),
+  email VARCHAR(255) NOT NULL,
+  follow BOOLEAN DEFAULT TRUE,
+  ip_address VARCHAR(45),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (issue_id, email)
+);
+
+CREATE INDEX IF NOT EXISTS idx_issue_supporters_followers ON issue_supporters(issue_id) WHERE follow;
+
+ALTER TABLE issues ADD COLUMN IF NOT EXISTS supporter_count INTEGER DEFAULT 0;
+
+ALTER TABLE issue_supporters ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Allow all for issue_supporters" ON issue_supporters;
+CREATE POLICY "Allow all for issue_supporters" ON issue_supporters FOR ALL USING (true) WITH CHECK (true);
+
+-- migrate:down
+
+ALTER TABLE issues DROP COLUMN IF EXISTS supporter_count;
+
+DROP TABLE IF EXISTS issue_supporters;
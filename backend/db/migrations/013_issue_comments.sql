@@ -0,0 +1,60 @@
+-- Public comment threads on issues
+-- Residents and staff comment on an issue; replies hang off a top-level
+-- comment. Staff replies are marked official, and staff can leave internal
+-- notes that the public API never returns. Residents can report comments;
+-- enough reports hide a comment until a moderator reviews it.
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS issue_comments (
+  id SERIAL PRIMARY KEY,
+  issue_id VARCHAR(40) NOT NULL REFERENCES issues(issue_id) ON DELETE CASCADE,
+  parent_comment_id INTEGER REFERENCES issue_comments(id) ON DELETE CASCADE,
+  author_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  author_name VARCHAR(255) NOT NULL,
+  author_email VARCHAR(255),
+  message TEXT NOT NULL,
+  is_official BOOLEAN DEFAULT FALSE,
+  is_internal BOOLEAN DEFAULT FALSE,
+  is_hidden BOOLEAN DEFAULT FALSE,
+  hidden_reason VARCHAR(500),
+  hidden_by_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  hidden_at TIMESTAMP WITH TIME ZONE,
+  report_count INTEGER DEFAULT 0,
+  ip_address VARCHAR(45),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_issue_comments_issue ON issue_comments(issue_id, created_at);
+
+-- One report per comment per reporter (user ID or IP address)
+CREATE TABLE IF NOT EXISTS issue_comment_reports (
+  id SERIAL PRIMARY KEY,
+  comment_id INTEGER NOT NULL REFERENCES issue_comments(id) ON DELETE CASCADE,
+  reporter_key VARCHAR(100) NOT NULL,
+  reason VARCHAR(500),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (comment_id, reporter_key)
+);
+
+ALTER TABLE issue_comments ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Allow all for issue_comments" ON issue_comments;
+CREATE POLICY "Allow all for issue_comments" ON issue_comments FOR ALL USING (true) WITH CHECK (true);
+
+ALTER TABLE issue_comment_reports ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Allow all for issue_comment_reports" ON issue_comment_reports;
+CREATE POLICY "Allow all for issue_comment_reports" ON issue_comment_reports FOR ALL USING (true) WITH CHECK (true);
+
+-- Department staff answer residents and moderate their department's threads
+UPDATE roles SET permissions = permissions || '["comment.respond"]'::JSONB
+  WHERE name IN ('authority', 'admin') AND NOT permissions ? 'comment.respond';
+UPDATE roles SET permissions = permissions || '["comment.moderate"]'::JSONB
+  WHERE name IN ('authority', 'admin') AND NOT permissions ? 'comment.moderate';
+
+-- migrate:down
+
+UPDATE roles SET permissions = permissions - 'comment.moderate' - 'comment.respond';
+
+DROP TABLE IF EXISTS issue_comment_reports;
+DROP TABLE IF EXISTS issue_comments;
@@ -0,0 +1,39 @@
+-- Citizen rejections of a resolution
+-- A reporter who finds the problem still there can reject the resolution
+-- within a few days of it, with a reason and optionally a photo. The issue
+-- goes back to work in the same department; each rejection is kept here and
+-- counted on the issue for department reopen rates.
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS issue_reopens (
+  id SERIAL PRIMARY KEY,
+  issue_id VARCHAR(40) NOT NULL REFERENCES issues(issue_id) ON DELETE CASCADE,
+  department_id INTEGER REFERENCES departments(id),
+  previous_status VARCHAR(50) NOT NULL,
+  new_status VARCHAR(50) NOT NULL,
+  reason TEXT NOT NULL,
+  image_url TEXT,
+  resolved_at TIMESTAMP WITH TIME ZONE,
+  resolved_by_user_id INTEGER REFERENCES users(id),
+  citizen_email VARCHAR(255),
+  ip_address VARCHAR(45),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_issue_reopens_issue ON issue_reopens(issue_id);
+CREATE INDEX IF NOT EXISTS idx_issue_reopens_department ON issue_reopens(department_id, created_at);
+
+ALTER TABLE issues ADD COLUMN IF NOT EXISTS reopen_count INTEGER DEFAULT 0;
+ALTER TABLE issues ADD COLUMN IF NOT EXISTS last_reopened_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE issue_reopens ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Allow all for issue_reopens" ON issue_reopens;
+CREATE POLICY "Allow all for issue_reopens" ON issue_reopens FOR ALL USING (true) WITH CHECK (true);
+
+-- migrate:down
+
+ALTER TABLE issues DROP COLUMN IF EXISTS last_reopened_at;
+ALTER TABLE issues DROP COLUMN IF EXISTS reopen_count;
+
+DROP TABLE IF EXISTS issue_reopens;
@@ -0,0 +1,29 @@
+-- Multi-level SLA escalation
+-- Each department can list escalation levels as a share of its SLA, e.g.
+-- [{ "key": "warning", "label": "SLA warning", "at_percent": 80, "notify": ["assignee"] }, ...].
+-- NULL keeps the built-in chain (warn the assignee at 80%, the department
+-- head at breach, the commissioner at twice the SLA). Issues remember the
+-- highest level they reached so each level fires once.
+
+-- migrate:up
+
+ALTER TABLE departments ADD COLUMN IF NOT EXISTS head_email VARCHAR(255);
+ALTER TABLE departments ADD COLUMN IF NOT EXISTS escalation_levels JSONB;
+
+ALTER TABLE issues ADD COLUMN IF NOT EXISTS escalation_level INTEGER DEFAULT 0;
+ALTER TABLE issues ADD COLUMN IF NOT EXISTS escalated_at TIMESTAMP WITH TIME ZONE;
+
+-- Issues escalated by the old single-step check have already breached
+UPDATE issues SET escalation_level = 2 WHERE auto_escalated AND COALESCE(escalation_level, 0) = 0;
+
+CREATE INDEX IF NOT EXISTS idx_issues_escalation_level ON issues(escalation_level);
+
+-- migrate:down
+
+DROP INDEX IF EXISTS idx_issues_escalation_level;
+
+ALTER TABLE issues DROP COLUMN IF EXISTS escalated_at;
+ALTER TABLE issues DROP COLUMN IF EXISTS escalation_level;
+
+ALTER TABLE departments DROP COLUMN IF EXISTS escalation_levels;
+ALTER TABLE departments DROP COLUMN IF EXISTS head_email;
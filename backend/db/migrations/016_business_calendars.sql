@@ -0,0 +1,14 @@
+-- Business-hours calendars for SLAs
+-- A department's working hours, timezone and public holidays, e.g.
+-- { "timezone": "Asia/Kolkata", "working_hours": { "mon": [["09:00", "18:00"]], ... },
+--   "holidays": [{ "date": "2026-01-26", "name": "Republic Day" }] }.
+-- SLA deadlines, escalation thresholds and ETAs count only working time.
+-- NULL keeps the department on round-the-clock SLAs.
+
+-- migrate:up
+
+ALTER TABLE departments ADD COLUMN IF NOT EXISTS business_calendar JSONB;
+
+-- migrate:down
+
+ALTER TABLE departments DROP COLUMN IF EXISTS business_calendar;
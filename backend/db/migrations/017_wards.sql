@@ -0,0 +1,38 @@
+-- Ward and zone boundaries
+-- Admins upload ward polygons as GeoJSON. Issues are placed in the ward whose
+-- boundary contains their coordinates and routed to the officer whose
+-- ward_area names that ward (or its zone). The bounding box columns let
+-- lookups skip wards that cannot contain a point.
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS wards (
+  id SERIAL PRIMARY KEY,
+  code VARCHAR(20) UNIQUE NOT NULL,
+  name VARCHAR(100) NOT NULL,
+  zone VARCHAR(100),
+  boundary JSONB NOT NULL, -- GeoJSON Polygon or MultiPolygon geometry
+  min_lat DOUBLE PRECISION NOT NULL,
+  max_lat DOUBLE PRECISION NOT NULL,
+  min_lng DOUBLE PRECISION NOT NULL,
+  max_lng DOUBLE PRECISION NOT NULL,
+  is_active BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_wards_zone ON wards(zone);
+
+ALTER TABLE wards ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Allow all for wards" ON wards;
+CREATE POLICY "Allow all for wards" ON wards FOR ALL USING (true) WITH CHECK (true);
+
+-- Admins maintain ward boundaries
+UPDATE roles SET permissions = permissions || '["ward.manage"]'::JSONB
+  WHERE name = 'admin' AND NOT permissions ? 'ward.manage';
+
+-- migrate:down
+
+UPDATE roles SET permissions = permissions - 'ward.manage';
+
+DROP TABLE IF EXISTS wards;
@@ -0,0 +1,32 @@
+-- Workload-balanced assignment to officers
+-- Each department chooses how a new issue picks an officer among those who
+-- own its ward: least_open (fewest open issues), round_robin (longest since
+-- their last issue), skills (tagged with the issue's category) or shift (on
+-- shift now). Officers carry skill tags and an optional shift schedule in the
+-- same shape as a department business calendar.
+
+-- migrate:up
+
+ALTER TABLE departments ADD COLUMN IF NOT EXISTS assignment_strategy VARCHAR(20) DEFAULT 'least_open';
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS skills JSONB DEFAULT '[]'::JSONB;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS shift_schedule JSONB;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS last_assigned_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_issues_assigned_user_status ON issues(assigned_to_user_id, status);
+
+-- Admins choose each department's strategy
+UPDATE roles SET permissions = permissions || '["department.assignment.edit"]'::JSONB
+  WHERE name = 'admin' AND NOT permissions ? 'department.assignment.edit';
+
+-- migrate:down
+
+UPDATE roles SET permissions = permissions - 'department.assignment.edit';
+
+DROP INDEX IF EXISTS idx_issues_assigned_user_status;
+
+ALTER TABLE users DROP COLUMN IF EXISTS last_assigned_at;
+ALTER TABLE users DROP COLUMN IF EXISTS shift_schedule;
+ALTER TABLE users DROP COLUMN IF EXISTS skills;
+
+ALTER TABLE departments DROP COLUMN IF EXISTS assignment_strategy;
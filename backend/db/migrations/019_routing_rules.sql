@@ -0,0 +1,32 @@
+-- Routing rules
+-- Ordered rules that send new issues to a department, replacing the
+-- category map that lived in DepartmentService. The first active rule whose
+-- conditions all match wins; conditions can test the category, subcategory,
+-- ward, description keywords and AI confidence, e.g.
+-- { "categories": ["water"], "keywords": ["sewage", "overflow"], "min_confidence": 0.6 }.
+-- With no rows the built-in category rules apply.
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS routing_rules (
+  id SERIAL PRIMARY KEY,
+  position INTEGER NOT NULL,
+  name VARCHAR(100) NOT NULL,
+  conditions JSONB NOT NULL DEFAULT '{}'::JSONB,
+  department_code VARCHAR(20) NOT NULL,
+  priority VARCHAR(20) DEFAULT 'medium',
+  sla_hours INTEGER,
+  is_active BOOLEAN DEFAULT TRUE,
+  updated_by_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_routing_rules_position ON routing_rules(position);
+
+ALTER TABLE routing_rules ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Allow all for routing_rules" ON routing_rules;
+CREATE POLICY "Allow all for routing_rules" ON routing_rules FOR ALL USING (true) WITH CHECK (true);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS routing_rules;
@@ -0,0 +1,51 @@
+-- Field crew work orders
+-- A work order records who is going out to fix an issue and when: the crew,
+-- a scheduled window, the materials they take, a cost estimate and a
+-- checklist the crew ticks off on site. Completing an issue's work orders
+-- adds their actual cost to issues.resolution_cost.
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS work_orders (
+  id SERIAL PRIMARY KEY,
+  issue_id VARCHAR(40) NOT NULL REFERENCES issues(issue_id) ON DELETE CASCADE,
+  department_id INTEGER REFERENCES departments(id) ON DELETE SET NULL,
+  title VARCHAR(200) NOT NULL,
+  instructions TEXT,
+  crew_name VARCHAR(100) NOT NULL,
+  crew_members JSONB DEFAULT '[]'::JSONB,
+  scheduled_start TIMESTAMP WITH TIME ZONE NOT NULL,
+  scheduled_end TIMESTAMP WITH TIME ZONE NOT NULL,
+  materials JSONB DEFAULT '[]'::JSONB, -- [{ "item", "quantity", "unit", "unit_cost" }]
+  labour_cost DECIMAL(10,2) DEFAULT 0,
+  estimated_cost DECIMAL(10,2) DEFAULT 0,
+  actual_cost DECIMAL(10,2),
+  checklist JSONB DEFAULT '[]'::JSONB, -- [{ "item", "done", "done_at", "done_by_user_id" }]
+  status VARCHAR(20) DEFAULT 'scheduled' CHECK (status IN ('scheduled', 'in_progress', 'completed', 'cancelled')),
+  completion_notes TEXT,
+  started_at TIMESTAMP WITH TIME ZONE,
+  completed_at TIMESTAMP WITH TIME ZONE,
+  completed_by_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_by_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CHECK (scheduled_end > scheduled_start)
+);
+
+CREATE INDEX IF NOT EXISTS idx_work_orders_issue ON work_orders(issue_id);
+CREATE INDEX IF NOT EXISTS idx_work_orders_schedule ON work_orders(scheduled_start, scheduled_end);
+CREATE INDEX IF NOT EXISTS idx_work_orders_department ON work_orders(department_id);
+
+ALTER TABLE work_orders ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Allow all for work_orders" ON work_orders;
+CREATE POLICY "Allow all for work_orders" ON work_orders FOR ALL USING (true) WITH CHECK (true);
+
+-- Department staff schedule their own crews
+UPDATE roles SET permissions = permissions || '["work_order.manage"]'::JSONB
+  WHERE name IN ('authority', 'admin') AND NOT permissions ? 'work_order.manage';
+
+-- migrate:down
+
+UPDATE roles SET permissions = permissions - 'work_order.manage';
+
+DROP TABLE IF EXISTS work_orders;
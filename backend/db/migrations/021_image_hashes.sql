@@ -0,0 +1,12 @@
+-- Perceptual image hashes for duplicate detection
+-- Each issue keeps a pHash and dHash of its photos as [{ url, phash, dhash }]
+-- (64-bit hex). New reports are compared with nearby issues by Hamming
+-- distance first, and only unclear pairs are sent to the vision model.
+
+-- migrate:up
+
+ALTER TABLE issues ADD COLUMN IF NOT EXISTS image_hashes JSONB DEFAULT '[]'::JSONB;
+
+-- migrate:down
+
+ALTER TABLE issues DROP COLUMN IF EXISTS image_hashes;
@@ -0,0 +1,42 @@
+-- Human review of AI classifications
+-- Issues the AI was unsure about (needs_review) wait in a review queue.
+-- Reviewers accept the AI's category, override it or reject it (back to the
+-- reporter's category); each decision is kept as a labelled example for
+-- training a better classifier.
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS classification_reviews (
+  id SERIAL PRIMARY KEY,
+  issue_id VARCHAR(40) NOT NULL REFERENCES issues(issue_id) ON DELETE CASCADE,
+  decision VARCHAR(20) NOT NULL CHECK (decision IN ('accepted', 'overridden', 'rejected')),
+  reporter_category VARCHAR(50),
+  ai_category VARCHAR(50),
+  final_category VARCHAR(50) NOT NULL,
+  ai_confidence DECIMAL(4,3),
+  ai_classifier VARCHAR(20),
+  image_url TEXT,
+  description TEXT,
+  notes TEXT,
+  reviewed_by_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_classification_reviews_issue ON classification_reviews(issue_id);
+CREATE INDEX IF NOT EXISTS idx_classification_reviews_created ON classification_reviews(created_at);
+CREATE INDEX IF NOT EXISTS idx_issues_needs_review ON issues(needs_review) WHERE needs_review = true;
+
+ALTER TABLE classification_reviews ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Allow all for classification_reviews" ON classification_reviews;
+CREATE POLICY "Allow all for classification_reviews" ON classification_reviews FOR ALL USING (true) WITH CHECK (true);
+
+-- Department staff review their own issues
+UPDATE roles SET permissions = permissions || '["issue.classification.review"]'::JSONB
+  WHERE name IN ('authority', 'admin') AND NOT permissions ? 'issue.classification.review';
+
+-- migrate:down
+
+UPDATE roles SET permissions = permissions - 'issue.classification.review';
+
+DROP INDEX IF EXISTS idx_issues_needs_review;
+DROP TABLE IF EXISTS classification_reviews;
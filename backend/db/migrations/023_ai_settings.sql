@@ -0,0 +1,28 @@
+-- Tunable AI thresholds
+-- Confidence thresholds the AI pipeline reads at runtime, set by admins from
+-- the AI accuracy report: review_confidence (below it an issue goes to the
+-- review queue) and duplicate_confidence (Gemini's confidence needed to flag
+-- a duplicate photo). Missing keys fall back to the built-in defaults.
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS ai_settings (
+  key VARCHAR(50) PRIMARY KEY,
+  value JSONB NOT NULL,
+  updated_by_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE ai_settings ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Allow all for ai_settings" ON ai_settings;
+CREATE POLICY "Allow all for ai_settings" ON ai_settings FOR ALL USING (true) WITH CHECK (true);
+
+-- Admins tune the thresholds
+UPDATE roles SET permissions = permissions || '["ai.settings.manage"]'::JSONB
+  WHERE name = 'admin' AND NOT permissions ? 'ai.settings.manage';
+
+-- migrate:down
+
+UPDATE roles SET permissions = permissions - 'ai.settings.manage';
+
+DROP TABLE IF EXISTS ai_settings;
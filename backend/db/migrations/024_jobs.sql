@@ -0,0 +1,38 @@
+-- Background job queue
+-- Slow work (AI classification, photo hashing, duplicate checks) runs in
+-- background workers instead of the request that created it. Workers claim a
+-- pending job by switching it to running; failed jobs are retried with a
+-- backoff until max_attempts, and running jobs whose worker died are handed
+-- back to the queue.
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS jobs (
+  id SERIAL PRIMARY KEY,
+  type VARCHAR(50) NOT NULL,
+  payload JSONB DEFAULT '{}'::JSONB,
+  status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'running', 'completed', 'failed')),
+  attempts INTEGER DEFAULT 0,
+  max_attempts INTEGER DEFAULT 3,
+  run_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  locked_by VARCHAR(100),
+  locked_at TIMESTAMP WITH TIME ZONE,
+  last_error TEXT,
+  result JSONB,
+  completed_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_jobs_pending ON jobs(run_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_jobs_status_type ON jobs(status, type);
+CREATE INDEX IF NOT EXISTS idx_issues_ai_pending ON issues(ai_processing_status) WHERE ai_processing_status IN ('pending', 'processing');
+
+ALTER TABLE jobs ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Allow all for jobs" ON jobs;
+CREATE POLICY "Allow all for jobs" ON jobs FOR ALL USING (true) WITH CHECK (true);
+
+-- migrate:down
+
+DROP INDEX IF EXISTS idx_issues_ai_pending;
+DROP TABLE IF EXISTS jobs;
@@ -0,0 +1,14 @@
+-- Auto-assignment by permission
+-- New issues were only assigned to users with the built-in authority role, so
+-- staff on custom roles never received any. Officers are now the holders of
+-- issue.assignee, which the authority role gets here; add it to a custom role
+-- to put its holders into the assignment pool.
+
+-- migrate:up
+
+UPDATE roles SET permissions = permissions || '["issue.assignee"]'::JSONB
+  WHERE name = 'authority' AND NOT permissions ? 'issue.assignee';
+
+-- migrate:down
+
+UPDATE roles SET permissions = permissions - 'issue.assignee';
@@ -0,0 +1,13 @@
+-- AI processing token
+-- The run that last claimed an issue's AI processing writes its token here
+-- and only saves its classification while the token is still there, so a job
+-- handed back to the queue while its first run is still busy cannot apply the
+-- classification twice.
+
+-- migrate:up
+
+ALTER TABLE issues ADD COLUMN IF NOT EXISTS ai_processing_token VARCHAR(100);
+
+-- migrate:down
+
+ALTER TABLE issues DROP COLUMN IF EXISTS ai_processing_token;
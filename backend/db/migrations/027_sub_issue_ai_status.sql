@@ -0,0 +1,14 @@
+-- Sub-issue AI status
+-- Sub-issues created by splitting a report were left with the default
+-- ai_processing_status 'pending', but no AI job is ever queued for them (staff
+-- chose their category), so they showed as waiting for AI forever.
+
+-- migrate:up
+
+UPDATE issues SET ai_processing_status = 'completed', processed_at = COALESCE(processed_at, created_at)
+  WHERE parent_issue_id IS NOT NULL AND ai_processing_status = 'pending';
+
+-- migrate:down
+
+-- The old pending status was wrong, so nothing is restored
+SELECT 1;
@@ -0,0 +1,78 @@
+/**
+ * Table relations
+ * Foreign keys used to resolve embedded selects such as `departments (name)`
+ * on adapters that cannot infer them from the database like PostgREST does.
+ * Keyed by source table, then by related table; the value is the default
+ * foreign key column, overridable per query with `users!resolved_by_user_id`.
+ */
+
+const relations = {
+  users: {
+    departments: 'department_id'
+  },
+  issues: {
+    departments: 'assigned_department_id',
+    users: 'assigned_to_user_id'
+  },
+  audit_logs: {
+    users: 'changed_by_user_id'
+  },
+  notifications: {
+    users: 'recipient_user_id'
+  }
+};
+
+/**
+ * Resolve the foreign key column for an embed
+ */
+const resolveForeignKey = (table, embed) => {
+  if (embed.hint) return embed.hint;
+  const foreignKey = relations[table] && relations[table][embed.table];
+  if (!foreignKey) {
+    throw new Error(`Could not find a relationship between '${table}' and '${embed.table}'`);
+  }
+  return foreignKey;
+};
+
+/**
+ * Keep only the requested columns of a row
+ */
+const projectRow = (row, selection) => {
+  if (!row || selection.all) return row;
+  return selection.fields.reduce((projected, field) => {
+    const [column, alias] = field.split(':').map(part => part.trim()).reverse();
+    projected[alias || column] = row[column];
+    return projected;
+  }, {});
+};
+
+/**
+ * Attach embedded relations and apply column projection.
+ * `fetchByIds(table, ids)` is provided by the adapter and resolves to rows.
+ */
+const applySelection = async (table, rows, selection, fetchByIds) => {
+  if (!rows.length) return rows;
+
+  const embedded = rows.map(() => ({}));
+
+  for (const embed of selection.embeds) {
+    const foreignKey = resolveForeignKey(table, embed);
+    const ids = [...new Set(rows.map(row => row[foreignKey]).filter(id => id !== null && id !== undefined))];
+    const related = ids.length ? await fetchByIds(embed.table, ids) : [];
+    const resolved = await applySelection(embed.table, related, embed.selection, fetchByIds);
+    const byId = new Map(related.map((row, index) => [String(row.id), resolved[index]]));
+
+    rows.forEach((row, index) => {
+      const id = row[foreignKey];
+      embedded[index][embed.alias] = id === null || id === undefined ? null : byId.get(String(id)) || null;
+    });
+  }
+
+  return rows.map((row, index) => ({ ...projectRow(row, selection), ...embedded[index] }));
+};
+
+module.exports = {
+  relations,
+  resolveForeignKey,
+  applySelection
+};
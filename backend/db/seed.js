@@ -0,0 +1,34 @@
+/**
+ * Seed data
+ * Default departments and staff accounts loaded into the in-memory adapter.
+ * Default password for all seeded users: Admin@123
+ */
+
+const DEFAULT_PASSWORD_HASH = '$2b$12$cg3WIBctmUt9MPUVI5SySOE6ys8RKFgqslDF3vgrU5c5paTgFY9Tm';
+
+const departments = [
+  { name: 'Roads and Infrastructure', code: 'ROADS', description: 'Handles potholes, road repairs, and infrastructure issues', contact_email: 'roads@city.gov', sla_hours: 48 },
+  { name: 'Sanitation Department', code: 'SANITATION', description: 'Manages garbage collection, waste management, and cleanliness', contact_email: 'sanitation@city.gov', sla_hours: 24 },
+  { name: 'Water and Sewerage', code: 'WATER', description: 'Water supply, leakages, and sewerage issues', contact_email: 'water@city.gov', sla_hours: 12 },
+  { name: 'Electricity and Street Lighting', code: 'ELECTRICITY', description: 'Street lights, electrical issues, and power-related problems', contact_email: 'electricity@city.gov', sla_hours: 24 },
+  { name: 'Traffic Management', code: 'TRAFFIC', description: 'Traffic signals, road signs, and traffic-related issues', contact_email: 'traffic@city.gov', sla_hours: 48 },
+  { name: 'Parks and Recreation', code: 'PARKS', description: 'Park maintenance, recreational facilities', contact_email: 'parks@city.gov', sla_hours: 72 },
+  { name: 'Building and Planning', code: 'PLANNING', description: 'Construction issues, illegal buildings, planning violations', contact_email: 'planning@city.gov', sla_hours: 168 }
+];
+
+const users = [
+  { username: 'admin', role: 'admin', email: 'admin@city.gov', full_name: 'System Administrator', department_id: 1, ward_area: 'Central' },
+  { username: 'roads_supervisor', role: 'authority', email: 'roads@city.gov', full_name: 'Roads Department Supervisor', department_id: 1, ward_area: 'North' },
+  { username: 'sanitation_head', role: 'authority', email: 'sanitation@city.gov', full_name: 'Sanitation Department Head', department_id: 2, ward_area: 'South' },
+  { username: 'water_engineer', role: 'authority', email: 'water@city.gov', full_name: 'Water Department Engineer', department_id: 3, ward_area: 'East' },
+  { username: 'electricity_tech', role: 'authority', email: 'electricity@city.gov', full_name: 'Electrical Technician', department_id: 4, ward_area: 'West' },
+  { username: 'traffic_officer', role: 'authority', email: 'traffic@city.gov', full_name: 'Traffic Management Officer', department_id: 5, ward_area: 'Central' },
+  { username: 'parks_manager', role: 'authority', email: 'parks@city.gov', full_name: 'Parks and Recreation Manager', department_id: 6, ward_area: 'North' },
+  { username: 'planning_officer', role: 'authority', email: 'planning@city.gov', full_name: 'Building and Planning Officer', department_id: 7, ward_area: 'South' }
+].map(user => ({ ...user, password: DEFAULT_PASSWORD_HASH }));
+
+module.exports = {
+  DEFAULT_PASSWORD_HASH,
+  departments,
+  users
+};
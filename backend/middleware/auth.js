@@ -5,6 +5,8 @@
 
 const jwt = require('jsonwebtoken');
 const AuthService = require('../services/AuthService');
+const SessionService = require('../services/SessionService');
+const PermissionService = require('../services/PermissionService');
 
 /**
  * Verify JWT token and attach user to request
@@ -22,22 +24,26 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
-    // Verify token
+    // Verify token and the session it belongs to. 401 tells the client to
+    // try its refresh token before sending the user back to the login page.
     let decoded;
     try {
       decoded = AuthService.verifyToken(token);
+      await SessionService.assertActive(decoded.sid, decoded.id);
     } catch (tokenError) {
-      return res.status(403).json({
+      return res.status(401).json({
         success: false,
         error: 'Invalid token',
+        code: tokenError.code || 'SESSION_REVOKED',
         message: tokenError.message
       });
     }
     
-    // Get full user data
+    // Get full user data and the permissions their role grants
     let user;
     try {
       user = await AuthService.getUserById(decoded.id);
+      user.permissions = await PermissionService.getPermissions(user.role);
     } catch (userError) {
       return res.status(403).json({
         success: false,
@@ -49,6 +55,7 @@ const authenticateToken = async (req, res, next) => {
     // Attach user to request
     req.user = user;
     req.token = token;
+    req.sessionId = decoded.sid;
     
     next();
   } catch (error) {
@@ -71,9 +78,12 @@ const optionalAuth = async (req, res, next) => {
     if (token) {
       try {
         const decoded = AuthService.verifyToken(token);
+        await SessionService.assertActive(decoded.sid, decoded.id);
         const user = await AuthService.getUserById(decoded.id);
+        user.permissions = await PermissionService.getPermissions(user.role);
         req.user = user;
         req.token = token;
+        req.sessionId = decoded.sid;
       } catch (error) {
         // Invalid token, but continue without user
       }
@@ -87,9 +97,9 @@ const optionalAuth = async (req, res, next) => {
 };
 
 /**
- * Role-based authorization middleware
+ * Permission-based authorization: the user's role must grant every listed permission
  */
-const requireRole = (requiredRole) => {
+const requirePermission = (...permissions) => {
   return (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({
@@ -99,13 +109,13 @@ const requireRole = (requiredRole) => {
       });
     }
 
-    const hasPermission = AuthService.hasPermission(req.user.role, requiredRole);
-    
-    if (!hasPermission) {
+    const missing = permissions.filter(permission => !PermissionService.can(req.user, permission));
+
+    if (missing.length > 0) {
       return res.status(403).json({
         success: false,
         error: 'Insufficient permissions',
-        message: `This action requires ${requiredRole} role or higher`
+        message: `This action requires the ${missing.join(', ')} permission`
       });
     }
 
@@ -114,27 +124,25 @@ const requireRole = (requiredRole) => {
 };
 
 /**
- * Require specific role exactly (not hierarchical)
+ * Any signed-in staff member, whatever their role (i.e. not a citizen)
  */
-const requireExactRole = (role) => {
-  return (req, res, next) => {
-    if (!req.user) {
-      return res.status(401).json({
-        success: false,
-        error: 'Authentication required'
-      });
-    }
+const requireStaff = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required'
+    });
+  }
 
-    if (req.user.role !== role) {
-      return res.status(403).json({
-        success: false,
-        error: 'Access denied',
-        message: `This action requires ${role} role`
-      });
-    }
+  if (req.user.role === 'citizen') {
+    return res.status(403).json({
+      success: false,
+      error: 'Access denied',
+      message: 'This action is only available to staff accounts'
+    });
+  }
 
-    next();
-  };
+  next();
 };
 
 /**
@@ -172,12 +180,12 @@ const requireDepartmentAccess = (req, res, next) => {
     });
   }
 
-  // Super admin and admin can access any department
-  if (['super_admin', 'admin'].includes(req.user.role)) {
+  // Staff who see every department's issues can access any department
+  if (PermissionService.can(req.user, 'issue.read_all')) {
     return next();
   }
 
-  // Authority users can only access their own department
+  // Everyone else can only access their own department
   const issueDepId = req.params.departmentId || req.body.departmentId;
   
   if (issueDepId && req.user.department_id && 
@@ -205,11 +213,6 @@ const requireOwnership = (resourceGetter) => {
         });
       }
 
-      // Super admin can access anything
-      if (req.user.role === 'super_admin') {
-        return next();
-      }
-
       const resource = await resourceGetter(req);
       
       if (!resource) {
@@ -219,21 +222,13 @@ const requireOwnership = (resourceGetter) => {
         });
       }
 
-      // Check ownership based on user role
-      let hasAccess = false;
-
-      switch (req.user.role) {
-        case 'admin':
-          hasAccess = true; // Admin can access all resources
-          break;
-        case 'authority':
-          // Authority can access resources in their department
-          hasAccess = resource.assigned_department_id === req.user.department_id;
-          break;
-        case 'citizen':
-          // Citizens can only access their own issues
-          hasAccess = resource.citizen_email === req.user.email;
-          break;
+      // Citizens own their reports; staff need department access or issue.read_all
+      let hasAccess;
+      if (req.user.role === 'citizen') {
+        hasAccess = resource.citizen_email === req.user.email;
+      } else {
+        hasAccess = PermissionService.can(req.user, 'issue.read_all') ||
+          resource.assigned_department_id === req.user.department_id;
       }
 
       if (!hasAccess) {
@@ -328,8 +323,8 @@ const userRateLimit = (maxRequests = 100, windowMs = 15 * 60 * 1000) => {
 module.exports = {
   authenticateToken,
   optionalAuth,
-  requireRole,
-  requireExactRole,
+  requirePermission,
+  requireStaff,
   requireAnyRole,
   requireDepartmentAccess,
   requireOwnership,
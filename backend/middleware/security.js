@@ -97,12 +97,56 @@ const issueCreationLimiter = rateLimit({
   }
 });
 
+/**
+ * "Me too" confirmation rate limiter, per IP only so new accounts do not reset it
+ */
+const confirmLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 20, // Limit each IP to 20 confirmations per hour
+  message: {
+    success: false,
+    error: 'Confirmation rate limit exceeded',
+    message: 'Too many confirmations from this IP, please try again later.',
+    retryAfter: '1 hour'
+  }
+});
+
+/**
+ * Comment rate limiter
+ */
+const commentLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 30, // Limit each IP to 30 comments or reports per hour
+  message: {
+    success: false,
+    error: 'Comment rate limit exceeded',
+    message: 'Too many comments from this IP, please try again later.',
+    retryAfter: '1 hour'
+  }
+});
+
+// Offensive words, matched as whole words (plus common suffixes) so place names are not caught
+const PROFANITY_PATTERN = /\b(fuck|shit|bitch|bastard|asshole|dickhead|cunt|motherfucker|slut|whore|chutiya|madarchod|behenchod|bhenchod|gaandu|harami)(s|es|ed|er|ers|ing|ty)?\b/i;
+
+const containsProfanity = (text = '') => PROFANITY_PATTERN.test(text);
+
 /**
  * Spam detection middleware
+ * Checks an issue description or a comment message, and rejects offensive language outright
  */
 const spamDetection = (req, res, next) => {
   try {
-    const { description = '', citizenName = '', citizenEmail = '' } = req.body;
+    const { citizenName = '', citizenEmail = '' } = req.body;
+    // Issue reports carry a description; comments carry a message
+    const description = req.body.description || req.body.message || '';
+
+    if (containsProfanity(description) || containsProfanity(citizenName)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Content validation failed',
+        message: 'Please keep your message free of offensive language.'
+      });
+    }
     
     // Basic spam indicators
     const spamIndicators = [
@@ -393,7 +437,10 @@ module.exports = {
   generalLimiter,
   authLimiter,
   issueCreationLimiter,
+  confirmLimiter,
+  commentLimiter,
   spamDetection,
+  containsProfanity,
   sanitizeInput,
   requestLogger,
   errorHandler,
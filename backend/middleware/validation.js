@@ -46,6 +46,12 @@ const validate = (schema, property = 'body') => {
   };
 };
 
+// Workflow status keys (statuses are defined per department, see WorkflowService)
+const statusKey = Joi.string().pattern(/^[a-z][a-z0-9_-]{0,49}$/)
+  .messages({
+    'string.pattern.base': 'Status must be a lowercase workflow status key'
+  });
+
 /**
  * Issue validation schemas
  */
@@ -58,7 +64,7 @@ const issueSchemas = {
         'any.required': 'Citizen name is required'
       }),
     
-    citizenEmail: Joi.string().email().max(255).required()
+    citizenEmail: Joi.string().email().lowercase().max(255).required()
       .messages({
         'string.email': 'Please provide a valid email address',
         'any.required': 'Email is required'
@@ -121,9 +127,7 @@ const issueSchemas = {
   }),
 
   update: Joi.object({
-    status: Joi.string().valid(
-      'submitted', 'assigned', 'in_progress', 'resolved', 'closed', 'rejected'
-    ).optional(),
+    status: statusKey.optional(),
     
     priority: Joi.string().valid('low', 'medium', 'high', 'critical').optional(),
     
@@ -150,9 +154,7 @@ const issueSchemas = {
     }),
 
   statusUpdate: Joi.object({
-    status: Joi.string().valid(
-      'submitted', 'assigned', 'in_progress', 'in-progress', 'resolved', 'closed', 'rejected'
-    ).required(),
+    status: statusKey.required(),
     
     resolutionNotes: Joi.string().allow('', null).max(2000).optional(),
     
@@ -176,6 +178,17 @@ const issueSchemas = {
       })
   }),
 
+  reopen: Joi.object({
+    reason: Joi.string().trim().min(10).max(1000).required()
+      .messages({
+        'string.min': 'Please describe what is still wrong (at least 10 characters)',
+        'string.max': 'Reason cannot exceed 1000 characters',
+        'any.required': 'Please describe what is still wrong'
+      }),
+
+    imageUrl: Joi.string().max(500).allow('', null).optional()
+  }),
+
   assignment: Joi.object({
     departmentId: Joi.number().integer().positive().required()
       .messages({
@@ -189,12 +202,111 @@ const issueSchemas = {
         'string.min': 'Assignment reason must be at least 5 characters long',
         'string.max': 'Assignment reason cannot exceed 500 characters'
       })
+  }),
+
+  split: Joi.object({
+    parts: Joi.array().items(Joi.object({
+      category: Joi.string().valid(
+        'pothole', 'garbage', 'streetlight', 'graffiti',
+        'water', 'traffic', 'sidewalk', 'other'
+      ).required()
+        .messages({
+          'any.only': 'Category must be one of: pothole, garbage, streetlight, graffiti, water, traffic, sidewalk, other',
+          'any.required': 'Each sub-issue needs a category'
+        }),
+      description: Joi.string().min(10).max(2000).optional()
+        .messages({
+          'string.min': 'Description must be at least 10 characters long'
+        }),
+      departmentId: Joi.number().integer().positive().optional(),
+      priority: Joi.string().valid('low', 'medium', 'high', 'critical').optional()
+    })).min(1).max(5).required()
+      .messages({
+        'array.min': 'Add at least one sub-issue',
+        'array.max': 'An issue can be split into at most 5 sub-issues',
+        'any.required': 'Sub-issues are required'
+      }),
+
+    reason: Joi.string().max(500).allow('', null).optional()
+  }),
+
+  merge: Joi.object({
+    issueIds: Joi.array().items(Joi.string().max(40)).min(1).max(20).required()
+      .messages({
+        'array.min': 'Choose at least one report to merge',
+        'array.max': 'At most 20 reports can be merged at once',
+        'any.required': 'Issue IDs to merge are required'
+      }),
+
+    reason: Joi.string().max(500).allow('', null).optional()
+  }),
+
+  similar: Joi.object({
+    category: Joi.string().valid(
+      'pothole', 'garbage', 'streetlight', 'graffiti',
+      'water', 'traffic', 'sidewalk', 'other'
+    ).required()
+      .messages({
+        'any.only': 'Category must be one of: pothole, garbage, streetlight, graffiti, water, traffic, sidewalk, other',
+        'any.required': 'Category is required'
+      }),
+
+    description: Joi.string().max(2000).allow('').default(''),
+
+    location: Joi.object({
+      lat: Joi.number().min(-90).max(90).required(),
+      lng: Joi.number().min(-180).max(180).required(),
+      address: Joi.string().max(500).optional()
+    }).required()
+      .messages({
+        'any.required': 'Location information is required'
+      })
+  }),
+
+  confirm: Joi.object({
+    follow: Joi.boolean().default(true)
+  }),
+
+  comment: Joi.object({
+    message: Joi.string().trim().min(2).max(2000).required()
+      .messages({
+        'string.min': 'Comment must be at least 2 characters long',
+        'string.max': 'Comment cannot exceed 2000 characters',
+        'any.required': 'Comment text is required'
+      }),
+
+    parentCommentId: Joi.number().integer().positive().optional(),
+    internal: Joi.boolean().default(false),
+
+    // Required for residents who are not signed in; checked by CommentService
+    citizenName: Joi.string().min(2).max(255).optional(),
+    citizenEmail: Joi.string().email().lowercase().max(255).optional()
+      .messages({
+        'string.email': 'Please provide a valid email address'
+      })
+  }),
+
+  commentReport: Joi.object({
+    reason: Joi.string().max(500).allow('', null).optional()
+  }),
+
+  commentModeration: Joi.object({
+    hidden: Joi.boolean().required()
+      .messages({
+        'any.required': 'Say whether the comment should be hidden'
+      }),
+    reason: Joi.string().max(500).allow('', null).optional()
   })
 };
 
 /**
  * User validation schemas
  */
+const roleName = Joi.string().pattern(/^[a-z][a-z0-9_]{1,49}$/)
+  .messages({
+    'string.pattern.base': 'Role name must be lowercase letters, digits and underscores, starting with a letter'
+  });
+
 const userSchemas = {
   create: Joi.object({
     username: Joi.string().alphanum().min(3).max(50).required()
@@ -227,8 +339,8 @@ const userSchemas = {
         'any.required': 'Full name is required'
       }),
     
-    role: Joi.string().valid('citizen', 'authority', 'admin', 'super_admin')
-      .default('authority'),
+    // Any role stored in the roles table; AuthService checks it exists
+    role: roleName.default('authority'),
     
     departmentId: Joi.number().integer().positive().when('role', {
       is: Joi.valid('authority', 'admin'),
@@ -237,6 +349,12 @@ const userSchemas = {
     }),
     
     wardArea: Joi.string().max(100).optional(),
+
+    // Issue categories (or other tags) the officer handles, for skill-based assignment
+    skills: Joi.array().max(30).items(Joi.string().max(50)).optional(),
+    
+    // Working hours, same shape as a department business calendar (checked by BusinessCalendarService)
+    shiftSchedule: Joi.object().allow(null).optional(),
     
     phone: Joi.string().pattern(/^[\+]?[1-9][\d]{0,15}$/).optional()
   }),
@@ -252,9 +370,17 @@ const userSchemas = {
     departmentId: Joi.number().integer().positive().optional(),
     
     wardArea: Joi.string().max(100).optional(),
+
+    // Issue categories (or other tags) the officer handles, for skill-based assignment
+    skills: Joi.array().max(30).items(Joi.string().max(50)).optional(),
+    
+    // Working hours, same shape as a department business calendar (checked by BusinessCalendarService)
+    shiftSchedule: Joi.object().allow(null).optional(),
     
     phone: Joi.string().pattern(/^[\+]?[1-9][\d]{0,15}$/).optional(),
     
+    role: roleName.optional(),
+    
     isActive: Joi.boolean().optional()
   }).min(1),
 
@@ -268,6 +394,103 @@ const userSchemas = {
       .messages({
         'any.required': 'Password is required'
       })
+  }),
+
+  citizenCodeRequest: Joi.object({
+    email: Joi.string().email().max(255).required()
+      .messages({
+        'string.email': 'Please provide a valid email address',
+        'any.required': 'Email is required'
+      })
+  }),
+
+  citizenCodeVerify: Joi.object({
+    email: Joi.string().email().max(255).required()
+      .messages({
+        'string.email': 'Please provide a valid email address',
+        'any.required': 'Email is required'
+      }),
+
+    code: Joi.string().trim().pattern(/^\d{6}$/).required()
+      .messages({
+        'string.pattern.base': 'Sign-in code must be 6 digits',
+        'any.required': 'Sign-in code is required'
+      })
+  }),
+
+  refresh: Joi.object({
+    refreshToken: Joi.string().max(200).required()
+      .messages({
+        'any.required': 'Refresh token is required'
+      })
+  }),
+
+  forgotPassword: Joi.object({
+    email: Joi.string().email().max(255).required()
+      .messages({
+        'string.email': 'Please provide a valid email address',
+        'any.required': 'Email is required'
+      })
+  }),
+
+  resetPassword: Joi.object({
+    token: Joi.string().hex().length(64).required()
+      .messages({
+        'string.hex': 'Reset link is invalid',
+        'string.length': 'Reset link is invalid',
+        'any.required': 'Reset token is required'
+      }),
+
+    password: Joi.string().min(8).max(128).pattern(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+      .required()
+      .messages({
+        'string.min': 'Password must be at least 8 characters long',
+        'string.max': 'Password cannot exceed 128 characters',
+        'string.pattern.base': 'Password must contain at least one lowercase letter, one uppercase letter, and one number',
+        'any.required': 'Password is required'
+      })
+  }),
+
+  twoFactorVerify: Joi.object({
+    challengeToken: Joi.string().max(1000).required()
+      .messages({
+        'any.required': 'Sign-in attempt expired. Please sign in again.'
+      }),
+
+    code: Joi.string().trim().pattern(/^\d{6}$/)
+      .messages({
+        'string.pattern.base': 'Verification code must be 6 digits'
+      }),
+
+    recoveryCode: Joi.string().trim().pattern(/^[a-zA-Z0-9]{5}-?[a-zA-Z0-9]{5}$/)
+      .messages({
+        'string.pattern.base': 'Recovery codes look like xxxxx-xxxxx'
+      })
+  }).xor('code', 'recoveryCode')
+    .messages({
+      'object.missing': 'Enter a verification code or a recovery code',
+      'object.xor': 'Enter either a verification code or a recovery code, not both'
+    }),
+
+  twoFactorSetup: Joi.object({
+    challengeToken: Joi.string().max(1000).required()
+      .messages({
+        'any.required': 'Sign-in attempt expired. Please sign in again.'
+      }),
+
+    code: Joi.string().trim().pattern(/^\d{6}$/).required()
+      .messages({
+        'string.pattern.base': 'Verification code must be 6 digits',
+        'any.required': 'Verification code is required'
+      })
+  }),
+
+  twoFactorCode: Joi.object({
+    code: Joi.string().trim().pattern(/^\d{6}$/).required()
+      .messages({
+        'string.pattern.base': 'Verification code must be 6 digits',
+        'any.required': 'Verification code is required'
+      })
   })
 };
 
@@ -276,9 +499,7 @@ const userSchemas = {
  */
 const querySchemas = {
   issueFilters: Joi.object({
-    status: Joi.string().valid(
-      'all', 'submitted', 'assigned', 'in_progress', 'resolved', 'closed', 'rejected'
-    ).default('all'),
+    status: statusKey.default('all'),
     
     category: Joi.string().valid(
       'all', 'pothole', 'garbage', 'streetlight', 'graffiti', 
@@ -445,6 +666,232 @@ const departmentSchemas = {
   })
 };
 
+/**
+ * Workflow validation schemas (structure only; WorkflowService checks consistency)
+ */
+const workflowSchemas = {
+  save: Joi.object({
+    name: Joi.string().min(2).max(255).required()
+      .messages({ 'any.required': 'Workflow name is required' }),
+    initial_status: statusKey.default('submitted'),
+    statuses: Joi.array().min(1).items(Joi.object({
+      key: Joi.string().pattern(/^[a-z][a-z0-9_]{0,49}$/).required(),
+      label: Joi.string().max(100).required(),
+      stage: Joi.string().valid('submitted', 'assigned', 'in_progress', 'resolved', 'closed', 'rejected').required(),
+      description: Joi.string().max(500).allow('', null).optional()
+    })).required(),
+    transitions: Joi.array().items(Joi.object({
+      from: Joi.string().required(),
+      to: Joi.string().required(),
+      label: Joi.string().max(100).allow('', null).optional(),
+      guards: Joi.array().items(Joi.object({
+        type: Joi.string().valid('role', 'resolution_images', 'notes', 'assigned').required(),
+        roles: Joi.array().items(roleName).optional(),
+        min: Joi.number().integer().min(1).max(10).optional(),
+        minLength: Joi.number().integer().min(1).max(2000).optional(),
+        message: Joi.string().max(300).optional()
+      })).default([])
+    })).required()
+  })
+};
+
+/**
+ * Role validation schemas (PermissionService checks permission names)
+ */
+const roleSchemas = {
+  create: Joi.object({
+    name: roleName.required()
+      .messages({ 'any.required': 'Role name is required' }),
+    displayName: Joi.string().min(2).max(100).required()
+      .messages({ 'any.required': 'Display name is required' }),
+    description: Joi.string().max(500).allow('', null).optional(),
+    permissions: Joi.array().items(Joi.string().max(100)).default([])
+  }),
+
+  update: Joi.object({
+    displayName: Joi.string().min(2).max(100).optional(),
+    description: Joi.string().max(500).allow('', null).optional(),
+    permissions: Joi.array().items(Joi.string().max(100)).optional()
+  }).min(1)
+};
+
+/**
+ * Routing rule validation schemas (RoutingRuleService checks departments and ranges)
+ */
+const routingRule = Joi.object({
+  name: Joi.string().min(2).max(100).required(),
+  conditions: Joi.object({
+    categories: Joi.array().max(50).items(Joi.string().max(50)).optional(),
+    subcategories: Joi.array().max(50).items(Joi.string().max(100)).optional(),
+    wards: Joi.array().max(200).items(Joi.string().max(100)).optional(),
+    keywords: Joi.array().max(100).items(Joi.string().max(100)).optional(),
+    min_confidence: Joi.number().min(0).max(1).allow(null).optional(),
+    max_confidence: Joi.number().min(0).max(1).allow(null).optional()
+  }).default({}),
+  department_code: Joi.string().max(20).required(),
+  priority: Joi.string().valid('low', 'medium', 'high', 'critical').default('medium'),
+  sla_hours: Joi.number().integer().min(1).max(720).allow(null).optional(),
+  is_active: Joi.boolean().default(true)
+});
+
+const routingRuleSchemas = {
+  save: Joi.object({
+    rules: Joi.array().max(200).items(routingRule).required()
+  }),
+
+  test: Joi.object({
+    issue: Joi.object({
+      category: Joi.string().max(50).required(),
+      subcategory: Joi.string().max(100).allow('', null).optional(),
+      description: Joi.string().max(2000).allow('').optional(),
+      location: Joi.object({
+        lat: Joi.number().min(-90).max(90).optional(),
+        lng: Joi.number().min(-180).max(180).optional(),
+        ward: Joi.string().max(100).optional()
+      }).optional(),
+      confidence: Joi.number().min(0).max(1).allow(null).optional()
+    }).required(),
+    // Unsaved rules to try instead of the saved set
+    rules: Joi.array().max(200).items(routingRule).optional()
+  })
+};
+
+/**
+ * Ward boundary validation schemas (WardService checks the geometry)
+ */
+const wardSchemas = {
+  import: Joi.object({
+    geojson: Joi.object({
+      type: Joi.string().valid('FeatureCollection').required(),
+      features: Joi.array().min(1).max(500).items(Joi.object()).required()
+    }).unknown(true).required()
+      .messages({ 'any.required': 'A GeoJSON FeatureCollection of wards is required' }),
+    codeProperty: Joi.string().max(50).default('code'),
+    nameProperty: Joi.string().max(50).default('name'),
+    zoneProperty: Joi.string().max(50).default('zone'),
+    replace: Joi.boolean().default(false)
+  })
+};
+
+/**
+ * Work order validation schemas (WorkOrderService checks the window and issue)
+ */
+const workOrderFields = {
+  title: Joi.string().min(3).max(200),
+  instructions: Joi.string().max(2000).allow('', null),
+  crewName: Joi.string().min(2).max(100),
+  crewMembers: Joi.array().max(30).items(Joi.string().max(100)),
+  scheduledStart: Joi.date().iso(),
+  scheduledEnd: Joi.date().iso(),
+  materials: Joi.array().max(50).items(Joi.object({
+    item: Joi.string().min(1).max(100).required(),
+    quantity: Joi.number().positive().max(1000000).required(),
+    unit: Joi.string().max(20).allow('', null).optional(),
+    unitCost: Joi.number().min(0).max(10000000).default(0)
+  })),
+  labourCost: Joi.number().min(0).max(10000000),
+  checklist: Joi.array().max(50).items(Joi.string().min(1).max(200))
+};
+
+const workOrderSchemas = {
+  create: Joi.object({
+    issueId: Joi.string().max(40).required(),
+    ...workOrderFields,
+    title: workOrderFields.title.required(),
+    crewName: workOrderFields.crewName.required(),
+    scheduledStart: workOrderFields.scheduledStart.required(),
+    scheduledEnd: workOrderFields.scheduledEnd.greater(Joi.ref('scheduledStart')).required()
+      .messages({ 'date.greater': 'Scheduled end must be after the start' }),
+    labourCost: workOrderFields.labourCost.default(0)
+  }),
+
+  update: Joi.object(workOrderFields).min(1),
+
+  checklistItem: Joi.object({
+    done: Joi.boolean().required()
+  }),
+
+  complete: Joi.object({
+    actualCost: Joi.number().min(0).max(10000000).allow(null).optional(),
+    notes: Joi.string().max(2000).allow('').optional()
+  }),
+
+  cancel: Joi.object({
+    reason: Joi.string().max(500).allow('').optional()
+  }),
+
+  filters: Joi.object({
+    from: Joi.date().iso().optional(),
+    to: Joi.date().iso().optional(),
+    issueId: Joi.string().max(40).optional(),
+    departmentId: Joi.number().integer().positive().optional(),
+    crew: Joi.string().max(100).optional(),
+    status: Joi.string().valid('all', 'scheduled', 'in_progress', 'completed', 'cancelled').default('all')
+  })
+};
+
+const classificationReviewSchemas = {
+  queue: Joi.object({
+    category: Joi.string().max(50).optional(),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20)
+  }),
+
+  review: Joi.object({
+    decision: Joi.string().valid('accepted', 'overridden', 'rejected').required(),
+    category: Joi.string().valid(
+      'pothole', 'garbage', 'streetlight', 'graffiti',
+      'water', 'traffic', 'sidewalk', 'other'
+    ).when('decision', { is: 'overridden', then: Joi.required(), otherwise: Joi.forbidden() })
+      .messages({
+        'any.required': 'Choose the correct category when overriding',
+        'any.unknown': 'A category is only given when overriding'
+      }),
+    notes: Joi.string().max(500).allow('').optional()
+  }),
+
+  trainingData: Joi.object({
+    limit: Joi.number().integer().min(1).max(10000).default(1000),
+    reviewedOnly: Joi.boolean().default(false)
+  })
+};
+
+/**
+ * AI accuracy report and threshold validation schemas
+ */
+const aiThreshold = Joi.number().min(0.05).max(0.99).precision(2)
+  .messages({
+    'number.min': '{#label} must be at least 0.05',
+    'number.max': '{#label} must be at most 0.99'
+  });
+
+const aiAccuracySchemas = {
+  report: Joi.object({
+    from: Joi.date().iso().optional(),
+    to: Joi.date().iso().min(Joi.ref('from')).optional()
+      .messages({ 'date.min': 'End date must be after the start date' }),
+    granularity: Joi.string().valid('day', 'week', 'month').default('week'),
+    targetAccuracy: Joi.number().min(0.5).max(1).default(0.9)
+  }),
+
+  thresholds: Joi.object({
+    review_confidence: aiThreshold.optional(),
+    duplicate_confidence: aiThreshold.optional()
+  }).or('review_confidence', 'duplicate_confidence')
+    .messages({ 'object.missing': 'Provide at least one threshold to update' })
+};
+
+/**
+ * Background job queue schemas
+ */
+const jobSchemas = {
+  list: Joi.object({
+    status: Joi.string().valid('pending', 'running', 'completed', 'failed').optional(),
+    type: Joi.string().max(50).optional(),
+    limit: Joi.number().integer().min(1).max(200).default(50)
+  })
+};
+
 /**
  * Pre-built validation middleware for departments
  */
@@ -457,6 +904,14 @@ module.exports = {
   userSchemas,
   querySchemas,
   departmentSchemas,
+  workflowSchemas,
+  roleSchemas,
+  wardSchemas,
+  routingRuleSchemas,
+  workOrderSchemas,
+  classificationReviewSchemas,
+  aiAccuracySchemas,
+  jobSchemas,
   fileValidation,
   validateFile,
   validateDepartment,
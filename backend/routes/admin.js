@@ -1,10 +1,13 @@
 const express = require('express');
 const router = express.Router();
-const { authenticateToken, requireAnyRole } = require('../middleware/auth');
+const { authenticateToken, requirePermission, getClientIP } = require('../middleware/auth');
+const { validate, aiAccuracySchemas, jobSchemas } = require('../middleware/validation');
 const IssueService = require('../services/IssueService');
 const DepartmentService = require('../services/DepartmentService');
 const AuditService = require('../services/AuditService');
 const NotificationService = require('../services/NotificationService');
+const AIAccuracyService = require('../services/AIAccuracyService');
+const JobQueueService = require('../services/JobQueueService');
 
 // Apply authentication to all routes
 router.use(authenticateToken);
@@ -12,9 +15,9 @@ router.use(authenticateToken);
 /**
  * GET /api/admin/dashboard
  * Get comprehensive dashboard statistics
- * Access: Admin, Super Admin
+ * Access: analytics.read permission
  */
-router.get('/dashboard', requireAnyRole(['admin', 'super_admin']), async (req, res) => {
+router.get('/dashboard', requirePermission('analytics.read'), async (req, res) => {
   try {
     const { timeframe = '30d' } = req.query;
     
@@ -65,9 +68,9 @@ router.get('/dashboard', requireAnyRole(['admin', 'super_admin']), async (req, r
 /**
  * GET /api/admin/analytics
  * Get detailed analytics and insights
- * Access: Admin, Super Admin
+ * Access: analytics.read permission
  */
-router.get('/analytics', requireAnyRole(['admin', 'super_admin']), async (req, res) => {
+router.get('/analytics', requirePermission('analytics.read'), async (req, res) => {
   try {
     const { 
       timeframe = '30d',
@@ -97,12 +100,84 @@ router.get('/analytics', requireAnyRole(['admin', 'super_admin']), async (req, r
   }
 });
 
+/**
+ * GET /api/admin/ai-accuracy?from=&to=&granularity=week&targetAccuracy=0.9
+ * How often the AI's category was right, measured against reviewed categories
+ * Access: analytics.read permission
+ */
+router.get('/ai-accuracy', requirePermission('analytics.read'), validate(aiAccuracySchemas.report, 'query'), async (req, res) => {
+  try {
+    const report = await AIAccuracyService.getAccuracyReport({ ...req.query });
+
+    res.json({
+      success: true,
+      data: report,
+      generated_at: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error building AI accuracy report:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build AI accuracy report',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/admin/ai-thresholds
+ * Confidence thresholds the AI pipeline currently uses
+ * Access: analytics.read permission
+ */
+router.get('/ai-thresholds', requirePermission('analytics.read'), async (req, res) => {
+  try {
+    const thresholds = await AIAccuracyService.getThresholds();
+
+    res.json({
+      success: true,
+      data: { current: thresholds, defaults: AIAccuracyService.DEFAULT_THRESHOLDS }
+    });
+  } catch (error) {
+    console.error('Error fetching AI thresholds:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch AI thresholds',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/ai-thresholds
+ * Change the review cutoff and/or the duplicate photo threshold
+ * Access: ai.settings.manage permission
+ */
+router.put('/ai-thresholds', requirePermission('ai.settings.manage'), validate(aiAccuracySchemas.thresholds), async (req, res) => {
+  try {
+    const thresholds = await AIAccuracyService.updateThresholds(req.body, req.user.id, getClientIP(req));
+
+    res.json({
+      success: true,
+      message: 'AI thresholds updated',
+      data: { current: thresholds, defaults: AIAccuracyService.DEFAULT_THRESHOLDS }
+    });
+  } catch (error) {
+    console.error('Error updating AI thresholds:', error);
+    res.status(error.details ? 400 : 500).json({
+      success: false,
+      error: 'Failed to update AI thresholds',
+      message: error.message,
+      details: error.details
+    });
+  }
+});
+
 /**
  * GET /api/admin/system-health
  * Get system health and monitoring data
- * Access: Super Admin only
+ * Access: system.health permission
  */
-router.get('/system-health', requireAnyRole(['super_admin']), async (req, res) => {
+router.get('/system-health', requirePermission('system.health'), async (req, res) => {
   try {
     const healthData = {
       database: await checkDatabaseHealth(),
@@ -136,12 +211,75 @@ router.get('/system-health', requireAnyRole(['super_admin']), async (req, res) =
   }
 });
 
+/**
+ * GET /api/admin/jobs
+ * Background job queue counts and the latest jobs
+ * Access: system.health permission
+ */
+router.get('/jobs', requirePermission('system.health'), validate(jobSchemas.list, 'query'), async (req, res) => {
+  try {
+    const [stats, jobs] = await Promise.all([
+      JobQueueService.getStats(),
+      JobQueueService.getJobs(req.query)
+    ]);
+
+    res.json({
+      success: true,
+      data: { ...stats, jobs }
+    });
+  } catch (error) {
+    console.error('Error fetching background jobs:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch background jobs',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/jobs/:id/retry
+ * Queue a failed job again with a fresh set of attempts
+ * Access: system.maintenance permission
+ */
+router.post('/jobs/:id/retry', requirePermission('system.maintenance'), async (req, res) => {
+  try {
+    const job = await JobQueueService.retryJob(parseInt(req.params.id, 10));
+
+    await AuditService.log(
+      'job',
+      job.id,
+      'retry',
+      { status: 'failed' },
+      { status: 'pending' },
+      req.user.id,
+      getClientIP(req),
+      `Retried ${job.type} job #${job.id}`
+    );
+
+    res.json({
+      success: true,
+      message: `Job #${job.id} queued again`,
+      data: job
+    });
+  } catch (error) {
+    console.error('Error retrying job:', error);
+    const notFound = error.message === 'Job not found';
+    res.status(notFound ? 404 : error.details ? 400 : 500).json({
+      success: false,
+      error: notFound ? 'Job not found' : 'Failed to retry job',
+      message: error.message,
+      details: error.details
+    });
+  }
+});
+
 /**
  * GET /api/admin/users
  * Get user management data
- * Access: Admin, Super Admin
+ * Access: user.read permission
  */
-router.get('/users', requireAnyRole(['admin', 'super_admin']), async (req, res) => {
+router.get('/users', requirePermission('user.read'), async (req, res) => {
   try {
     const { role, status, department, page = 1, limit = 50 } = req.query;
     
@@ -170,9 +308,9 @@ router.get('/users', requireAnyRole(['admin', 'super_admin']), async (req, res)
 /**
  * PUT /api/admin/users/:id/status
  * Update user status
- * Access: Admin, Super Admin
+ * Access: user.manage permission
  */
-router.put('/users/:id/status', requireAnyRole(['admin', 'super_admin']), async (req, res) => {
+router.put('/users/:id/status', requirePermission('user.manage'), async (req, res) => {
   try {
     const { status, reason } = req.body;
     
@@ -221,9 +359,9 @@ router.put('/users/:id/status', requireAnyRole(['admin', 'super_admin']), async
 /**
  * GET /api/admin/audit-logs
  * Get system audit logs
- * Access: Admin, Super Admin
+ * Access: audit.read permission
  */
-router.get('/audit-logs', requireAnyRole(['admin', 'super_admin']), async (req, res) => {
+router.get('/audit-logs', requirePermission('audit.read'), async (req, res) => {
   try {
     const {
       action_type,
@@ -264,9 +402,9 @@ router.get('/audit-logs', requireAnyRole(['admin', 'super_admin']), async (req,
 /**
  * GET /api/admin/reports
  * Generate system reports
- * Access: Admin, Super Admin
+ * Access: analytics.read permission
  */
-router.get('/reports', requireAnyRole(['admin', 'super_admin']), async (req, res) => {
+router.get('/reports', requirePermission('analytics.read'), async (req, res) => {
   try {
     const { 
       type = 'summary',
@@ -300,9 +438,9 @@ router.get('/reports', requireAnyRole(['admin', 'super_admin']), async (req, res
 /**
  * GET /api/admin/notifications/stats
  * Get notification system statistics
- * Access: Admin, Super Admin
+ * Access: notification.read permission
  */
-router.get('/notifications/stats', requireAnyRole(['admin', 'super_admin']), async (req, res) => {
+router.get('/notifications/stats', requirePermission('notification.read'), async (req, res) => {
   try {
     const stats = await NotificationService.getNotificationStats();
     
@@ -323,9 +461,9 @@ router.get('/notifications/stats', requireAnyRole(['admin', 'super_admin']), asy
 /**
  * POST /api/admin/maintenance/cleanup
  * Perform system cleanup operations
- * Access: Super Admin only
+ * Access: system.maintenance permission
  */
-router.post('/maintenance/cleanup', requireAnyRole(['super_admin']), async (req, res) => {
+router.post('/maintenance/cleanup', requirePermission('system.maintenance'), async (req, res) => {
   try {
     const { 
       cleanup_logs = true,
@@ -373,8 +511,8 @@ router.post('/maintenance/cleanup', requireAnyRole(['super_admin']), async (req,
 async function checkDatabaseHealth() {
   try {
     // Simple health check - could be expanded
-    const { supabase } = require('../config/database');
-    const { count } = await supabase.from('issues').select('*', { count: 'exact', head: true });
+    const { db } = require('../config/database');
+    const { count } = await db.from('issues').select('*', { count: 'exact', head: true });
     
     return {
       status: 'healthy',
@@ -392,14 +530,24 @@ async function checkDatabaseHealth() {
 }
 
 async function checkBackgroundJobHealth() {
-  // Mock implementation - would check actual background job status
-  return {
-    status: 'running',
-    active_jobs: 3,
-    failed_jobs: 0,
-    last_execution: new Date().toISOString(),
-    score: 100
-  };
+  try {
+    const { totals, worker, store } = await JobQueueService.getStats();
+    return {
+      status: worker.running ? 'running' : 'external',
+      store: store.name,
+      pending_jobs: totals.pending,
+      active_jobs: totals.running,
+      failed_jobs: totals.failed,
+      completed_jobs: totals.completed,
+      score: totals.failed > 0 ? 80 : 100
+    };
+  } catch (error) {
+    return {
+      status: 'unhealthy',
+      error: error.message,
+      score: 0
+    };
+  }
 }
 
 async function getAPIPerformanceMetrics() {
@@ -435,9 +583,9 @@ async function getErrorRateMetrics() {
 
 async function getUserManagementData(filters) {
   // Mock implementation - would query actual user data
-  const { supabase } = require('../config/database');
+  const { db } = require('../config/database');
   
-  let query = supabase
+  let query = db
     .from('users')
     .select('id, username, email, full_name, role, department_id, ward_area, phone, is_active, last_login_at, created_at, updated_at')
     .order('created_at', { ascending: false });
@@ -470,9 +618,9 @@ async function getUserManagementData(filters) {
 }
 
 async function updateUserStatus(userId, status, reason) {
-  const { supabase } = require('../config/database');
+  const { db } = require('../config/database');
   
-  const { data: user, error } = await supabase
+  const { data: user, error } = await db
     .from('users')
     .update({ 
       status,
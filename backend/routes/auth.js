@@ -1,7 +1,12 @@
 const express = require('express');
 const AuthService = require('../services/AuthService');
+const SessionService = require('../services/SessionService');
+const AuditService = require('../services/AuditService');
+const TwoFactorService = require('../services/TwoFactorService');
+const PermissionService = require('../services/PermissionService');
 const { validate, userSchemas } = require('../middleware/validation');
-const { authenticateToken, requireAnyRole, attachIP, getClientIP } = require('../middleware/auth');
+const { authenticateToken, requirePermission, requireStaff, attachIP, getClientIP } = require('../middleware/auth');
+const { authLimiter } = require('../middleware/security');
 const router = express.Router();
 
 // POST /api/auth/login - Enhanced login with audit logging
@@ -12,11 +17,11 @@ router.post('/login',
       const { username, password } = req.body;
       const clientIP = getClientIP(req);
       
-      const result = await AuthService.login(username, password, clientIP);
+      const result = await AuthService.login(username, password, clientIP, req.get('user-agent'));
       
       res.json({
         success: true,
-        message: 'Login successful',
+        message: result.twoFactorRequired ? 'Two-factor verification required' : 'Login successful',
         data: result
       });
     } catch (error) {
@@ -30,15 +35,174 @@ router.post('/login',
   }
 );
 
-// POST /api/auth/logout - Enhanced logout
+// POST /api/auth/2fa/verify - Second sign-in step with an authenticator or recovery code
+router.post('/2fa/verify',
+  authLimiter,
+  validate(userSchemas.twoFactorVerify),
+  async (req, res) => {
+    try {
+      const { challengeToken, code, recoveryCode } = req.body;
+
+      const result = await AuthService.verifyTwoFactorLogin(challengeToken, { code, recoveryCode }, getClientIP(req), req.get('user-agent'));
+
+      res.json({
+        success: true,
+        message: 'Login successful',
+        data: result
+      });
+    } catch (error) {
+      res.status(401).json({
+        success: false,
+        error: 'Two-factor verification failed',
+        message: error.message
+      });
+    }
+  }
+);
+
+// POST /api/auth/2fa/setup/complete - Enroll during sign-in when the role requires two-factor
+router.post('/2fa/setup/complete',
+  authLimiter,
+  validate(userSchemas.twoFactorSetup),
+  async (req, res) => {
+    try {
+      const { challengeToken, code } = req.body;
+
+      const result = await AuthService.completeTwoFactorSetup(challengeToken, code, getClientIP(req), req.get('user-agent'));
+
+      res.json({
+        success: true,
+        message: 'Two-factor authentication enabled',
+        data: result
+      });
+    } catch (error) {
+      res.status(401).json({
+        success: false,
+        error: 'Two-factor setup failed',
+        message: error.message
+      });
+    }
+  }
+);
+
+// POST /api/auth/citizen/request-code - Email a one-time sign-in code to a citizen
+router.post('/citizen/request-code',
+  authLimiter,
+  validate(userSchemas.citizenCodeRequest),
+  async (req, res) => {
+    try {
+      const result = await AuthService.requestCitizenLoginCode(req.body.email, getClientIP(req));
+
+      res.json({
+        success: true,
+        message: 'Sign-in code sent. Check your email.',
+        data: result
+      });
+    } catch (error) {
+      console.error('Citizen sign-in code error:', error.message);
+      res.status(400).json({
+        success: false,
+        error: 'Failed to send sign-in code',
+        message: error.message
+      });
+    }
+  }
+);
+
+// POST /api/auth/citizen/verify - Exchange a sign-in code for a citizen token
+router.post('/citizen/verify',
+  authLimiter,
+  validate(userSchemas.citizenCodeVerify),
+  async (req, res) => {
+    try {
+      const { email, code } = req.body;
+
+      const result = await AuthService.verifyCitizenLoginCode(email, code, getClientIP(req), req.get('user-agent'));
+
+      res.json({
+        success: true,
+        message: 'Login successful',
+        data: result
+      });
+    } catch (error) {
+      console.error('Citizen sign-in error:', error.message);
+      res.status(401).json({
+        success: false,
+        error: 'Login failed',
+        message: error.message
+      });
+    }
+  }
+);
+
+// POST /api/auth/forgot-password - Email a password reset link
+router.post('/forgot-password',
+  authLimiter,
+  validate(userSchemas.forgotPassword),
+  async (req, res) => {
+    try {
+      await AuthService.generatePasswordResetToken(req.body.email, getClientIP(req));
+    } catch (error) {
+      // Same response either way so the endpoint does not reveal which emails exist
+      console.error('Forgot password error:', error.message);
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for that email, a reset link has been sent.'
+    });
+  }
+);
+
+// POST /api/auth/reset-password - Set a new password with an emailed token
+router.post('/reset-password',
+  authLimiter,
+  validate(userSchemas.resetPassword),
+  async (req, res) => {
+    try {
+      const { token, password } = req.body;
+
+      const result = await AuthService.resetPassword(token, password, getClientIP(req));
+
+      res.json(result);
+    } catch (error) {
+      console.error('Reset password error:', error.message);
+      res.status(400).json({
+        success: false,
+        error: 'Password reset failed',
+        message: error.message
+      });
+    }
+  }
+);
+
+// POST /api/auth/refresh - Exchange a refresh token for a new token pair
+router.post('/refresh',
+  validate(userSchemas.refresh),
+  async (req, res) => {
+    try {
+      const result = await AuthService.refreshSession(req.body.refreshToken, getClientIP(req), req.get('user-agent'));
+
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      res.status(401).json({
+        success: false,
+        error: 'Refresh failed',
+        message: error.message
+      });
+    }
+  }
+);
+
+// POST /api/auth/logout - End the current session
 router.post('/logout', 
   authenticateToken,
   async (req, res) => {
     try {
-      // In a real application, you might:
-      // 1. Add token to blacklist in database
-      // 2. Clear any server-side session data
-      // For now, client-side token removal is sufficient
+      await SessionService.revokeSession(req.sessionId, req.user.id, 'logout');
       
       res.json({
         success: true,
@@ -64,12 +228,7 @@ router.get('/me',
         success: true,
         data: {
           user: req.user,
-          permissions: {
-            can_create_users: req.user.role === 'admin' || req.user.role === 'super_admin',
-            can_manage_departments: req.user.role === 'super_admin',
-            can_view_all_issues: req.user.role === 'admin' || req.user.role === 'super_admin',
-            can_assign_issues: req.user.role !== 'citizen'
-          }
+          permissions: req.user.permissions
         }
       });
     } catch (error) {
@@ -82,14 +241,219 @@ router.get('/me',
   }
 );
 
-// POST /api/auth/users - Create new user (Admin only)
+// GET /api/auth/sessions - Signed-in devices for the current user
+router.get('/sessions',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const sessions = await SessionService.listSessions(req.user.id);
+
+      res.json({
+        success: true,
+        data: sessions.map(session => ({ ...session, isCurrent: session.id === req.sessionId }))
+      });
+    } catch (error) {
+      console.error('List sessions error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch sessions',
+        message: error.message
+      });
+    }
+  }
+);
+
+// DELETE /api/auth/sessions/:sessionId - Sign out one device
+router.delete('/sessions/:sessionId',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const revoked = await SessionService.revokeSession(req.params.sessionId, req.user.id, 'revoked_by_user');
+
+      if (!revoked) {
+        return res.status(404).json({
+          success: false,
+          error: 'Session not found'
+        });
+      }
+
+      await AuditService.log('user', req.user.id, 'session_revoked', null, { sessionId: req.params.sessionId }, req.user.id, getClientIP(req), 'Session signed out by user');
+
+      res.json({
+        success: true,
+        message: 'Session signed out'
+      });
+    } catch (error) {
+      console.error('Revoke session error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to sign out session',
+        message: error.message
+      });
+    }
+  }
+);
+
+// POST /api/auth/sessions/revoke-all - Sign out everywhere, including this device
+router.post('/sessions/revoke-all',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const count = await SessionService.revokeAllSessions(req.user.id, 'logout_everywhere');
+
+      await AuditService.log('user', req.user.id, 'sessions_revoked', null, { count }, req.user.id, getClientIP(req), 'Signed out everywhere');
+
+      res.json({
+        success: true,
+        message: `Signed out of ${count} session(s)`,
+        data: { count }
+      });
+    } catch (error) {
+      console.error('Revoke all sessions error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to sign out everywhere',
+        message: error.message
+      });
+    }
+  }
+);
+
+// GET /api/auth/2fa - Two-factor status for the current user
+router.get('/2fa',
+  authenticateToken,
+  requireStaff,
+  async (req, res) => {
+    try {
+      const status = await TwoFactorService.getStatus(req.user.id);
+
+      res.json({
+        success: true,
+        data: status
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch two-factor status',
+        message: error.message
+      });
+    }
+  }
+);
+
+// POST /api/auth/2fa/setup - Start optional enrollment; returns the secret to add to an authenticator app
+router.post('/2fa/setup',
+  authenticateToken,
+  requireStaff,
+  async (req, res) => {
+    try {
+      const enrollment = await TwoFactorService.beginEnrollment(req.user.id);
+
+      res.json({
+        success: true,
+        data: enrollment
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        error: 'Failed to start two-factor setup',
+        message: error.message
+      });
+    }
+  }
+);
+
+// POST /api/auth/2fa/enable - Confirm enrollment with a code; returns recovery codes once
+router.post('/2fa/enable',
+  authenticateToken,
+  requireStaff,
+  authLimiter,
+  validate(userSchemas.twoFactorCode),
+  async (req, res) => {
+    try {
+      const result = await TwoFactorService.confirmEnrollment(req.user.id, req.body.code, getClientIP(req));
+
+      res.json({
+        success: true,
+        message: 'Two-factor authentication enabled',
+        data: result
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        error: 'Failed to enable two-factor authentication',
+        message: error.message
+      });
+    }
+  }
+);
+
+// POST /api/auth/2fa/recovery-codes - Replace recovery codes
+router.post('/2fa/recovery-codes',
+  authenticateToken,
+  requireStaff,
+  authLimiter,
+  validate(userSchemas.twoFactorCode),
+  async (req, res) => {
+    try {
+      const result = await TwoFactorService.regenerateRecoveryCodes(req.user.id, req.body.code, getClientIP(req));
+
+      res.json({
+        success: true,
+        message: 'New recovery codes generated',
+        data: result
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        error: 'Failed to regenerate recovery codes',
+        message: error.message
+      });
+    }
+  }
+);
+
+// POST /api/auth/2fa/disable - Turn off two-factor (only where the policy allows)
+router.post('/2fa/disable',
+  authenticateToken,
+  requireStaff,
+  authLimiter,
+  validate(userSchemas.twoFactorCode),
+  async (req, res) => {
+    try {
+      await TwoFactorService.disable(req.user.id, req.body.code, getClientIP(req));
+
+      res.json({
+        success: true,
+        message: 'Two-factor authentication disabled'
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        error: 'Failed to disable two-factor authentication',
+        message: error.message
+      });
+    }
+  }
+);
+
+// POST /api/auth/users - Create new user (user.manage)
 router.post('/users',
   authenticateToken,
-  requireAnyRole(['admin', 'super_admin']),
+  requirePermission('user.manage'),
   validate(userSchemas.create),
   async (req, res) => {
     try {
       const clientIP = getClientIP(req);
+
+      if (!(await PermissionService.canAssignRole(req.user, req.body.role))) {
+        return res.status(403).json({
+          success: false,
+          error: 'Insufficient permissions',
+          message: `You cannot create users with the ${req.body.role} role`
+        });
+      }
+
       const newUser = await AuthService.createUser(req.body, req.user.id, clientIP);
       
       res.status(201).json({
@@ -108,10 +472,10 @@ router.post('/users',
   }
 );
 
-// GET /api/auth/users - Get all users with filters (Admin only)
+// GET /api/auth/users - Get all users with filters (user.read)
 router.get('/users',
   authenticateToken,
-  requireAnyRole(['admin', 'super_admin']),
+  requirePermission('user.read'),
   async (req, res) => {
     try {
       const filters = {
@@ -138,15 +502,15 @@ router.get('/users',
   }
 );
 
-// GET /api/auth/users/:id - Get user by ID (Admin or self)
+// GET /api/auth/users/:id - Get user by ID (user.read or self)
 router.get('/users/:id',
   authenticateToken,
   async (req, res) => {
     try {
       const userId = parseInt(req.params.id);
       
-      // Users can view their own profile, admins can view any profile
-      if (req.user.role !== 'admin' && req.user.role !== 'super_admin' && req.user.id !== userId) {
+      // Users can view their own profile; user.read can view any profile
+      if (!PermissionService.can(req.user, 'user.read') && req.user.id !== userId) {
         return res.status(403).json({
           success: false,
           error: 'Access denied',
@@ -171,7 +535,7 @@ router.get('/users/:id',
   }
 );
 
-// PUT /api/auth/users/:id - Update user (Admin or self for limited fields)
+// PUT /api/auth/users/:id - Update user (user.manage, or self for limited fields)
 router.put('/users/:id',
   authenticateToken,
   validate(userSchemas.update),
@@ -182,7 +546,7 @@ router.put('/users/:id',
       
       // Check permissions
       const isSelf = req.user.id === userId;
-      const isAdmin = req.user.role === 'admin' || req.user.role === 'super_admin';
+      const isAdmin = PermissionService.can(req.user, 'user.manage');
       
       if (!isSelf && !isAdmin) {
         return res.status(403).json({
@@ -192,11 +556,35 @@ router.put('/users/:id',
         });
       }
 
+      // Nobody can hand out, or edit holders of, a role with permissions they lack
+      if (isAdmin) {
+        const target = await AuthService.getUserById(userId);
+        const rolesTouched = [target.role, req.body.role].filter(Boolean);
+        for (const role of rolesTouched) {
+          if (!(await PermissionService.canAssignRole(req.user, role))) {
+            return res.status(403).json({
+              success: false,
+              error: 'Insufficient permissions',
+              message: `You cannot manage users with the ${role} role`
+            });
+          }
+        }
+      }
+
       // Restrict fields for non-admin users updating themselves
       let updateData = { ...req.body };
       if (isSelf && !isAdmin) {
-        // Users can only update their own email, full name, and phone
-        const allowedFields = ['email', 'fullName', 'phone', 'password'];
+        // The email is what citizens' reports are looked up by, so it can only be
+        // changed by an administrator; users can update their full name, phone and password
+        if (updateData.email !== undefined && String(updateData.email).toLowerCase() !== String(req.user.email || '').toLowerCase()) {
+          return res.status(403).json({
+            success: false,
+            error: 'Access denied',
+            message: 'Your email address can only be changed by an administrator'
+          });
+        }
+
+        const allowedFields = ['fullName', 'phone', 'password'];
         updateData = Object.keys(updateData)
           .filter(key => allowedFields.includes(key))
           .reduce((obj, key) => {
@@ -223,10 +611,10 @@ router.put('/users/:id',
   }
 );
 
-// DELETE /api/auth/users/:id - Deactivate user (Admin only)
+// DELETE /api/auth/users/:id - Deactivate user (user.manage)
 router.delete('/users/:id',
   authenticateToken,
-  requireAnyRole(['admin', 'super_admin']),
+  requirePermission('user.manage'),
   async (req, res) => {
     try {
       const userId = parseInt(req.params.id);
@@ -241,6 +629,15 @@ router.delete('/users/:id',
         });
       }
 
+      const target = await AuthService.getUserById(userId);
+      if (!(await PermissionService.canAssignRole(req.user, target.role))) {
+        return res.status(403).json({
+          success: false,
+          error: 'Insufficient permissions',
+          message: `You cannot manage users with the ${target.role} role`
+        });
+      }
+
       const result = await AuthService.deactivateUser(userId, req.user.id, clientIP);
       
       res.json({
@@ -259,6 +656,40 @@ router.delete('/users/:id',
   }
 );
 
+// DELETE /api/auth/users/:id/2fa - Reset another user's two-factor after a lost device (user.two_factor.reset)
+router.delete('/users/:id/2fa',
+  authenticateToken,
+  requirePermission('user.two_factor.reset'),
+  async (req, res) => {
+    try {
+      const userId = parseInt(req.params.id);
+
+      if (req.user.id === userId) {
+        return res.status(400).json({
+          success: false,
+          error: 'Cannot reset your own two-factor',
+          message: 'Use your recovery codes, or ask another super admin'
+        });
+      }
+
+      await TwoFactorService.reset(userId, req.user.id, getClientIP(req));
+      await SessionService.revokeAllSessions(userId, 'two_factor_reset');
+
+      res.json({
+        success: true,
+        message: 'Two-factor authentication reset. The user will enroll again on next sign-in.'
+      });
+    } catch (error) {
+      console.error('Reset two-factor error:', error);
+      res.status(400).json({
+        success: false,
+        error: 'Failed to reset two-factor authentication',
+        message: error.message
+      });
+    }
+  }
+);
+
 // POST /api/auth/change-password - Change password (authenticated users)
 router.post('/change-password',
   authenticateToken,
@@ -274,10 +705,8 @@ router.post('/change-password',
         });
       }
 
-      // Verify current password by attempting login
-      try {
-        await AuthService.login(req.user.username, currentPassword);
-      } catch (error) {
+      const isCurrentPasswordValid = await AuthService.verifyPassword(req.user.id, currentPassword);
+      if (!isCurrentPasswordValid) {
         return res.status(401).json({
           success: false,
           error: 'Invalid current password',
@@ -285,9 +714,10 @@ router.post('/change-password',
         });
       }
 
-      // Update password
+      // Update password and sign out every other device
       const clientIP = getClientIP(req);
       await AuthService.updateUser(req.user.id, { password: newPassword }, req.user.id, clientIP);
+      await SessionService.revokeAllSessions(req.user.id, 'password_changed', req.sessionId);
       
       res.json({
         success: true,
@@ -310,28 +740,8 @@ router.get('/permissions',
   async (req, res) => {
     try {
       const permissions = {
-        // User management
-        can_create_users: AuthService.hasPermission(req.user.role, 'admin'),
-        can_view_all_users: AuthService.hasPermission(req.user.role, 'admin'),
-        can_deactivate_users: AuthService.hasPermission(req.user.role, 'admin'),
-        
-        // Issue management
-        can_view_all_issues: AuthService.hasPermission(req.user.role, 'authority'),
-        can_update_issue_status: AuthService.hasPermission(req.user.role, 'authority'),
-        can_assign_issues: AuthService.hasPermission(req.user.role, 'authority'),
-        can_reassign_issues: AuthService.hasPermission(req.user.role, 'admin'),
-        
-        // Department management
-        can_manage_departments: req.user.role === 'super_admin',
-        can_view_department_stats: AuthService.hasPermission(req.user.role, 'authority'),
-        
-        // System administration
-        can_view_audit_logs: AuthService.hasPermission(req.user.role, 'admin'),
-        can_view_system_stats: AuthService.hasPermission(req.user.role, 'authority'),
-        can_manage_notifications: AuthService.hasPermission(req.user.role, 'admin'),
-        
-        // Current user context
         role: req.user.role,
+        permissions: req.user.permissions,
         department_id: req.user.department_id,
         ward_area: req.user.ward_area
       };
@@ -350,46 +760,4 @@ router.get('/permissions',
   }
 );
 
-// POST /api/auth/reset-passwords — Emergency password reset for all users
-// Secured by a secret token from environment variable
-router.post('/reset-passwords', async (req, res) => {
-  try {
-    const resetSecret = process.env.PASSWORD_RESET_SECRET || 'civic-reset-2026';
-    const { secret } = req.body;
-
-    if (secret !== resetSecret) {
-      return res.status(403).json({ success: false, error: 'Invalid reset secret' });
-    }
-
-    const bcrypt = require('bcryptjs');
-    const { supabase } = require('../config/database');
-    const PASSWORD = 'Admin@123';
-    const correctHash = await bcrypt.hash(PASSWORD, 12);
-
-    const { data: users, error: fetchErr } = await supabase
-      .from('users')
-      .select('id, username');
-
-    if (fetchErr) throw fetchErr;
-
-    let fixed = 0;
-    for (const u of users) {
-      const { error } = await supabase
-        .from('users')
-        .update({ password: correctHash })
-        .eq('id', u.id);
-      if (!error) fixed++;
-    }
-
-    res.json({
-      success: true,
-      message: `Reset passwords for ${fixed}/${users.length} users`,
-      password: PASSWORD
-    });
-  } catch (error) {
-    console.error('Password reset error:', error);
-    res.status(500).json({ success: false, error: error.message });
-  }
-});
-
 module.exports = router;
\ No newline at end of file
@@ -1,9 +1,12 @@
 const express = require('express');
 const router = express.Router();
-const { authenticateToken, requireAnyRole } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 const { validateDepartment, validateAssignment } = require('../middleware/validation');
 const DepartmentService = require('../services/DepartmentService');
+const IssueService = require('../services/IssueService');
 const AuditService = require('../services/AuditService');
+const PermissionService = require('../services/PermissionService');
+const BusinessCalendarService = require('../services/BusinessCalendarService');
 
 // Apply authentication to all routes
 router.use(authenticateToken);
@@ -11,9 +14,9 @@ router.use(authenticateToken);
 /**
  * GET /api/departments
  * Get all departments with optional filtering
- * Access: Admin, Super Admin
+ * Access: department.read permission
  */
-router.get('/', requireAnyRole(['admin', 'super_admin']), async (req, res) => {
+router.get('/', requirePermission('department.read'), async (req, res) => {
   try {
     const { status, type, withStats = false } = req.query;
     const options = {
@@ -42,9 +45,9 @@ router.get('/', requireAnyRole(['admin', 'super_admin']), async (req, res) => {
 /**
  * GET /api/departments/:id
  * Get specific department by ID
- * Access: Admin, Super Admin
+ * Access: department.read permission
  */
-router.get('/:id', requireAnyRole(['admin', 'super_admin']), async (req, res) => {
+router.get('/:id', requirePermission('department.read'), async (req, res) => {
   try {
     const department = await DepartmentService.getDepartmentById(req.params.id);
     
@@ -72,9 +75,9 @@ router.get('/:id', requireAnyRole(['admin', 'super_admin']), async (req, res) =>
 /**
  * POST /api/departments
  * Create new department
- * Access: Super Admin only
+ * Access: department.manage permission
  */
-router.post('/', requireAnyRole(['super_admin']), validateDepartment, async (req, res) => {
+router.post('/', requirePermission('department.manage'), validateDepartment, async (req, res) => {
   try {
     const departmentData = {
       name: req.body.name,
@@ -122,9 +125,9 @@ router.post('/', requireAnyRole(['super_admin']), validateDepartment, async (req
 /**
  * PUT /api/departments/:id
  * Update department
- * Access: Super Admin only
+ * Access: department.manage permission
  */
-router.put('/:id', requireAnyRole(['super_admin']), validateDepartment, async (req, res) => {
+router.put('/:id', requirePermission('department.manage'), validateDepartment, async (req, res) => {
   try {
     const departmentData = {
       name: req.body.name,
@@ -179,9 +182,9 @@ router.put('/:id', requireAnyRole(['super_admin']), validateDepartment, async (r
 /**
  * DELETE /api/departments/:id
  * Delete/deactivate department
- * Access: Super Admin only
+ * Access: department.manage permission
  */
-router.delete('/:id', requireAnyRole(['super_admin']), async (req, res) => {
+router.delete('/:id', requirePermission('department.manage'), async (req, res) => {
   try {
     const success = await DepartmentService.deleteDepartment(req.params.id);
     
@@ -218,9 +221,9 @@ router.delete('/:id', requireAnyRole(['super_admin']), async (req, res) => {
 /**
  * PUT /api/departments/:id/status
  * Update department status
- * Access: Admin, Super Admin
+ * Access: department.status.edit permission
  */
-router.put('/:id/status', requireAnyRole(['admin', 'super_admin']), async (req, res) => {
+router.put('/:id/status', requirePermission('department.status.edit'), async (req, res) => {
   try {
     const { status } = req.body;
     
@@ -269,15 +272,12 @@ router.put('/:id/status', requireAnyRole(['admin', 'super_admin']), async (req,
 /**
  * GET /api/departments/:id/issues
  * Get issues assigned to department
- * Access: Authority (own department), Admin, Super Admin
+ * Access: Staff (own department unless they hold issue.read_all)
  */
 router.get('/:id/issues', async (req, res) => {
   try {
     // Check if user has access to this department
-    const userRole = req.user.role;
-    const userDeptId = req.user.department_id;
-    
-    if (userRole === 'authority' && userDeptId !== req.params.id) {
+    if (!PermissionService.can(req.user, 'issue.read_all') && String(req.user.department_id) !== String(req.params.id)) {
       return res.status(403).json({
         success: false,
         error: 'Access denied',
@@ -312,9 +312,9 @@ router.get('/:id/issues', async (req, res) => {
 /**
  * POST /api/departments/:id/assign-issue
  * Assign issue to department
- * Access: Admin, Super Admin
+ * Access: issue.assign permission
  */
-router.post('/:id/assign-issue', requireAnyRole(['admin', 'super_admin']), validateAssignment, async (req, res) => {
+router.post('/:id/assign-issue', requirePermission('issue.assign'), validateAssignment, async (req, res) => {
   try {
     const { issue_id, priority, notes } = req.body;
     
@@ -348,6 +348,8 @@ router.post('/:id/assign-issue', requireAnyRole(['admin', 'super_admin']), valid
       },
       ip_address: req.ip
     });
+
+    IssueService.publishIssueEvent('issue.assigned', issue_id);
     
     res.json({
       success: true,
@@ -367,15 +369,12 @@ router.post('/:id/assign-issue', requireAnyRole(['admin', 'super_admin']), valid
 /**
  * GET /api/departments/:id/performance
  * Get department performance metrics
- * Access: Authority (own department), Admin, Super Admin
+ * Access: Staff (own department unless they hold issue.read_all)
  */
 router.get('/:id/performance', async (req, res) => {
   try {
     // Check access permissions
-    const userRole = req.user.role;
-    const userDeptId = req.user.department_id;
-    
-    if (userRole === 'authority' && String(userDeptId) !== String(req.params.id)) {
+    if (!PermissionService.can(req.user, 'issue.read_all') && String(req.user.department_id) !== String(req.params.id)) {
       return res.status(403).json({
         success: false,
         error: 'Access denied',
@@ -401,14 +400,39 @@ router.get('/:id/performance', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/departments/:id/sla
+ * SLA hours, escalation levels and business calendar of a department
+ * Access: department.read permission
+ */
+router.get('/:id/sla', requirePermission('department.read'), async (req, res) => {
+  try {
+    const department = await DepartmentService.getDepartmentById(req.params.id);
+
+    res.json({
+      success: true,
+      data: DepartmentService.getSlaSettings(department)
+    });
+  } catch (error) {
+    console.error('Error fetching department SLA:', error);
+    res.status(error.message === 'Department not found' ? 404 : 500).json({
+      success: false,
+      error: 'Failed to fetch department SLA',
+      message: error.message
+    });
+  }
+});
+
 /**
  * PUT /api/departments/:id/sla
- * Update department SLA settings
- * Access: Super Admin only
+ * Update department SLA settings, escalation levels and business calendar
+ * (`escalation_levels: null` restores the built-in chain,
+ * `business_calendar: null` returns to round-the-clock SLAs)
+ * Access: department.sla.edit permission
  */
-router.put('/:id/sla', requireAnyRole(['super_admin']), async (req, res) => {
+router.put('/:id/sla', requirePermission('department.sla.edit'), async (req, res) => {
   try {
-    const { sla_hours, escalation_hours } = req.body;
+    const { sla_hours, escalation_hours, escalation_levels, head_email, business_calendar } = req.body;
     
     if (sla_hours && (sla_hours < 1 || sla_hours > 720)) {
       return res.status(400).json({
@@ -426,9 +450,42 @@ router.put('/:id/sla', requireAnyRole(['super_admin']), async (req, res) => {
       });
     }
     
+    if (head_email && !/^\S+@\S+\.\S+$/.test(head_email)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid head email',
+        message: 'Department head email must be a valid email address'
+      });
+    }
+
+    let levels;
+    try {
+      levels = escalation_levels ? DepartmentService.validateEscalationLevels(escalation_levels) : escalation_levels;
+    } catch (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid escalation levels',
+        message: validationError.message
+      });
+    }
+
+    let calendar;
+    try {
+      calendar = business_calendar === undefined ? undefined : BusinessCalendarService.normalizeCalendar(business_calendar);
+    } catch (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid business calendar',
+        message: validationError.message
+      });
+    }
+
     const department = await DepartmentService.updateDepartment(req.params.id, {
       sla_hours,
-      escalation_hours
+      escalation_hours,
+      escalation_levels: levels,
+      head_email,
+      business_calendar: calendar
     });
     
     if (!department) {
@@ -444,14 +501,14 @@ router.put('/:id/sla', requireAnyRole(['super_admin']), async (req, res) => {
       resource_type: 'department',
       resource_id: req.params.id,
       action_type: 'sla_update',
-      details: { sla_hours, escalation_hours },
+      details: { sla_hours, escalation_hours, escalation_levels: levels, head_email, business_calendar: calendar },
       ip_address: req.ip
     });
     
     res.json({
       success: true,
       message: 'Department SLA updated successfully',
-      data: department
+      data: DepartmentService.getSlaSettings(department)
     });
   } catch (error) {
     console.error('Error updating department SLA:', error);
@@ -463,4 +520,71 @@ router.put('/:id/sla', requireAnyRole(['super_admin']), async (req, res) => {
   }
 });
 
+/**
+ * GET /api/departments/:id/assignment
+ * Assignment strategy of a department, with its officers' open issues, skills and shifts
+ * Access: department.read permission
+ */
+router.get('/:id/assignment', requirePermission('department.read'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await DepartmentService.getAssignmentSettings(req.params.id)
+    });
+  } catch (error) {
+    console.error('Error fetching department assignment settings:', error);
+    res.status(error.message === 'Department not found' ? 404 : 500).json({
+      success: false,
+      error: 'Failed to fetch assignment settings',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/departments/:id/assignment
+ * Choose how new issues pick an officer: least_open, round_robin, skills or shift
+ * Access: department.assignment.edit permission
+ */
+router.put('/:id/assignment', requirePermission('department.assignment.edit'), async (req, res) => {
+  try {
+    let strategy;
+    try {
+      strategy = DepartmentService.validateAssignmentStrategy(req.body.strategy);
+    } catch (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid assignment strategy',
+        message: validationError.message
+      });
+    }
+
+    const previous = await DepartmentService.getDepartmentById(req.params.id);
+    await DepartmentService.updateDepartment(previous.id, { assignment_strategy: strategy });
+
+    // Log strategy change
+    await AuditService.logActivity({
+      user_id: req.user.id,
+      resource_type: 'department',
+      resource_id: req.params.id,
+      action_type: 'assignment_strategy_update',
+      details: { previous_strategy: previous.assignment_strategy || null, new_strategy: strategy },
+      ip_address: req.ip
+    });
+
+    res.json({
+      success: true,
+      message: 'Assignment strategy updated',
+      data: await DepartmentService.getAssignmentSettings(previous.id)
+    });
+  } catch (error) {
+    console.error('Error updating department assignment strategy:', error);
+    res.status(error.message === 'Department not found' ? 404 : 500).json({
+      success: false,
+      error: 'Failed to update assignment strategy',
+      message: error.message
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
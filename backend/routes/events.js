@@ -0,0 +1,55 @@
+const express = require('express');
+const router = express.Router();
+const { optionalAuth } = require('../middleware/auth');
+const AuthService = require('../services/AuthService');
+const IssueIdService = require('../services/IssueIdService');
+const RealtimeService = require('../services/RealtimeService');
+
+// Upper bound on issues a single anonymous stream may follow
+const MAX_TRACKED_ISSUES = 20;
+
+/**
+ * EventSource cannot set headers, so accept the JWT as ?token= as well
+ */
+const tokenFromQuery = (req, res, next) => {
+  if (req.query.token && !req.headers['authorization']) {
+    req.headers['authorization'] = `Bearer ${req.query.token}`;
+  }
+  next();
+};
+
+/**
+ * GET /api/events/issues
+ * Server-Sent Events stream of issue.created, issue.assigned,
+ * issue.status_changed, issue.priority_changed, issue.linked, issue.confirmed,
+ * issue.reviewed and issue.processed
+ * Staff receive every issue they can see; anyone can follow specific issues
+ * with ?issueIds=CIV-2026-00042-7,...
+ * A signed-in stream is closed when its access token expires or its session
+ * ends; the client reconnects with a renewed token.
+ * Access: Public (issueIds required) / Authenticated
+ */
+router.get('/issues', tokenFromQuery, optionalAuth, (req, res) => {
+  const issueIds = String(req.query.issueIds || '')
+    .split(',')
+    .map(id => IssueIdService.normalize(id))
+    .filter(id => id && IssueIdService.isValid(id))
+    .slice(0, MAX_TRACKED_ISSUES);
+
+  if (!req.user && issueIds.length === 0) {
+    return res.status(401).json({
+      success: false,
+      error: 'Access denied',
+      message: 'Sign in or pass the issueIds to follow'
+    });
+  }
+
+  RealtimeService.subscribe(req, res, {
+    user: req.user || null,
+    sessionId: req.user ? req.sessionId : null,
+    expiresAt: req.user ? AuthService.verifyToken(req.token).exp * 1000 : null,
+    issueIds
+  });
+});
+
+module.exports = router;
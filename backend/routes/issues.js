@@ -1,17 +1,19 @@
 const express = require('express');
 const IssueService = require('../services/IssueService');
 const DepartmentService = require('../services/DepartmentService');
+const IssueIdService = require('../services/IssueIdService');
+const CommentService = require('../services/CommentService');
 const { validate, issueSchemas, querySchemas } = require('../middleware/validation');
 const { 
   authenticateToken, 
   optionalAuth,
-  requireRole, 
+  requirePermission,
   requireAnyRole,
   requireDepartmentAccess,
   requireOwnership,
   getClientIP 
 } = require('../middleware/auth');
-const { issueCreationLimiter, spamDetection } = require('../middleware/security');
+const { issueCreationLimiter, confirmLimiter, commentLimiter, spamDetection } = require('../middleware/security');
 
 const router = express.Router();
 
@@ -36,18 +38,18 @@ async function statusUpdateHandler(req, res) {
       });
     }
 
-    const validStatuses = ['submitted', 'assigned', 'in_progress', 'in-progress', 'resolved', 'closed', 'rejected'];
-    if (!validStatuses.includes(status)) {
+    // Normalize status value (frontend sends 'in-progress', DB expects 'in_progress')
+    const normalizedStatus = normalizeStatus(status);
+
+    // Allowed statuses depend on the department's workflow; IssueService checks those
+    if (!/^[a-z][a-z0-9_]{0,49}$/.test(normalizedStatus)) {
       return res.status(400).json({
         success: false,
         error: 'Invalid status value',
-        message: `Status must be one of: ${validStatuses.join(', ')}. Received: "${status}"`
+        message: `Status must be a workflow status key. Received: "${status}"`
       });
     }
 
-    // Normalize status value (frontend sends 'in-progress', DB expects 'in_progress')
-    const normalizedStatus = normalizeStatus(status);
-    
     const statusUpdate = {
       status: normalizedStatus,
       resolutionNotes: body.resolutionNotes || body.notes || '',
@@ -80,10 +82,10 @@ async function statusUpdateHandler(req, res) {
 router.get('/success-stories',
   async (req, res) => {
     try {
-      const { supabase } = require('../config/database');
+      const { db } = require('../config/database');
       const limit = Math.min(parseInt(req.query.limit) || 10, 30);
 
-      const { data: issues, error } = await supabase
+      const { data: issues, error } = await db
         .from('issues')
         .select(`
           *,
@@ -210,7 +212,7 @@ router.get('/',
 // GET /api/issues/statistics - Get issue statistics for dashboard
 router.get('/statistics',
   authenticateToken,
-  requireAnyRole(['authority', 'admin', 'super_admin']),
+  requirePermission('issue.statistics.read'),
   async (req, res) => {
     try {
       const timeframe = req.query.timeframe || '30d';
@@ -236,7 +238,18 @@ router.get('/:id',
   optionalAuth,
   async (req, res) => {
     try {
-      const result = await IssueService.getIssueById(req.params.id, req.user);
+      const issueId = IssueIdService.normalize(req.params.id);
+
+      // Catch IDs misheard or mistyped over the phone before hitting the database
+      if (!IssueIdService.isValid(issueId)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid issue ID',
+          message: 'The check digit does not match. Please re-check the issue ID.'
+        });
+      }
+
+      const result = await IssueService.getIssueById(issueId, req.user);
       
       res.json({
         success: true,
@@ -253,6 +266,32 @@ router.get('/:id',
   }
 );
 
+// GET /api/issues/:id/transitions - Status changes available to the current user
+router.get('/:id/transitions',
+  authenticateToken,
+  requirePermission('issue.status.update'),
+  async (req, res) => {
+    try {
+      const result = await IssueService.getAvailableTransitions(
+        IssueIdService.normalize(req.params.id),
+        req.user
+      );
+
+      res.json({
+        success: true,
+        ...result
+      });
+    } catch (error) {
+      console.error('Error fetching status transitions:', error);
+      res.status(404).json({
+        success: false,
+        error: 'Failed to fetch status transitions',
+        message: error.message
+      });
+    }
+  }
+);
+
 // POST /api/issues - Create new issue with AI classification and auto-assignment
 router.post('/',
   issueCreationLimiter,
@@ -290,24 +329,42 @@ router.post('/',
   }
 );
 
+// POST /api/issues/similar - Open issues near a report before it is filed, so it can be confirmed instead
+router.post('/similar',
+  validate(issueSchemas.similar),
+  async (req, res) => {
+    try {
+      const result = await IssueService.findSimilarIssues(req.body);
+      res.json(result);
+    } catch (error) {
+      console.error('Error checking for similar issues:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to check for similar issues',
+        message: error.message
+      });
+    }
+  }
+);
+
 // PUT /api/issues/:id/status - Update issue status
 router.put('/:id/status',
   authenticateToken,
-  requireAnyRole(['authority', 'admin', 'super_admin']),
+  requirePermission('issue.status.update'),
   statusUpdateHandler
 );
 
 // PATCH alias for frontend compatibility
 router.patch('/:id/status',
   authenticateToken,
-  requireAnyRole(['authority', 'admin', 'super_admin']),
+  requirePermission('issue.status.update'),
   statusUpdateHandler
 );
 
 // PATCH /api/issues/:id/priority - Update issue priority
 router.patch('/:id/priority',
   authenticateToken,
-  requireAnyRole(['authority', 'admin', 'super_admin']),
+  requirePermission('issue.priority.update'),
   async (req, res) => {
     try {
       const { priority } = req.body;
@@ -321,10 +378,10 @@ router.patch('/:id/priority',
         });
       }
 
-      const { supabase } = require('../config/database');
+      const { db } = require('../config/database');
       const AuditService = require('../services/AuditService');
 
-      const { data: updatedIssue, error } = await supabase
+      const { data: updatedIssue, error } = await db
         .from('issues')
         .update({ priority, updated_at: new Date().toISOString() })
         .eq('issue_id', req.params.id)
@@ -346,6 +403,8 @@ router.patch('/:id/priority',
         `Priority updated to ${priority}`
       );
 
+      IssueService.publishIssueEvent('issue.priority_changed', req.params.id);
+
       res.json({
         success: true,
         message: `Issue priority updated to ${priority}`,
@@ -365,7 +424,7 @@ router.patch('/:id/priority',
 // PUT /api/issues/:id/assign - Manually assign issue to department/user
 router.put('/:id/assign',
   authenticateToken,
-  requireAnyRole(['admin', 'super_admin']),
+  requirePermission('issue.assign'),
   validate(issueSchemas.assignment),
   async (req, res) => {
     try {
@@ -378,6 +437,8 @@ router.put('/:id/assign',
         req.user.id,
         assignmentReason
       );
+
+      IssueService.publishIssueEvent('issue.assigned', req.params.id, { previousRow: result.previousIssue });
       
       res.json({
         success: true,
@@ -398,7 +459,7 @@ router.put('/:id/assign',
 // PUT /api/issues/:id/reassign - Reassign issue to different department/user
 router.put('/:id/reassign',
   authenticateToken,
-  requireAnyRole(['admin', 'super_admin']),
+  requirePermission('issue.reassign'),
   async (req, res) => {
     try {
       const { newDepartmentId, newUserId, reassignmentReason } = req.body;
@@ -418,6 +479,8 @@ router.put('/:id/reassign',
         req.user.id,
         reassignmentReason
       );
+
+      IssueService.publishIssueEvent('issue.assigned', req.params.id, { previousRow: result.previousIssue });
       
       res.json({
         success: true,
@@ -435,28 +498,210 @@ router.put('/:id/reassign',
   }
 );
 
-// POST /api/issues/:id/feedback - Submit citizen feedback
+// POST /api/issues/:id/split - Split a report into sub-issues routed to their own departments
+router.post('/:id/split',
+  authenticateToken,
+  requirePermission('issue.link'),
+  validate(issueSchemas.split),
+  async (req, res) => {
+    try {
+      const result = await IssueService.splitIssue(
+        IssueIdService.normalize(req.params.id),
+        req.body,
+        req.user.id,
+        req.user,
+        getClientIP(req)
+      );
+
+      res.status(201).json({
+        success: true,
+        ...result
+      });
+    } catch (error) {
+      console.error('Error splitting issue:', error);
+      res.status(400).json({
+        success: false,
+        error: 'Failed to split issue',
+        message: error.message
+      });
+    }
+  }
+);
+
+// POST /api/issues/:id/merge - Merge other reports of the same problem into this issue
+router.post('/:id/merge',
+  authenticateToken,
+  requirePermission('issue.link'),
+  validate(issueSchemas.merge),
+  async (req, res) => {
+    try {
+      const result = await IssueService.mergeIssues(
+        IssueIdService.normalize(req.params.id),
+        req.body,
+        req.user.id,
+        req.user,
+        getClientIP(req)
+      );
+
+      res.json({
+        success: true,
+        ...result
+      });
+    } catch (error) {
+      console.error('Error merging issues:', error);
+      res.status(400).json({
+        success: false,
+        error: 'Failed to merge issues',
+        message: error.message
+      });
+    }
+  }
+);
+
+// POST /api/issues/:id/confirm - Confirm an existing issue ("me too") and optionally follow it (signed-in citizen only)
+router.post('/:id/confirm',
+  confirmLimiter,
+  authenticateToken,
+  requireAnyRole(['citizen']),
+  validate(issueSchemas.confirm),
+  async (req, res) => {
+    try {
+      const result = await IssueService.confirmIssue(
+        IssueIdService.normalize(req.params.id),
+        req.body,
+        req.user,
+        getClientIP(req)
+      );
+
+      res.status(result.data.alreadyConfirmed ? 200 : 201).json({
+        success: true,
+        ...result
+      });
+    } catch (error) {
+      console.error('Error confirming issue:', error);
+      res.status(error.message === 'Issue not found' ? 404 : 400).json({
+        success: false,
+        error: 'Failed to confirm issue',
+        message: error.message
+      });
+    }
+  }
+);
+
+// GET /api/issues/:id/comments - Comment threads (internal notes only for staff on the issue)
+router.get('/:id/comments',
+  optionalAuth,
+  async (req, res) => {
+    try {
+      const result = await CommentService.listComments(IssueIdService.normalize(req.params.id), req.user);
+      res.json(result);
+    } catch (error) {
+      console.error('Error fetching comments:', error);
+      res.status(error.message === 'Issue not found' ? 404 : 500).json({
+        success: false,
+        error: 'Failed to fetch comments',
+        message: error.message
+      });
+    }
+  }
+);
+
+// POST /api/issues/:id/comments - Comment, reply, or (staff) post an internal note
+router.post('/:id/comments',
+  commentLimiter,
+  spamDetection,
+  validate(issueSchemas.comment),
+  optionalAuth,
+  async (req, res) => {
+    try {
+      const result = await CommentService.addComment(
+        IssueIdService.normalize(req.params.id),
+        req.body,
+        req.user || null,
+        getClientIP(req)
+      );
+
+      res.status(201).json(result);
+    } catch (error) {
+      console.error('Error posting comment:', error);
+      res.status(/not found/.test(error.message) ? 404 : 400).json({
+        success: false,
+        error: 'Failed to post comment',
+        message: error.message
+      });
+    }
+  }
+);
+
+// POST /api/issues/:id/comments/:commentId/report - Report a comment as inappropriate
+router.post('/:id/comments/:commentId/report',
+  commentLimiter,
+  validate(issueSchemas.commentReport),
+  optionalAuth,
+  async (req, res) => {
+    try {
+      const result = await CommentService.reportComment(
+        IssueIdService.normalize(req.params.id),
+        parseInt(req.params.commentId),
+        req.body,
+        req.user || null,
+        getClientIP(req)
+      );
+
+      res.json(result);
+    } catch (error) {
+      console.error('Error reporting comment:', error);
+      res.status(error.message === 'Comment not found' ? 404 : 400).json({
+        success: false,
+        error: 'Failed to report comment',
+        message: error.message
+      });
+    }
+  }
+);
+
+// PATCH /api/issues/:id/comments/:commentId/moderation - Hide or restore a comment
+router.patch('/:id/comments/:commentId/moderation',
+  authenticateToken,
+  requirePermission('comment.moderate'),
+  validate(issueSchemas.commentModeration),
+  async (req, res) => {
+    try {
+      const result = await CommentService.moderateComment(
+        IssueIdService.normalize(req.params.id),
+        parseInt(req.params.commentId),
+        req.body,
+        req.user,
+        getClientIP(req)
+      );
+
+      res.json(result);
+    } catch (error) {
+      console.error('Error moderating comment:', error);
+      res.status(/not found/.test(error.message) ? 404 : 400).json({
+        success: false,
+        error: 'Failed to moderate comment',
+        message: error.message
+      });
+    }
+  }
+);
+
+// POST /api/issues/:id/feedback - Submit citizen feedback (signed-in reporter only)
 router.post('/:id/feedback',
+  authenticateToken,
+  requireAnyRole(['citizen']),
   validate(issueSchemas.feedback),
   async (req, res) => {
     try {
       const { rating, comment } = req.body;
-      const { citizenEmail } = req.query; // Email verification for anonymous feedback
-      
-      if (!citizenEmail) {
-        return res.status(400).json({
-          success: false,
-          error: 'Missing citizen email',
-          message: 'Citizen email is required for feedback verification'
-        });
-      }
 
       const feedbackData = { rating, comment };
       
       const result = await IssueService.submitCitizenFeedback(
         req.params.id,
         feedbackData,
-        citizenEmail
+        req.user.email
       );
       
       res.json({
@@ -475,10 +720,38 @@ router.post('/:id/feedback',
   }
 );
 
+// POST /api/issues/:id/reopen - Reject a resolution and reopen the issue (signed-in reporter only)
+router.post('/:id/reopen',
+  authenticateToken,
+  requireAnyRole(['citizen']),
+  validate(issueSchemas.reopen),
+  async (req, res) => {
+    try {
+      const { reason, imageUrl } = req.body;
+
+      const result = await IssueService.rejectResolution(
+        IssueIdService.normalize(req.params.id),
+        { reason, imageUrl },
+        req.user.email,
+        getClientIP(req)
+      );
+
+      res.json(result);
+    } catch (error) {
+      console.error('Error reopening issue:', error);
+      res.status(400).json({
+        success: false,
+        error: 'Failed to reopen issue',
+        message: error.message
+      });
+    }
+  }
+);
+
 // GET /api/issues/:id/audit-logs - Get audit logs for specific issue
 router.get('/:id/audit-logs',
   authenticateToken,
-  requireAnyRole(['authority', 'admin', 'super_admin']),
+  requirePermission('issue.audit.read'),
   async (req, res) => {
     try {
       const AuditService = require('../services/AuditService');
@@ -500,22 +773,14 @@ router.get('/:id/audit-logs',
   }
 );
 
-// GET /api/issues/my/dashboard - Get citizen's personal issue dashboard
+// GET /api/issues/my/dashboard - Get the signed-in citizen's personal issue dashboard
 router.get('/my/dashboard',
+  authenticateToken,
+  requireAnyRole(['citizen']),
   async (req, res) => {
     try {
-      const { citizenEmail } = req.query;
-      
-      if (!citizenEmail) {
-        return res.status(400).json({
-          success: false,
-          error: 'Missing citizen email',
-          message: 'Citizen email is required'
-        });
-      }
-
       const filters = {
-        citizenEmail,
+        citizenEmail: req.user.email,
         page: 1,
         limit: 100 // Get more for dashboard
       };
@@ -534,11 +799,11 @@ router.get('/my/dashboard',
 
       const stats = {
         total: issues.data.length,
-        submitted: issues.data.filter(i => i.status === 'submitted').length,
-        assigned: issues.data.filter(i => i.status === 'assigned').length,
-        in_progress: issues.data.filter(i => i.status === 'in_progress').length,
-        resolved: issues.data.filter(i => i.status === 'resolved').length,
-        closed: issues.data.filter(i => i.status === 'closed').length,
+        submitted: issues.data.filter(i => i.statusStage === 'submitted').length,
+        assigned: issues.data.filter(i => i.statusStage === 'assigned').length,
+        in_progress: issues.data.filter(i => i.statusStage === 'in_progress').length,
+        resolved: issues.data.filter(i => i.statusStage === 'resolved').length,
+        closed: issues.data.filter(i => i.statusStage === 'closed').length,
         recent_issues: issues.data.slice(0, 5), // Last 5 issues
         avg_resolution_days: avgResolutionDays
       };
@@ -547,6 +812,7 @@ router.get('/my/dashboard',
         success: true,
         data: {
           statistics: stats,
+          issues: issues.data,
           recent_issues: issues.data.slice(0, 10),
           total_issues: issues.data.length
         }
@@ -565,7 +831,7 @@ router.get('/my/dashboard',
 // PUT /api/issues/:id - Update issue (Admin only for most fields)
 router.put('/:id',
   authenticateToken,
-  requireAnyRole(['admin', 'super_admin']),
+  requirePermission('issue.edit'),
   validate(issueSchemas.update),
   async (req, res) => {
     try {
@@ -592,10 +858,10 @@ router.put('/:id',
       }
 
       // For other updates, use direct database update
-      const { supabase } = require('../config/database');
+      const { db } = require('../config/database');
       const AuditService = require('../services/AuditService');
       
-      const { data: updatedIssue, error } = await supabase
+      const { data: updatedIssue, error } = await db
         .from('issues')
         .update(req.body)
         .eq('issue_id', req.params.id)
@@ -637,14 +903,14 @@ router.put('/:id',
 // DELETE /api/issues/:id - Delete issue (Super admin only, soft delete)
 router.delete('/:id',
   authenticateToken,
-  requireRole('super_admin'),
+  requirePermission('issue.delete'),
   async (req, res) => {
     try {
-      const { supabase } = require('../config/database');
+      const { db } = require('../config/database');
       const AuditService = require('../services/AuditService');
       
       // Soft delete by setting status to rejected
-      const { data: deletedIssue, error } = await supabase
+      const { data: deletedIssue, error } = await db
         .from('issues')
         .update({ 
           status: 'rejected',
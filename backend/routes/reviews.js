@@ -0,0 +1,76 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requirePermission, getClientIP } = require('../middleware/auth');
+const { validate, classificationReviewSchemas } = require('../middleware/validation');
+const ClassificationReviewService = require('../services/ClassificationReviewService');
+const AIService = require('../services/AIService');
+const IssueIdService = require('../services/IssueIdService');
+
+// Reviewers correct the AI's category on issues they can see
+router.use(authenticateToken);
+router.use(requirePermission('issue.classification.review'));
+
+/**
+ * GET /api/classification-reviews
+ * Issues whose AI classification needs a human review, least confident first
+ * Access: issue.classification.review permission, limited to issues the user can see
+ */
+router.get('/', validate(classificationReviewSchemas.queue, 'query'), async (req, res) => {
+  try {
+    const result = await ClassificationReviewService.getQueue({ ...req.query }, req.user);
+    res.json(result);
+  } catch (error) {
+    console.error('Error fetching review queue:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch review queue',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/classification-reviews/training-data?limit=1000&reviewedOnly=true
+ * Labelled issues for training a classifier, with reviewed categories as labels
+ * Access: issue.classification.review and analytics.read permissions
+ */
+router.get('/training-data', requirePermission('analytics.read'), validate(classificationReviewSchemas.trainingData, 'query'), async (req, res) => {
+  try {
+    const { limit, reviewedOnly } = req.query;
+    const data = await AIService.prepareTrainingData(limit, { reviewedOnly });
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('Error preparing training data:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to prepare training data',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/classification-reviews/:issueId
+ * Accept, override or reject the AI's category for an issue in the queue
+ * Access: issue.classification.review permission
+ */
+router.post('/:issueId', validate(classificationReviewSchemas.review), async (req, res) => {
+  try {
+    const result = await ClassificationReviewService.reviewIssue(
+      IssueIdService.normalize(req.params.issueId),
+      req.body,
+      req.user,
+      getClientIP(req)
+    );
+    res.json(result);
+  } catch (error) {
+    console.error('Error reviewing classification:', error);
+    res.status(/not found/i.test(error.message) ? 404 : 400).json({
+      success: false,
+      error: 'Failed to review classification',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,116 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requireStaff, requirePermission, getClientIP } = require('../middleware/auth');
+const { validate, roleSchemas } = require('../middleware/validation');
+const PermissionService = require('../services/PermissionService');
+
+router.use(authenticateToken);
+
+/**
+ * GET /api/roles
+ * List every role and the permissions it grants
+ * Access: Staff
+ */
+router.get('/', requireStaff, async (req, res) => {
+  try {
+    const roles = await PermissionService.listRoles();
+
+    res.json({
+      success: true,
+      count: roles.length,
+      data: roles
+    });
+  } catch (error) {
+    console.error('Error fetching roles:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch roles',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/roles/permissions
+ * The catalog of permissions that roles can grant
+ * Access: Staff
+ */
+router.get('/permissions', requireStaff, (req, res) => {
+  res.json({
+    success: true,
+    data: PermissionService.listPermissions()
+  });
+});
+
+/**
+ * POST /api/roles
+ * Create a custom role
+ * Access: role.manage permission
+ */
+router.post('/', requirePermission('role.manage'), validate(roleSchemas.create), async (req, res) => {
+  try {
+    const role = await PermissionService.createRole(req.body, req.user.id, getClientIP(req));
+
+    res.status(201).json({
+      success: true,
+      message: 'Role created successfully',
+      data: role
+    });
+  } catch (error) {
+    console.error('Error creating role:', error);
+    res.status(400).json({
+      success: false,
+      error: 'Failed to create role',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/roles/:name
+ * Change a role's display name, description or permissions
+ * Access: role.manage permission
+ */
+router.put('/:name', requirePermission('role.manage'), validate(roleSchemas.update), async (req, res) => {
+  try {
+    const role = await PermissionService.updateRole(req.params.name, req.body, req.user.id, getClientIP(req));
+
+    res.json({
+      success: true,
+      message: 'Role updated successfully',
+      data: role
+    });
+  } catch (error) {
+    console.error('Error updating role:', error);
+    res.status(error.message.includes('not found') ? 404 : 400).json({
+      success: false,
+      error: 'Failed to update role',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/roles/:name
+ * Delete a custom role nobody holds
+ * Access: role.manage permission
+ */
+router.delete('/:name', requirePermission('role.manage'), async (req, res) => {
+  try {
+    await PermissionService.deleteRole(req.params.name, req.user.id, getClientIP(req));
+
+    res.json({
+      success: true,
+      message: 'Role deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting role:', error);
+    res.status(error.message.includes('not found') ? 404 : 400).json({
+      success: false,
+      error: 'Failed to delete role',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,90 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requirePermission, getClientIP } = require('../middleware/auth');
+const { validate, routingRuleSchemas } = require('../middleware/validation');
+const RoutingRuleService = require('../services/RoutingRuleService');
+const DepartmentService = require('../services/DepartmentService');
+
+// Routing rules are managed by staff with routing.manage (super admins by default)
+router.use(authenticateToken);
+router.use(requirePermission('routing.manage'));
+
+/**
+ * GET /api/routing-rules
+ * The rules in effect, in the order they are checked
+ * Access: routing.manage permission
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { rules, builtIn } = await RoutingRuleService.listRules();
+
+    res.json({
+      success: true,
+      count: rules.length,
+      data: rules,
+      builtIn,
+      fallback: RoutingRuleService.FALLBACK_RULE
+    });
+  } catch (error) {
+    console.error('Error fetching routing rules:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch routing rules',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/routing-rules
+ * Replace the rule set with an ordered list (an empty list restores the built-in rules)
+ * Access: routing.manage permission
+ */
+router.put('/', validate(routingRuleSchemas.save), async (req, res) => {
+  try {
+    const { rules, builtIn } = await RoutingRuleService.saveRules(req.body.rules, req.user.id, getClientIP(req));
+
+    res.json({
+      success: true,
+      message: builtIn ? 'Routing rules cleared; the built-in rules now apply' : 'Routing rules saved',
+      count: rules.length,
+      data: rules,
+      builtIn
+    });
+  } catch (error) {
+    console.error('Error saving routing rules:', error);
+    res.status(error.details ? 400 : 500).json({
+      success: false,
+      error: 'Failed to save routing rules',
+      message: error.message,
+      details: error.details
+    });
+  }
+});
+
+/**
+ * POST /api/routing-rules/test
+ * Dry run: which rule, department and officer a sample issue would get.
+ * Send `rules` to try an unsaved rule set; nothing is assigned or stored.
+ * Access: routing.manage permission
+ */
+router.post('/test', validate(routingRuleSchemas.test), async (req, res) => {
+  try {
+    const result = await DepartmentService.previewRouting(req.body.issue, req.body.rules || null);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error testing routing rules:', error);
+    res.status(error.details ? 400 : 500).json({
+      success: false,
+      error: 'Failed to test routing rules',
+      message: error.message,
+      details: error.details
+    });
+  }
+});
+
+module.exports = router;
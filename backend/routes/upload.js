@@ -2,7 +2,7 @@ const express = require('express');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
-const { authenticateToken, requireAnyRole } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 const router = express.Router();
 
 // Ensure uploads directory exists
@@ -81,6 +81,7 @@ router.post('/classify', upload.single('image'), async (req, res) => {
             category: aiClassification.verified_category,
             confidence: aiClassification.confidence_score,
             explanation: aiClassification.ai_explanation,
+            classifier: aiClassification.ai_classifier,
             needsReview: aiClassification.needs_review,
             wasReclassified: aiClassification.was_reclassified,
             reclassificationEvent: aiClassification.reclassification_event
@@ -93,7 +94,7 @@ router.post('/classify', upload.single('image'), async (req, res) => {
       
       // Provide more specific error messages
       let userFriendlyError = 'AI classification failed';
-      if (aiError.message.includes('GEMINI_API_KEY')) {
+      if (aiError.message.includes('not configured')) {
         userFriendlyError = 'AI service not configured - missing API key';
       } else if (aiError.message.includes('API')) {
         userFriendlyError = 'AI service temporarily unavailable';
@@ -204,7 +205,7 @@ router.post('/images', upload.array('images', 5), (req, res) => {
 });
 
 // DELETE /api/upload/:filename - Delete uploaded file
-router.delete('/:filename', authenticateToken, requireAnyRole(['admin', 'super_admin']), (req, res) => {
+router.delete('/:filename', authenticateToken, requirePermission('upload.manage'), (req, res) => {
   try {
     // Sanitize filename to prevent path traversal
     const filename = path.basename(req.params.filename);
@@ -245,7 +246,7 @@ router.delete('/:filename', authenticateToken, requireAnyRole(['admin', 'super_a
 });
 
 // GET /api/upload/list - List all uploaded files
-router.get('/list', authenticateToken, requireAnyRole(['admin', 'super_admin']), (req, res) => {
+router.get('/list', authenticateToken, requirePermission('upload.manage'), (req, res) => {
   try {
     const files = fs.readdirSync(uploadsDir);
     
@@ -0,0 +1,118 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requirePermission, getClientIP } = require('../middleware/auth');
+const { validate, wardSchemas } = require('../middleware/validation');
+const WardService = require('../services/WardService');
+
+/**
+ * GET /api/wards
+ * Every ward boundary as a GeoJSON FeatureCollection, for maps
+ * Access: Public
+ */
+router.get('/', async (req, res) => {
+  try {
+    const boundaries = await WardService.getBoundaries();
+
+    res.json({
+      success: true,
+      count: boundaries.features.length,
+      data: boundaries
+    });
+  } catch (error) {
+    console.error('Error fetching ward boundaries:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch ward boundaries',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/wards/lookup?lat=..&lng=..
+ * The ward containing a point (data is null outside every ward)
+ * Access: Public
+ */
+router.get('/lookup', async (req, res) => {
+  try {
+    const lat = parseFloat(req.query.lat);
+    const lng = parseFloat(req.query.lng);
+
+    if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+      return res.status(400).json({
+        success: false,
+        error: 'Valid lat and lng query parameters are required'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await WardService.findWard(lat, lng)
+    });
+  } catch (error) {
+    console.error('Error looking up ward:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to look up ward',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/wards/import
+ * Create or update wards from a GeoJSON FeatureCollection of (Multi)Polygons
+ * Access: ward.manage permission
+ */
+router.post('/import', authenticateToken, requirePermission('ward.manage'), validate(wardSchemas.import), async (req, res) => {
+  try {
+    const { geojson, ...options } = req.body;
+    const result = await WardService.importWards(geojson, options, req.user.id, getClientIP(req));
+
+    res.json({
+      success: true,
+      message: `Ward boundaries imported: ${result.created} created, ${result.updated} updated, ${result.removed} removed`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error importing wards:', error);
+    res.status(error.details ? 400 : 500).json({
+      success: false,
+      error: 'Failed to import wards',
+      message: error.message,
+      details: error.details
+    });
+  }
+});
+
+/**
+ * DELETE /api/wards/:code
+ * Remove a ward boundary
+ * Access: ward.manage permission
+ */
+router.delete('/:code', authenticateToken, requirePermission('ward.manage'), async (req, res) => {
+  try {
+    const deleted = await WardService.deleteWard(req.params.code, req.user.id, getClientIP(req));
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Ward not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Ward removed'
+    });
+  } catch (error) {
+    console.error('Error deleting ward:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete ward',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
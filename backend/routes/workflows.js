@@ -0,0 +1,172 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requirePermission, getClientIP } = require('../middleware/auth');
+const { validate, workflowSchemas } = require('../middleware/validation');
+const WorkflowService = require('../services/WorkflowService');
+
+// Workflows are managed by staff with workflow.manage
+router.use(authenticateToken);
+router.use(requirePermission('workflow.manage'));
+
+/**
+ * Respond to a failed save, surfacing definition problems as a 400
+ */
+const handleSaveError = (res, error) => {
+  console.error('Error saving workflow:', error);
+  res.status(error.details ? 400 : 500).json({
+    success: false,
+    error: 'Failed to save workflow',
+    message: error.message,
+    details: error.details
+  });
+};
+
+/**
+ * GET /api/workflows
+ * List the default workflow and every department-specific workflow
+ * Access: workflow.manage permission
+ */
+router.get('/', async (req, res) => {
+  try {
+    const workflows = await WorkflowService.listWorkflows();
+
+    res.json({
+      success: true,
+      count: workflows.length,
+      data: workflows,
+      stages: WorkflowService.STAGES
+    });
+  } catch (error) {
+    console.error('Error fetching workflows:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch workflows',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/workflows/default
+ * Get the default workflow
+ * Access: workflow.manage permission
+ */
+router.get('/default', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await WorkflowService.getWorkflow(null)
+    });
+  } catch (error) {
+    console.error('Error fetching workflow:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch workflow',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/workflows/departments/:departmentId
+ * Get the workflow in effect for a department (its own or the default)
+ * Access: workflow.manage permission
+ */
+router.get('/departments/:departmentId', async (req, res) => {
+  try {
+    const workflow = await WorkflowService.getWorkflow(req.params.departmentId);
+
+    res.json({
+      success: true,
+      data: workflow,
+      inherited: String(workflow.department_id) !== String(req.params.departmentId)
+    });
+  } catch (error) {
+    console.error('Error fetching workflow:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch workflow',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/workflows/default
+ * Replace the default workflow
+ * Access: workflow.manage permission
+ */
+router.put('/default', validate(workflowSchemas.save), async (req, res) => {
+  try {
+    const workflow = await WorkflowService.saveWorkflow(null, req.body, req.user.id, getClientIP(req));
+
+    res.json({
+      success: true,
+      message: 'Default workflow saved',
+      data: workflow
+    });
+  } catch (error) {
+    handleSaveError(res, error);
+  }
+});
+
+/**
+ * PUT /api/workflows/departments/:departmentId
+ * Create or replace a department's own workflow
+ * Access: workflow.manage permission
+ */
+router.put('/departments/:departmentId', validate(workflowSchemas.save), async (req, res) => {
+  try {
+    const workflow = await WorkflowService.saveWorkflow(
+      parseInt(req.params.departmentId, 10),
+      req.body,
+      req.user.id,
+      getClientIP(req)
+    );
+
+    res.json({
+      success: true,
+      message: 'Department workflow saved',
+      data: workflow
+    });
+  } catch (error) {
+    handleSaveError(res, error);
+  }
+});
+
+/**
+ * DELETE /api/workflows/departments/:departmentId
+ * Remove a department's workflow so it uses the default again
+ * Access: workflow.manage permission
+ */
+router.delete('/departments/:departmentId', async (req, res) => {
+  try {
+    const deleted = await WorkflowService.deleteWorkflow(
+      parseInt(req.params.departmentId, 10),
+      req.user.id,
+      getClientIP(req)
+    );
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Department has no workflow of its own'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Department workflow removed; the default workflow now applies'
+    });
+  } catch (error) {
+    console.error('Error deleting workflow:', error);
+    res.status(error.details ? 400 : 500).json({
+      success: false,
+      error: 'Failed to delete workflow',
+      message: error.message,
+      details: error.details
+    });
+  }
+});
+
+module.exports = router;
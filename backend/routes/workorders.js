@@ -0,0 +1,178 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requirePermission, getClientIP } = require('../middleware/auth');
+const { validate, workOrderSchemas } = require('../middleware/validation');
+const WorkOrderService = require('../services/WorkOrderService');
+const IssueIdService = require('../services/IssueIdService');
+
+// Work orders are scheduled by department staff with work_order.manage
+router.use(authenticateToken);
+router.use(requirePermission('work_order.manage'));
+
+const errorStatus = (error) => /not found/i.test(error.message) ? 404 : 400;
+
+/**
+ * GET /api/work-orders?from=..&to=..
+ * Work orders overlapping a date range (tomorrow by default), or every work
+ * order of one issue with `issueId`. Conflicting crew bookings are flagged.
+ * Access: work_order.manage permission, limited to issues the user can see
+ */
+router.get('/', validate(workOrderSchemas.filters, 'query'), async (req, res) => {
+  try {
+    const filters = { ...req.query };
+    if (filters.issueId) {
+      filters.issueId = IssueIdService.normalize(filters.issueId);
+    }
+
+    const result = await WorkOrderService.listWorkOrders(filters, req.user);
+    res.json(result);
+  } catch (error) {
+    console.error('Error fetching work orders:', error);
+    res.status(error.details ? 400 : 500).json({
+      success: false,
+      error: 'Failed to fetch work orders',
+      message: error.message,
+      details: error.details
+    });
+  }
+});
+
+/**
+ * GET /api/work-orders/:id
+ * Access: work_order.manage permission
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const result = await WorkOrderService.getWorkOrder(parseInt(req.params.id), req.user);
+    res.json(result);
+  } catch (error) {
+    console.error('Error fetching work order:', error);
+    res.status(/not found/i.test(error.message) ? 404 : 500).json({
+      success: false,
+      error: 'Failed to fetch work order',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/work-orders
+ * Schedule a crew, materials and checklist for an open issue
+ * Access: work_order.manage permission
+ */
+router.post('/', validate(workOrderSchemas.create), async (req, res) => {
+  try {
+    const { issueId, ...details } = req.body;
+    const result = await WorkOrderService.createWorkOrder(IssueIdService.normalize(issueId), details, req.user, getClientIP(req));
+
+    res.status(201).json(result);
+  } catch (error) {
+    console.error('Error scheduling work order:', error);
+    res.status(errorStatus(error)).json({
+      success: false,
+      error: 'Failed to schedule work order',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PATCH /api/work-orders/:id
+ * Reschedule or edit a work order that is not yet completed or cancelled
+ * Access: work_order.manage permission
+ */
+router.patch('/:id', validate(workOrderSchemas.update), async (req, res) => {
+  try {
+    const result = await WorkOrderService.updateWorkOrder(parseInt(req.params.id), req.body, req.user, getClientIP(req));
+    res.json(result);
+  } catch (error) {
+    console.error('Error updating work order:', error);
+    res.status(errorStatus(error)).json({
+      success: false,
+      error: 'Failed to update work order',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PATCH /api/work-orders/:id/checklist/:index
+ * Tick or untick a checklist item
+ * Access: work_order.manage permission
+ */
+router.patch('/:id/checklist/:index', validate(workOrderSchemas.checklistItem), async (req, res) => {
+  try {
+    const result = await WorkOrderService.setChecklistItem(
+      parseInt(req.params.id),
+      parseInt(req.params.index),
+      req.body.done,
+      req.user
+    );
+    res.json(result);
+  } catch (error) {
+    console.error('Error updating work order checklist:', error);
+    res.status(errorStatus(error)).json({
+      success: false,
+      error: 'Failed to update checklist',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/work-orders/:id/start
+ * Access: work_order.manage permission
+ */
+router.post('/:id/start', async (req, res) => {
+  try {
+    const result = await WorkOrderService.startWorkOrder(parseInt(req.params.id), req.user, getClientIP(req));
+    res.json(result);
+  } catch (error) {
+    console.error('Error starting work order:', error);
+    res.status(errorStatus(error)).json({
+      success: false,
+      error: 'Failed to start work order',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/work-orders/:id/complete
+ * Close out a work order whose checklist is done and record its actual cost
+ * Access: work_order.manage permission
+ */
+router.post('/:id/complete', validate(workOrderSchemas.complete), async (req, res) => {
+  try {
+    const result = await WorkOrderService.completeWorkOrder(parseInt(req.params.id), req.body, req.user, getClientIP(req));
+    res.json(result);
+  } catch (error) {
+    console.error('Error completing work order:', error);
+    res.status(errorStatus(error)).json({
+      success: false,
+      error: 'Failed to complete work order',
+      message: error.message,
+      details: error.details
+    });
+  }
+});
+
+/**
+ * POST /api/work-orders/:id/cancel
+ * Access: work_order.manage permission
+ */
+router.post('/:id/cancel', validate(workOrderSchemas.cancel), async (req, res) => {
+  try {
+    const result = await WorkOrderService.cancelWorkOrder(parseInt(req.params.id), req.body, req.user, getClientIP(req));
+    res.json(result);
+  } catch (error) {
+    console.error('Error cancelling work order:', error);
+    res.status(errorStatus(error)).json({
+      success: false,
+      error: 'Failed to cancel work order',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
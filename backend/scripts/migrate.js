@@ -0,0 +1,74 @@
+/**
+ * Database Migration Script
+ *
+ * Applies the versioned migrations in db/migrations to the database in
+ * DATABASE_URL (for Supabase, use the connection string from
+ * Settings → Database).
+ *
+ * Run:
+ *   npm run migrate up [-- --to 003]        Apply pending migrations
+ *   npm run migrate down [-- --steps 2]     Roll back the latest migration(s)
+ *   npm run migrate status                  Show applied / pending migrations
+ *   npm run migrate schema                  Print the full schema SQL
+ */
+
+require('dotenv').config({ path: require('path').join(__dirname, '..', '.env') });
+const { Pool } = require('pg');
+const { Migrator, buildSchema } = require('../db/Migrator');
+
+const [command = 'status', ...args] = process.argv.slice(2);
+
+const option = (name) => {
+  const index = args.indexOf(`--${name}`);
+  return index !== -1 ? args[index + 1] : null;
+};
+
+async function main() {
+  if (command === 'schema') {
+    process.stdout.write(`${buildSchema()}\n`);
+    return;
+  }
+
+  if (!['up', 'down', 'status'].includes(command)) {
+    console.error(`❌ Unknown command "${command}". Use: up | down | status | schema`);
+    process.exit(1);
+  }
+
+  if (!process.env.DATABASE_URL) {
+    console.error('❌ Set DATABASE_URL to the PostgreSQL connection string first.');
+    process.exit(1);
+  }
+
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: process.env.DATABASE_SSL === 'true' ? { rejectUnauthorized: false } : undefined
+  });
+  const migrator = new Migrator({ pool });
+
+  try {
+    if (command === 'up') {
+      const applied = await migrator.up({ to: option('to') });
+      console.log(applied.length ? `✅ Applied ${applied.length} migration(s)` : '✅ Database is up to date');
+    } else if (command === 'down') {
+      const steps = parseInt(option('steps'), 10) || 1;
+      const reverted = await migrator.down({ steps, to: option('to') });
+      console.log(reverted.length ? `✅ Reverted ${reverted.length} migration(s)` : 'ℹ️  Nothing to roll back');
+    } else {
+      const rows = await migrator.status();
+      const icons = { applied: '✅', pending: '⏳', modified: '⚠️ ', missing: '❓' };
+      console.log('\n📋 Migration status\n');
+      rows.forEach(row => {
+        const when = row.applied_at ? new Date(row.applied_at).toISOString() : '';
+        console.log(`  ${icons[row.state]} ${row.version}_${row.name}  ${row.state}  ${when}`);
+      });
+      console.log('');
+    }
+  } finally {
+    await pool.end();
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Migration failed:', error.message);
+  process.exit(1);
+});
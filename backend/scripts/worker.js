@@ -0,0 +1,47 @@
+/**
+ * Background Job Worker
+ *
+ * Runs the job queue (AI classification, photo hashing, duplicate checks)
+ * outside the API process. Start the API with JOB_WORKER_CONCURRENCY=0 to
+ * leave all jobs to workers started this way.
+ *
+ * Live dashboard updates (issue.processed) are pushed to the browsers
+ * connected to the same process, so jobs finished here reach the dashboard on
+ * its next refresh rather than live.
+ *
+ * Run:
+ *   npm run worker
+ */
+
+require('dotenv').config({ path: require('path').join(__dirname, '..', '.env') });
+const { testConnection } = require('../config/database');
+const JobQueueService = require('../services/JobQueueService');
+
+// Registers the issue.ai_processing handler
+require('../services/IssueService');
+
+async function main() {
+  const isConnected = await testConnection();
+  if (!isConnected) {
+    console.error('❌ Database connection failed; check the database settings in .env');
+    process.exit(1);
+  }
+
+  const concurrency = parseInt(process.env.JOB_WORKER_CONCURRENCY, 10);
+  if (!JobQueueService.start({ concurrency: concurrency > 0 ? concurrency : 2 })) {
+    process.exit(1);
+  }
+
+  ['SIGTERM', 'SIGINT'].forEach(signal => {
+    process.once(signal, async () => {
+      console.log(`🛑 ${signal} received, finishing running jobs...`);
+      await JobQueueService.stop();
+      process.exit(0);
+    });
+  });
+}
+
+main().catch(error => {
+  console.error('❌ Worker failed:', error.message);
+  process.exit(1);
+});
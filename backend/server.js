@@ -13,6 +13,13 @@ const authRouter = require('./routes/auth');
 const uploadRouter = require('./routes/upload');
 const departmentRouter = require('./routes/departments');
 const adminRouter = require('./routes/admin');
+const workflowRouter = require('./routes/workflows');
+const rolesRouter = require('./routes/roles');
+const eventsRouter = require('./routes/events');
+const wardsRouter = require('./routes/wards');
+const routingRouter = require('./routes/routing');
+const workOrdersRouter = require('./routes/workorders');
+const classificationReviewsRouter = require('./routes/reviews');
 
 // Import middleware
 const { attachIP } = require('./middleware/auth');
@@ -30,7 +37,7 @@ const {
 // Import services for background tasks
 const DepartmentService = require('./services/DepartmentService');
 const NotificationService = require('./services/NotificationService');
-const bcrypt = require('bcryptjs');
+const JobQueueService = require('./services/JobQueueService');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -123,6 +130,13 @@ app.use('/api/issues', issuesRouter);
 app.use('/api/upload', uploadRouter);
 app.use('/api/departments', departmentRouter);
 app.use('/api/admin', adminRouter);
+app.use('/api/workflows', workflowRouter);
+app.use('/api/roles', rolesRouter);
+app.use('/api/events', eventsRouter);
+app.use('/api/wards', wardsRouter);
+app.use('/api/routing-rules', routingRouter);
+app.use('/api/work-orders', workOrdersRouter);
+app.use('/api/classification-reviews', classificationReviewsRouter);
 
 // Health check endpoint with detailed information
 app.get('/api/health', (req, res) => {
@@ -161,59 +175,6 @@ app.get('/api/status', async (req, res) => {
   }
 });
 
-// ─── Auto-heal: verify & fix user passwords on startup ───
-const ensurePasswordsValid = async () => {
-  const DEFAULT_PASSWORD = 'Admin@123';
-  const SALT_ROUNDS = 12;
-  const { supabase } = require('./config/database');
-
-  try {
-    // Check admin account password
-    const { data: admin, error } = await supabase
-      .from('users')
-      .select('id, username, password')
-      .eq('username', 'admin')
-      .single();
-
-    if (error || !admin) {
-      console.log('⚠️  No admin user found — skipping password check');
-      return;
-    }
-
-    const isValid = await bcrypt.compare(DEFAULT_PASSWORD, admin.password);
-    if (isValid) {
-      console.log('✅ User passwords verified OK');
-      return;
-    }
-
-    // Passwords are broken — regenerate for ALL users
-    console.log('🔧 Password hash mismatch detected — fixing all user passwords...');
-    const correctHash = await bcrypt.hash(DEFAULT_PASSWORD, SALT_ROUNDS);
-
-    const { data: allUsers, error: fetchErr } = await supabase
-      .from('users')
-      .select('id, username');
-
-    if (fetchErr || !allUsers) {
-      console.error('❌ Failed to fetch users for password fix:', fetchErr?.message);
-      return;
-    }
-
-    let fixed = 0;
-    for (const u of allUsers) {
-      const { error: upErr } = await supabase
-        .from('users')
-        .update({ password: correctHash })
-        .eq('id', u.id);
-      if (!upErr) fixed++;
-      else console.error(`  ❌ ${u.username}: ${upErr.message}`);
-    }
-    console.log(`✅ Fixed passwords for ${fixed}/${allUsers.length} users (password: ${DEFAULT_PASSWORD})`);
-  } catch (err) {
-    console.error('❌ Password auto-heal failed:', err.message);
-  }
-};
-
 // Background tasks setup
 const setupBackgroundTasks = () => {
   // Check for SLA violations every hour
@@ -250,6 +211,17 @@ const setupBackgroundTasks = () => {
     }
   });
 
+  // Remove completed background jobs weekly (keep last 7 days)
+  cron.schedule('30 2 * * SUN', async () => {
+    try {
+      console.log('🧹 Cleaning completed jobs...');
+      const result = await JobQueueService.cleanup(7);
+      console.log(`📊 Job Cleanup Complete: ${result.deletedCount} completed jobs removed`);
+    } catch (error) {
+      console.error('❌ Job cleanup failed:', error);
+    }
+  });
+
   console.log('⏰ Background tasks scheduled successfully');
 };
 
@@ -268,16 +240,20 @@ app.listen(PORT, async () => {
     console.log(`📊 Features: Role-based auth, department routing, AI classification`);
     
     // Test database connection
-    console.log('🔗 Testing Supabase database connection...');
+    console.log('🔗 Testing database connection...');
     const isConnected = await testConnection();
     if (isConnected) {
       console.log('✅ Database ready for operations');
       
-      // Auto-heal passwords if hash is broken
-      await ensurePasswordsValid();
-      
       // Setup background tasks only if database is connected
       setupBackgroundTasks();
+
+      // Work through queued AI processing (JOB_WORKER_CONCURRENCY=0 leaves it to npm run worker)
+      try {
+        JobQueueService.start();
+      } catch (error) {
+        console.error('❌ Job workers failed to start:', error.message);
+      }
       
       // Initialize notification system
       try {
@@ -296,4 +272,13 @@ app.listen(PORT, async () => {
   } catch (err) {
     console.error('❌ Startup error:', err);
   }
+});
+
+// Let running jobs finish before exiting
+['SIGTERM', 'SIGINT'].forEach(signal => {
+  process.once(signal, async () => {
+    console.log(`🛑 ${signal} received, shutting down...`);
+    await JobQueueService.stop();
+    process.exit(0);
+  });
 });
\ No newline at end of file
@@ -0,0 +1,431 @@
+/**
+ * AI Accuracy Service
+ * Measures how well the AI classifies issues against the categories people
+ * confirmed afterwards, and holds the confidence thresholds admins tune from
+ * that report.
+ *
+ * Ground truth is `classification_reviews`: decisions from the review queue
+ * and feedback recorded by AIService.updateModelBasedOnFeedback. The latest
+ * entry per issue counts, comparing the AI's category with the final one.
+ * The review queue only sees issues under the review cutoff, so until other
+ * feedback comes in the figures describe the AI's less confident calls.
+ *
+ * Thresholds live in `ai_settings` and fall back to DEFAULT_THRESHOLDS:
+ *   review_confidence     below it an issue goes to the review queue
+ *   duplicate_confidence  Gemini's confidence needed to flag a duplicate photo
+ */
+
+const { db } = require('../config/database');
+const AuditService = require('./AuditService');
+
+const DEFAULT_THRESHOLDS = {
+  review_confidence: 0.6,
+  duplicate_confidence: 0.7
+};
+
+const THRESHOLD_RANGE = { min: 0.05, max: 0.99 };
+
+const GRANULARITIES = ['day', 'week', 'month'];
+
+const CALIBRATION_BINS = 10;
+
+// Candidate review cutoffs shown in the threshold curve
+const THRESHOLD_STEPS = Array.from({ length: 13 }, (_, i) => Math.round((0.3 + i * 0.05) * 100) / 100);
+
+// Labelled issues needed above a cutoff before it can be recommended
+const MIN_RECOMMENDATION_SAMPLES = 5;
+
+const DEFAULT_REPORT_DAYS = 90;
+
+const CACHE_TTL_MS = 60 * 1000;
+
+const round = (value, digits = 3) =>
+  (value === null || value === undefined || isNaN(value) ? null : Math.round(value * 10 ** digits) / 10 ** digits);
+
+const ratio = (part, whole) => (whole > 0 ? round(part / whole) : null);
+
+const mean = (values) => {
+  const present = values.filter(value => value !== null);
+  return present.length ? round(present.reduce((sum, value) => sum + value, 0) / present.length) : null;
+};
+
+class AIAccuracyService {
+  constructor() {
+    this.cache = null;
+    this.cacheLoadedAt = 0;
+  }
+
+  /**
+   * Current thresholds, saved values over the defaults (cached briefly; invalidated on save)
+   */
+  async getThresholds() {
+    if (this.cache && Date.now() - this.cacheLoadedAt < CACHE_TTL_MS) {
+      return this.cache;
+    }
+
+    const { data, error } = await db.from('ai_settings').select('key, value');
+
+    const thresholds = { ...DEFAULT_THRESHOLDS };
+    if (error) {
+      // Table not migrated yet: keep the built-in thresholds
+      console.warn('⚠️ AI settings unavailable, using default thresholds:', error.message);
+    } else {
+      for (const row of data || []) {
+        const value = Number(row.value);
+        if (row.key in DEFAULT_THRESHOLDS && !isNaN(value)) {
+          thresholds[row.key] = value;
+        }
+      }
+    }
+
+    this.cache = thresholds;
+    this.cacheLoadedAt = Date.now();
+    return this.cache;
+  }
+
+  invalidateCache() {
+    this.cache = null;
+    this.cacheLoadedAt = 0;
+  }
+
+  /**
+   * Save new threshold values
+   * @param {Object} changes - e.g. `{ review_confidence: 0.55 }`
+   */
+  async updateThresholds(changes = {}, userId = null, ipAddress = null) {
+    try {
+      const entries = Object.entries(changes).filter(([, value]) => value !== undefined);
+      if (entries.length === 0) {
+        throw new Error('No thresholds to update');
+      }
+
+      const problems = [];
+      for (const [key, value] of entries) {
+        if (!(key in DEFAULT_THRESHOLDS)) {
+          problems.push(`Unknown threshold "${key}"`);
+        } else if (typeof value !== 'number' || value < THRESHOLD_RANGE.min || value > THRESHOLD_RANGE.max) {
+          problems.push(`${key} must be between ${THRESHOLD_RANGE.min} and ${THRESHOLD_RANGE.max}`);
+        }
+      }
+      if (problems.length) {
+        const validationError = new Error(problems.join('; '));
+        validationError.details = problems;
+        throw validationError;
+      }
+
+      const previous = await this.getThresholds();
+      const now = new Date().toISOString();
+
+      const { error } = await db
+        .from('ai_settings')
+        .upsert(entries.map(([key, value]) => ({
+          key,
+          value: round(value, 2),
+          updated_by_user_id: userId,
+          updated_at: now
+        })), { onConflict: 'key' });
+
+      if (error) {
+        throw new Error(error.message);
+      }
+
+      this.invalidateCache();
+      const thresholds = await this.getThresholds();
+
+      await AuditService.log(
+        'ai_settings',
+        'thresholds',
+        'update',
+        Object.fromEntries(entries.map(([key]) => [key, previous[key]])),
+        Object.fromEntries(entries.map(([key]) => [key, thresholds[key]])),
+        userId,
+        ipAddress,
+        `AI thresholds updated: ${entries.map(([key]) => `${key} ${previous[key]} → ${thresholds[key]}`).join(', ')}`
+      );
+
+      console.log(`🎚️ AI thresholds updated: ${JSON.stringify(thresholds)}`);
+      return thresholds;
+    } catch (error) {
+      const wrapped = new Error(error.message || 'Failed to update AI thresholds');
+      wrapped.details = error.details;
+      throw wrapped;
+    }
+  }
+
+  /**
+   * Accuracy of the AI's categories over a period
+   * @param {Object} options - `{ from, to, granularity: 'day'|'week'|'month', targetAccuracy }`
+   * @returns {Object} confusion matrix, per-category precision/recall, accuracy
+   *   over time, calibration curve and the effect of each review cutoff
+   */
+  async getAccuracyReport({ from, to, granularity = 'week', targetAccuracy = 0.9 } = {}) {
+    try {
+      if (!GRANULARITIES.includes(granularity)) {
+        throw new Error(`Granularity must be one of: ${GRANULARITIES.join(', ')}`);
+      }
+
+      const end = to ? new Date(to) : new Date();
+      const start = from ? new Date(from) : new Date(end.getTime() - DEFAULT_REPORT_DAYS * 24 * 60 * 60 * 1000);
+      if (isNaN(start) || isNaN(end) || start > end) {
+        throw new Error('Choose a valid date range');
+      }
+
+      const [labelled, confidences, thresholds] = await Promise.all([
+        this.getLabelledIssues(start, end),
+        this.getIssueConfidences(start, end),
+        this.getThresholds()
+      ]);
+
+      const matrix = this.buildConfusionMatrix(labelled);
+      const correct = labelled.filter(item => item.predicted === item.actual).length;
+      const thresholdCurve = this.buildThresholdCurve(labelled, confidences);
+
+      return {
+        period: { from: start.toISOString(), to: end.toISOString(), granularity },
+        summary: {
+          labelled: labelled.length,
+          correct,
+          accuracy: ratio(correct, labelled.length),
+          classified: confidences.length,
+          averageConfidence: mean(confidences),
+          byDecision: labelled.reduce((counts, item) => {
+            counts[item.decision] = (counts[item.decision] || 0) + 1;
+            return counts;
+          }, {})
+        },
+        confusionMatrix: matrix,
+        categories: this.getCategoryMetrics(matrix),
+        overTime: this.buildTimeline(labelled, granularity),
+        calibration: this.buildCalibration(labelled),
+        thresholds: {
+          current: thresholds,
+          defaults: DEFAULT_THRESHOLDS,
+          curve: thresholdCurve,
+          recommendation: this.recommendReviewThreshold(thresholdCurve, targetAccuracy)
+        }
+      };
+    } catch (error) {
+      throw new Error(error.message || 'Failed to build AI accuracy report');
+    }
+  }
+
+  /**
+   * The latest review of each issue in the period, as `{ predicted, actual, confidence }`
+   */
+  async getLabelledIssues(start, end) {
+    const { data, error } = await db
+      .from('classification_reviews')
+      .select('issue_id, decision, ai_category, final_category, ai_confidence, ai_classifier, created_at')
+      .gte('created_at', start.toISOString())
+      .lte('created_at', end.toISOString())
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    const latest = new Map();
+    for (const review of data || []) {
+      if (review.ai_category && review.final_category) {
+        latest.set(review.issue_id, review);
+      }
+    }
+
+    return [...latest.values()].map(review => ({
+      issueId: review.issue_id,
+      decision: review.decision,
+      predicted: review.ai_category,
+      actual: review.final_category,
+      confidence: review.ai_confidence !== null && review.ai_confidence !== undefined ? Number(review.ai_confidence) : null,
+      classifier: review.ai_classifier,
+      reviewedAt: review.created_at
+    }));
+  }
+
+  /**
+   * Confidence scores of every issue the AI classified in the period
+   */
+  async getIssueConfidences(start, end) {
+    const { data, error } = await db
+      .from('issues')
+      .select('confidence_score')
+      .gte('created_at', start.toISOString())
+      .lte('created_at', end.toISOString())
+      .not('confidence_score', 'is', null);
+
+    if (error) {
+      throw new Error(error.message);
+    }
+    return (data || []).map(issue => Number(issue.confidence_score)).filter(score => !isNaN(score));
+  }
+
+  /**
+   * Counts of actual (rows) against predicted (columns) categories
+   */
+  buildConfusionMatrix(labelled) {
+    const labels = [...new Set(labelled.flatMap(item => [item.actual, item.predicted]))].sort();
+    const index = Object.fromEntries(labels.map((label, i) => [label, i]));
+    const counts = labels.map(() => labels.map(() => 0));
+
+    for (const item of labelled) {
+      counts[index[item.actual]][index[item.predicted]]++;
+    }
+    return { labels, counts };
+  }
+
+  /**
+   * Precision, recall and F1 of each category from a confusion matrix
+   */
+  getCategoryMetrics({ labels, counts }) {
+    return labels.map((category, i) => {
+      const truePositives = counts[i][i];
+      const support = counts[i].reduce((sum, count) => sum + count, 0);
+      const predicted = counts.reduce((sum, row) => sum + row[i], 0);
+      const precision = ratio(truePositives, predicted);
+      const recall = ratio(truePositives, support);
+
+      return {
+        category,
+        support,
+        predicted,
+        truePositives,
+        precision,
+        recall,
+        f1: precision !== null && recall !== null && precision + recall > 0
+          ? round((2 * precision * recall) / (precision + recall))
+          : null
+      };
+    });
+  }
+
+  /**
+   * Accuracy and macro-averaged precision/recall per day, week or month of review
+   */
+  buildTimeline(labelled, granularity) {
+    const buckets = new Map();
+    for (const item of labelled) {
+      const period = this.getPeriod(item.reviewedAt, granularity);
+      if (!buckets.has(period)) buckets.set(period, []);
+      buckets.get(period).push(item);
+    }
+
+    return [...buckets.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([period, items]) => {
+        const categories = this.getCategoryMetrics(this.buildConfusionMatrix(items));
+        const correct = items.filter(item => item.predicted === item.actual).length;
+
+        return {
+          period,
+          labelled: items.length,
+          accuracy: ratio(correct, items.length),
+          precision: mean(categories.map(metrics => metrics.precision)),
+          recall: mean(categories.map(metrics => metrics.recall)),
+          categories: Object.fromEntries(categories.map(({ category, precision, recall, support }) =>
+            [category, { precision, recall, support }]
+          ))
+        };
+      });
+  }
+
+  /**
+   * Start of the day (YYYY-MM-DD), week (its Monday) or month (YYYY-MM) of a timestamp, in UTC
+   */
+  getPeriod(timestamp, granularity) {
+    const date = new Date(timestamp);
+    if (granularity === 'month') {
+      return date.toISOString().slice(0, 7);
+    }
+    if (granularity === 'week') {
+      date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+    }
+    return date.toISOString().slice(0, 10);
+  }
+
+  /**
+   * Share of correct categories in each confidence band; a well calibrated
+   * model is right about 70% of the time when it says 0.7. The expected
+   * calibration error is the count-weighted gap between the two.
+   */
+  buildCalibration(labelled) {
+    const scored = labelled.filter(item => item.confidence !== null && !isNaN(item.confidence));
+    const bins = Array.from({ length: CALIBRATION_BINS }, (_, i) => ({
+      lower: round(i / CALIBRATION_BINS, 2),
+      upper: round((i + 1) / CALIBRATION_BINS, 2),
+      items: []
+    }));
+
+    for (const item of scored) {
+      const bin = Math.min(CALIBRATION_BINS - 1, Math.max(0, Math.floor(item.confidence * CALIBRATION_BINS)));
+      bins[bin].items.push(item);
+    }
+
+    let weightedGap = 0;
+    const curve = bins.map(({ lower, upper, items }) => {
+      const meanConfidence = mean(items.map(item => item.confidence));
+      const accuracy = ratio(items.filter(item => item.predicted === item.actual).length, items.length);
+      if (items.length) {
+        weightedGap += items.length * Math.abs(accuracy - meanConfidence);
+      }
+      return { lower, upper, count: items.length, meanConfidence, accuracy };
+    });
+
+    return {
+      bins: curve,
+      samples: scored.length,
+      expectedCalibrationError: ratio(weightedGap, scored.length)
+    };
+  }
+
+  /**
+   * For each candidate review cutoff: the share of issues it would send to the
+   * review queue, and how accurate the AI was above and below it
+   */
+  buildThresholdCurve(labelled, confidences) {
+    const scored = labelled.filter(item => item.confidence !== null && !isNaN(item.confidence));
+
+    return THRESHOLD_STEPS.map(threshold => {
+      const above = scored.filter(item => item.confidence >= threshold);
+      const below = scored.filter(item => item.confidence < threshold);
+      const correct = (items) => items.filter(item => item.predicted === item.actual).length;
+
+      return {
+        threshold,
+        reviewShare: ratio(confidences.filter(score => score < threshold).length, confidences.length),
+        above: { labelled: above.length, accuracy: ratio(correct(above), above.length) },
+        below: { labelled: below.length, accuracy: ratio(correct(below), below.length) }
+      };
+    });
+  }
+
+  /**
+   * Lowest review cutoff at which the AI meets the target accuracy on the
+   * issues it would no longer send for review
+   */
+  recommendReviewThreshold(curve, targetAccuracy) {
+    const match = curve.find(point =>
+      point.above.labelled >= MIN_RECOMMENDATION_SAMPLES && point.above.accuracy >= targetAccuracy
+    );
+
+    if (!match) {
+      return {
+        reviewConfidence: null,
+        targetAccuracy,
+        reason: `Not enough reviewed issues reach ${Math.round(targetAccuracy * 100)}% accuracy at any cutoff yet`
+      };
+    }
+
+    return {
+      reviewConfidence: match.threshold,
+      targetAccuracy,
+      expectedAccuracy: match.above.accuracy,
+      reviewShare: match.reviewShare,
+      reason: `At ${match.threshold} the AI was right on ${Math.round(match.above.accuracy * 100)}% of ${match.above.labelled} reviewed issues above the cutoff`
+    };
+  }
+}
+
+module.exports = new AIAccuracyService();
+module.exports.DEFAULT_THRESHOLDS = DEFAULT_THRESHOLDS;
+module.exports.THRESHOLD_RANGE = THRESHOLD_RANGE;
+module.exports.GRANULARITIES = GRANULARITIES;
@@ -1,29 +1,29 @@
 /**
  * AI Classification Service
- * Production-ready image classification using Google Gemini Vision API
+ * Classifies civic issue photos through the image classifiers chosen by
+ * AI_CLASSIFIER (see services/classifiers): Gemini Vision, a local ONNX model,
+ * or both with the local model as fallback. When none is configured or all
+ * fail, the reporter's category is kept and the issue is flagged for review.
  */
 
-const { GoogleGenerativeAI } = require('@google/generative-ai');
 const fs = require('fs').promises;
 const path = require('path');
+const { createClassifiers } = require('./classifiers');
+const AIAccuracyService = require('./AIAccuracyService');
 
 class AIClassificationService {
   constructor() {
-    // Gracefully handle missing API key — don't crash server on startup
-    if (!process.env.GEMINI_API_KEY) {
-      console.warn('⚠️  GEMINI_API_KEY not set — AI classification will use fallback mode');
-      this.model = null;
-      this.genAI = null;
-    } else {
-      this.genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-      this.model = this.genAI.getGenerativeModel({ 
-        model: 'gemini-2.5-flash',
-        generationConfig: {
-          temperature: 0.1,
-          topP: 0.8,
-          topK: 40,
-        }
-      });
+    this.classifiers = createClassifiers();
+
+    // Don't crash the server on startup over a classifier that isn't set up
+    this.classifiers.forEach(classifier => {
+      const configurationError = classifier.getConfigurationError();
+      if (configurationError) {
+        console.warn(`⚠️  ${configurationError} — the ${classifier.name} classifier will be skipped`);
+      }
+    });
+    if (this.classifiers.length === 0) {
+      console.warn('⚠️  No image classifier configured — AI classification will use fallback mode');
     }
 
     // Valid civic issue categories
@@ -37,287 +37,75 @@ class AIClassificationService {
       'graffiti'
     ];
 
-    // Configuration
-    this.confidenceThreshold = 0.6;
-    this.timeoutMs = 10000; // 10 seconds timeout
-    this.maxRetries = 1; // Retry once on failure
+    // Review cutoff when none is saved (admins tune it, see AIAccuracyService)
+    this.confidenceThreshold = AIAccuracyService.DEFAULT_THRESHOLDS.review_confidence;
     
-    console.log('🤖 AI Classification Service initialized with model: gemini-2.5-flash');
+    console.log(`🤖 AI Classification Service initialized with classifiers: ${this.classifiers.map(classifier => classifier.name).join(', ') || 'none'}`);
   }
 
   /**
-   * Classify issue from uploaded image using Google Gemini Vision API
+   * Classify issue from an uploaded image, trying each configured classifier in turn
    * @param {string} imagePath - Path to the uploaded image
    * @param {string} originalCategory - User-selected category
    * @returns {Object} Classification result
    */
   async classifyIssueFromImage(imagePath, originalCategory = null) {
     const startTime = Date.now();
-    
-    try {
-      // Validate API key again at runtime
-      if (!process.env.GEMINI_API_KEY) {
-        throw new Error('GEMINI_API_KEY environment variable is not configured');
-      }
-
-      // Read and convert image to base64
-      const imageData = await this.prepareImageForAI(imagePath);
-      
-      // Create the prompt for civic issue classification
-      const prompt = this.createClassificationPrompt();
-
-      // Call Gemini Vision API with retry logic
-      const result = await this.callGeminiVisionAPIWithRetry(prompt, imageData);
-      
-      // Parse and validate the AI response
-      const aiResult = this.parseAIResponse(result);
-      
-      // Compare with original category if provided
-      const classification = this.processClassificationResult(aiResult, originalCategory);
-
-      const duration = Date.now() - startTime;
-      
-      return classification;
-
-    } catch (error) {
-      const duration = Date.now() - startTime;
-      console.error(`❌ AI Classification failed after ${duration}ms:`, {
-        error: error.message,
-        imagePath: path.basename(imagePath),
-        originalCategory
-      });
-      
-      // Return fallback result on error - DO NOT crash the flow
-      return this.createFallbackResult(originalCategory, error.message);
-    }
-  }
-
-  /**
-   * Prepare image data for AI processing with validation
-   */
-  async prepareImageForAI(imagePath) {
-    try {
-      // Check if file exists and is readable
-      const stats = await fs.stat(imagePath);
-      const maxSize = 20 * 1024 * 1024; // 20MB limit for Gemini
-      
-      if (stats.size > maxSize) {
-        throw new Error(`Image file too large: ${Math.round(stats.size / 1024 / 1024)}MB (max: 20MB)`);
-      }
-      
-      // Read file buffer
-      const fileBuffer = await fs.readFile(imagePath);
-      
-      // Get file extension to determine MIME type
-      const ext = path.extname(imagePath).toLowerCase();
-      let mimeType;
-      
-      switch (ext) {
-        case '.jpg':
-        case '.jpeg':
-          mimeType = 'image/jpeg';
-          break;
-        case '.png':
-          mimeType = 'image/png';
-          break;
-        case '.webp':
-          mimeType = 'image/webp';
-          break;
-        case '.gif':
-          mimeType = 'image/gif';
-          break;
-        default:
-          throw new Error(`Unsupported image format: ${ext}. Supported: jpg, png, webp, gif`);
-      }
+    const failures = [];
 
-      return {
-        inlineData: {
-          data: fileBuffer.toString('base64'),
-          mimeType: mimeType
-        }
-      };
-    } catch (error) {
-      throw new Error(`Failed to prepare image for AI analysis: ${error.message}`);
+    const available = this.classifiers.filter(classifier => !classifier.getConfigurationError());
+    if (available.length === 0) {
+      return this.createFallbackResult(originalCategory, 'No image classifier configured (set GEMINI_API_KEY or LOCAL_CLASSIFIER_MODEL)');
     }
-  }
 
-  /**
-   * Create optimized classification prompt for Gemini
-   */
-  createClassificationPrompt() {
-    return `You are an expert AI system that analyzes civic infrastructure problems from images.
-
-TASK: Classify this civic issue image into one of these exact categories:
-
-ALLOWED CATEGORIES ONLY:
-- pothole: Road damage, holes in asphalt/concrete
-- garbage: Waste, litter, overflowing bins, illegal dumping
-- water: Leaks, flooding, broken pipes, drainage issues
-- streetlight: Broken lights, missing bulbs, electrical issues
-- traffic: Traffic signals, road signs, traffic-related problems
-- sidewalk: Sidewalk damage, cracks, accessibility issues
-- graffiti: Vandalism, spray paint, unauthorized markings
-
-RESPONSE FORMAT (JSON only):
-{
-  "category": "exact_category_name",
-  "confidence": 0.XX,
-  "explanation": "What you see in 10-15 words"
-}
+    const { review_confidence: reviewThreshold } = await AIAccuracyService.getThresholds();
 
-INSTRUCTIONS:
-- Use EXACT category names from the list above
-- Confidence: 0.9+ (very clear), 0.7-0.8 (clear), 0.5-0.6 (somewhat clear), <0.5 (unclear)
-- Be specific but concise in explanation
-- If unclear, choose closest match with lower confidence
-- Focus on the PRIMARY issue visible`;
-  }
-
-  /**
-   * Call Gemini Vision API with retry logic and timeout protection
-   */
-  async callGeminiVisionAPIWithRetry(prompt, imageData) {
-    for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+    for (const classifier of available) {
       try {
-        const result = await Promise.race([
-          this.callGeminiVisionAPI(prompt, imageData),
-          new Promise((_, reject) => 
-            setTimeout(() => reject(new Error('Gemini API timeout after 10 seconds')), this.timeoutMs)
-          )
-        ]);
-        
-        return result;
+        const raw = await classifier.classify(imagePath);
+
+        // Compare with original category if provided
+        return this.processClassificationResult(this.normalizeResult(raw), originalCategory, classifier.name, reviewThreshold);
       } catch (error) {
-        console.error(`❌ Gemini API attempt ${attempt + 1} failed:`, error.message);
-        
-        if (attempt === this.maxRetries) {
-          // Last attempt failed, throw the error
-          throw new Error(`Gemini API failed after ${this.maxRetries + 1} attempts: ${error.message}`);
-        }
-        
-        // Wait before retry
-        const retryDelay = 1000 * (attempt + 1); // 1s, 2s delay
-        await new Promise(resolve => setTimeout(resolve, retryDelay));
+        failures.push(`${classifier.name}: ${error.message}`);
+        console.error(`❌ ${classifier.name} classification failed after ${Date.now() - startTime}ms:`, {
+          error: error.message,
+          imagePath: path.basename(imagePath),
+          originalCategory
+        });
       }
     }
-  }
 
-  /**
-   * Core Gemini Vision API call
-   */
-  async callGeminiVisionAPI(prompt, imageData) {
-    try {
-      const requestStart = Date.now();
-      
-      const result = await this.model.generateContent([prompt, imageData]);
-      const response = await result.response;
-      
-      if (!response) {
-        throw new Error('Empty response from Gemini API');
-      }
-      
-      const text = response.text();
-      
-      return text;
-    } catch (error) {
-      // Enhanced error handling for different Gemini API errors
-      if (error.message.includes('PERMISSION_DENIED')) {
-        throw new Error('Invalid Gemini API key or insufficient permissions');
-      } else if (error.message.includes('QUOTA_EXCEEDED')) {
-        throw new Error('Gemini API quota exceeded - please check your billing');
-      } else if (error.message.includes('SAFETY')) {
-        throw new Error('Image rejected by Gemini safety filters');
-      } else if (error.message.includes('INVALID_ARGUMENT')) {
-        throw new Error('Invalid image format or size for Gemini API');
-      } else {
-        throw new Error(`Gemini API error: ${error.message}`);
-      }
-    }
+    // Return fallback result on error - DO NOT crash the flow
+    return this.createFallbackResult(originalCategory, failures.join('; '));
   }
 
   /**
-   * Enhanced parsing with better error handling and validation
+   * Map a classifier's label onto a valid category and clamp its confidence
    */
-  parseAIResponse(responseText) {
-    try {
-      if (!responseText || responseText.trim().length === 0) {
-        throw new Error('Empty response from Gemini API');
-      }
+  normalizeResult({ category, confidence, explanation }) {
+    const normalizedCategory = String(category || '').toLowerCase().trim();
+    let score = parseFloat(confidence);
 
-      // Clean up the response text (remove code blocks if present)
-      let cleanText = responseText.trim();
-      
-      // Handle various response formats
-      if (cleanText.startsWith('```json')) {
-        cleanText = cleanText.replace(/```json\s*/, '').replace(/```\s*$/, '');
-      } else if (cleanText.startsWith('```')) {
-        cleanText = cleanText.replace(/```\s*/, '').replace(/```\s*$/, '');
-      }
-      
-      // Extract JSON if there's additional text
-      const jsonMatch = cleanText.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        cleanText = jsonMatch[0];
-      }
-
-      const parsed = JSON.parse(cleanText);
-
-      // Validate required fields with detailed error messages
-      if (!parsed.category) {
-        throw new Error('Missing "category" field in AI response');
-      }
-      if (parsed.confidence === undefined || parsed.confidence === null) {
-        throw new Error('Missing "confidence" field in AI response');
-      }
-      if (!parsed.explanation) {
-        throw new Error('Missing "explanation" field in AI response');
-      }
-
-      // Normalize category to lowercase for validation
-      const normalizedCategory = parsed.category.toLowerCase().trim();
-      
-      // Validate category against allowed list
-      if (!this.validCategories.includes(normalizedCategory)) {
-        console.warn(`⚠️ AI returned invalid category: "${parsed.category}". Using fallback.`);
-        // Use the closest match or default to 'other'
-        const fallbackCategory = this.findClosestCategory(normalizedCategory) || 'other';
-        parsed.category = fallbackCategory;
-        parsed.confidence = Math.max(0.3, parsed.confidence - 0.2); // Reduce confidence for fallback
-      } else {
-        parsed.category = normalizedCategory;
-      }
+    if (isNaN(score) || score < 0 || score > 1) {
+      console.warn(`⚠️ Invalid confidence value: ${confidence}. Clamping to valid range.`);
+      score = Math.max(0, Math.min(1, score || 0.5));
+    }
 
-      // Validate and normalize confidence
-      const confidence = parseFloat(parsed.confidence);
-      if (isNaN(confidence) || confidence < 0 || confidence > 1) {
-        console.warn(`⚠️ Invalid confidence value: ${parsed.confidence}. Clamping to valid range.`);
-        parsed.confidence = Math.max(0, Math.min(1, confidence || 0.5));
-      } else {
-        parsed.confidence = confidence;
-      }
+    let verifiedCategory = normalizedCategory;
+    if (!this.validCategories.includes(normalizedCategory)) {
+      console.warn(`⚠️ Classifier returned invalid category: "${category}". Using closest match.`);
+      // Use the closest match or default to 'other'
+      verifiedCategory = this.findClosestCategory(normalizedCategory) || 'other';
+      score = Math.max(0.3, score - 0.2); // Reduce confidence for fallback
+    }
 
+    return {
+      category: verifiedCategory,
+      confidence: score,
       // Clean and limit explanation
-      const explanation = String(parsed.explanation).trim().substring(0, 200);
-
-      return {
-        category: parsed.category,
-        confidence: parsed.confidence,
-        explanation: explanation
-      };
-    } catch (error) {
-      console.error('❌ Failed to parse AI response:', {
-        error: error.message,
-        responseLength: responseText?.length || 0,
-        responseSample: responseText?.substring(0, 100) || 'empty'
-      });
-      
-      // Don't throw here - return a default result to prevent cascade failure
-      return {
-        category: 'other',
-        confidence: 0.1,
-        explanation: `Parsing failed: ${error.message}`
-      };
-    }
+      explanation: String(explanation || '').trim().substring(0, 200)
+    };
   }
 
   /**
@@ -367,12 +155,13 @@ INSTRUCTIONS:
 
   /**
    * Enhanced result processing with better logging
+   * @param {number} reviewThreshold - confidence below which the issue needs a manual review
    */
-  processClassificationResult(aiResult, originalCategory) {
+  processClassificationResult(aiResult, originalCategory, classifierName = null, reviewThreshold = this.confidenceThreshold) {
     const { category, confidence, explanation } = aiResult;
     
     // Determine if manual review is needed
-    const needsReview = confidence < this.confidenceThreshold;
+    const needsReview = confidence < reviewThreshold;
     
     // Check if AI category differs from user-selected category
     const wasReclassified = originalCategory && 
@@ -395,6 +184,7 @@ INSTRUCTIONS:
         reason: 'AI_VISION_ANALYSIS'
       } : null,
       ai_processing_status: 'completed',
+      ai_classifier: classifierName,
       processed_at: new Date().toISOString()
     };
 
@@ -419,7 +209,7 @@ INSTRUCTIONS:
     let fallbackConfidence = 0.1;
     let fallbackExplanation = 'AI classification failed';
     
-    if (errorMessage.includes('API key')) {
+    if (errorMessage.includes('API key') || errorMessage.includes('not configured')) {
       fallbackExplanation = 'AI service not configured';
       fallbackConfidence = 0.05;
     } else if (errorMessage.includes('quota')) {
@@ -442,6 +232,7 @@ INSTRUCTIONS:
       was_reclassified: false,
       reclassification_event: null,
       ai_processing_status: 'failed',
+      ai_classifier: null,
       ai_error: errorMessage,
       processed_at: new Date().toISOString()
     };
@@ -571,44 +362,30 @@ INSTRUCTIONS:
   }
 
   /**
-   * Health check method to test AI service availability
+   * Health check: which classifiers are configured, in the order they are tried
    */
   async healthCheck() {
-    try {
-      console.log('🔍 Performing AI service health check...');
-      
-      if (!process.env.GEMINI_API_KEY) {
-        throw new Error('GEMINI_API_KEY not configured');
-      }
-
-      // Test with a minimal request (this won't work without an actual image, but will validate API key and connection)
-      const testPrompt = 'Test prompt for health check';
-      
-      // We can't test without an image, so just validate the configuration
-      const isConfigured = this.genAI && this.model;
-      
-      if (!isConfigured) {
-        throw new Error('Gemini AI not properly initialized');
-      }
-
-      console.log('✅ AI service health check passed');
+    const classifiers = this.classifiers.map(classifier => {
+      const configurationError = classifier.getConfigurationError();
       return {
-        status: 'healthy',
-        model: 'gemini-2.5-flash',
-        api_key_configured: true,
-        service_initialized: true,
-        timestamp: new Date().toISOString()
-      };
-    } catch (error) {
-      console.error('❌ AI service health check failed:', error.message);
-      return {
-        status: 'unhealthy',
-        error: error.message,
-        api_key_configured: !!process.env.GEMINI_API_KEY,
-        service_initialized: !!(this.genAI && this.model),
-        timestamp: new Date().toISOString()
+        ...classifier.describe(),
+        configured: !configurationError,
+        error: configurationError
       };
+    });
+    const healthy = classifiers.some(classifier => classifier.configured);
+
+    if (healthy) {
+      console.log('✅ AI service health check passed');
+    } else {
+      console.error('❌ AI service health check failed: no image classifier configured');
     }
+
+    return {
+      status: healthy ? 'healthy' : 'unhealthy',
+      classifiers,
+      timestamp: new Date().toISOString()
+    };
   }
 }
 
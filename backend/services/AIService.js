@@ -3,7 +3,7 @@
  * Handles AI classification, duplicate detection, severity scoring, and smart automation
  */
 
-const { supabase } = require('../config/database');
+const { db } = require('../config/database');
 const { checkImageDuplicate } = require('./ImageDuplicateService');
 
 class AIService {
@@ -44,12 +44,33 @@ class AIService {
       time_window_hours: 24,
       similarity_score_min: 0.4
     };
+
+    // Priority steps added by residents confirming an issue ("me too")
+    this.supporterBoosts = [
+      { min_supporters: 10, boost: 2 },
+      { min_supporters: 3, boost: 1 }
+    ];
   }
 
   /**
    * Enhanced AI classification with confidence scoring
    */
   async classifyIssue(issueData) {
+    const classificationResult = this.classifyText(issueData);
+    if (classificationResult.error) {
+      return classificationResult;
+    }
+
+    // Check for duplicate issues
+    classificationResult.duplicate_check = await this.checkForDuplicates(issueData);
+    return classificationResult;
+  }
+
+  /**
+   * Keyword and location classification of a report, without the duplicate check;
+   * quick enough to run while the citizen waits for their issue ID
+   */
+  classifyText(issueData) {
     try {
       const { category, description = '', location, images = [] } = issueData;
       
@@ -90,10 +111,6 @@ class AIService {
 
       Object.assign(classificationResult, finalClassification);
 
-      // Check for duplicate issues
-      const duplicateCheck = await this.checkForDuplicates(issueData);
-      classificationResult.duplicate_check = duplicateCheck;
-
       return classificationResult;
     } catch (error) {
       console.error('AI Classification error:', error);
@@ -265,9 +282,9 @@ class AIService {
   }
 
   /**
-   * Calculate priority based on severity and location
+   * Calculate priority based on severity, location and supporter count
    */
-  calculatePriority(severity, locationImportance, hasPriorityBoost) {
+  calculatePriority(severity, locationImportance, hasPriorityBoost, supporterCount = 0) {
     const severityWeight = {
       'low': 1,
       'medium': 2,
@@ -288,6 +305,11 @@ class AIService {
       score += 1;
     }
 
+    const supporterBoost = this.supporterBoosts.find(step => supporterCount >= step.min_supporters);
+    if (supporterBoost) {
+      score += supporterBoost.boost;
+    }
+
     // Convert score to priority level
     if (score <= 2) return 'low';
     if (score <= 4) return 'medium';
@@ -295,6 +317,19 @@ class AIService {
     return 'critical';
   }
 
+  /**
+   * Priority for an existing issue once residents have confirmed it,
+   * reusing the location analysis stored at classification time
+   */
+  rescorePriority(issue, supporterCount) {
+    const locationAnalysis = issue.ai_classification?.classification_details?.location_analysis?.importance
+      ? issue.ai_classification.classification_details.location_analysis
+      : this.analyzeLocation(issue.location);
+    const severity = this.severityIndicators[issue.severity_level] ? issue.severity_level : 'medium';
+
+    return this.calculatePriority(severity, locationAnalysis.importance, locationAnalysis.priority_boost, supporterCount);
+  }
+
   /**
    * Get severity order for sorting
    */
@@ -305,6 +340,7 @@ class AIService {
 
   /**
    * Check for duplicate issues based on location and time
+   * `issueData.issueId` leaves an already saved issue out of its own candidates
    */
   async checkForDuplicates(issueData) {
     try {
@@ -315,7 +351,7 @@ class AIService {
       timeWindow.setHours(timeWindow.getHours() - this.duplicateThresholds.time_window_hours);
 
       // Find issues in the radius and time window
-      const { data: nearbyIssues, error } = await supabase.rpc('find_nearby_issues', {
+      const { data: nearbyIssues, error } = await db.rpc('find_nearby_issues', {
         issue_lat: location.lat,
         issue_lng: location.lng,
         radius_meters: this.duplicateThresholds.radius_meters,
@@ -332,7 +368,7 @@ class AIService {
       let usedFallback = false;
       if (error) {
         usedFallback = true;
-        const { data: allRecentIssues, error: queryError } = await supabase
+        const { data: allRecentIssues, error: queryError } = await db
           .from('issues')
           .select('*')
           .eq('category', category)
@@ -355,6 +391,10 @@ class AIService {
         candidateDuplicates = nearbyIssues || [];
       }
 
+      if (issueData.issueId) {
+        candidateDuplicates = candidateDuplicates.filter(issue => issue.issue_id !== issueData.issueId);
+      }
+
       // Check similarity with description (text-based)
       const duplicates = candidateDuplicates
         .map(issue => ({
@@ -369,8 +409,9 @@ class AIService {
       if (images.length > 0 && candidateDuplicates.length > 0) {
         try {
           const newImageUrl = typeof images[0] === 'string' ? images[0] : images[0]?.url;
-          console.log('🖼️ Running Gemini image duplicate detection...');
-          imageDuplicateResult = await checkImageDuplicate(newImageUrl, candidateDuplicates);
+          const newImageHashes = (issueData.imageHashes || []).find(hash => hash.url === newImageUrl) || null;
+          console.log('🖼️ Running image duplicate detection...');
+          imageDuplicateResult = await checkImageDuplicate(newImageUrl, candidateDuplicates, newImageHashes);
         } catch (imgErr) {
           console.error('Image duplicate detection error:', imgErr.message);
         }
@@ -400,6 +441,9 @@ class AIService {
           matched_issue_id: imageDuplicateResult.matchedIssueId || null,
           confidence: imageDuplicateResult.confidence || 0,
           reason: imageDuplicateResult.reason || null,
+          method: imageDuplicateResult.method || null,
+          hash_distance: imageDuplicateResult.hashDistance ?? null,
+          vision_comparisons: imageDuplicateResult.visionComparisons || 0,
           skipped: imageDuplicateResult.skipped || false
         }
       };
@@ -467,7 +511,7 @@ class AIService {
       const startDate = new Date();
       startDate.setDate(startDate.getDate() - parseInt(timeframe));
 
-      const { data: issues, error } = await supabase
+      const { data: issues, error } = await db
         .from('issues')
         .select('ai_classification, category, severity_level, confidence_score')
         .gte('created_at', startDate.toISOString());
@@ -517,54 +561,98 @@ class AIService {
   }
 
   /**
-   * Prepare issue data for future ML model training
+   * Prepare issue data for future ML model training. Categories corrected in
+   * the classification review queue are used as the category label; with
+   * `reviewedOnly` the dataset is just the reviewed issues.
    */
-  async prepareTrainingData(limit = 1000) {
+  async prepareTrainingData(limit = 1000, { reviewedOnly = false } = {}) {
     try {
-      const { data: issues, error } = await supabase
-        .from('issues')
-        .select(`
+      const columns = `
+          issue_id,
           category,
           description,
           location,
+          images,
           severity_level,
           priority,
           status,
           ai_classification,
           citizen_feedback_rating
-        `)
-        .not('description', 'is', null)
-        .order('created_at', { ascending: false })
-        .limit(limit);
+        `;
+
+      let issues;
+      let reviews;
+      if (reviewedOnly) {
+        reviews = await this.getClassificationReviews(null, limit);
+        if (reviews.length === 0) {
+          return { dataset_size: 0, features: [], labels: [], data: [] };
+        }
 
-      if (error) {
-        throw new Error(error.message);
+        const { data, error } = await db
+          .from('issues')
+          .select(columns)
+          .in('issue_id', [...new Set(reviews.map(review => review.issue_id))]);
+
+        if (error) {
+          throw new Error(error.message);
+        }
+        issues = data;
+      } else {
+        const { data, error } = await db
+          .from('issues')
+          .select(columns)
+          .not('description', 'is', null)
+          .order('created_at', { ascending: false })
+          .limit(limit);
+
+        if (error) {
+          throw new Error(error.message);
+        }
+        issues = data;
+        reviews = await this.getClassificationReviews(issues.map(issue => issue.issue_id));
       }
 
+      // Latest review of each issue
+      const reviewByIssue = new Map();
+      reviews.forEach(review => {
+        if (!reviewByIssue.has(review.issue_id)) reviewByIssue.set(review.issue_id, review);
+      });
+
       // Prepare training dataset
-      const trainingData = issues.map(issue => ({
-        features: {
-          description: issue.description,
-          category: issue.category,
-          location_type: this.analyzeLocation(issue.location).area_type,
-          has_keywords: Object.keys(this.categoryKeywords)
-            .reduce((acc, cat) => {
-              acc[cat] = this.categoryKeywords[cat]
-                .some(keyword => issue.description.toLowerCase().includes(keyword));
-              return acc;
-            }, {})
-        },
-        labels: {
-          severity: issue.severity_level,
-          priority: issue.priority,
-          citizen_satisfaction: issue.citizen_feedback_rating
-        },
-        metadata: {
-          issue_id: issue.issue_id,
-          final_status: issue.status,
-          ai_confidence: issue.ai_classification?.confidence_score
-        }
-      }));
+      const trainingData = issues.map(issue => {
+        const review = reviewByIssue.get(issue.issue_id);
+        const image = (issue.images || [])[0];
+        const description = issue.description || '';
+
+        return {
+          features: {
+            description,
+            category: issue.category,
+            image_url: (typeof image === 'string' ? image : image?.url) || null,
+            location_type: this.analyzeLocation(issue.location).area_type,
+            has_keywords: Object.keys(this.categoryKeywords)
+              .reduce((acc, cat) => {
+                acc[cat] = this.categoryKeywords[cat]
+                  .some(keyword => description.toLowerCase().includes(keyword));
+                return acc;
+              }, {})
+          },
+          labels: {
+            category: review ? review.final_category : issue.category,
+            category_reviewed: !!review,
+            severity: issue.severity_level,
+            priority: issue.priority,
+            citizen_satisfaction: issue.citizen_feedback_rating
+          },
+          metadata: {
+            issue_id: issue.issue_id,
+            final_status: issue.status,
+            ai_confidence: issue.ai_classification?.confidence_score,
+            ai_category: review ? review.ai_category : issue.ai_classification?.verified_category || null,
+            review_decision: review ? review.decision : null
+          }
+        };
+      });
 
       return {
         dataset_size: trainingData.length,
@@ -578,14 +666,35 @@ class AIService {
   }
 
   /**
-   * Update AI model confidence based on feedback
+   * Classification reviews, newest first, for some issues or the latest `limit`
    */
-  async updateModelBasedOnFeedback(issueId, actualCategory, actualSeverity, citizenFeedback) {
+  async getClassificationReviews(issueIds = null, limit = 1000) {
+    if (issueIds && issueIds.length === 0) return [];
+
+    let query = db
+      .from('classification_reviews')
+      .select('*')
+      .order('created_at', { ascending: false });
+    query = issueIds ? query.in('issue_id', issueIds) : query.limit(limit);
+
+    const { data, error } = await query;
+    if (error) {
+      throw new Error(error.message);
+    }
+    return data || [];
+  }
+
+  /**
+   * Update AI model confidence based on feedback. The correct category is
+   * stored in `classification_reviews`, where it counts towards the AI
+   * accuracy report and the training data.
+   */
+  async updateModelBasedOnFeedback(issueId, actualCategory, actualSeverity, citizenFeedback, userId = null) {
     try {
       // Get current AI classification
-      const { data: issue, error } = await supabase
+      const { data: issue, error } = await db
         .from('issues')
-        .select('ai_classification, category, severity_level')
+        .select('issue_id, ai_classification, category, verified_category, confidence_score, severity_level, description, images')
         .eq('issue_id', issueId)
         .single();
 
@@ -594,15 +703,16 @@ class AIService {
       }
 
       const currentClassification = issue.ai_classification || {};
+      const aiCategory = issue.verified_category || currentClassification.verified_category || issue.category;
       
       // Calculate accuracy metrics
-      const categoryAccuracy = issue.category === actualCategory ? 1 : 0;
+      const categoryAccuracy = aiCategory === actualCategory ? 1 : 0;
       const severityAccuracy = issue.severity_level === actualSeverity ? 1 : 0;
 
       // Create feedback entry for future model improvement
       const feedbackData = {
         original_prediction: {
-          category: issue.category,
+          category: aiCategory,
           severity: issue.severity_level,
           confidence: currentClassification.confidence_score
         },
@@ -619,7 +729,29 @@ class AIService {
       };
 
       // Store feedback for future model training
-      // This would typically go to a dedicated ML feedback table
+      const image = (issue.images || [])[0];
+      const { error: insertError } = await db
+        .from('classification_reviews')
+        .insert([{
+          issue_id: issue.issue_id,
+          decision: categoryAccuracy ? 'accepted' : 'overridden',
+          reporter_category: currentClassification.original_category || issue.category,
+          ai_category: aiCategory,
+          final_category: actualCategory,
+          ai_confidence: issue.confidence_score,
+          ai_classifier: currentClassification.classification_details?.image_analysis?.classifier || null,
+          image_url: (typeof image === 'string' ? image : image?.url) || null,
+          description: issue.description || null,
+          notes: citizenFeedback
+            ? (typeof citizenFeedback === 'string' ? citizenFeedback : JSON.stringify(citizenFeedback))
+            : null,
+          reviewed_by_user_id: userId,
+          created_at: feedbackData.feedback_timestamp
+        }]);
+
+      if (insertError) {
+        throw new Error(insertError.message);
+      }
 
       return {
         success: true,
@@ -3,7 +3,7 @@
  * Handles audit logging for all system activities
  */
 
-const { supabase } = require('../config/database');
+const { db } = require('../config/database');
 
 class AuditService {
   /**
@@ -23,7 +23,7 @@ class AuditService {
         changed_at: new Date().toISOString()
       };
 
-      const { error } = await supabase
+      const { error } = await db
         .from('audit_logs')
         .insert([auditEntry]);
 
@@ -42,7 +42,7 @@ class AuditService {
    */
   async getLogs(filters = {}) {
     try {
-      let query = supabase
+      let query = db
         .from('audit_logs')
         .select(`
           *,
@@ -93,7 +93,7 @@ class AuditService {
    */
   async getIssueAuditLogs(issueId) {
     try {
-      const { data: logs, error } = await supabase
+      const { data: logs, error } = await db
         .from('audit_logs')
         .select(`
           *,
@@ -130,7 +130,7 @@ class AuditService {
 
       const interval = timeframeMap[timeframe] || '1 day';
 
-      const { data: summary, error } = await supabase.rpc('get_activity_summary', {
+      const { data: summary, error } = await db.rpc('get_activity_summary', {
         time_interval: interval
       });
 
@@ -151,7 +151,7 @@ class AuditService {
             sinceTime.setDate(sinceTime.getDate() - 1);
         }
 
-        const { data: logs, error: basicError } = await supabase
+        const { data: logs, error: basicError } = await db
           .from('audit_logs')
           .select('action, entity_type')
           .gte('changed_at', sinceTime.toISOString());
@@ -188,7 +188,7 @@ class AuditService {
       const cutoffDate = new Date();
       cutoffDate.setDate(cutoffDate.getDate() - daysToKeep);
 
-      const { data, error } = await supabase
+      const { data, error } = await db
         .from('audit_logs')
         .delete()
         .lt('changed_at', cutoffDate.toISOString());
@@ -3,10 +3,36 @@
  * Handles user authentication, JWT tokens, and user management
  */
 
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
-const { supabase } = require('../config/database');
+const { db } = require('../config/database');
 const AuditService = require('./AuditService');
+const NotificationService = require('./NotificationService');
+const SessionService = require('./SessionService');
+const TwoFactorService = require('./TwoFactorService');
+const PermissionService = require('./PermissionService');
+const BusinessCalendarService = require('./BusinessCalendarService');
+
+// Citizen sign-in codes
+const LOGIN_CODE_TTL_MINUTES = 10;
+const LOGIN_CODE_MAX_ATTEMPTS = 5;
+const LOGIN_CODE_MAX_PER_HOUR = 5;
+
+// Staff password reset links
+const RESET_TOKEN_TTL_MINUTES = 30;
+
+// Time allowed between the password step and the two-factor step
+const TWO_FACTOR_CHALLENGE_TTL = '5m';
+
+// User fields accepted by the API and the columns they are stored in
+const USER_FIELD_COLUMNS = {
+  fullName: 'full_name',
+  departmentId: 'department_id',
+  wardArea: 'ward_area',
+  isActive: 'is_active',
+  shiftSchedule: 'shift_schedule'
+};
 
 class AuthService {
   constructor() {
@@ -14,17 +40,18 @@ class AuthService {
     if (!process.env.JWT_SECRET) {
       console.warn('⚠️  WARNING: JWT_SECRET not set in environment — using insecure default. Set JWT_SECRET for production!');
     }
-    this.JWT_EXPIRES_IN = '24h';
+    // Access tokens are short-lived; clients renew them with a refresh token
+    this.JWT_EXPIRES_IN = process.env.ACCESS_TOKEN_TTL || '15m';
     this.SALT_ROUNDS = 12;
   }
 
   /**
    * Authenticate user credentials
    */
-  async login(username, password, ipAddress = null) {
+  async login(username, password, ipAddress = null, userAgent = null) {
     try {
       // Find user with department information
-      const { data: user, error } = await supabase
+      const { data: user, error } = await db
         .from('users')
         .select(`
           *,
@@ -44,6 +71,12 @@ class AuthService {
         throw new Error('Invalid credentials');
       }
 
+      // Citizens sign in with an emailed code, never a password
+      if (user.role === 'citizen' || !user.password) {
+        await AuditService.log('user', user.id, 'login_failed', null, { username }, user.id, ipAddress, 'Password login attempted for citizen account');
+        throw new Error('Invalid credentials');
+      }
+
       // Verify password
       const isPasswordValid = await bcrypt.compare(password, user.password);
       if (!isPasswordValid) {
@@ -51,49 +84,421 @@ class AuthService {
         throw new Error('Invalid credentials');
       }
 
-      // Update last login
-      await supabase
+      // Enrolled users, and roles the policy covers, need a second step
+      if (user.totp_enabled || TwoFactorService.isRequiredFor(user.role)) {
+        return this.startTwoFactorChallenge(user, ipAddress);
+      }
+
+      return this.completeLogin(user, ipAddress, userAgent);
+    } catch (error) {
+      throw new Error(error.message || 'Login failed');
+    }
+  }
+
+  /**
+   * Password accepted; hand back a short-lived challenge instead of a session.
+   * Users who must have two-factor but have not enrolled get a secret to enroll with.
+   */
+  async startTwoFactorChallenge(user, ipAddress = null) {
+    const setupRequired = !user.totp_enabled;
+    const challenge = {
+      twoFactorRequired: true,
+      setupRequired,
+      challengeToken: this.generateChallengeToken(user, setupRequired ? 'two_factor_setup' : 'two_factor')
+    };
+
+    if (setupRequired) {
+      challenge.enrollment = await TwoFactorService.beginEnrollment(user.id);
+    }
+
+    await AuditService.log('user', user.id, 'login_two_factor_pending', null, { username: user.username, setupRequired }, user.id, ipAddress, 'Password accepted; awaiting second factor');
+
+    return challenge;
+  }
+
+  /**
+   * Finish a sign-in with an authenticator code or a recovery code
+   */
+  async verifyTwoFactorLogin(challengeToken, { code, recoveryCode } = {}, ipAddress = null, userAgent = null) {
+    try {
+      const { id } = this.verifyChallengeToken(challengeToken, 'two_factor');
+      const verification = await TwoFactorService.verifyLoginCode(id, { code, recoveryCode }, ipAddress);
+
+      const user = await this.getUserById(id);
+      const result = await this.completeLogin(user, ipAddress, userAgent);
+
+      if (verification.method === 'recovery_code') {
+        result.recoveryCodesRemaining = verification.recoveryCodesRemaining;
+      }
+
+      return result;
+    } catch (error) {
+      throw new Error(error.message || 'Two-factor verification failed');
+    }
+  }
+
+  /**
+   * Finish a sign-in that required enrolling first; returns the new recovery codes once
+   */
+  async completeTwoFactorSetup(challengeToken, code, ipAddress = null, userAgent = null) {
+    try {
+      const { id } = this.verifyChallengeToken(challengeToken, 'two_factor_setup');
+      const { recoveryCodes } = await TwoFactorService.confirmEnrollment(id, code, ipAddress);
+
+      const user = await this.getUserById(id);
+      const result = await this.completeLogin(user, ipAddress, userAgent);
+
+      return { ...result, recoveryCodes };
+    } catch (error) {
+      throw new Error(error.message || 'Two-factor setup failed');
+    }
+  }
+
+  /**
+   * Record the sign-in and open a session for a fully authenticated user
+   */
+  async completeLogin(user, ipAddress = null, userAgent = null) {
+    // Update last login
+    await db
+      .from('users')
+      .update({ last_login_at: new Date().toISOString() })
+      .eq('id', user.id);
+
+    const tokens = await this.startSession(user, { ipAddress, userAgent });
+
+    this.sanitizeUser(user);
+    user.permissions = await PermissionService.getPermissions(user.role);
+
+    await AuditService.log('user', user.id, 'login_success', null, { username: user.username }, user.id, ipAddress, 'Successful login');
+
+    return {
+      user,
+      ...tokens
+    };
+  }
+
+  /**
+   * Email a one-time sign-in code to a citizen
+   */
+  async requestCitizenLoginCode(email, ipAddress = null) {
+    try {
+      const normalizedEmail = this.normalizeEmail(email);
+
+      const { data: existingUser } = await db
+        .from('users')
+        .select('id, role, is_active')
+        .eq('email', normalizedEmail)
+        .maybeSingle();
+
+      if (existingUser && existingUser.role !== 'citizen') {
+        throw new Error('This email belongs to a staff account. Please sign in with your username and password.');
+      }
+      if (existingUser && !existingUser.is_active) {
+        throw new Error('This account has been deactivated');
+      }
+
+      const oneHourAgo = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+      const { data: recentCodes, error: recentError } = await db
+        .from('citizen_login_codes')
+        .select('id')
+        .eq('email', normalizedEmail)
+        .gte('created_at', oneHourAgo);
+
+      if (recentError) {
+        throw new Error(recentError.message);
+      }
+      if (recentCodes.length >= LOGIN_CODE_MAX_PER_HOUR) {
+        throw new Error('Too many sign-in codes requested. Please try again later.');
+      }
+
+      // Only the most recent code stays valid
+      await db
+        .from('citizen_login_codes')
+        .update({ consumed_at: new Date().toISOString() })
+        .eq('email', normalizedEmail)
+        .is('consumed_at', null);
+
+      const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+
+      const { error } = await db
+        .from('citizen_login_codes')
+        .insert([{
+          email: normalizedEmail,
+          code_hash: this.hashLoginCode(normalizedEmail, code),
+          expires_at: new Date(Date.now() + LOGIN_CODE_TTL_MINUTES * 60 * 1000).toISOString(),
+          ip_address: ipAddress
+        }]);
+
+      if (error) {
+        throw new Error(error.message);
+      }
+
+      await NotificationService.sendLoginCode(normalizedEmail, code, LOGIN_CODE_TTL_MINUTES);
+
+      await AuditService.log('user', normalizedEmail, 'login_code_requested', null, null, existingUser?.id || null, ipAddress, 'Citizen sign-in code requested');
+
+      return { email: normalizedEmail, expiresInMinutes: LOGIN_CODE_TTL_MINUTES };
+    } catch (error) {
+      throw new Error(error.message || 'Failed to send sign-in code');
+    }
+  }
+
+  /**
+   * Exchange an emailed code for a citizen token, creating the account on first sign-in
+   */
+  async verifyCitizenLoginCode(email, code, ipAddress = null, userAgent = null) {
+    try {
+      const normalizedEmail = this.normalizeEmail(email);
+
+      const { data: loginCode, error } = await db
+        .from('citizen_login_codes')
+        .select('*')
+        .eq('email', normalizedEmail)
+        .is('consumed_at', null)
+        .gt('expires_at', new Date().toISOString())
+        .order('created_at', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+
+      if (error) {
+        throw new Error(error.message);
+      }
+      if (!loginCode || loginCode.attempts >= LOGIN_CODE_MAX_ATTEMPTS) {
+        await AuditService.log('user', normalizedEmail, 'login_failed', null, null, null, ipAddress, 'No valid sign-in code');
+        throw new Error('Sign-in code is invalid or has expired. Please request a new one.');
+      }
+
+      const expected = Buffer.from(loginCode.code_hash, 'hex');
+      const actual = Buffer.from(this.hashLoginCode(normalizedEmail, String(code).trim()), 'hex');
+
+      if (!crypto.timingSafeEqual(expected, actual)) {
+        await db
+          .from('citizen_login_codes')
+          .update({ attempts: loginCode.attempts + 1 })
+          .eq('id', loginCode.id);
+
+        await AuditService.log('user', normalizedEmail, 'login_failed', null, null, null, ipAddress, 'Incorrect sign-in code');
+        throw new Error('Incorrect sign-in code');
+      }
+
+      await db
+        .from('citizen_login_codes')
+        .update({ consumed_at: new Date().toISOString() })
+        .eq('id', loginCode.id);
+
+      const user = await this.findOrCreateCitizen(normalizedEmail, ipAddress);
+
+      await db
         .from('users')
         .update({ last_login_at: new Date().toISOString() })
         .eq('id', user.id);
 
-      // Generate JWT token
-      const token = jwt.sign(
-        {
-          id: user.id,
-          username: user.username,
-          role: user.role,
-          email: user.email,
-          departmentId: user.department_id
-        },
-        this.JWT_SECRET,
-        { expiresIn: this.JWT_EXPIRES_IN }
-      );
+      const tokens = await this.startSession(user, { ipAddress, userAgent });
 
-      // Remove password from response
-      delete user.password;
+      this.sanitizeUser(user);
+
+      await AuditService.log('user', user.id, 'login_success', null, { email: normalizedEmail }, user.id, ipAddress, 'Citizen signed in with email code');
+
+      return {
+        user,
+        ...tokens
+      };
+    } catch (error) {
+      throw new Error(error.message || 'Failed to verify sign-in code');
+    }
+  }
+
+  /**
+   * Look up the citizen account for an email, creating it if needed
+   */
+  async findOrCreateCitizen(email, ipAddress = null) {
+    const { data: existingUser, error: fetchError } = await db
+      .from('users')
+      .select('*')
+      .eq('email', email)
+      .maybeSingle();
+
+    if (fetchError) {
+      throw new Error(fetchError.message);
+    }
+
+    if (existingUser) {
+      if (existingUser.role !== 'citizen') {
+        throw new Error('This email belongs to a staff account. Please sign in with your username and password.');
+      }
+      if (!existingUser.is_active) {
+        throw new Error('This account has been deactivated');
+      }
+      return existingUser;
+    }
 
-      await AuditService.log('user', user.id, 'login_success', null, { username }, user.id, ipAddress, 'Successful login');
+    const { data: newUser, error } = await db
+      .from('users')
+      .insert([{
+        username: `citizen_${crypto.randomBytes(6).toString('hex')}`,
+        password: null,
+        email,
+        role: 'citizen',
+        is_active: true
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    await AuditService.log('user', newUser.id, 'create', null, { email, role: 'citizen' }, newUser.id, ipAddress, 'Citizen account created on first sign-in');
+
+    return newUser;
+  }
+
+  /**
+   * Open a server-side session and issue its first token pair
+   */
+  async startSession(user, { ipAddress = null, userAgent = null } = {}) {
+    const { session, refreshToken } = await SessionService.createSession(user, { ipAddress, userAgent });
+
+    return {
+      token: this.generateToken(user, session.id),
+      refreshToken,
+      expiresIn: this.JWT_EXPIRES_IN
+    };
+  }
+
+  /**
+   * Exchange a refresh token for a new access token and a rotated refresh token
+   */
+  async refreshSession(refreshToken, ipAddress = null, userAgent = null) {
+    try {
+      const { session, refreshToken: nextRefreshToken } = await SessionService.rotate(refreshToken, { ipAddress, userAgent });
+
+      let user;
+      try {
+        user = await this.getUserById(session.user_id);
+      } catch (error) {
+        // Deactivated or deleted since the session started
+        await SessionService.revokeSession(session.id, session.user_id, 'user_inactive');
+        throw new Error('Session expired. Please sign in again.');
+      }
 
       return {
         user,
-        token,
+        token: this.generateToken(user, session.id),
+        refreshToken: nextRefreshToken,
         expiresIn: this.JWT_EXPIRES_IN
       };
     } catch (error) {
-      throw new Error(error.message || 'Login failed');
+      throw new Error(error.message || 'Failed to refresh session');
+    }
+  }
+
+  /**
+   * Check a user's current password without starting a session
+   */
+  async verifyPassword(userId, password) {
+    const { data: user, error } = await db
+      .from('users')
+      .select('id, password')
+      .eq('id', userId)
+      .single();
+
+    if (error || !user || !user.password) {
+      return false;
     }
+
+    return bcrypt.compare(password, user.password);
+  }
+
+  /**
+   * Sign an access token bound to a session
+   */
+  generateToken(user, sessionId) {
+    return jwt.sign(
+      {
+        id: user.id,
+        username: user.username,
+        role: user.role,
+        email: user.email,
+        departmentId: user.department_id,
+        sid: sessionId
+      },
+      this.JWT_SECRET,
+      { expiresIn: this.JWT_EXPIRES_IN }
+    );
+  }
+
+  /**
+   * Sign a token that only proves the password step passed
+   */
+  generateChallengeToken(user, purpose) {
+    return jwt.sign({ id: user.id, purpose }, this.JWT_SECRET, { expiresIn: TWO_FACTOR_CHALLENGE_TTL });
+  }
+
+  verifyChallengeToken(token, purpose) {
+    let decoded;
+    try {
+      decoded = jwt.verify(String(token || ''), this.JWT_SECRET);
+    } catch (error) {
+      throw new Error('Sign-in attempt expired. Please sign in again.');
+    }
+
+    if (decoded.purpose !== purpose) {
+      throw new Error('Sign-in attempt expired. Please sign in again.');
+    }
+
+    return decoded;
+  }
+
+  /**
+   * Strip credentials and second-factor secrets from a user row before it leaves the service
+   */
+  sanitizeUser(user) {
+    delete user.password;
+    delete user.totp_secret;
+    delete user.totp_last_used_step;
+    return user;
+  }
+
+  /**
+   * Skill tags matched against issue categories: lowercase, trimmed, without duplicates
+   */
+  normalizeSkills(skills = []) {
+    return [...new Set((skills || []).map(skill => String(skill).trim().toLowerCase()).filter(Boolean))];
+  }
+
+  /**
+   * Hash a sign-in code, keyed so a leaked table cannot be brute-forced offline
+   */
+  hashLoginCode(email, code) {
+    return crypto.createHmac('sha256', this.JWT_SECRET).update(`${email}:${code}`).digest('hex');
+  }
+
+  normalizeEmail(email) {
+    return String(email || '').trim().toLowerCase();
   }
 
   /**
    * Verify JWT token
    */
   verifyToken(token) {
+    let decoded;
     try {
-      return jwt.verify(token, this.JWT_SECRET);
+      decoded = jwt.verify(token, this.JWT_SECRET);
     } catch (error) {
-      throw new Error('Invalid or expired token');
+      const tokenError = new Error(error.name === 'TokenExpiredError' ? 'Access token expired' : 'Invalid token');
+      tokenError.code = error.name === 'TokenExpiredError' ? 'TOKEN_EXPIRED' : 'TOKEN_INVALID';
+      throw tokenError;
+    }
+
+    // Two-factor challenge tokens are not access tokens
+    if (decoded.purpose) {
+      const tokenError = new Error('Invalid token');
+      tokenError.code = 'TOKEN_INVALID';
+      throw tokenError;
     }
+
+    return decoded;
   }
 
   /**
@@ -109,11 +514,13 @@ class AuthService {
         role = 'authority',
         departmentId,
         wardArea,
+        skills = [],
+        shiftSchedule = null,
         phone
       } = userData;
 
       // Check if user already exists
-      const { data: existingUser } = await supabase
+      const { data: existingUser } = await db
         .from('users')
         .select('id')
         .or(`username.eq.${username},email.eq.${email}`)
@@ -123,11 +530,15 @@ class AuthService {
         throw new Error('User with this username or email already exists');
       }
 
+      if (!(await PermissionService.roleExists(role))) {
+        throw new Error(`Role "${role}" does not exist`);
+      }
+
       // Hash password
       const hashedPassword = await bcrypt.hash(password, this.SALT_ROUNDS);
 
       // Create user
-      const { data: newUser, error } = await supabase
+      const { data: newUser, error } = await db
         .from('users')
         .insert([{
           username,
@@ -137,6 +548,8 @@ class AuthService {
           role,
           department_id: departmentId,
           ward_area: wardArea,
+          skills: this.normalizeSkills(skills),
+          shift_schedule: BusinessCalendarService.normalizeCalendar(shiftSchedule),
           phone,
           is_active: true
         }])
@@ -155,7 +568,7 @@ class AuthService {
       }
 
       // Remove password from response
-      delete newUser.password;
+      this.sanitizeUser(newUser);
 
       await AuditService.log('user', newUser.id, 'create', null, newUser, createdByUserId, ipAddress, 'User created');
 
@@ -171,7 +584,7 @@ class AuthService {
   async updateUser(userId, updateData, updatedByUserId, ipAddress = null) {
     try {
       // Get current user data
-      const { data: currentUser, error: fetchError } = await supabase
+      const { data: currentUser, error: fetchError } = await db
         .from('users')
         .select('*')
         .eq('id', userId)
@@ -181,16 +594,29 @@ class AuthService {
         throw new Error('User not found');
       }
 
-      // Prepare update data
-      const updateFields = { ...updateData };
-      
+      if (updateData.role && !(await PermissionService.roleExists(updateData.role))) {
+        throw new Error(`Role "${updateData.role}" does not exist`);
+      }
+
+      // Prepare update data (API field names become column names)
+      const updateFields = Object.entries(updateData).reduce((fields, [field, value]) => {
+        fields[USER_FIELD_COLUMNS[field] || field] = value;
+        return fields;
+      }, {});
+      if (updateFields.skills !== undefined) {
+        updateFields.skills = this.normalizeSkills(updateFields.skills);
+      }
+      if (updateFields.shift_schedule !== undefined) {
+        updateFields.shift_schedule = BusinessCalendarService.normalizeCalendar(updateFields.shift_schedule);
+      }
+
       // Hash password if provided
       if (updateFields.password) {
         updateFields.password = await bcrypt.hash(updateFields.password, this.SALT_ROUNDS);
       }
 
       // Update user
-      const { data: updatedUser, error } = await supabase
+      const { data: updatedUser, error } = await db
         .from('users')
         .update(updateFields)
         .eq('id', userId)
@@ -209,9 +635,15 @@ class AuthService {
       }
 
       // Remove password from response
-      delete updatedUser.password;
+      this.sanitizeUser(updatedUser);
+
+      if (updateFields.is_active === false) {
+        await SessionService.revokeAllSessions(userId, 'deactivated');
+      } else if (updateFields.password && updatedByUserId !== userId) {
+        await SessionService.revokeAllSessions(userId, 'password_changed');
+      }
 
-      await AuditService.log('user', userId, 'update', currentUser, updatedUser, updatedByUserId, ipAddress, 'User updated');
+      await AuditService.log('user', userId, 'update', this.sanitizeUser({ ...currentUser }), updatedUser, updatedByUserId, ipAddress, 'User updated');
 
       return updatedUser;
     } catch (error) {
@@ -224,7 +656,7 @@ class AuthService {
    */
   async getUserById(userId) {
     try {
-      const { data: user, error } = await supabase
+      const { data: user, error } = await db
         .from('users')
         .select(`
           *,
@@ -243,8 +675,8 @@ class AuthService {
         throw new Error('User not found');
       }
 
-      // Remove password from response
-      delete user.password;
+      // Remove password and two-factor secrets from response
+      this.sanitizeUser(user);
 
       return user;
     } catch (error) {
@@ -257,7 +689,7 @@ class AuthService {
    */
   async getUsers(filters = {}) {
     try {
-      let query = supabase
+      let query = db
         .from('users')
         .select(`
           *,
@@ -288,7 +720,7 @@ class AuthService {
       }
 
       // Remove passwords from all users
-      users.forEach(user => delete user.password);
+      users.forEach(user => this.sanitizeUser(user));
 
       return users;
     } catch (error) {
@@ -301,7 +733,7 @@ class AuthService {
    */
   async deactivateUser(userId, deactivatedByUserId, ipAddress = null) {
     try {
-      const { data: user, error } = await supabase
+      const { data: user, error } = await db
         .from('users')
         .update({ is_active: false })
         .eq('id', userId)
@@ -312,6 +744,8 @@ class AuthService {
         throw new Error(error.message);
       }
 
+      await SessionService.revokeAllSessions(userId, 'deactivated');
+
       await AuditService.log('user', userId, 'deactivate', null, { is_active: false }, deactivatedByUserId, ipAddress, 'User deactivated');
 
       return { success: true, message: 'User deactivated successfully' };
@@ -321,29 +755,118 @@ class AuthService {
   }
 
   /**
-   * Check if user has permission for specific action
+   * Email a single-use password reset link to a staff user.
+   * Resolves quietly for unknown emails so the endpoint cannot be used to probe accounts.
    */
-  hasPermission(userRole, requiredRole) {
-    const roleHierarchy = {
-      'citizen': 1,
-      'authority': 2,
-      'admin': 3,
-      'super_admin': 4
-    };
+  async generatePasswordResetToken(email, ipAddress = null) {
+    try {
+      const normalizedEmail = this.normalizeEmail(email);
 
-    const userLevel = roleHierarchy[userRole] || 0;
-    const requiredLevel = roleHierarchy[requiredRole] || 5;
+      const { data: user, error: fetchError } = await db
+        .from('users')
+        .select('*')
+        .eq('email', normalizedEmail)
+        .eq('is_active', true)
+        .maybeSingle();
+
+      if (fetchError) {
+        throw new Error(fetchError.message);
+      }
+
+      // Citizens have no password to reset — they sign in with an emailed code
+      if (!user || user.role === 'citizen') {
+        await AuditService.log('user', normalizedEmail, 'password_reset_requested', null, null, null, ipAddress, 'Password reset requested for unknown email');
+        return { success: true };
+      }
 
-    return userLevel >= requiredLevel;
+      // A new link replaces any earlier one
+      await this.expireResetTokens(user.id);
+
+      const token = crypto.randomBytes(32).toString('hex');
+
+      const { error } = await db
+        .from('password_reset_tokens')
+        .insert([{
+          user_id: user.id,
+          token_hash: this.hashResetToken(token),
+          expires_at: new Date(Date.now() + RESET_TOKEN_TTL_MINUTES * 60 * 1000).toISOString(),
+          ip_address: ipAddress
+        }]);
+
+      if (error) {
+        throw new Error(error.message);
+      }
+
+      await NotificationService.sendPasswordReset(user, token, RESET_TOKEN_TTL_MINUTES);
+
+      await AuditService.log('user', user.id, 'password_reset_requested', null, null, null, ipAddress, 'Password reset link emailed');
+
+      return { success: true };
+    } catch (error) {
+      throw new Error(error.message || 'Failed to start password reset');
+    }
   }
 
   /**
-   * Generate password reset token (placeholder for future implementation)
+   * Set a new password using an emailed reset token
    */
-  async generatePasswordResetToken(email) {
-    // Implementation for password reset functionality
-    // This would typically generate a secure token and send email
-    throw new Error('Password reset functionality not implemented yet');
+  async resetPassword(token, newPassword, ipAddress = null) {
+    try {
+      const now = new Date().toISOString();
+
+      // Claim the token in one update so it cannot be used twice
+      const { data: resetToken, error } = await db
+        .from('password_reset_tokens')
+        .update({ used_at: now })
+        .eq('token_hash', this.hashResetToken(String(token || '')))
+        .is('used_at', null)
+        .gt('expires_at', now)
+        .select()
+        .maybeSingle();
+
+      if (error) {
+        throw new Error(error.message);
+      }
+      if (!resetToken) {
+        await AuditService.log('user', 'unknown', 'password_reset_failed', null, null, null, ipAddress, 'Invalid or expired reset token');
+        throw new Error('This reset link is invalid or has expired. Please request a new one.');
+      }
+
+      const hashedPassword = await bcrypt.hash(newPassword, this.SALT_ROUNDS);
+
+      const { error: updateError } = await db
+        .from('users')
+        .update({ password: hashedPassword })
+        .eq('id', resetToken.user_id)
+        .eq('is_active', true);
+
+      if (updateError) {
+        throw new Error(updateError.message);
+      }
+
+      await this.expireResetTokens(resetToken.user_id);
+
+      // Whoever knew the old password may still hold a session
+      await SessionService.revokeAllSessions(resetToken.user_id, 'password_reset');
+
+      await AuditService.log('user', resetToken.user_id, 'password_reset', null, null, resetToken.user_id, ipAddress, 'Password reset via emailed link');
+
+      return { success: true, message: 'Password has been reset. You can now sign in.' };
+    } catch (error) {
+      throw new Error(error.message || 'Failed to reset password');
+    }
+  }
+
+  async expireResetTokens(userId) {
+    await db
+      .from('password_reset_tokens')
+      .update({ used_at: new Date().toISOString() })
+      .eq('user_id', userId)
+      .is('used_at', null);
+  }
+
+  hashResetToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
   }
 }
 
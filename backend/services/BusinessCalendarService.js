@@ -0,0 +1,257 @@
+/**
+ * Business Calendar Service
+ * Working hours and public holidays used to measure SLAs in business time.
+ *
+ * A department calendar is stored on `departments.business_calendar`:
+ *   {
+ *     "timezone": "Asia/Kolkata",
+ *     "working_hours": { "mon": [["09:00", "18:00"]], ..., "sat": [["09:00", "13:00"]], "sun": [] },
+ *     "holidays": [{ "date": "2026-01-26", "name": "Republic Day" }]
+ *   }
+ * Days missing from `working_hours` are days off. Departments without a
+ * calendar work around the clock, so their SLAs stay in wall-clock hours.
+ */
+
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$|^24:00$/;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+
+const MAX_HOLIDAYS = 366;
+
+// Stop searching for working time after this many days (a calendar with no working hours left)
+const MAX_SEARCH_DAYS = 3 * 366;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+class BusinessCalendarService {
+  constructor() {
+    // Building an Intl.DateTimeFormat is far slower than using one, so keep one per timezone
+    this.formatters = new Map();
+  }
+
+  /**
+   * Deadline `hours` of business time after `start`
+   */
+  addBusinessHours(start, hours, calendar = null) {
+    const startDate = new Date(start);
+    if (!calendar) {
+      return new Date(startDate.getTime() + hours * HOUR_MS);
+    }
+
+    let remaining = hours * HOUR_MS;
+    let day = this.getLocalDate(startDate, calendar.timezone);
+
+    for (let i = 0; i < MAX_SEARCH_DAYS; i++) {
+      for (const [from, to] of this.getWorkingWindows(day, calendar)) {
+        const windowStart = Math.max(from, startDate.getTime());
+        if (windowStart >= to) continue;
+        if (windowStart + remaining <= to) {
+          return new Date(windowStart + remaining);
+        }
+        remaining -= to - windowStart;
+      }
+      day = this.nextDay(day);
+    }
+
+    throw new Error('Business calendar has no working hours in the next three years');
+  }
+
+  /**
+   * Business hours between two moments (0 if `end` is not after `start`)
+   */
+  businessHoursBetween(start, end, calendar = null) {
+    const startMs = new Date(start).getTime();
+    const endMs = new Date(end).getTime();
+    if (!(endMs > startMs)) return 0;
+    if (!calendar) {
+      return (endMs - startMs) / HOUR_MS;
+    }
+
+    let total = 0;
+    let day = this.getLocalDate(new Date(startMs), calendar.timezone);
+    const lastDay = this.getLocalDate(new Date(endMs), calendar.timezone);
+
+    for (let i = 0; i < MAX_SEARCH_DAYS; i++) {
+      for (const [from, to] of this.getWorkingWindows(day, calendar)) {
+        total += Math.max(0, Math.min(to, endMs) - Math.max(from, startMs));
+      }
+      if (day.key === lastDay.key) break;
+      day = this.nextDay(day);
+    }
+
+    return total / HOUR_MS;
+  }
+
+  /**
+   * Whether a moment falls inside the calendar's working hours (always true without a calendar)
+   */
+  isWorkingTime(date = new Date(), calendar = null) {
+    if (!calendar) return true;
+    const moment = new Date(date).getTime();
+    const day = this.getLocalDate(new Date(moment), calendar.timezone);
+    return this.getWorkingWindows(day, calendar).some(([from, to]) => moment >= from && moment < to);
+  }
+
+  /**
+   * Check a calendar sent by an admin, returning it normalised (null means around the clock)
+   */
+  normalizeCalendar(calendar) {
+    if (calendar === null) return null;
+    if (typeof calendar !== 'object' || Array.isArray(calendar)) {
+      throw new Error('Business calendar must be an object');
+    }
+
+    const timezone = calendar.timezone || DEFAULT_TIMEZONE;
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    } catch (error) {
+      throw new Error(`Unknown timezone "${timezone}"`);
+    }
+
+    const workingHours = {};
+    Object.entries(calendar.working_hours || {}).forEach(([day, windows]) => {
+      if (!DAYS.includes(day)) {
+        throw new Error(`Unknown day "${day}" in working hours; use ${DAYS.join(', ')}`);
+      }
+      if (!Array.isArray(windows)) {
+        throw new Error(`Working hours for ${day} must be a list of ["HH:MM", "HH:MM"] pairs`);
+      }
+      const sorted = windows
+        .map(window => {
+          if (!Array.isArray(window) || window.length !== 2 || !window.every(time => TIME_PATTERN.test(time))) {
+            throw new Error(`Working hours for ${day} must be a list of ["HH:MM", "HH:MM"] pairs`);
+          }
+          if (this.toMinutes(window[0]) >= this.toMinutes(window[1])) {
+            throw new Error(`Working hours ${window[0]}-${window[1]} on ${day} must end after they start`);
+          }
+          return [window[0], window[1]];
+        })
+        .sort((a, b) => this.toMinutes(a[0]) - this.toMinutes(b[0]));
+      sorted.forEach((window, index) => {
+        if (index > 0 && this.toMinutes(window[0]) < this.toMinutes(sorted[index - 1][1])) {
+          throw new Error(`Working hours on ${day} overlap`);
+        }
+      });
+      workingHours[day] = sorted;
+    });
+
+    if (!Object.values(workingHours).some(windows => windows.length > 0)) {
+      throw new Error('Business calendar needs working hours on at least one day');
+    }
+
+    const holidays = Array.isArray(calendar.holidays) ? calendar.holidays : [];
+    if (holidays.length > MAX_HOLIDAYS) {
+      throw new Error(`A calendar can list at most ${MAX_HOLIDAYS} holidays`);
+    }
+    const normalizedHolidays = holidays.map(holiday => {
+      const date = typeof holiday === 'string' ? holiday : holiday?.date;
+      if (!DATE_PATTERN.test(date || '') || isNaN(Date.parse(date))) {
+        throw new Error(`Holiday "${date}" must be a date in YYYY-MM-DD format`);
+      }
+      return { date, name: (typeof holiday === 'object' && holiday.name) || null };
+    });
+
+    return {
+      timezone,
+      working_hours: workingHours,
+      holidays: [...new Map(normalizedHolidays.map(holiday => [holiday.date, holiday])).values()]
+        .sort((a, b) => a.date.localeCompare(b.date))
+    };
+  }
+
+  /**
+   * Working windows of a local day as [startMs, endMs] pairs; none on holidays
+   */
+  getWorkingWindows(day, calendar) {
+    if ((calendar.holidays || []).some(holiday => holiday.date === day.key)) {
+      return [];
+    }
+    const windows = (calendar.working_hours || {})[DAYS[day.weekday]] || [];
+    return windows.map(([from, to]) => [
+      this.zonedTimeToUtc(day, this.toMinutes(from), calendar.timezone),
+      this.zonedTimeToUtc(day, this.toMinutes(to), calendar.timezone)
+    ]);
+  }
+
+  /**
+   * Calendar date of a moment in a timezone
+   */
+  getLocalDate(date, timezone = DEFAULT_TIMEZONE) {
+    const parts = this.getZonedParts(date, timezone);
+    return this.makeDay(parts.year, parts.month, parts.day);
+  }
+
+  nextDay(day) {
+    const next = new Date(Date.UTC(day.year, day.month - 1, day.day + 1));
+    return this.makeDay(next.getUTCFullYear(), next.getUTCMonth() + 1, next.getUTCDate());
+  }
+
+  makeDay(year, month, day) {
+    return {
+      year,
+      month,
+      day,
+      weekday: new Date(Date.UTC(year, month - 1, day)).getUTCDay(),
+      key: `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`
+    };
+  }
+
+  /**
+   * UTC milliseconds of a local wall-clock time, corrected once for DST changes
+   */
+  zonedTimeToUtc(day, minutes, timezone) {
+    const wallClock = Date.UTC(day.year, day.month - 1, day.day, 0, minutes);
+    let utc = wallClock - this.getOffset(wallClock, timezone);
+    utc = wallClock - this.getOffset(utc, timezone);
+    return utc;
+  }
+
+  /**
+   * Offset of a timezone from UTC at a moment, in milliseconds
+   */
+  getOffset(utcMs, timezone) {
+    const parts = this.getZonedParts(new Date(utcMs), timezone);
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return asUtc - Math.floor(utcMs / 1000) * 1000;
+  }
+
+  getZonedParts(date, timezone) {
+    const parts = this.getFormatter(timezone).formatToParts(date);
+    const value = type => parseInt(parts.find(part => part.type === type).value, 10);
+    return {
+      year: value('year'),
+      month: value('month'),
+      day: value('day'),
+      hour: value('hour'),
+      minute: value('minute'),
+      second: value('second')
+    };
+  }
+
+  getFormatter(timezone) {
+    if (!this.formatters.has(timezone)) {
+      this.formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+      }));
+    }
+    return this.formatters.get(timezone);
+  }
+
+  toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+  }
+}
+
+module.exports = new BusinessCalendarService();
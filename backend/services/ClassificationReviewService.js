@@ -0,0 +1,256 @@
+/**
+ * Classification Review Service
+ * Human review of issues the AI was unsure about (`needs_review`).
+ *
+ * Reviewers accept the AI's category, override it with another category, or
+ * reject it, which puts back the category the reporter chose. Every decision
+ * clears `needs_review` and is stored in `classification_reviews` with the
+ * photo, description and both categories, as labelled data for
+ * AIService.prepareTrainingData.
+ */
+
+const { db } = require('../config/database');
+const AuditService = require('./AuditService');
+const IssueService = require('./IssueService');
+const WorkflowService = require('./WorkflowService');
+
+const DECISIONS = ['accepted', 'overridden', 'rejected'];
+
+const CATEGORIES = ['pothole', 'garbage', 'streetlight', 'graffiti', 'water', 'traffic', 'sidewalk', 'other'];
+
+class ClassificationReviewService {
+  /**
+   * Issues waiting for review that the user can see, least confident first
+   */
+  async getQueue({ category, page = 1, limit = 20 } = {}, user = null) {
+    try {
+      let query = db
+        .from('issues')
+        .select('*, departments (id, name, code)', { count: 'exact' })
+        .eq('needs_review', true)
+        .is('merged_into_issue_id', null)
+        .order('confidence_score', { ascending: true })
+        .order('created_at', { ascending: true });
+
+      query = IssueService.applyUserContextFiltering(query, user);
+      if (category && category !== 'all') {
+        query = query.eq('category', category);
+      }
+
+      const offset = (page - 1) * limit;
+      const { data: issues, error, count } = await query.range(offset, offset + limit - 1);
+
+      if (error) {
+        throw new Error(error.message);
+      }
+
+      await WorkflowService.loadWorkflows();
+
+      return {
+        success: true,
+        data: issues.map(issue => this.transformQueueItem(issue)),
+        pagination: {
+          page,
+          limit,
+          total: count,
+          pages: Math.ceil((count || 0) / limit)
+        }
+      };
+    } catch (error) {
+      throw new Error(error.message || 'Failed to fetch review queue');
+    }
+  }
+
+  /**
+   * Record a reviewer's decision on an issue's category
+   * @param {string} issueId
+   * @param {Object} review - `{ decision, category, notes }`; `category` is the new category when overriding
+   */
+  async reviewIssue(issueId, { decision, category, notes } = {}, user, ipAddress = null) {
+    try {
+      const issue = await IssueService.getIssueRow(issueId);
+      if (!IssueService.isVisibleTo(issue, user)) {
+        throw new Error('Issue not found');
+      }
+      if (!issue.needs_review) {
+        throw new Error('This issue is not waiting for review');
+      }
+      if (!DECISIONS.includes(decision)) {
+        throw new Error(`Decision must be one of: ${DECISIONS.join(', ')}`);
+      }
+
+      const { aiCategory, reporterCategory } = this.getCategories(issue);
+      const finalCategory = this.getFinalCategory(decision, category, issue.category, aiCategory, reporterCategory);
+      const now = new Date().toISOString();
+
+      // Only while still waiting for review, so of two reviewers deciding together only one is recorded
+      const { data: reviewedRows, error: updateError } = await db
+        .from('issues')
+        .update({
+          category: finalCategory,
+          verified_category: finalCategory,
+          needs_review: false,
+          updated_at: now
+        })
+        .eq('issue_id', issue.issue_id)
+        .eq('needs_review', true)
+        .select('*, departments (id, name, code)');
+
+      if (updateError) {
+        throw new Error(updateError.message);
+      }
+      if (!reviewedRows || reviewedRows.length === 0) {
+        throw new Error(`Issue ${issue.issue_id} has already been reviewed`);
+      }
+      let updated = reviewedRows[0];
+
+      const reroute = await IssueService.rerouteForCategory(issue, {
+        category: finalCategory,
+        notes: `Re-routed after classification review as ${finalCategory}`
+      });
+
+      if (reroute) {
+        const { data: rerouted, error: rerouteError } = await db
+          .from('issues')
+          .update(reroute.updates)
+          .eq('issue_id', issue.issue_id)
+          .select('*, departments (id, name, code)')
+          .single();
+
+        if (rerouteError) {
+          throw new Error(rerouteError.message);
+        }
+        updated = rerouted;
+      }
+
+      const { data: review, error: reviewError } = await db
+        .from('classification_reviews')
+        .insert([{
+          issue_id: issue.issue_id,
+          decision,
+          reporter_category: reporterCategory,
+          ai_category: aiCategory,
+          final_category: finalCategory,
+          ai_confidence: issue.confidence_score,
+          ai_classifier: issue.ai_classification?.classification_details?.image_analysis?.classifier || null,
+          image_url: this.getFirstImage(issue),
+          description: issue.description || null,
+          notes: notes || null,
+          reviewed_by_user_id: user.id,
+          created_at: now
+        }])
+        .select()
+        .single();
+
+      if (reviewError) {
+        throw new Error(reviewError.message);
+      }
+
+      await AuditService.log(
+        'issue',
+        issue.issue_id,
+        'classification_reviewed',
+        { category: issue.category, needs_review: true, assigned_department_id: issue.assigned_department_id },
+        { category: finalCategory, needs_review: false, decision, assigned_department_id: updated.assigned_department_id },
+        user.id,
+        ipAddress,
+        `AI classification ${decision}: ${issue.category}${finalCategory !== issue.category ? ` → ${finalCategory}` : ''}${reroute ? `, re-routed to ${reroute.routing.department.name}` : ''}`
+      );
+
+      console.log(`🏷️ Classification of ${issue.issue_id} ${decision} (${finalCategory}${reroute ? `, re-routed to ${reroute.routing.department.code}` : ''})`);
+      IssueService.publishIssueEvent('issue.reviewed', issue.issue_id, {
+        previous: { category: issue.category },
+        previousRow: reroute ? issue : null
+      });
+
+      await WorkflowService.loadWorkflows();
+
+      return {
+        success: true,
+        message: `Classification ${decision}`,
+        data: {
+          issue: IssueService.transformIssueData(updated),
+          review: this.transformReview(review)
+        }
+      };
+    } catch (error) {
+      throw new Error(error.message || 'Failed to review classification');
+    }
+  }
+
+  /**
+   * The category the AI settled on and the one the reporter picked
+   */
+  getCategories(issue) {
+    const classification = issue.ai_classification || {};
+    return {
+      aiCategory: issue.verified_category || classification.verified_category || issue.category,
+      reporterCategory: classification.reclassification_event?.from || classification.original_category || issue.category
+    };
+  }
+
+  getFinalCategory(decision, category, currentCategory, aiCategory, reporterCategory) {
+    if (decision === 'accepted') {
+      return aiCategory;
+    }
+
+    if (decision === 'overridden') {
+      if (!CATEGORIES.includes(category)) {
+        throw new Error(`Category must be one of: ${CATEGORIES.join(', ')}`);
+      }
+      if (category === currentCategory) {
+        throw new Error('Choose a category other than the current one, or accept it');
+      }
+      return category;
+    }
+
+    // Rejected: back to what the reporter chose
+    if (reporterCategory === aiCategory) {
+      throw new Error('The AI kept the reporter\'s category; override it with the right category instead');
+    }
+    return reporterCategory;
+  }
+
+  getFirstImage(issue) {
+    const image = (issue.images || [])[0];
+    return (typeof image === 'string' ? image : image?.url) || null;
+  }
+
+  transformQueueItem(issue) {
+    const { aiCategory, reporterCategory } = this.getCategories(issue);
+    const imageAnalysis = issue.ai_classification?.classification_details?.image_analysis || {};
+
+    return {
+      ...IssueService.transformIssueData(issue),
+      review: {
+        aiCategory,
+        reporterCategory,
+        confidence: issue.confidence_score,
+        classifier: imageAnalysis.classifier || null,
+        explanation: issue.ai_explanation || issue.ai_classification?.ai_explanation || null,
+        aiError: issue.ai_error || null,
+        canReject: aiCategory !== reporterCategory
+      }
+    };
+  }
+
+  transformReview(review) {
+    return {
+      id: review.id,
+      issueId: review.issue_id,
+      decision: review.decision,
+      reporterCategory: review.reporter_category,
+      aiCategory: review.ai_category,
+      finalCategory: review.final_category,
+      aiConfidence: review.ai_confidence !== null ? Number(review.ai_confidence) : null,
+      aiClassifier: review.ai_classifier,
+      notes: review.notes,
+      reviewedByUserId: review.reviewed_by_user_id,
+      createdAt: review.created_at
+    };
+  }
+}
+
+module.exports = new ClassificationReviewService();
+module.exports.DECISIONS = DECISIONS;
+module.exports.CATEGORIES = CATEGORIES;
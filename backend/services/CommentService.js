@@ -0,0 +1,317 @@
+/**
+ * Comment Service
+ * Public comment threads on issues.
+ *
+ * Anyone can comment with a name and email. Staff holding `comment.respond`
+ * for an issue they can see post official responses, and may leave internal
+ * notes that only such staff can read. Replies always hang off the top-level
+ * comment, so threads are one level deep. Reported comments are hidden
+ * automatically after a few reports from signed-in users; `comment.moderate`
+ * hides or restores them.
+ */
+
+const { db } = require('../config/database');
+const AuditService = require('./AuditService');
+const IssueService = require('./IssueService');
+const PermissionService = require('./PermissionService');
+
+// Reports from different signed-in users that hide a resident's comment until a moderator looks at it.
+// Anonymous reports are only keyed by a client-supplied IP, so they are counted but never hide a comment.
+const AUTO_HIDE_REPORTS = 3;
+
+class CommentService {
+  /**
+   * Comment threads for an issue, oldest first. Internal notes are only
+   * returned to staff; hidden comments keep their place without their text.
+   */
+  async listComments(issueId, user = null) {
+    try {
+      const issue = await IssueService.getIssueRow(issueId);
+      const isStaff = this.isStaffFor(issue, user);
+
+      let query = db
+        .from('issue_comments')
+        .select('*')
+        .eq('issue_id', issue.issue_id)
+        .order('created_at', { ascending: true });
+
+      if (!isStaff) {
+        query = query.eq('is_internal', false);
+      }
+
+      const { data: comments, error } = await query;
+
+      if (error) {
+        throw new Error(error.message);
+      }
+
+      const threads = [];
+      const byId = new Map();
+      comments.forEach(comment => {
+        const transformed = { ...this.transformComment(comment, isStaff), replies: [] };
+        byId.set(comment.id, transformed);
+        if (!comment.parent_comment_id) {
+          threads.push(transformed);
+        }
+      });
+      comments
+        .filter(comment => comment.parent_comment_id && byId.has(comment.parent_comment_id))
+        .forEach(comment => byId.get(comment.parent_comment_id).replies.push(byId.get(comment.id)));
+
+      return {
+        success: true,
+        data: threads,
+        count: comments.length
+      };
+    } catch (error) {
+      throw new Error(error.message || 'Failed to fetch comments');
+    }
+  }
+
+  /**
+   * Add a comment or a reply. Signed-in users comment under their account;
+   * everyone else gives a name and email.
+   */
+  async addComment(issueId, { message, parentCommentId, internal = false, citizenName, citizenEmail }, user = null, ipAddress = null) {
+    try {
+      const issue = await IssueService.getIssueRow(issueId);
+      const isStaff = this.isStaffFor(issue, user);
+
+      if (internal && !isStaff) {
+        throw new Error('Only staff working on this issue can add internal notes');
+      }
+
+      let rootId = null;
+      let isInternal = !!internal;
+      if (parentCommentId) {
+        const parent = await this.getComment(issue.issue_id, parentCommentId);
+        if (parent.is_internal && !isStaff) {
+          throw new Error('Comment not found');
+        }
+        rootId = parent.parent_comment_id || parent.id;
+        // A reply inside an internal thread stays internal
+        isInternal = isInternal || parent.is_internal;
+      }
+
+      const author = user
+        ? { name: user.full_name || user.username || user.email, email: user.email || null, userId: user.id }
+        : { name: citizenName, email: citizenEmail, userId: null };
+
+      if (!author.name || (!user && !author.email)) {
+        throw new Error('Name and email are required to comment');
+      }
+
+      const { data: comment, error } = await db
+        .from('issue_comments')
+        .insert([{
+          issue_id: issue.issue_id,
+          parent_comment_id: rootId,
+          author_user_id: author.userId,
+          author_name: author.name,
+          author_email: author.email,
+          message: message.trim(),
+          is_official: isStaff,
+          is_internal: isInternal,
+          ip_address: ipAddress
+        }])
+        .select()
+        .single();
+
+      if (error) {
+        throw new Error(error.message);
+      }
+
+      if (isStaff) {
+        await AuditService.log(
+          'issue',
+          issue.issue_id,
+          isInternal ? 'internal_note' : 'official_response',
+          null,
+          { comment_id: comment.id },
+          user.id,
+          ipAddress,
+          isInternal ? 'Internal note added' : 'Official response posted'
+        );
+      }
+
+      return {
+        success: true,
+        message: isInternal ? 'Internal note added' : 'Comment posted',
+        data: { ...this.transformComment(comment, isStaff), replies: [] }
+      };
+    } catch (error) {
+      throw new Error(error.message || 'Failed to post comment');
+    }
+  }
+
+  /**
+   * Report a comment as inappropriate; each person (account or IP address) counts once
+   */
+  async reportComment(issueId, commentId, { reason } = {}, user = null, ipAddress = null) {
+    try {
+      const comment = await this.getComment(issueId, commentId);
+      if (comment.is_internal) {
+        throw new Error('Comment not found');
+      }
+
+      const reporterKey = user ? `user:${user.id}` : `ip:${ipAddress || 'unknown'}`;
+
+      const { data: existing, error: existingError } = await db
+        .from('issue_comment_reports')
+        .select('id')
+        .eq('comment_id', comment.id)
+        .eq('reporter_key', reporterKey)
+        .maybeSingle();
+
+      if (existingError) {
+        throw new Error(existingError.message);
+      }
+      if (existing) {
+        throw new Error('You have already reported this comment');
+      }
+
+      const { error: insertError } = await db
+        .from('issue_comment_reports')
+        .insert([{ comment_id: comment.id, reporter_key: reporterKey, reason: reason || null }]);
+
+      if (insertError) {
+        throw new Error(insertError.message);
+      }
+
+      const { data: reports, error: countError } = await db
+        .from('issue_comment_reports')
+        .select('id, reporter_key')
+        .eq('comment_id', comment.id);
+
+      if (countError) {
+        throw new Error(countError.message);
+      }
+
+      const changes = { report_count: reports.length, updated_at: new Date().toISOString() };
+      const userReports = reports.filter(report => report.reporter_key.startsWith('user:')).length;
+      // Official responses stay up until a moderator decides
+      const autoHide = !comment.is_hidden && !comment.is_official && userReports >= AUTO_HIDE_REPORTS;
+      if (autoHide) {
+        Object.assign(changes, {
+          is_hidden: true,
+          hidden_reason: `Hidden automatically after ${userReports} reports`,
+          hidden_at: new Date().toISOString()
+        });
+      }
+
+      const { error } = await db
+        .from('issue_comments')
+        .update(changes)
+        .eq('id', comment.id);
+
+      if (error) {
+        throw new Error(error.message);
+      }
+
+      if (autoHide) {
+        await AuditService.log('issue', comment.issue_id, 'comment_hidden', { comment_id: comment.id, is_hidden: false }, { comment_id: comment.id, is_hidden: true }, null, ipAddress, changes.hidden_reason);
+        console.log(`🚩 Comment ${comment.id} on ${comment.issue_id} hidden after ${userReports} reports`);
+      }
+
+      return {
+        success: true,
+        message: 'Thanks — a moderator will review this comment'
+      };
+    } catch (error) {
+      throw new Error(error.message || 'Failed to report comment');
+    }
+  }
+
+  /**
+   * Hide or restore a comment on an issue the moderator can see
+   */
+  async moderateComment(issueId, commentId, { hidden, reason }, user, ipAddress = null) {
+    try {
+      const issue = await IssueService.getIssueRow(issueId);
+      if (!IssueService.isVisibleTo(issue, user)) {
+        throw new Error('Issue not found');
+      }
+
+      const comment = await this.getComment(issue.issue_id, commentId);
+
+      const changes = hidden
+        ? { is_hidden: true, hidden_reason: reason || null, hidden_by_user_id: user.id, hidden_at: new Date().toISOString() }
+        : { is_hidden: false, hidden_reason: null, hidden_by_user_id: null, hidden_at: null };
+
+      const { data: updated, error } = await db
+        .from('issue_comments')
+        .update({ ...changes, updated_at: new Date().toISOString() })
+        .eq('id', comment.id)
+        .select()
+        .single();
+
+      if (error) {
+        throw new Error(error.message);
+      }
+
+      await AuditService.log(
+        'issue',
+        issue.issue_id,
+        hidden ? 'comment_hidden' : 'comment_restored',
+        { comment_id: comment.id, is_hidden: comment.is_hidden },
+        { comment_id: comment.id, is_hidden: !!hidden },
+        user.id,
+        ipAddress,
+        hidden ? `Comment ${comment.id} hidden${reason ? `: ${reason}` : ''}` : `Comment ${comment.id} restored`
+      );
+
+      return {
+        success: true,
+        message: hidden ? 'Comment hidden' : 'Comment restored',
+        data: this.transformComment(updated, true)
+      };
+    } catch (error) {
+      throw new Error(error.message || 'Failed to moderate comment');
+    }
+  }
+
+  async getComment(issueId, commentId) {
+    const { data, error } = await db
+      .from('issue_comments')
+      .select('*')
+      .eq('id', commentId)
+      .eq('issue_id', issueId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(error.message);
+    }
+    if (!data) {
+      throw new Error('Comment not found');
+    }
+    return data;
+  }
+
+  /**
+   * Whether a user answers officially on an issue: they respond to comments and can see the issue
+   */
+  isStaffFor(issue, user) {
+    return PermissionService.can(user, 'comment.respond') && IssueService.isVisibleTo(issue, user);
+  }
+
+  transformComment(comment, isStaff = false) {
+    const hideText = comment.is_hidden && !isStaff;
+    return {
+      id: comment.id,
+      issueId: comment.issue_id,
+      parentId: comment.parent_comment_id,
+      authorName: hideText ? null : comment.author_name,
+      message: hideText ? null : comment.message,
+      isOfficial: !!comment.is_official,
+      isInternal: !!comment.is_internal,
+      isHidden: !!comment.is_hidden,
+      ...(isStaff ? {
+        hiddenReason: comment.hidden_reason,
+        reportCount: comment.report_count || 0
+      } : {}),
+      createdAt: comment.created_at
+    };
+  }
+}
+
+module.exports = new CommentService();
@@ -3,74 +3,98 @@
  * Handles department routing, assignment logic, and SLA management
  */
 
-const { supabase } = require('../config/database');
+const { db } = require('../config/database');
 const AuditService = require('./AuditService');
+const WorkflowService = require('./WorkflowService');
+const NotificationService = require('./NotificationService');
+const BusinessCalendarService = require('./BusinessCalendarService');
+const WardService = require('./WardService');
+const RoutingRuleService = require('./RoutingRuleService');
+const PermissionService = require('./PermissionService');
 
-class DepartmentService {
-  constructor() {
-    // Department routing rules based on issue categories
-    this.routingRules = {
-      'pothole': { departmentCode: 'ROADS', priority: 'medium', sla: 48 },
-      'garbage': { departmentCode: 'SANITATION', priority: 'high', sla: 24 },
-      'water': { departmentCode: 'WATER', priority: 'high', sla: 12 },
-      'streetlight': { departmentCode: 'ELECTRICITY', priority: 'medium', sla: 24 },
-      'traffic': { departmentCode: 'TRAFFIC', priority: 'high', sla: 48 },
-      'graffiti': { departmentCode: 'PARKS', priority: 'low', sla: 72 },
-      'sidewalk': { departmentCode: 'ROADS', priority: 'medium', sla: 48 },
-      'other': { departmentCode: 'PLANNING', priority: 'low', sla: 168 }
-    };
+// Built-in escalation chain, as a share of the department's SLA
+const DEFAULT_ESCALATION_LEVELS = [
+  { key: 'warning', label: 'SLA warning', at_percent: 80, notify: ['assignee'], raise_priority: false },
+  { key: 'breach', label: 'SLA breached', at_percent: 100, notify: ['assignee', 'department_head'], raise_priority: true },
+  { key: 'commissioner', label: 'Escalated to commissioner', at_percent: 200, notify: ['department_head', 'commissioner'], raise_priority: true }
+];
 
-    // Location-based routing (for future ward-based assignment)
-    this.wardAssignments = {
-      'North': ['North Ward A', 'North Ward B', 'North Ward C'],
-      'South': ['South Ward A', 'South Ward B', 'South Ward C'],
-      'East': ['East Ward A', 'East Ward B', 'East Ward C'],
-      'West': ['West Ward A', 'West Ward B', 'West Ward C'],
-      'Central': ['Central Ward A', 'Central Ward B']
-    };
-  }
+// Named recipients a level can notify, besides plain email addresses
+const ESCALATION_RECIPIENTS = ['assignee', 'department', 'department_head', 'commissioner'];
+
+const ESCALATION_KEY_PATTERN = /^[a-z][a-z0-9_]{0,49}$/;
+
+const MAX_ESCALATION_LEVELS = 5;
 
+// How a department picks the officer for a new issue, among the officers who own its ward
+const ASSIGNMENT_STRATEGIES = {
+  least_open: 'Officer with the fewest open issues',
+  round_robin: 'Officer who has gone longest without a new issue',
+  skills: 'Officer tagged with the issue\'s category, then the fewest open issues',
+  shift: 'Officer on shift now, then the fewest open issues'
+};
+
+const DEFAULT_ASSIGNMENT_STRATEGY = 'least_open';
+
+// Users whose role grants this permission are the officers issues are assigned to
+const ASSIGNEE_PERMISSION = 'issue.assignee';
+
+class DepartmentService {
   /**
-   * Auto-assign issue to appropriate department based on category and location
+   * Auto-assign issue to the department chosen by the routing rules, and to
+   * an officer of that department who owns the issue's ward
    */
   async autoAssignIssue(issueData, assignedByUserId = null) {
     try {
       const { category, location } = issueData;
-      
-      // Get routing rule for category
-      const routingRule = this.routingRules[category] || this.routingRules['other'];
-      
-      // Find department by code
-      const { data: department, error: deptError } = await supabase
-        .from('departments')
-        .select('*')
-        .eq('code', routingRule.departmentCode)
-        .eq('is_active', true)
-        .single();
 
-      if (deptError || !department) {
-        throw new Error(`Department not found for category: ${category}`);
-      }
+      const ward = location ? await this.determineWardArea(location) : null;
+      const { rule: routingRule, department } = await this.resolveRoute({
+        category,
+        subcategory: issueData.subcategory,
+        description: issueData.description,
+        ward,
+        confidence: issueData.confidence_score
+      });
 
-      // Find available authority in the department and ward area
-      const wardArea = this.determineWardArea(location);
-      const assignedUser = await this.findAvailableAuthority(department.id, wardArea);
+      // Pick an officer who owns the issue's ward, using the department's strategy
+      const selection = await this.findAvailableAuthority(department, ward, {
+        category,
+        subcategory: issueData.subcategory
+      });
+      const assignedUser = selection.user;
 
-      // Calculate SLA deadline
-      const slaDeadline = new Date();
-      slaDeadline.setHours(slaDeadline.getHours() + (routingRule.sla || department.sla_hours));
+      // Calculate SLA deadline in the department's working hours
+      const slaDeadline = BusinessCalendarService.addBusinessHours(
+        new Date(),
+        routingRule.sla_hours || department.sla_hours,
+        department.business_calendar
+      );
 
       // Create routing log entry
       const routingLog = {
         timestamp: new Date().toISOString(),
-        rule_applied: routingRule,
+        rule_applied: {
+          rule_id: routingRule.id,
+          name: routingRule.name,
+          departmentCode: routingRule.department_code,
+          priority: routingRule.priority,
+          sla: routingRule.sla_hours || department.sla_hours
+        },
         department_assigned: department.code,
         user_assigned: assignedUser?.id || null,
-        ward_area: wardArea,
+        ward_area: ward?.name || null,
+        ward_code: ward?.code || null,
         sla_deadline: slaDeadline.toISOString(),
-        assignment_method: 'auto'
+        assignment_method: 'auto',
+        assignment_strategy: selection.strategy,
+        assignment_reason: selection.reason
       };
 
+      if (assignedUser) {
+        await this.recordAssignment(assignedUser.id);
+      }
+
       const assignmentData = {
         assigned_department_id: department.id,
         assigned_to_user_id: assignedUser?.id || null,
@@ -87,7 +111,7 @@ class DepartmentService {
         assignedUser?.id,
         assignedByUserId,
         null,
-        `Auto-assigned based on category: ${category}`
+        `Auto-assigned by routing rule "${routingRule.name}"`
       );
 
       return {
@@ -101,13 +125,68 @@ class DepartmentService {
     }
   }
 
+  /**
+   * Routing rule and active department for an issue. A rule pointing at a
+   * department that has since been deactivated falls through to the catch-all.
+   */
+  async resolveRoute(issue, rules = null) {
+    const { rule, trace } = await RoutingRuleService.match(issue, rules);
+
+    for (const candidate of [rule, RoutingRuleService.FALLBACK_RULE]) {
+      const { data: department } = await db
+        .from('departments')
+        .select('*')
+        .eq('code', candidate.department_code)
+        .eq('is_active', true)
+        .maybeSingle();
+
+      if (department) {
+        return { rule: candidate, department, trace };
+      }
+      console.warn(`⚠️ Routing rule "${candidate.name}" points at missing or inactive department ${candidate.department_code}`);
+    }
+
+    throw new Error(`Department not found for category: ${issue.category}`);
+  }
+
+  /**
+   * Dry run: where a sample issue would be routed, without assigning anything.
+   * Pass `rules` to try an unsaved rule set.
+   */
+  async previewRouting({ category, subcategory, description, location, confidence }, rules = null) {
+    try {
+      const candidateRules = rules ? await RoutingRuleService.validateRules(rules) : null;
+      const ward = location ? await this.determineWardArea(location) : null;
+      const { rule, department, trace } = await this.resolveRoute(
+        { category, subcategory, description, ward, confidence },
+        candidateRules
+      );
+      const selection = await this.findAvailableAuthority(department, ward, { category, subcategory });
+
+      return {
+        rule,
+        department: { id: department.id, code: department.code, name: department.name },
+        ward,
+        sla_hours: rule.sla_hours || department.sla_hours,
+        officer: selection.user ? { id: selection.user.id, full_name: selection.user.full_name } : null,
+        assignment_strategy: selection.strategy,
+        assignment_reason: selection.reason,
+        trace
+      };
+    } catch (error) {
+      const wrapped = new Error(error.message || 'Failed to preview routing');
+      wrapped.details = error.details;
+      throw wrapped;
+    }
+  }
+
   /**
    * Manually assign issue to specific department and user
    */
   async manualAssignIssue(issueId, departmentId, userId = null, assignedByUserId, assignmentReason = null) {
     try {
       // Validate department
-      const { data: department, error: deptError } = await supabase
+      const { data: department, error: deptError } = await db
         .from('departments')
         .select('*')
         .eq('id', departmentId)
@@ -121,7 +200,7 @@ class DepartmentService {
       // Validate user if provided
       let assignedUser = null;
       if (userId) {
-        const { data: user, error: userError } = await supabase
+        const { data: user, error: userError } = await db
           .from('users')
           .select('*')
           .eq('id', userId)
@@ -135,9 +214,8 @@ class DepartmentService {
         assignedUser = user;
       }
 
-      // Calculate SLA deadline
-      const slaDeadline = new Date();
-      slaDeadline.setHours(slaDeadline.getHours() + department.sla_hours);
+      // Calculate SLA deadline in the department's working hours
+      const slaDeadline = BusinessCalendarService.addBusinessHours(new Date(), department.sla_hours, department.business_calendar);
 
       // Create routing log entry
       const routingLog = {
@@ -149,17 +227,17 @@ class DepartmentService {
         assignment_reason: assignmentReason
       };
 
-      // Update issue - use read-then-write for routing_logs since supabase.sql isn't available
-      const { data: currentIssueData } = await supabase
+      // Update issue - use read-then-write for routing_logs since raw SQL expressions aren't available
+      const { data: currentIssueData } = await db
         .from('issues')
-        .select('routing_logs')
+        .select('*')
         .eq('issue_id', issueId)
         .single();
       
-      const existingLogs = currentIssueData?.routing_logs || [];
+      const existingLogs = [...(currentIssueData?.routing_logs || [])];
       existingLogs.push(routingLog);
 
-      const { data: updatedIssue, error: updateError } = await supabase
+      const { data: updatedIssue, error: updateError } = await db
         .from('issues')
         .update({
           assigned_department_id: departmentId,
@@ -177,6 +255,10 @@ class DepartmentService {
         throw new Error(updateError.message);
       }
 
+      if (userId) {
+        await this.recordAssignment(userId);
+      }
+
       // Log the assignment
       await AuditService.logIssueAssignment(
         issueId,
@@ -189,6 +271,7 @@ class DepartmentService {
 
       return {
         issue: updatedIssue,
+        previousIssue: currentIssueData,
         department,
         assignedUser
       };
@@ -203,7 +286,7 @@ class DepartmentService {
   async reassignIssue(issueId, newDepartmentId, newUserId = null, reassignedByUserId, reassignmentReason) {
     try {
       // Get current issue data
-      const { data: currentIssue, error: issueError } = await supabase
+      const { data: currentIssue, error: issueError } = await db
         .from('issues')
         .select('*')
         .eq('issue_id', issueId)
@@ -235,7 +318,7 @@ class DepartmentService {
       };
 
       // Update status history - use read-then-write
-      const { data: issueForHistory } = await supabase
+      const { data: issueForHistory } = await db
         .from('issues')
         .select('status_history')
         .eq('issue_id', issueId)
@@ -244,7 +327,7 @@ class DepartmentService {
       const existingHistory = issueForHistory?.status_history || [];
       existingHistory.push(statusChange);
 
-      await supabase
+      await db
         .from('issues')
         .update({
           status_history: existingHistory
@@ -258,19 +341,92 @@ class DepartmentService {
   }
 
   /**
-   * Find available authority in department and ward area
+   * Pick the officer for a new issue. The pool is the department's officers
+   * whose ward_area is the ward's code or name, else the ward's zone, else
+   * the whole department; the department's assignment strategy then chooses
+   * within it. Returns `{ user, strategy, reason }` (user is null when the
+   * department has no active officers).
    */
-  async findAvailableAuthority(departmentId, wardArea = null) {
+  async findAvailableAuthority(department, ward = null, { category = null, subcategory = null } = {}) {
+    const strategy = ASSIGNMENT_STRATEGIES[department.assignment_strategy]
+      ? department.assignment_strategy
+      : DEFAULT_ASSIGNMENT_STRATEGY;
+
     try {
-      let query = supabase
+      const { officers, pool } = await this.findWardOfficers(department.id, ward);
+      if (officers.length === 0) {
+        return { user: null, strategy, reason: 'No active officers in the department' };
+      }
+
+      const openCounts = await this.getOpenIssueCounts(officers.map(officer => officer.id));
+      const openIssues = officer => openCounts.get(officer.id) || 0;
+      const lastAssigned = officer => (officer.last_assigned_at ? new Date(officer.last_assigned_at).getTime() : 0);
+      const byWorkload = (a, b) => openIssues(a) - openIssues(b) || lastAssigned(a) - lastAssigned(b) || a.id - b.id;
+      const byRotation = (a, b) => lastAssigned(a) - lastAssigned(b) || a.id - b.id;
+      const officerCount = `${officers.length} officer${officers.length === 1 ? '' : 's'} of ${pool}`;
+
+      let candidates = officers;
+      let reason;
+      if (strategy === 'skills') {
+        const tags = [category, subcategory].filter(Boolean).map(tag => String(tag).toLowerCase());
+        const skilled = officers.filter(officer => (officer.skills || []).some(skill => tags.includes(String(skill).toLowerCase())));
+        candidates = skilled.length ? skilled : officers;
+        reason = skilled.length
+          ? `Tagged for ${tags.join('/')} (${skilled.length} of ${officerCount})`
+          : `Nobody among ${officerCount} is tagged for ${tags.join('/') || 'this category'}`;
+      } else if (strategy === 'shift') {
+        const now = new Date();
+        const onShift = officers.filter(officer => BusinessCalendarService.isWorkingTime(now, officer.shift_schedule));
+        candidates = onShift.length ? onShift : officers;
+        reason = onShift.length
+          ? `On shift (${onShift.length} of ${officerCount})`
+          : `Nobody among ${officerCount} is on shift`;
+      }
+
+      const [user] = [...candidates].sort(strategy === 'round_robin' ? byRotation : byWorkload);
+      if (strategy === 'round_robin') {
+        reason = `Next in rotation among ${officerCount}${user.last_assigned_at ? `; last assigned ${user.last_assigned_at}` : '; not assigned before'}`;
+      } else {
+        const workload = `fewest open issues (${openIssues(user)})`;
+        reason = reason ? `${reason}; ${workload}` : `Fewest open issues (${openIssues(user)}) among ${officerCount}`;
+      }
+
+      return { user, strategy, reason };
+    } catch (error) {
+      console.error('Error finding available authority:', error);
+      return { user: null, strategy, reason: `Officer selection failed: ${error.message}` };
+    }
+  }
+
+  /**
+   * Active officers of a department who own a ward: by ward code or name, then
+   * by zone, then everyone. `pool` describes which of these matched.
+   */
+  async findWardOfficers(departmentId, ward = null) {
+    const assigneeRoles = await PermissionService.getRolesWithPermission(ASSIGNEE_PERMISSION);
+    if (assigneeRoles.length === 0) {
+      return { officers: [], pool: 'the department' };
+    }
+
+    const pools = [];
+    if (ward && (ward.code || ward.name)) {
+      pools.push({ areas: [ward.code, ward.name].filter(Boolean), label: `ward ${ward.name || ward.code}` });
+    }
+    if (ward && ward.zone) {
+      pools.push({ areas: [ward.zone], label: `zone ${ward.zone}` });
+    }
+    pools.push({ areas: null, label: 'the department' });
+
+    for (const { areas, label } of pools) {
+      let query = db
         .from('users')
         .select('*')
         .eq('department_id', departmentId)
         .eq('is_active', true)
-        .eq('role', 'authority');
+        .in('role', assigneeRoles);
 
-      if (wardArea) {
-        query = query.eq('ward_area', wardArea);
+      if (areas) {
+        query = query.in('ward_area', areas);
       }
 
       const { data: users, error } = await query;
@@ -278,47 +434,120 @@ class DepartmentService {
       if (error) {
         throw new Error(error.message);
       }
+      if (users && users.length > 0) {
+        return { officers: users, pool: label };
+      }
+    }
 
-      if (!users || users.length === 0) {
-        // If no users in specific ward, try department-wide
-        if (wardArea) {
-          return this.findAvailableAuthority(departmentId, null);
-        }
-        return null;
+    return { officers: [], pool: 'the department' };
+  }
+
+  /**
+   * Open (not resolved, closed or rejected) issues assigned to each officer
+   */
+  async getOpenIssueCounts(userIds) {
+    const counts = new Map();
+    if (userIds.length === 0) return counts;
+
+    const openStatuses = await WorkflowService.getStatusesInStages(['submitted', 'assigned', 'in_progress']);
+    const { data: issues, error } = await db
+      .from('issues')
+      .select('assigned_to_user_id')
+      .in('assigned_to_user_id', userIds)
+      .in('status', openStatuses);
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    (issues || []).forEach(issue => {
+      counts.set(issue.assigned_to_user_id, (counts.get(issue.assigned_to_user_id) || 0) + 1);
+    });
+    return counts;
+  }
+
+  /**
+   * Remember when an officer last received an issue, for round-robin assignment
+   */
+  async recordAssignment(userId) {
+    const { error } = await db
+      .from('users')
+      .update({ last_assigned_at: new Date().toISOString() })
+      .eq('id', userId);
+
+    if (error) {
+      console.error('Error recording officer assignment:', error.message);
+    }
+  }
+
+  /**
+   * A department's assignment strategy and its officers' workload, skills and shifts
+   */
+  async getAssignmentSettings(departmentId) {
+    try {
+      const department = await this.getDepartmentById(departmentId);
+      const assigneeRoles = await PermissionService.getRolesWithPermission(ASSIGNEE_PERMISSION);
+      const { data: officers, error } = await db
+        .from('users')
+        .select('id, full_name, username, ward_area, skills, shift_schedule, last_assigned_at')
+        .eq('department_id', department.id)
+        .eq('is_active', true)
+        .in('role', assigneeRoles)
+        .order('id', { ascending: true });
+
+      if (error) {
+        throw new Error(error.message);
       }
 
-      // For now, return the first available user
-      // In the future, implement load balancing based on current workload
-      return users[0];
+      const openCounts = await this.getOpenIssueCounts(officers.map(officer => officer.id));
+      const now = new Date();
+
+      return {
+        department_id: department.id,
+        strategy: ASSIGNMENT_STRATEGIES[department.assignment_strategy] ? department.assignment_strategy : DEFAULT_ASSIGNMENT_STRATEGY,
+        strategies: Object.entries(ASSIGNMENT_STRATEGIES).map(([key, description]) => ({ key, description })),
+        officers: officers.map(officer => ({
+          ...officer,
+          skills: officer.skills || [],
+          open_issues: openCounts.get(officer.id) || 0,
+          on_shift: BusinessCalendarService.isWorkingTime(now, officer.shift_schedule)
+        }))
+      };
     } catch (error) {
-      console.error('Error finding available authority:', error);
-      return null;
+      throw new Error(error.message || 'Failed to fetch assignment settings');
     }
   }
 
   /**
-   * Determine ward area from location data
+   * Check an assignment strategy sent by an admin
    */
-  determineWardArea(locationData) {
+  validateAssignmentStrategy(strategy) {
+    if (!ASSIGNMENT_STRATEGIES[strategy]) {
+      throw new Error(`Assignment strategy must be one of: ${Object.keys(ASSIGNMENT_STRATEGIES).join(', ')}`);
+    }
+    return strategy;
+  }
+
+  /**
+   * Determine the ward of a location: the uploaded boundary containing its
+   * coordinates, else the ward named in `location.ward`. Returns
+   * `{ code, name, zone }` (code and zone are null for an unknown ward name) or null.
+   */
+  async determineWardArea(locationData) {
     try {
-      // Check if location already has ward information
-      if (locationData.ward) {
-        return locationData.ward;
+      const ward = await WardService.findWard(locationData.lat, locationData.lng);
+      if (ward) {
+        return ward;
       }
 
-      // Simple ward determination based on coordinates
-      // In production, this would use proper GIS data
-      const { lat, lng } = locationData;
+      if (locationData.ward) {
+        return await WardService.getWard(locationData.ward) || { code: null, name: locationData.ward, zone: null };
+      }
 
-      if (lat > 40.7700) return 'North';
-      if (lat < 40.7400) return 'South';
-      if (lng > -74.0000) return 'East';
-      if (lng < -74.0200) return 'West';
-      
-      return 'Central';
+      return null;
     } catch (error) {
       console.error('Error determining ward area:', error);
-      return 'Central'; // Default fallback
+      return null;
     }
   }
 
@@ -327,7 +556,7 @@ class DepartmentService {
    */
   async getAllDepartments() {
     try {
-      const { data: departments, error } = await supabase
+      const { data: departments, error } = await db
         .from('departments')
         .select('*')
         .eq('is_active', true)
@@ -354,7 +583,7 @@ class DepartmentService {
       startDate.setDate(startDate.getDate() - parseInt(timeframe));
 
       // Get issue statistics for the department
-      const { data: issueStats, error } = await supabase
+      const { data: issueStats, error } = await db
         .from('issues')
         .select('status, priority, severity_level')
         .eq('assigned_department_id', departmentId)
@@ -393,7 +622,7 @@ class DepartmentService {
    */
   async getDepartmentById(departmentId) {
     try {
-      const { data: department, error } = await supabase
+      const { data: department, error } = await db
         .from('departments')
         .select('*')
         .eq('id', departmentId)
@@ -411,62 +640,95 @@ class DepartmentService {
   }
 
   /**
-   * Check for SLA violations and auto-escalate
+   * Walk open issues up their department's escalation levels. Each level
+   * fires once per issue: it is audited, may raise the priority one step and
+   * emails its recipients. An issue that skipped levels between two checks
+   * only emails for the highest one.
    */
   async checkSLAViolations() {
     try {
       const now = new Date();
-      
-      // Find issues that have passed their SLA deadline
-      const { data: overdueIssues, error } = await supabase
+
+      // Open issues (including custom workflow statuses) with an SLA
+      const openStatuses = await WorkflowService.getStatusesInStages(['submitted', 'assigned', 'in_progress']);
+      const { data: openIssues, error } = await db
         .from('issues')
         .select(`
           *,
-          departments (name, head_of_department, contact_email),
-          users (username, email, full_name)
+          departments (id, name, head_of_department, head_email, contact_email, escalation_levels, business_calendar),
+          users!assigned_to_user_id (username, email, full_name)
         `)
-        .lt('sla_deadline', now.toISOString())
-        .in('status', ['submitted', 'assigned', 'in_progress'])
-        .eq('auto_escalated', false);
+        .not('sla_deadline', 'is', null)
+        .in('status', openStatuses);
 
       if (error) {
         throw new Error(error.message);
       }
 
       const escalatedIssues = [];
+      let totalOverdue = 0;
+
+      for (const issue of openIssues) {
+        const percent = this.getSlaElapsedPercent(issue, now);
+        if (percent >= 100) totalOverdue++;
+
+        const levels = this.getEscalationLevels(issue.departments);
+        const currentLevel = issue.escalation_level || 0;
+        const reachedLevel = levels.filter(level => percent >= level.at_percent).length;
+        if (reachedLevel <= currentLevel) continue;
 
-      for (const issue of overdueIssues) {
         try {
-          // Mark as auto-escalated
-          await supabase
+          const newLevels = levels.slice(currentLevel, reachedLevel);
+          const level = levels[reachedLevel - 1];
+          const priority = newLevels
+            .filter(candidate => candidate.raise_priority)
+            .reduce(current => this.escalatePriority(current), issue.priority);
+
+          const { error: updateError } = await db
             .from('issues')
             .update({
-              auto_escalated: true,
-              escalation_reason: 'SLA deadline exceeded',
-              priority: this.escalatePriority(issue.priority)
+              escalation_level: reachedLevel,
+              escalated_at: now.toISOString(),
+              escalation_reason: level.label,
+              auto_escalated: issue.auto_escalated || level.at_percent >= 100,
+              priority
             })
             .eq('id', issue.id);
 
-          // Log escalation
-          await AuditService.log(
-            'issue',
-            issue.issue_id,
-            'escalated',
-            { priority: issue.priority, auto_escalated: false },
-            { priority: this.escalatePriority(issue.priority), auto_escalated: true },
-            null,
-            null,
-            'Auto-escalated due to SLA violation'
-          );
-
-          escalatedIssues.push(issue);
+          if (updateError) {
+            throw new Error(updateError.message);
+          }
+
+          for (const [index, reached] of newLevels.entries()) {
+            const levelNumber = currentLevel + index + 1;
+            await AuditService.log(
+              'issue',
+              issue.issue_id,
+              'escalated',
+              { escalation_level: levelNumber - 1, priority: issue.priority },
+              { escalation_level: levelNumber, priority },
+              null,
+              null,
+              `Escalation level ${levelNumber} (${reached.label}) at ${Math.round(percent)}% of SLA`
+            );
+          }
+
+          const recipients = this.getEscalationRecipients(issue, level);
+          await NotificationService.notifySlaEscalation({ ...issue, priority }, level, {
+            levelNumber: reachedLevel,
+            percent,
+            recipients
+          });
+
+          console.log(`🚨 ${issue.issue_id} escalated to level ${reachedLevel} (${level.label}), ${recipients.length} recipient(s)`);
+          escalatedIssues.push({ ...issue, escalation_level: reachedLevel, priority });
         } catch (escalationError) {
           console.error(`Failed to escalate issue ${issue.issue_id}:`, escalationError);
         }
       }
 
       return {
-        total_overdue: overdueIssues.length,
+        total_overdue: totalOverdue,
         escalated: escalatedIssues.length,
         escalated_issues: escalatedIssues
       };
@@ -475,6 +737,135 @@ class DepartmentService {
     }
   }
 
+  /**
+   * How much of the SLA window has passed in business time, as a percentage
+   * (over 100 once breached). A reopened issue's window starts at the reopen.
+   * `calendar` defaults to the joined department's.
+   */
+  getSlaElapsedPercent(issue, now = new Date(), calendar = issue.departments?.business_calendar) {
+    const start = issue.last_reopened_at || issue.submitted_at || issue.created_at;
+    const window = BusinessCalendarService.businessHoursBetween(start, issue.sla_deadline, calendar);
+    if (!(window > 0)) {
+      return now >= new Date(issue.sla_deadline) ? 100 : 0;
+    }
+    return (BusinessCalendarService.businessHoursBetween(start, now, calendar) / window) * 100;
+  }
+
+  /**
+   * Business calendar of every department that has one, keyed by department ID
+   */
+  async getBusinessCalendars() {
+    const { data, error } = await db
+      .from('departments')
+      .select('id, business_calendar');
+
+    if (error) {
+      throw new Error(error.message);
+    }
+    return new Map((data || []).filter(department => department.business_calendar).map(department => [department.id, department.business_calendar]));
+  }
+
+  /**
+   * A department's escalation levels, lowest first; the built-in chain when it has none
+   */
+  getEscalationLevels(department) {
+    const levels = Array.isArray(department?.escalation_levels) && department.escalation_levels.length
+      ? department.escalation_levels
+      : DEFAULT_ESCALATION_LEVELS;
+    return [...levels].sort((a, b) => a.at_percent - b.at_percent);
+  }
+
+  /**
+   * SLA configuration of a department as shown to admins, with the effective escalation levels
+   */
+  getSlaSettings(department) {
+    return {
+      department_id: department.id,
+      sla_hours: department.sla_hours,
+      head_email: department.head_email || null,
+      escalation_levels: this.getEscalationLevels(department),
+      custom_escalation_levels: Array.isArray(department.escalation_levels) && department.escalation_levels.length > 0,
+      business_calendar: department.business_calendar || null
+    };
+  }
+
+  /**
+   * Email addresses for a level's `notify` list, without duplicates
+   */
+  getEscalationRecipients(issue, level) {
+    const department = issue.departments || {};
+    const recipients = [];
+    const add = (email, name, role) => {
+      if (email && !recipients.some(recipient => recipient.email === email)) {
+        recipients.push({ email, name, role });
+      }
+    };
+
+    (level.notify || []).forEach(target => {
+      switch (target) {
+        case 'assignee':
+          // Unassigned issues fall back to the department inbox
+          if (issue.users?.email) add(issue.users.email, issue.users.full_name || issue.users.username, 'assignee');
+          else add(department.contact_email, department.name, 'department');
+          break;
+        case 'department':
+          add(department.contact_email, department.name, 'department');
+          break;
+        case 'department_head':
+          add(department.head_email || department.contact_email, department.head_of_department || `Head of ${department.name || 'department'}`, 'department_head');
+          break;
+        case 'commissioner':
+          add(process.env.COMMISSIONER_EMAIL, 'Commissioner', 'commissioner');
+          break;
+        default:
+          add(target, null, 'email');
+      }
+    });
+
+    return recipients;
+  }
+
+  /**
+   * Check escalation levels sent by an admin, returning them sorted by threshold
+   */
+  validateEscalationLevels(levels) {
+    if (!Array.isArray(levels) || levels.length === 0 || levels.length > MAX_ESCALATION_LEVELS) {
+      throw new Error(`Provide between 1 and ${MAX_ESCALATION_LEVELS} escalation levels`);
+    }
+
+    const normalized = levels.map((level, index) => {
+      const position = `Escalation level ${index + 1}`;
+      if (!ESCALATION_KEY_PATTERN.test(level?.key || '')) {
+        throw new Error(`${position}: key must be lowercase letters, digits and underscores`);
+      }
+      if (!level.label || typeof level.label !== 'string') {
+        throw new Error(`${position}: label is required`);
+      }
+      if (!Number.isInteger(level.at_percent) || level.at_percent < 1 || level.at_percent > 1000) {
+        throw new Error(`${position}: at_percent must be a whole number between 1 and 1000`);
+      }
+      const notify = Array.isArray(level.notify) ? level.notify : [];
+      const unknown = notify.filter(target => !ESCALATION_RECIPIENTS.includes(target) && !/^\S+@\S+\.\S+$/.test(target));
+      if (notify.length === 0 || unknown.length) {
+        throw new Error(`${position}: notify must list ${ESCALATION_RECIPIENTS.join(', ')} or email addresses`);
+      }
+      return {
+        key: level.key,
+        label: level.label.trim(),
+        at_percent: level.at_percent,
+        notify: [...new Set(notify)],
+        raise_priority: !!level.raise_priority
+      };
+    });
+
+    const thresholds = normalized.map(level => level.at_percent);
+    if (new Set(thresholds).size !== thresholds.length || new Set(normalized.map(level => level.key)).size !== normalized.length) {
+      throw new Error('Escalation levels need distinct keys and thresholds');
+    }
+
+    return normalized.sort((a, b) => a.at_percent - b.at_percent);
+  }
+
   /**
    * Escalate priority level
    */
@@ -494,7 +885,7 @@ class DepartmentService {
   async createDepartment(departmentData) {
     try {
       const code = departmentData.code || departmentData.name.toUpperCase().replace(/\s+/g, '_').substring(0, 20);
-      const { data, error } = await supabase
+      const { data, error } = await db
         .from('departments')
         .insert([{ ...departmentData, code, is_active: true }])
         .select()
@@ -511,7 +902,7 @@ class DepartmentService {
    */
   async updateDepartment(departmentId, updateData) {
     try {
-      const { data, error } = await supabase
+      const { data, error } = await db
         .from('departments')
         .update({ ...updateData, updated_at: new Date().toISOString() })
         .eq('id', departmentId)
@@ -529,7 +920,7 @@ class DepartmentService {
    */
   async deleteDepartment(departmentId) {
     try {
-      const { data, error } = await supabase
+      const { data, error } = await db
         .from('departments')
         .update({ is_active: false, updated_at: new Date().toISOString() })
         .eq('id', departmentId)
@@ -548,7 +939,7 @@ class DepartmentService {
   async updateDepartmentStatus(departmentId, status) {
     try {
       const isActive = status === 'active';
-      const { data, error } = await supabase
+      const { data, error } = await db
         .from('departments')
         .update({ is_active: isActive, status, updated_at: new Date().toISOString() })
         .eq('id', departmentId)
@@ -566,7 +957,7 @@ class DepartmentService {
    */
   async getDepartmentIssues(departmentId, options = {}) {
     try {
-      let query = supabase
+      let query = db
         .from('issues')
         .select('*, departments(name, code), users!assigned_to_user_id(username, full_name)')
         .eq('assigned_department_id', departmentId)
@@ -590,7 +981,7 @@ class DepartmentService {
    */
   async assignIssueToDepartment(issueId, departmentId, options = {}) {
     try {
-      const { data, error } = await supabase
+      const { data, error } = await db
         .from('issues')
         .update({
           assigned_department_id: departmentId,
@@ -618,9 +1009,9 @@ class DepartmentService {
       const startDate = new Date();
       startDate.setDate(startDate.getDate() - days);
 
-      const { data: issues, error } = await supabase
+      const { data: issues, error } = await db
         .from('issues')
-        .select('status, priority, created_at, resolved_at, sla_deadline')
+        .select('status, priority, created_at, resolved_at, sla_deadline, reopen_count')
         .eq('assigned_department_id', departmentId)
         .gte('created_at', startDate.toISOString());
 
@@ -629,6 +1020,9 @@ class DepartmentService {
       const total = issues.length;
       const resolved = issues.filter(i => i.status === 'resolved' || i.status === 'closed');
       const slaBreaches = issues.filter(i => i.sla_deadline && new Date(i.sla_deadline) < new Date() && !['resolved', 'closed'].includes(i.status));
+      // Reopened issues count as resolved once, whatever their status now
+      const reopened = issues.filter(i => (i.reopen_count || 0) > 0);
+      const everResolved = issues.filter(i => resolved.includes(i) || (i.reopen_count || 0) > 0).length;
       
       let avgResolution = 0;
       if (resolved.length > 0) {
@@ -647,7 +1041,10 @@ class DepartmentService {
         resolution_rate: total > 0 ? Math.round((resolved.length / total) * 100) : 0,
         avg_resolution_hours: avgResolution,
         sla_breaches: slaBreaches.length,
-        sla_compliance: total > 0 ? Math.round(((total - slaBreaches.length) / total) * 100) : 100
+        sla_compliance: total > 0 ? Math.round(((total - slaBreaches.length) / total) * 100) : 100,
+        reopened_count: reopened.length,
+        total_reopens: reopened.reduce((sum, i) => sum + i.reopen_count, 0),
+        reopen_rate: everResolved > 0 ? Math.round((reopened.length / everResolved) * 100) : 0
       };
     } catch (error) {
       throw new Error(error.message || 'Failed to fetch department performance');
@@ -57,6 +57,11 @@ function capitalise(s) {
   return s.charAt(0).toUpperCase() + s.slice(1).replace(/_/g, ' ');
 }
 
+// Resident-written text shown in staff emails
+function escapeHtml(s) {
+  return String(s || '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
 function priorityColor(priority) {
   const map = { critical: '#dc2626', high: '#ea580c', medium: '#ca8a04', low: '#16a34a' };
   return map[(priority || '').toLowerCase()] || '#6b7280';
@@ -418,9 +423,392 @@ Thank you for helping improve our city!
   return { subject, html, text };
 }
 
+// ═════════════════════════════════════════════════════════════════
+// 3. CITIZEN LOGIN CODE EMAIL TEMPLATE
+// ═════════════════════════════════════════════════════════════════
+
+function loginCodeEmailTemplate({ code, expiresInMinutes }) {
+  const myReportsLink = `${FRONTEND_URL}/my-reports`;
+
+  const subject = `🔐 Your sign-in code — ${code}`;
+
+  const bodyHTML = `
+    <p class="greeting">Hello,</p>
+    <p class="intro">Use the code below to sign in and view the issues you have reported. It expires in <strong>${expiresInMinutes} minutes</strong>.</p>
+
+    <div style="text-align:center; margin:0 0 24px;">
+      <span style="display:inline-block; padding:16px 32px; background:#eef2ff; border:1px solid #c7d2fe; border-radius:10px; font-family:'Courier New', monospace; font-size:32px; font-weight:700; letter-spacing:8px; color:#1d4ed8;">${code}</span>
+    </div>
+
+    <div class="cta-section">
+      <a href="${myReportsLink}" class="cta-btn cta-primary">📋 Open My Reports</a>
+    </div>
+
+    <p style="color:#6b7280; font-size:13px; text-align:center; margin:24px 0 0;">
+      If you did not request this code, you can safely ignore this email.<br>
+      Never share this code with anyone — our staff will never ask for it.
+    </p>
+  `;
+
+  const html = wrapLayout(subject, bodyHTML);
+
+  const text = `
+Hello,
+
+Your Smart Civic Issue Reporter sign-in code is: ${code}
+
+It expires in ${expiresInMinutes} minutes. Enter it at ${myReportsLink}
+
+If you did not request this code, you can safely ignore this email.
+
+— Smart Civic Issue Reporter Team
+  `.trim();
+
+  return { subject, html, text };
+}
+
+// ═════════════════════════════════════════════════════════════════
+// 4. PASSWORD RESET EMAIL TEMPLATE
+// ═════════════════════════════════════════════════════════════════
+
+function passwordResetEmailTemplate({ name, token, expiresInMinutes }) {
+  const resetLink = `${FRONTEND_URL}/reset-password?token=${encodeURIComponent(token)}`;
+
+  const subject = '🔑 Reset your Smart Civic password';
+
+  const bodyHTML = `
+    <p class="greeting">Hello ${name || 'there'},</p>
+    <p class="intro">We received a request to reset the password for your authority account. The link below can be used once and expires in <strong>${expiresInMinutes} minutes</strong>.</p>
+
+    <div class="cta-section">
+      <a href="${resetLink}" class="cta-btn cta-primary">🔑 Choose a New Password</a>
+    </div>
+
+    <p style="color:#6b7280; font-size:13px; word-break:break-all; margin:0 0 16px;">
+      If the button does not work, paste this link into your browser:<br>${resetLink}
+    </p>
+
+    <p style="color:#6b7280; font-size:13px; text-align:center; margin:24px 0 0;">
+      If you did not request a reset, ignore this email — your password will not change.
+    </p>
+  `;
+
+  const html = wrapLayout(subject, bodyHTML);
+
+  const text = `
+Hello ${name || 'there'},
+
+We received a request to reset the password for your authority account.
+
+Choose a new password: ${resetLink}
+
+The link can be used once and expires in ${expiresInMinutes} minutes.
+If you did not request a reset, ignore this email — your password will not change.
+
+— Smart Civic Issue Reporter Team
+  `.trim();
+
+  return { subject, html, text };
+}
+
+// ═════════════════════════════════════════════════════════════════
+// 5. SPLIT / MERGED REPORT EMAIL TEMPLATE
+// ═════════════════════════════════════════════════════════════════
+
+function issueLinkedEmailTemplate(issueData, type, relatedIssueIds) {
+  const issueId     = issueData.issue_id || issueData.id || 'N/A';
+  const citizenName = issueData.citizen_name || 'Citizen';
+  const trackLink   = id => `${FRONTEND_URL}/issue-confirmation?issueId=${encodeURIComponent(id)}`;
+
+  const isSplit = type === 'split';
+  const subject = isSplit
+    ? `🔀 Your report #${issueId} is being handled as ${relatedIssueIds.length} issues`
+    : `🔗 Your report #${issueId} is now tracked as #${relatedIssueIds[0]}`;
+
+  const intro = isSplit
+    ? `Your report <strong>#${issueId}</strong> described more than one problem, so we have split it into separate issues. Each one goes to the department responsible for it, and your original report will be marked resolved once they all are.`
+    : `Other residents reported the same problem as your report <strong>#${issueId}</strong>, so we have merged the reports into <strong>#${relatedIssueIds[0]}</strong>. You will still receive updates, and your report will follow its progress.`;
+
+  const links = relatedIssueIds.map(id => `
+      <div class="info-row">
+        <div class="info-label">Issue ID</div>
+        <div class="info-value"><a href="${trackLink(id)}" style="color:#2563eb; font-weight:700;">#${id}</a></div>
+      </div>`).join('');
+
+  const bodyHTML = `
+    <p class="greeting">Hello ${citizenName},</p>
+    <p class="intro">${intro}</p>
+
+    <div class="info-card">
+      <div class="info-card-header"><h3>${isSplit ? '🔀 New Issues' : '🔗 Tracked As'}</h3></div>${links}
+    </div>
+
+    <div class="cta-section">
+      <a href="${trackLink(issueId)}" class="cta-btn cta-primary">🔍 Track Your Report</a>
+    </div>
+  `;
+
+  const html = wrapLayout(subject, bodyHTML);
+
+  const text = `
+Hello ${citizenName},
+
+${intro.replace(/<[^>]+>/g, '')}
+
+${relatedIssueIds.map(id => `#${id}: ${trackLink(id)}`).join('\n')}
+
+Track your report: ${trackLink(issueId)}
+
+— Smart Civic Issue Reporter Team
+  `.trim();
+
+  return { subject, html, text };
+}
+
+// ═════════════════════════════════════════════════════════════════
+// 6. FOLLOWER STATUS UPDATE EMAIL TEMPLATE
+// ═════════════════════════════════════════════════════════════════
+
+function followerStatusEmailTemplate(issueData, supporter, status) {
+  const issueId   = issueData.issue_id || issueData.id || 'N/A';
+  const name      = supporter.name || 'Resident';
+  const trackLink = `${FRONTEND_URL}/issue-confirmation?issueId=${encodeURIComponent(issueId)}`;
+
+  const subject = `📣 Issue #${issueId} is now ${status.label}`;
+
+  const bodyHTML = `
+    <p class="greeting">Hello ${name},</p>
+    <p class="intro">You confirmed issue <strong>#${issueId}</strong> and asked to follow it. Its status has changed.</p>
+
+    <div class="info-card">
+      <div class="info-card-header"><h3>📋 Issue Details</h3></div>
+      <div class="info-row">
+        <div class="info-label">Category</div>
+        <div class="info-value">${capitalise(issueData.category)}</div>
+      </div>
+      <div class="info-row">
+        <div class="info-label">Location</div>
+        <div class="info-value">${formatLocation(issueData.location)}</div>
+      </div>
+      <div class="info-row">
+        <div class="info-label">Status</div>
+        <div class="info-value" style="color:${statusColor(status.stage)}; font-weight:700;">${status.label}</div>
+      </div>
+    </div>
+
+    <div class="cta-section">
+      <a href="${trackLink}" class="cta-btn cta-primary">🔍 Track This Issue</a>
+    </div>
+
+    <p style="color:#6b7280; font-size:13px; text-align:center; margin:24px 0 0;">
+      To stop these emails, confirm the issue again with "Email me updates" unticked.
+    </p>
+  `;
+
+  const html = wrapLayout(subject, bodyHTML);
+
+  const text = `
+Hello ${name},
+
+You confirmed issue #${issueId} and asked to follow it. It is now: ${status.label}
+
+Category: ${capitalise(issueData.category)}
+Location: ${formatLocation(issueData.location)}
+
+Track this issue: ${trackLink}
+
+To stop these emails, confirm the issue again with "Email me updates" unticked.
+
+— Smart Civic Issue Reporter Team
+  `.trim();
+
+  return { subject, html, text };
+}
+
+// ═════════════════════════════════════════════════════════════════
+// 7. REOPENED ISSUE EMAIL TEMPLATE (staff)
+// ═════════════════════════════════════════════════════════════════
+
+function reopenedEmailTemplate(issueData, recipientName, { reason, imageUrl }) {
+  const issueId       = issueData.issue_id || issueData.id || 'N/A';
+  const reopenCount   = issueData.reopen_count || 1;
+  const dashboardLink = `${FRONTEND_URL}/authority-dashboard`;
+  const photo         = resolveImageUrl(imageUrl);
+
+  const subject = `↩️ Issue #${issueId} reopened by the reporter`;
+
+  const bodyHTML = `
+    <p class="greeting">Hello ${recipientName || 'there'},</p>
+    <p class="intro">The reporter of issue <strong>#${issueId}</strong> says the problem is not fixed and rejected the resolution. The issue is back in progress with your department${reopenCount > 1 ? ` (reopened ${reopenCount} times)` : ''}.</p>
+
+    <div class="info-card">
+      <div class="info-card-header"><h3>📋 Issue Details</h3></div>
+      <div class="info-row">
+        <div class="info-label">Category</div>
+        <div class="info-value">${capitalise(issueData.category)}</div>
+      </div>
+      <div class="info-row">
+        <div class="info-label">Location</div>
+        <div class="info-value">${formatLocation(issueData.location)}</div>
+      </div>
+      <div class="info-row">
+        <div class="info-label">Reporter's reason</div>
+        <div class="info-value">${escapeHtml(reason)}</div>
+      </div>
+    </div>
+
+    ${photo ? `
+    <div style="text-align:center; margin:20px 0;">
+      <img src="${photo}" alt="Reporter's photo" style="max-width:100%; max-height:300px; border-radius:8px; border:2px solid #fecaca;" />
+    </div>` : ''}
+
+    <div class="cta-section">
+      <a href="${dashboardLink}" class="cta-btn cta-primary">📋 Open Dashboard</a>
+    </div>
+  `;
+
+  const html = wrapLayout(subject, bodyHTML);
+
+  const text = `
+Hello ${recipientName || 'there'},
+
+The reporter of issue #${issueId} rejected its resolution. The issue is back in progress with your department${reopenCount > 1 ? ` (reopened ${reopenCount} times)` : ''}.
+
+Category: ${capitalise(issueData.category)}
+Location: ${formatLocation(issueData.location)}
+Reporter's reason: ${reason}
+${photo ? `Photo: ${photo}\n` : ''}
+Open the dashboard: ${dashboardLink}
+
+— Smart Civic Issue Reporter Team
+  `.trim();
+
+  return { subject, html, text };
+}
+
+// ═════════════════════════════════════════════════════════════════
+// 8. SLA WARNING EMAIL TEMPLATE (staff, before the deadline)
+// ═════════════════════════════════════════════════════════════════
+
+function slaWarningEmailTemplate(issueData, recipient, { level, percent }) {
+  const issueId       = issueData.issue_id || issueData.id || 'N/A';
+  const dashboardLink = `${FRONTEND_URL}/authority-dashboard`;
+  const deadline      = formatDate(issueData.sla_deadline);
+  const timeLeft      = humanDuration(new Date().toISOString(), issueData.sla_deadline);
+
+  const subject = `⏰ ${level.label}: #${issueId} is due in ${timeLeft}`;
+
+  const bodyHTML = `
+    <p class="greeting">Hello ${recipient.name || 'there'},</p>
+    <p class="intro">Issue <strong>#${issueId}</strong> has used <strong>${Math.round(percent)}%</strong> of its SLA and is due <strong>${deadline}</strong>. Please resolve it or update its status before the deadline.</p>
+
+    ${slaIssueCard(issueData)}
+
+    <div class="cta-section">
+      <a href="${dashboardLink}" class="cta-btn cta-primary">📋 Open Dashboard</a>
+    </div>
+  `;
+
+  const html = wrapLayout(subject, bodyHTML);
+
+  const text = `
+Hello ${recipient.name || 'there'},
+
+Issue #${issueId} has used ${Math.round(percent)}% of its SLA and is due ${deadline}.
+
+Category: ${capitalise(issueData.category)}
+Location: ${formatLocation(issueData.location)}
+Priority: ${capitalise(issueData.priority)}
+
+Open the dashboard: ${dashboardLink}
+
+— Smart Civic Issue Reporter Team
+  `.trim();
+
+  return { subject, html, text };
+}
+
+// ═════════════════════════════════════════════════════════════════
+// 9. SLA ESCALATION EMAIL TEMPLATE (staff, after the deadline)
+// ═════════════════════════════════════════════════════════════════
+
+function slaEscalationEmailTemplate(issueData, recipient, { level, levelNumber, percent }) {
+  const issueId       = issueData.issue_id || issueData.id || 'N/A';
+  const dashboardLink = `${FRONTEND_URL}/authority-dashboard`;
+  const overdueBy     = humanDuration(issueData.sla_deadline, new Date().toISOString());
+  const department    = issueData.departments?.name || 'the department';
+
+  const subject = `🚨 ${level.label}: #${issueId} is overdue by ${overdueBy}`;
+
+  const bodyHTML = `
+    <p class="greeting">Hello ${recipient.name || 'there'},</p>
+    <p class="intro">Issue <strong>#${issueId}</strong>, assigned to <strong>${department}</strong>, missed its SLA deadline by <strong>${overdueBy}</strong> (${Math.round(percent)}% of the SLA) and has reached escalation level ${levelNumber}: <strong>${level.label}</strong>.</p>
+
+    ${slaIssueCard(issueData)}
+
+    <div class="cta-section">
+      <a href="${dashboardLink}" class="cta-btn cta-primary">📋 Open Dashboard</a>
+    </div>
+  `;
+
+  const html = wrapLayout(subject, bodyHTML);
+
+  const text = `
+Hello ${recipient.name || 'there'},
+
+Issue #${issueId}, assigned to ${department}, missed its SLA deadline by ${overdueBy} and has reached escalation level ${levelNumber}: ${level.label}.
+
+Category: ${capitalise(issueData.category)}
+Location: ${formatLocation(issueData.location)}
+Priority: ${capitalise(issueData.priority)}
+Assigned to: ${issueData.users?.full_name || 'Unassigned'}
+
+Open the dashboard: ${dashboardLink}
+
+— Smart Civic Issue Reporter Team
+  `.trim();
+
+  return { subject, html, text };
+}
+
+// Issue summary shared by the SLA emails
+function slaIssueCard(issueData) {
+  return `
+    <div class="info-card">
+      <div class="info-card-header"><h3>📋 Issue Details</h3></div>
+      <div class="info-row">
+        <div class="info-label">Category</div>
+        <div class="info-value">${capitalise(issueData.category)}</div>
+      </div>
+      <div class="info-row">
+        <div class="info-label">Location</div>
+        <div class="info-value">${formatLocation(issueData.location)}</div>
+      </div>
+      <div class="info-row">
+        <div class="info-label">Priority</div>
+        <div class="info-value"><span class="badge" style="background:${priorityColor(issueData.priority)}">${capitalise(issueData.priority)}</span></div>
+      </div>
+      <div class="info-row">
+        <div class="info-label">Assigned To</div>
+        <div class="info-value">${issueData.users?.full_name || issueData.users?.username || 'Unassigned'}</div>
+      </div>
+      <div class="info-row">
+        <div class="info-label">SLA Deadline</div>
+        <div class="info-value">${formatDate(issueData.sla_deadline)}</div>
+      </div>
+    </div>`;
+}
+
 module.exports = {
   submissionEmailTemplate,
   resolutionEmailTemplate,
+  loginCodeEmailTemplate,
+  passwordResetEmailTemplate,
+  issueLinkedEmailTemplate,
+  followerStatusEmailTemplate,
+  reopenedEmailTemplate,
+  slaWarningEmailTemplate,
+  slaEscalationEmailTemplate,
   resolveImageUrl,
   formatLocation,
   formatDate,
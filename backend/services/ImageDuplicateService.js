@@ -1,12 +1,16 @@
 /**
  * Image Duplicate Detection Service
- * Uses Google Gemini Vision API to compare civic issue images
- * and detect real-world duplicates even from different angles.
+ * Compares a new issue photo with photos of nearby issues. Perceptual hashes
+ * decide the clear cases: near-identical photos are duplicates and very
+ * different ones are not. Only pairs in between are sent to Google Gemini
+ * Vision, which can recognise the same real-world problem from another angle.
  */
 
 const { GoogleGenerativeAI } = require('@google/generative-ai');
 const fs = require('fs');
 const path = require('path');
+const ImageHashService = require('./ImageHashService');
+const AIAccuracyService = require('./AIAccuracyService');
 
 // Gracefully handle missing API key — don't crash server on startup
 let genAI = null;
@@ -24,17 +28,24 @@ if (process.env.GEMINI_API_KEY) {
   });
   console.log('🔍 Image Duplicate Service initialized with model:', 'gemini-2.5-flash');
 } else {
-  console.warn('⚠️  GEMINI_API_KEY not set — Image Duplicate Service will skip comparisons');
+  console.warn('⚠️  GEMINI_API_KEY not set — Image Duplicate Service will only compare image hashes');
 }
 
 // Timeout for each Gemini request (ms)
 const REQUEST_TIMEOUT_MS = 15000;
 
-// Max nearby issues to compare images against
+// Max nearby issues to compare images against with Gemini
 const MAX_COMPARISONS = 5;
 
-// Confidence threshold (0-1) above which we flag as duplicate
-const CONFIDENCE_THRESHOLD = 0.70;
+// Hash distance (bits of 64) at or below which photos are duplicates without asking Gemini
+const HASH_MATCH_DISTANCE = 8;
+
+// Hash distance above which photos are treated as different without asking Gemini
+const HASH_DISTINCT_DISTANCE = 24;
+
+// Confidence threshold (0-1) above which we flag as duplicate, unless an admin
+// has saved another one (duplicate_confidence, see AIAccuracyService)
+const CONFIDENCE_THRESHOLD = AIAccuracyService.DEFAULT_THRESHOLDS.duplicate_confidence;
 
 /**
  * Gemini prompt sent with every pair of images.
@@ -57,20 +68,9 @@ Respond ONLY in valid JSON with no extra text:
  * Handles both absolute paths and relative /uploads/... paths.
  */
 function loadImageAsBase64(imageUrl) {
-  let filePath;
-
-  if (imageUrl.startsWith('/uploads/')) {
-    filePath = path.join(__dirname, '..', imageUrl);
-  } else if (imageUrl.startsWith('http://') || imageUrl.startsWith('https://')) {
-    // Extract path portion from full URL (e.g. http://localhost:5000/uploads/abc.jpg)
-    try {
-      const url = new URL(imageUrl);
-      filePath = path.join(__dirname, '..', url.pathname);
-    } catch {
-      return null;
-    }
-  } else {
-    filePath = path.isAbsolute(imageUrl) ? imageUrl : path.join(__dirname, '..', imageUrl);
+  const filePath = ImageHashService.resolveImagePath(imageUrl);
+  if (!filePath) {
+    return null;
   }
 
   if (!fs.existsSync(filePath)) {
@@ -214,93 +214,154 @@ async function callGemini(imageA, imageB) {
   return null;
 }
 
+/**
+ * Stored hashes of an issue's photos, or hashes of its first photo for
+ * issues reported before hashes were kept
+ */
+async function getIssueHashes(issue) {
+  if (Array.isArray(issue.image_hashes) && issue.image_hashes.length > 0) {
+    return issue.image_hashes;
+  }
+  return ImageHashService.hashImages((issue.images || []).slice(0, 1));
+}
+
 /**
  * Main entry point — compare a new image against nearby issue images.
+ * Near-identical photos are matched by hash; photos whose hashes are neither
+ * close nor far apart are compared by Gemini (nearest first).
  *
  * @param {string} newImageUrl      URL/path of the newly uploaded image
  * @param {Array}  nearbyIssues     Array of issue objects that have `.images` and `.issue_id`
- * @returns {Object} { isDuplicate, matchedIssueId, confidence, reason }
+ * @param {Object} newImageHashes   `{ phash, dhash }` of the new image, if already computed
+ * @returns {Object} { isDuplicate, matchedIssueId, confidence, reason, method, hashDistance, visionComparisons }
  */
-async function checkImageDuplicate(newImageUrl, nearbyIssues = []) {
+async function checkImageDuplicate(newImageUrl, nearbyIssues = [], newImageHashes = null) {
   const result = {
     isDuplicate: false,
     matchedIssueId: null,
     confidence: 0,
     reason: null,
+    method: null,
+    hashDistance: null,
+    visionComparisons: 0,
     skipped: false
   };
 
-  // Guard: no API key configured
-  if (!process.env.GEMINI_API_KEY || !model) {
-    console.warn('[ImageDuplicate] GEMINI_API_KEY not set — skipping image comparison');
-    result.skipped = true;
-    return result;
-  }
-
   // Guard: no image to compare
   if (!newImageUrl) {
     result.skipped = true;
     return result;
   }
 
-  // Load the new image
-  const newImage = loadImageAsBase64(newImageUrl);
-  if (!newImage) {
-    console.warn('[ImageDuplicate] Could not load new image:', newImageUrl);
+  // Collect candidate issues that have photos
+  const candidates = [];
+  for (const issue of nearbyIssues) {
+    const imgs = issue.images || [];
+    // Use the first image of each issue for Gemini
+    const imgUrl = typeof imgs[0] === 'string' ? imgs[0] : imgs[0]?.url;
+    if (imgUrl) {
+      candidates.push({ issue, issueId: issue.issue_id, imageUrl: imgUrl, hashDistance: null });
+    }
+  }
+
+  if (candidates.length === 0) {
     result.skipped = true;
     return result;
   }
 
-  // Collect candidate images from nearby issues (max MAX_COMPARISONS)
-  const candidates = [];
-  for (const issue of nearbyIssues) {
-    const imgs = issue.images || [];
-    if (imgs.length > 0 && candidates.length < MAX_COMPARISONS) {
-      // Use the first image of each issue
-      const imgUrl = typeof imgs[0] === 'string' ? imgs[0] : imgs[0]?.url;
-      if (imgUrl) {
-        candidates.push({ issueId: issue.issue_id, imageUrl: imgUrl });
+  // First pass: Hamming distance between perceptual hashes
+  const newHashes = newImageHashes || await ImageHashService.hashImage(newImageUrl);
+  let ambiguous = candidates;
+
+  if (newHashes) {
+    for (const candidate of candidates) {
+      const hashes = await getIssueHashes(candidate.issue);
+      if (hashes.length > 0) {
+        candidate.hashDistance = Math.min(...hashes.map(hash => ImageHashService.compareHashes(newHashes, hash)));
       }
     }
+
+    const hashed = candidates
+      .filter(candidate => candidate.hashDistance !== null)
+      .sort((a, b) => a.hashDistance - b.hashDistance);
+    const closest = hashed[0];
+    result.hashDistance = closest ? closest.hashDistance : null;
+
+    if (closest && closest.hashDistance <= HASH_MATCH_DISTANCE) {
+      result.isDuplicate = true;
+      result.matchedIssueId = closest.issueId;
+      result.confidence = Math.round((1 - closest.hashDistance / ImageHashService.HASH_BITS) * 100) / 100;
+      result.reason = `Near-identical photo (hash distance ${closest.hashDistance} of ${ImageHashService.HASH_BITS} bits)`;
+      result.method = 'hash';
+      console.log(`[ImageDuplicate] ✅ DUPLICATE by image hash → ${closest.issueId} (distance ${closest.hashDistance})`);
+      return result;
+    }
+
+    // Clearly different photos are dropped; photos that could not be hashed stay in
+    ambiguous = [
+      ...hashed.filter(candidate => candidate.hashDistance <= HASH_DISTINCT_DISTANCE),
+      ...candidates.filter(candidate => candidate.hashDistance === null)
+    ];
+    console.log(`[ImageDuplicate] Hash pre-filter: ${ambiguous.length} of ${candidates.length} nearby issue(s) need a vision check`);
   }
 
-  if (candidates.length === 0) {
+  if (ambiguous.length === 0) {
+    return result;
+  }
+
+  // Guard: no API key configured — only the hash pass could run
+  if (!process.env.GEMINI_API_KEY || !model) {
+    console.warn('[ImageDuplicate] GEMINI_API_KEY not set — skipping vision comparison');
+    result.skipped = !newHashes;
+    return result;
+  }
+
+  // Load the new image
+  const newImage = loadImageAsBase64(newImageUrl);
+  if (!newImage) {
+    console.warn('[ImageDuplicate] Could not load new image:', newImageUrl);
     result.skipped = true;
     return result;
   }
 
-  console.log(`[ImageDuplicate] Comparing new image against ${candidates.length} nearby issue(s)...`);
+  const toCompare = ambiguous.slice(0, MAX_COMPARISONS);
+  console.log(`[ImageDuplicate] Comparing new image against ${toCompare.length} nearby issue(s)...`);
 
   // Compare sequentially (to be kind to rate limits)
-  let bestMatch = { confidence: 0, issueId: null, reason: null };
+  let bestMatch = { confidence: 0, issueId: null, reason: null, hashDistance: null };
 
-  for (const candidate of candidates) {
+  for (const candidate of toCompare) {
     const existingImage = loadImageAsBase64(candidate.imageUrl);
     if (!existingImage) continue;
 
+    result.visionComparisons++;
     const geminiResult = await callGemini(newImage, existingImage);
     if (!geminiResult) continue;
 
     const conf = typeof geminiResult.confidence === 'number' ? geminiResult.confidence : 0;
 
     if (geminiResult.is_same_issue && conf > bestMatch.confidence) {
-      bestMatch = { confidence: conf, issueId: candidate.issueId, reason: geminiResult.reason };
+      bestMatch = { confidence: conf, issueId: candidate.issueId, reason: geminiResult.reason, hashDistance: candidate.hashDistance };
     }
   }
 
-  if (bestMatch.confidence >= CONFIDENCE_THRESHOLD) {
+  const { duplicate_confidence: threshold } = await AIAccuracyService.getThresholds();
+
+  if (bestMatch.confidence >= threshold) {
     result.isDuplicate = true;
     result.matchedIssueId = bestMatch.issueId;
     result.confidence = Math.round(bestMatch.confidence * 100) / 100;
     result.reason = bestMatch.reason;
+    result.method = 'vision';
+    result.hashDistance = bestMatch.hashDistance;
     console.log(`[ImageDuplicate] ✅ DUPLICATE detected → ${bestMatch.issueId} (${(bestMatch.confidence * 100).toFixed(0)}%)`);
   } else if (bestMatch.confidence > 0) {
     result.confidence = Math.round(bestMatch.confidence * 100) / 100;
     result.reason = bestMatch.reason;
-    console.log(`[ImageDuplicate] Below threshold (${(bestMatch.confidence * 100).toFixed(0)}% < ${CONFIDENCE_THRESHOLD * 100}%)`);
+    console.log(`[ImageDuplicate] Below threshold (${(bestMatch.confidence * 100).toFixed(0)}% < ${Math.round(threshold * 100)}%)`);
   }
 
   return result;
 }
 
-module.exports = { checkImageDuplicate, CONFIDENCE_THRESHOLD, MAX_COMPARISONS };
+module.exports = { checkImageDuplicate, CONFIDENCE_THRESHOLD, MAX_COMPARISONS, HASH_MATCH_DISTANCE, HASH_DISTINCT_DISTANCE };
@@ -0,0 +1,197 @@
+/**
+ * Image Hash Service
+ * Perceptual hashes of issue photos, computed when an issue is created and
+ * stored in `issues.image_hashes` as `{ url, phash, dhash }` (64-bit hex).
+ *
+ * Photos of the same scene have hashes a few bits apart even after resizing,
+ * recompression or small crops, so the Hamming distance between hashes is a
+ * cheap first pass for duplicate detection before asking the vision model.
+ * Hashing needs the optional `sharp` package; without it no hashes are made.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const HASH_BITS = 64;
+
+// pHash: DCT of a 32x32 greyscale image, keeping the 8x8 lowest frequencies
+const PHASH_SIZE = 32;
+const PHASH_LOW = 8;
+
+// cos((2x + 1) * u * PI / 64) for the low frequencies
+const DCT_COS = Array.from({ length: PHASH_LOW }, (_, u) =>
+  Array.from({ length: PHASH_SIZE }, (_, x) => Math.cos(((2 * x + 1) * u * Math.PI) / (2 * PHASH_SIZE)))
+);
+
+// Set bits in each hex digit
+const NIBBLE_BITS = [0, 1, 1, 2, 1, 2, 2, 3, 1, 2, 2, 3, 2, 3, 3, 4];
+
+class ImageHashService {
+  constructor() {
+    this.sharp = undefined;
+  }
+
+  /**
+   * Hashes of an issue's images, skipping any that cannot be read
+   * @param {Array} images - image URLs or `{ url }` objects
+   * @returns {Array} `[{ url, phash, dhash }]`
+   */
+  async hashImages(images = []) {
+    const hashes = [];
+    for (const image of images) {
+      const url = typeof image === 'string' ? image : image?.url;
+      if (!url) continue;
+
+      const hash = await this.hashImage(url);
+      if (hash) {
+        hashes.push({ url, ...hash });
+      }
+    }
+    return hashes;
+  }
+
+  /**
+   * pHash and dHash of one image, or null when it cannot be hashed
+   */
+  async hashImage(imageUrl) {
+    const sharp = this.getSharp();
+    const filePath = this.resolveImagePath(imageUrl);
+    if (!sharp || !filePath || !fs.existsSync(filePath)) {
+      return null;
+    }
+
+    try {
+      const [phash, dhash] = await Promise.all([
+        this.computePHash(sharp, filePath),
+        this.computeDHash(sharp, filePath)
+      ]);
+      return { phash, dhash };
+    } catch (error) {
+      console.warn(`[ImageHash] Could not hash ${path.basename(filePath)}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Bits that differ between two hashes of the same kind
+   */
+  hammingDistance(hashA, hashB) {
+    if (!hashA || !hashB || hashA.length !== hashB.length) {
+      return HASH_BITS;
+    }
+
+    let distance = 0;
+    for (let i = 0; i < hashA.length; i++) {
+      distance += NIBBLE_BITS[parseInt(hashA[i], 16) ^ parseInt(hashB[i], 16)];
+    }
+    return distance;
+  }
+
+  /**
+   * Distance between two images: the larger of their pHash and dHash distances,
+   * so both hashes must agree before two photos count as close
+   */
+  compareHashes(hashesA, hashesB) {
+    return Math.max(
+      this.hammingDistance(hashesA.phash, hashesB.phash),
+      this.hammingDistance(hashesA.dhash, hashesB.dhash)
+    );
+  }
+
+  async computePHash(sharp, filePath) {
+    const pixels = await this.readGreyscale(sharp, filePath, PHASH_SIZE, PHASH_SIZE);
+
+    const coefficients = [];
+    for (let v = 0; v < PHASH_LOW; v++) {
+      for (let u = 0; u < PHASH_LOW; u++) {
+        let sum = 0;
+        for (let y = 0; y < PHASH_SIZE; y++) {
+          for (let x = 0; x < PHASH_SIZE; x++) {
+            sum += pixels[y * PHASH_SIZE + x] * DCT_COS[u][x] * DCT_COS[v][y];
+          }
+        }
+        coefficients.push(sum);
+      }
+    }
+
+    // Compare against the median, leaving out the DC term (overall brightness)
+    const sorted = coefficients.slice(1).sort((a, b) => a - b);
+    const median = (sorted[31] + sorted[32]) / 2;
+    return this.toHex(coefficients.map(value => value > median));
+  }
+
+  async computeDHash(sharp, filePath) {
+    const pixels = await this.readGreyscale(sharp, filePath, 9, 8);
+
+    const bits = [];
+    for (let y = 0; y < 8; y++) {
+      for (let x = 0; x < 8; x++) {
+        bits.push(pixels[y * 9 + x] > pixels[y * 9 + x + 1]);
+      }
+    }
+    return this.toHex(bits);
+  }
+
+  async readGreyscale(sharp, filePath, width, height) {
+    const { data, info } = await sharp(filePath)
+      .rotate()
+      .flatten({ background: '#ffffff' })
+      .greyscale()
+      .resize(width, height, { fit: 'fill' })
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    const pixels = new Float64Array(width * height);
+    for (let i = 0; i < pixels.length; i++) {
+      pixels[i] = data[i * info.channels];
+    }
+    return pixels;
+  }
+
+  toHex(bits) {
+    let hex = '';
+    for (let i = 0; i < bits.length; i += 4) {
+      hex += ((bits[i] << 3) | (bits[i + 1] << 2) | (bits[i + 2] << 1) | bits[i + 3]).toString(16);
+    }
+    return hex;
+  }
+
+  /**
+   * Local file for an image URL: `/uploads/...`, a full URL to this server's
+   * uploads, or a file path
+   */
+  resolveImagePath(imageUrl) {
+    if (!imageUrl) return null;
+
+    if (imageUrl.startsWith('/uploads/')) {
+      return path.join(__dirname, '..', imageUrl);
+    }
+    if (imageUrl.startsWith('http://') || imageUrl.startsWith('https://')) {
+      // e.g. http://localhost:5000/uploads/abc.jpg
+      try {
+        return path.join(__dirname, '..', new URL(imageUrl).pathname);
+      } catch {
+        return null;
+      }
+    }
+    return path.isAbsolute(imageUrl) ? imageUrl : path.join(__dirname, '..', imageUrl);
+  }
+
+  /**
+   * sharp is an optional dependency; hashing is skipped without it
+   */
+  getSharp() {
+    if (this.sharp === undefined) {
+      try {
+        this.sharp = require('sharp');
+      } catch {
+        console.warn('⚠️  sharp is not installed — image hashes will not be computed');
+        this.sharp = null;
+      }
+    }
+    return this.sharp;
+  }
+}
+
+module.exports = new ImageHashService();
+module.exports.HASH_BITS = HASH_BITS;
@@ -0,0 +1,128 @@
+/**
+ * Issue ID Service
+ * Generates human-readable issue IDs from an atomic database sequence.
+ *
+ * The format comes from ISSUE_ID_FORMAT (default `CIV-{YYYY}-{SEQ}`):
+ *   {YYYY} / {YY} / {MM}  submission year / month
+ *   {WARD}                ward code of the issue location
+ *   {SEQ}                 zero-padded sequence number (ISSUE_ID_SEQUENCE_WIDTH)
+ * Everything except {SEQ} forms the counter scope, so `CIV-{YYYY}-{SEQ}`
+ * restarts numbering every year and `{WARD}-{SEQ}` numbers each ward separately.
+ *
+ * A Damm check digit is appended (CIV-2026-00042-7). Citizens read IDs over
+ * the phone, and Damm catches every single-digit typo and every swap of
+ * adjacent digits.
+ */
+
+const { db } = require('../config/database');
+
+// Damm algorithm quasigroup table (weakly totally anti-symmetric)
+const DAMM_TABLE = [
+  [0, 3, 1, 7, 5, 9, 8, 6, 4, 2],
+  [7, 0, 9, 2, 1, 5, 4, 8, 6, 3],
+  [4, 2, 0, 6, 8, 7, 1, 3, 5, 9],
+  [1, 7, 5, 0, 9, 8, 3, 4, 2, 6],
+  [6, 1, 2, 3, 0, 4, 5, 9, 7, 8],
+  [3, 6, 7, 4, 2, 0, 9, 5, 8, 1],
+  [5, 8, 6, 9, 7, 2, 0, 1, 3, 4],
+  [8, 9, 4, 5, 3, 6, 2, 0, 1, 7],
+  [9, 4, 3, 8, 6, 1, 7, 2, 0, 5],
+  [2, 5, 8, 1, 4, 3, 6, 7, 9, 0]
+];
+
+// IDs issued before sequences existed (ISSUE-001) carry no check digit
+const LEGACY_ID_PATTERN = /^ISSUE-\d+$/;
+
+const MAX_ID_LENGTH = 40;
+
+class IssueIdService {
+  constructor() {
+    this.format = (process.env.ISSUE_ID_FORMAT || 'CIV-{YYYY}-{SEQ}').toUpperCase();
+    this.sequenceWidth = parseInt(process.env.ISSUE_ID_SEQUENCE_WIDTH, 10) || 5;
+
+    if (!this.format.includes('{SEQ}')) {
+      throw new Error('ISSUE_ID_FORMAT must contain a {SEQ} placeholder');
+    }
+  }
+
+  /**
+   * Generate the next issue ID
+   */
+  async generate({ ward = null, date = new Date() } = {}) {
+    try {
+      const scope = this.render({ ward, date, sequence: '' });
+
+      const { data, error } = await db.rpc('next_issue_sequence', { counter_scope: scope });
+
+      if (error) {
+        throw new Error(`Issue ID sequence unavailable (${error.message}). Run \`npm run migrate up\`.`);
+      }
+
+      const sequence = String(data).padStart(this.sequenceWidth, '0');
+      const body = this.render({ ward, date, sequence });
+      const issueId = `${body}-${this.checkDigit(body)}`;
+
+      if (issueId.length > MAX_ID_LENGTH) {
+        throw new Error(`Generated issue ID "${issueId}" exceeds ${MAX_ID_LENGTH} characters; shorten ISSUE_ID_FORMAT`);
+      }
+
+      return issueId;
+    } catch (error) {
+      throw new Error(error.message || 'Failed to generate issue ID');
+    }
+  }
+
+  /**
+   * Fill the format placeholders
+   */
+  render({ ward, date, sequence }) {
+    const year = String(date.getFullYear());
+
+    return this.format
+      .replace(/\{YYYY\}/g, year)
+      .replace(/\{YY\}/g, year.slice(-2))
+      .replace(/\{MM\}/g, String(date.getMonth() + 1).padStart(2, '0'))
+      .replace(/\{WARD\}/g, this.wardCode(ward))
+      .replace(/\{SEQ\}/g, sequence);
+  }
+
+  /**
+   * Compact ward code, e.g. "North Ward A" -> "NORTHWARDA" (max 8 chars)
+   */
+  wardCode(ward) {
+    const code = String(ward || 'GEN').toUpperCase().replace(/[^A-Z0-9]/g, '');
+    return (code || 'GEN').slice(0, 8);
+  }
+
+  /**
+   * Damm check digit over all digits in the ID body
+   */
+  checkDigit(body) {
+    return String(body)
+      .replace(/\D/g, '')
+      .split('')
+      .reduce((interim, digit) => DAMM_TABLE[interim][Number(digit)], 0);
+  }
+
+  /**
+   * Uppercase and trim an ID typed or read back by a citizen
+   */
+  normalize(issueId) {
+    return String(issueId || '').trim().toUpperCase().replace(/\s+/g, '');
+  }
+
+  /**
+   * Whether the trailing check digit matches (legacy IDs always pass)
+   */
+  isValid(issueId) {
+    const normalized = this.normalize(issueId);
+    if (LEGACY_ID_PATTERN.test(normalized)) return true;
+
+    const match = normalized.match(/^(.+)-(\d)$/);
+    if (!match) return false;
+
+    return this.checkDigit(match[1]) === Number(match[2]);
+  }
+}
+
+module.exports = new IssueIdService();
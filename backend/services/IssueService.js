@@ -3,25 +3,36 @@
  * Handles all issue-related operations with enhanced features
  */
 
-const { supabase } = require('../config/database');
+const crypto = require('crypto');
+const { db } = require('../config/database');
 const DepartmentService = require('./DepartmentService');
 const AIService = require('./AIService');
 const AIClassificationService = require('./AIClassificationService');
+const AIAccuracyService = require('./AIAccuracyService');
+const ImageHashService = require('./ImageHashService');
 const NotificationService = require('./NotificationService');
 const AuditService = require('./AuditService');
+const IssueIdService = require('./IssueIdService');
+const WorkflowService = require('./WorkflowService');
+const RealtimeService = require('./RealtimeService');
+const BusinessCalendarService = require('./BusinessCalendarService');
+const JobQueueService = require('./JobQueueService');
 
-class IssueService {
-  constructor() {
-    this.statusTransitions = {
-      'submitted': ['assigned', 'in_progress', 'resolved', 'rejected'],
-      'assigned': ['in_progress', 'resolved', 'rejected'],
-      'in_progress': ['resolved', 'assigned', 'closed'],
-      'resolved': ['closed', 'in_progress'],
-      'closed': [],
-      'rejected': ['submitted']
-    };
-  }
+// Stages after which an issue can no longer be split
+const TERMINAL_STAGES = ['resolved', 'closed', 'rejected'];
+
+// A split parent sits at the earliest of these stages among its open sub-issues
+const ROLL_UP_ORDER = ['submitted', 'assigned', 'in_progress', 'resolved', 'closed'];
 
+// Days after a resolution during which the reporter can reject it and reopen the issue
+const REOPEN_WINDOW_DAYS = parseInt(process.env.REOPEN_WINDOW_DAYS, 10) || 14;
+
+// Photo hashing, image classification and duplicate checks run in a background
+// job after the issue is saved; AI_PROCESSING=inline keeps them in the request
+const AI_PROCESSING_INLINE = (process.env.AI_PROCESSING || '').toLowerCase() === 'inline';
+const AI_PROCESSING_JOB = 'issue.ai_processing';
+
+class IssueService {
   /**
    * Create new issue with full processing pipeline
    */
@@ -34,57 +45,36 @@ class IssueService {
         category,
         subcategory,
         description,
-        location,
+        location: reportedLocation,
         images = []
       } = issueData;
 
-      // Generate unique issue ID
-      const { count, error: countError } = await supabase
-        .from('issues')
-        .select('*', { count: 'exact', head: true });
-
-      if (countError) {
-        console.error('Error counting issues:', countError);
-      }
+      // Place the report in its ward, which numbers the issue and picks the officer
+      const ward = reportedLocation ? await DepartmentService.determineWardArea(reportedLocation) : null;
+      const location = this.withWard(reportedLocation, ward);
 
-      const issueId = `ISSUE-${String((count || 0) + 1).padStart(3, '0')}`;
-
-      // Step 1: Enhanced AI Classification with Image Analysis
-      let aiClassification = await AIService.classifyIssue({
-        category,
-        description,
-        location,
-        images
+      // Generate unique, human-readable issue ID from the atomic sequence
+      const issueId = await IssueIdService.generate({
+        ward: ward ? ward.code || ward.name : null
       });
 
-      // Step 1.5: Image-based AI Classification using Gemini Vision API
-      let imageClassification = null;
-      if (images && images.length > 0) {
-        try {
-          // Get the first image for classification (can be enhanced to analyze all images)
-          const primaryImagePath = images[0];
-          imageClassification = await AIClassificationService.classifyIssueFromImage(
-            primaryImagePath, 
-            category
-          );
-
-          // Merge image classification with text-based classification
-          aiClassification = this.mergeAIClassifications(aiClassification, imageClassification);
-          
-        } catch (imageError) {
-          console.error('Image AI classification failed:', imageError.message);
-          // Continue with text-based classification only
-        }
-      } else {
-        // No images provided, using text-based classification only
-      }
+      // Step 1: AI classification. Queued issues are routed on the quick text
+      // analysis now and get the full classification from a background job.
+      const deferAI = !AI_PROCESSING_INLINE;
+      const imageHashes = deferAI ? [] : await ImageHashService.hashImages(images);
+      const aiClassification = deferAI
+        ? { ...AIService.classifyText({ category, description, location, images }), ai_processing_status: 'pending' }
+        : await this.classifyReport({ category, description, location, images, imageHashes });
 
       // Step 2: Department routing and assignment
       const departmentAssignment = await DepartmentService.autoAssignIssue({
         issue_id: issueId,
         category: aiClassification.verified_category || category,
+        subcategory,
+        description,
         location,
-        priority: aiClassification.priority_level
+        priority: aiClassification.priority_level,
+        confidence_score: aiClassification.confidence_score
       }, createdByUserId);
 
       // Step 3: Create issue record
@@ -98,6 +88,7 @@ class IssueService {
         description: description || '',
         location: location,
         images: images,
+        image_hashes: imageHashes,
         
         // AI and classification data
         severity_level: aiClassification.severity_level,
@@ -113,7 +104,7 @@ class IssueService {
         reclassification_event: aiClassification.reclassification_event || null,
         ai_processing_status: aiClassification.ai_processing_status || 'completed',
         ai_error: aiClassification.ai_error || null,
-        processed_at: aiClassification.processed_at || new Date().toISOString(),
+        processed_at: deferAI ? null : aiClassification.processed_at || new Date().toISOString(),
         
         // Department assignment
         assigned_department_id: departmentAssignment.assignment.assigned_department_id,
@@ -143,21 +134,15 @@ class IssueService {
         // Estimated resolution time (calculated by NotificationService)
         estimated_resolution_time: null,
         
-        // Duplicate detection (text-based + image-based via Gemini)
-        is_duplicate: aiClassification.duplicate_check?.is_potential_duplicate || false,
-        duplicate_of_issue_id: (
-          // Prefer image-detected duplicate if it matched
-          aiClassification.duplicate_check?.image_duplicate?.matched_issue_id ||
-          aiClassification.duplicate_check?.potential_duplicates?.[0]?.issue_id ||
-          null
-        )
+        // Duplicate detection (text-based + image hashes and Gemini)
+        ...this.getDuplicateFields(aiClassification)
       };
 
       let insertedIssue;
       let insertError;
 
       // Try full insert first
-      ({ data: insertedIssue, error: insertError } = await supabase
+      ({ data: insertedIssue, error: insertError } = await db
         .from('issues')
         .insert([newIssueData])
         .select(`
@@ -179,8 +164,9 @@ class IssueService {
         delete fallbackData.ai_processing_status;
         delete fallbackData.ai_error;
         delete fallbackData.processed_at;
+        delete fallbackData.image_hashes;
 
-        ({ data: insertedIssue, error: insertError } = await supabase
+        ({ data: insertedIssue, error: insertError } = await db
           .from('issues')
           .insert([fallbackData])
           .select(`
@@ -200,23 +186,27 @@ class IssueService {
         // Calculate smart ETA based on SLA + department workload + historical data
         const estimatedResolutionTime = await NotificationService.calculateETA({
           category: insertedIssue.category,
-          assigned_department_id: departmentAssignment.assignment.assigned_department_id
+          assigned_department_id: departmentAssignment.assignment.assigned_department_id,
+          sla_hours: departmentAssignment.routingLog.rule_applied.sla
         });
 
         // Store ETA in the issue record
         if (estimatedResolutionTime) {
-          await supabase
+          await db
             .from('issues')
             .update({ estimated_resolution_time: estimatedResolutionTime })
             .eq('issue_id', issueId);
           insertedIssue.estimated_resolution_time = estimatedResolutionTime;
         }
 
-        await NotificationService.notifyIssueCreated({
-          ...insertedIssue,
-          assigned_department_id: departmentAssignment.assignment.assigned_department_id,
-          estimated_resolution_time: estimatedResolutionTime
-        });
+        // Queued issues email the citizen once the AI has settled the category
+        if (!deferAI) {
+          await NotificationService.notifyIssueCreated({
+            ...insertedIssue,
+            assigned_department_id: departmentAssignment.assignment.assigned_department_id,
+            estimated_resolution_time: estimatedResolutionTime
+          });
+        }
       } catch (notificationError) {
         console.error('Notification failed:', notificationError.message);
         // Don't fail the whole operation due to notification failure
@@ -231,9 +221,27 @@ class IssueService {
         insertedIssue,
         createdByUserId,
         null,
-        'Issue created with AI classification and auto-assignment'
+        deferAI
+          ? 'Issue created with auto-assignment; AI classification queued'
+          : 'Issue created with AI classification and auto-assignment'
       );
 
+      // Awaited so the dashboard hears about the issue before its issue.processed
+      await this.publishIssueEvent('issue.created', issueId);
+
+      if (deferAI) {
+        try {
+          await JobQueueService.enqueue(AI_PROCESSING_JOB, { issueId });
+        } catch (queueError) {
+          console.error(`Could not queue AI processing for ${issueId}, running it now:`, queueError.message);
+          try {
+            insertedIssue = (await this.processIssueAI(issueId)).issue || insertedIssue;
+          } catch (aiError) {
+            await this.failIssueAI(issueId, aiError);
+          }
+        }
+      }
+
       // Transform response data
       const responseIssue = this.transformIssueData(insertedIssue);
 
@@ -256,6 +264,291 @@ class IssueService {
     }
   }
 
+  /**
+   * Text and image classification of a report, with its duplicate check
+   * @param {Object} report - `{ category, description, location, images, imageHashes, issueId }`;
+   *   `issueId` keeps a saved issue from matching itself as a duplicate
+   */
+  async classifyReport(report) {
+    let aiClassification = await AIService.classifyIssue(report);
+
+    // Image-based AI Classification using Gemini Vision API
+    if (report.images && report.images.length > 0) {
+      try {
+        // Get the first image for classification (can be enhanced to analyze all images)
+        const imageClassification = await AIClassificationService.classifyIssueFromImage(
+          report.images[0],
+          report.category
+        );
+
+        // Merge image classification with text-based classification
+        const { review_confidence: reviewThreshold } = await AIAccuracyService.getThresholds();
+        aiClassification = this.mergeAIClassifications(aiClassification, imageClassification, reviewThreshold);
+      } catch (imageError) {
+        console.error('Image AI classification failed:', imageError.message);
+        // Continue with text-based classification only
+      }
+    }
+
+    return aiClassification;
+  }
+
+  /**
+   * Duplicate columns from a classification's duplicate check
+   */
+  getDuplicateFields(aiClassification) {
+    return {
+      is_duplicate: aiClassification.duplicate_check?.is_potential_duplicate || false,
+      duplicate_of_issue_id: (
+        // Prefer image-detected duplicate if it matched
+        aiClassification.duplicate_check?.image_duplicate?.matched_issue_id ||
+        aiClassification.duplicate_check?.potential_duplicates?.[0]?.issue_id ||
+        null
+      )
+    };
+  }
+
+  /**
+   * Background half of issue creation: hashes the photos, classifies the
+   * report and checks for duplicates, re-routes the issue if the category
+   * changed before anyone picked it up, then emails the citizen and pushes
+   * `issue.processed`. Throws so the job queue retries.
+   * @param {string} token - identifies this run; the latest run to claim the
+   *   issue is the only one whose classification is saved
+   */
+  async processIssueAI(issueId, token = crypto.randomUUID()) {
+    const skipped = status => ({ issue_id: issueId, skipped: true, ai_processing_status: status });
+
+    const row = await this.getIssueRow(issueId);
+    if (row.ai_processing_status === 'completed') {
+      return skipped(row.ai_processing_status);
+    }
+
+    const { data: claimed, error: claimError } = await db
+      .from('issues')
+      .update({ ai_processing_status: 'processing', ai_processing_token: token })
+      .eq('issue_id', issueId)
+      .neq('ai_processing_status', 'completed')
+      .select('issue_id');
+
+    if (claimError) {
+      throw new Error(claimError.message);
+    }
+    if (!claimed?.length) {
+      return skipped('completed');
+    }
+
+    const images = row.images || [];
+    const imageHashes = await ImageHashService.hashImages(images);
+    const aiClassification = await this.classifyReport({
+      issueId,
+      category: row.ai_classification?.original_category || row.category,
+      description: row.description,
+      location: row.location,
+      images,
+      imageHashes
+    });
+
+    const now = new Date().toISOString();
+    const category = aiClassification.verified_category || row.category;
+
+    // A priority staff or supporters already changed is kept
+    const priorityUntouched = row.priority === row.ai_classification?.priority_level;
+    const priority = priorityUntouched ? aiClassification.priority_level || row.priority : row.priority;
+
+    const updates = {
+      category,
+      verified_category: category,
+      image_hashes: imageHashes,
+      severity_level: aiClassification.severity_level,
+      priority,
+      confidence_score: aiClassification.confidence_score,
+      ai_classification: aiClassification,
+      ai_explanation: aiClassification.ai_explanation || null,
+      needs_review: aiClassification.needs_review || false,
+      was_reclassified: aiClassification.was_reclassified || false,
+      reclassification_event: aiClassification.reclassification_event || null,
+      ai_processing_status: aiClassification.ai_processing_status || 'completed',
+      ai_processing_token: null,
+      ai_error: aiClassification.ai_error || null,
+      processed_at: aiClassification.processed_at || now,
+      ...this.getDuplicateFields(aiClassification),
+      updated_at: now
+    };
+
+    const reroute = await this.rerouteForCategory(row, {
+      category,
+      priority,
+      confidence: aiClassification.confidence_score,
+      notes: `Re-routed after AI classification as ${category}`
+    });
+    const routing = reroute?.routing || null;
+    if (reroute) {
+      Object.assign(updates, reroute.updates);
+    }
+
+    // Saved only while this run still holds the claim; a later run of a job
+    // handed back to the queue takes the issue over
+    const { data: savedRows, error } = await db
+      .from('issues')
+      .update(updates)
+      .eq('issue_id', issueId)
+      .eq('ai_processing_token', token)
+      .select(`
+        *,
+        departments (id, name, code, contact_email),
+        users!assigned_to_user_id (id, username, full_name, email)
+      `);
+
+    if (error) {
+      throw new Error(error.message);
+    }
+    if (!savedRows?.length) {
+      console.warn(`⚠️ AI processing of ${issueId} was taken over by another run; discarding this result`);
+      return skipped('processing');
+    }
+    const updated = savedRows[0];
+
+    try {
+      await NotificationService.notifyIssueCreated({ ...updated });
+    } catch (notificationError) {
+      console.error('Notification failed:', notificationError.message);
+    }
+
+    await AuditService.log(
+      'issue',
+      issueId,
+      'ai_processed',
+      { category: row.category, priority: row.priority, assigned_department_id: row.assigned_department_id },
+      { category, priority, assigned_department_id: updated.assigned_department_id, needs_review: updated.needs_review },
+      null,
+      null,
+      `AI classification completed${category !== row.category ? `: ${row.category} → ${category}` : ''}${routing ? `, re-routed to ${routing.department.name}` : ''}`
+    );
+
+    console.log(`🤖 AI processing of ${issueId} complete (${category}${routing ? `, re-routed to ${routing.department.code}` : ''})`);
+    this.publishIssueEvent('issue.processed', issueId, {
+      previous: { category: row.category, priority: row.priority, aiProcessingStatus: row.ai_processing_status },
+      previousRow: routing ? row : null
+    });
+
+    return {
+      issue_id: issueId,
+      category,
+      needs_review: updated.needs_review,
+      is_duplicate: updated.is_duplicate,
+      rerouted: !!routing,
+      issue: updated
+    };
+  }
+
+  /**
+   * Re-route an issue whose category changed, when the new category belongs
+   * to another department and the issue is still untouched in its first
+   * assigned status
+   * @param {Object} row - the issue before the category change
+   * @param {Object} change - `{ category, priority, confidence, notes }`; `notes` go in the status history
+   * @returns {Object|null} `{ routing, updates }` with the assignment columns to save, or null to keep the department
+   */
+  async rerouteForCategory(row, { category, priority = row.priority, confidence = row.confidence_score, notes }) {
+    if (category === row.category || row.status !== 'assigned') {
+      return null;
+    }
+
+    const ward = row.location ? await DepartmentService.determineWardArea(row.location) : null;
+    const { department } = await DepartmentService.resolveRoute({
+      category,
+      subcategory: row.subcategory,
+      description: row.description,
+      ward,
+      confidence
+    });
+    if (department.id === row.assigned_department_id) {
+      return null;
+    }
+
+    const routing = await DepartmentService.autoAssignIssue({
+      issue_id: row.issue_id,
+      category,
+      subcategory: row.subcategory,
+      description: row.description,
+      location: row.location,
+      priority,
+      confidence_score: confidence
+    });
+
+    const updates = {
+      assigned_department_id: routing.assignment.assigned_department_id,
+      assigned_to_user_id: routing.assignment.assigned_to_user_id,
+      sla_deadline: routing.assignment.sla_deadline,
+      assigned_at: routing.assignment.assigned_at,
+      routing_logs: [...(row.routing_logs || []), ...routing.assignment.routing_logs],
+      status_history: [...(row.status_history || []), {
+        timestamp: new Date().toISOString(),
+        status: 'assigned',
+        action: 'auto_assigned',
+        changed_by: 'system',
+        department_id: routing.assignment.assigned_department_id,
+        user_id: routing.assignment.assigned_to_user_id,
+        notes
+      }]
+    };
+
+    try {
+      updates.estimated_resolution_time = await NotificationService.calculateETA({
+        category,
+        assigned_department_id: routing.assignment.assigned_department_id,
+        sla_hours: routing.routingLog.rule_applied.sla
+      });
+    } catch (etaError) {
+      console.error('ETA calculation failed:', etaError.message);
+    }
+
+    return { routing, updates };
+  }
+
+  /**
+   * Give up on AI processing after the job's last attempt: the issue keeps
+   * the reporter's category, goes to the review queue and the citizen still
+   * gets their confirmation email. A classification another run already
+   * saved is kept.
+   */
+  async failIssueAI(issueId, failure) {
+    try {
+      const { data: failedRows, error } = await db
+        .from('issues')
+        .update({
+          ai_processing_status: 'failed',
+          ai_processing_token: null,
+          ai_error: failure?.message || 'AI processing failed',
+          needs_review: true,
+          processed_at: new Date().toISOString(),
+          updated_at: new Date().toISOString()
+        })
+        .eq('issue_id', issueId)
+        .neq('ai_processing_status', 'completed')
+        .select('*, departments (id, name, code, contact_email)');
+
+      if (error) {
+        throw new Error(error.message);
+      }
+      if (!failedRows?.length) return;
+      const updated = failedRows[0];
+
+      try {
+        await NotificationService.notifyIssueCreated({ ...updated });
+      } catch (notificationError) {
+        console.error('Notification failed:', notificationError.message);
+      }
+
+      this.publishIssueEvent('issue.processed', issueId, {
+        previous: { aiProcessingStatus: 'processing' }
+      });
+    } catch (error) {
+      throw new Error(error.message || 'Failed to record AI processing failure');
+    }
+  }
+
   /**
    * Get issues with advanced filtering
    */
@@ -269,7 +562,7 @@ class IssueService {
         const selectStr = withJoins
           ? `*, departments (id, name, code), users!assigned_to_user_id (id, username, full_name)`
           : `*`;
-        return supabase
+        return db
           .from('issues')
           .select(selectStr, { count: 'exact' })
           .order('created_at', { ascending: false });
@@ -330,7 +623,7 @@ class IssueService {
 
       // Fallback: if join fails (relationship not in schema cache), retry without joins
       if (error && error.message && error.message.includes('relationship')) {
-        console.warn('⚠️ Supabase join failed, falling back to simple query:', error.message);
+        console.warn('⚠️ Join query failed, falling back to simple query:', error.message);
         query = buildQuery(false);
 
         // Re-apply filters on the new query
@@ -358,7 +651,8 @@ class IssueService {
         throw new Error(error.message);
       }
 
-      // Transform data
+      // Transform data (status labels come from the loaded workflows)
+      await WorkflowService.loadWorkflows();
       const transformedIssues = issues.map(issue => this.transformIssueData(issue));
 
       return {
@@ -383,7 +677,7 @@ class IssueService {
     try {
       const selectWithJoins = `*, departments (id, name, code, contact_email), users!assigned_to_user_id (id, username, full_name, email), resolved_by:users!resolved_by_user_id (id, username, full_name)`;
 
-      let query = supabase
+      let query = db
         .from('issues')
         .select(selectWithJoins)
         .eq('issue_id', issueId);
@@ -397,8 +691,8 @@ class IssueService {
 
       // Fallback without joins
       if (error && error.message && error.message.includes('relationship')) {
-        console.warn('⚠️ Supabase join failed for getIssueById, falling back:', error.message);
-        let fallbackQuery = supabase
+        console.warn('⚠️ Join query failed for getIssueById, falling back:', error.message);
+        let fallbackQuery = db
           .from('issues')
           .select('*')
           .eq('issue_id', issueId);
@@ -417,8 +711,10 @@ class IssueService {
       // Get audit logs for this issue
       const auditLogs = await AuditService.getIssueAuditLogs(issueId);
 
+      await WorkflowService.loadWorkflows();
       const transformedIssue = this.transformIssueData(issue);
       transformedIssue.audit_logs = auditLogs;
+      transformedIssue.linkedIssues = await this.getLinkedIssues(issue);
 
       return {
         success: true,
@@ -440,10 +736,21 @@ class IssueService {
       const currentIssueResult = await this.getIssueById(issueId, userContext);
       const currentIssue = currentIssueResult.data;
 
-      // Validate status transition
-      if (!this.isValidStatusTransition(currentIssue.status, status)) {
-        throw new Error(`Invalid status transition from ${currentIssue.status} to ${status}`);
+      // Linked reports take their status from the issue they are linked to
+      if (currentIssue.mergedIntoIssueId) {
+        throw new Error(`This report was merged into ${currentIssue.mergedIntoIssueId}; update that issue instead`);
       }
+      if (currentIssue.linkedIssues.subIssues.length > 0) {
+        throw new Error('This report was split into sub-issues; its status follows theirs');
+      }
+
+      // Validate the transition and its guards against the department's workflow
+      const workflow = await WorkflowService.getWorkflow(currentIssue.assignedDepartmentId);
+      const { target } = WorkflowService.validateTransition(workflow, currentIssue, status, {
+        user: userContext,
+        notes: resolutionNotes,
+        resolutionImages
+      });
 
       // Prepare update data
       const updateData = {
@@ -460,38 +767,22 @@ class IssueService {
         notes: resolutionNotes
       };
 
-      updateData.status_history = [...(currentIssue.status_history || []), statusChange];
-
-      // Handle specific status updates
-      switch (status) {
-        case 'in_progress':
-          updateData.in_progress_at = new Date().toISOString();
-          if (estimatedResolutionTime) {
-            updateData.estimated_resolution_time = estimatedResolutionTime;
-          }
-          break;
+      updateData.status_history = [...(currentIssue.statusHistory || []), statusChange];
 
-        case 'resolved':
-          // Require at least one resolution image for resolved status
-          if (!resolutionImages || resolutionImages.length === 0) {
-            throw new Error('Resolution proof image is required to mark an issue as resolved. Please upload at least one photo showing the completed work.');
-          }
-          updateData.resolved_at = new Date().toISOString();
-          updateData.actual_resolution_time = new Date().toISOString();
-          updateData.resolved_by_user_id = updatedByUserId;
-          if (resolutionNotes) {
-            updateData.resolution_notes = resolutionNotes;
-          }
-          updateData.resolution_images = resolutionImages;
-          break;
+      // Timestamps follow the lifecycle stage, so custom statuses behave like their stage
+      const previousStage = WorkflowService.describeStatus(currentIssue.status, currentIssue.assignedDepartmentId).stage;
+      Object.assign(updateData, this.getStageUpdates(target.stage, previousStage, {
+        userId: updatedByUserId,
+        resolutionNotes,
+        resolutionImages
+      }));
 
-        case 'closed':
-          updateData.closed_at = new Date().toISOString();
-          break;
+      if (estimatedResolutionTime) {
+        updateData.estimated_resolution_time = estimatedResolutionTime;
       }
 
       // Update in database
-      const { data: updatedIssue, error } = await supabase
+      const { data: updatedIssue, error } = await db
         .from('issues')
         .update(updateData)
         .eq('issue_id', issueId)
@@ -529,9 +820,15 @@ class IssueService {
         { resolution_notes: resolutionNotes }
       );
 
+      this.publishIssueEvent('issue.status_changed', issueId, {
+        previous: { status: currentIssue.status }
+      });
+
+      await this.syncLinkedIssues(updatedIssue, updatedByUserId);
+
       return {
         success: true,
-        message: `Issue status updated to ${status}`,
+        message: `Issue status updated to ${target.label}`,
         data: this.transformIssueData(updatedIssue)
       };
     } catch (error) {
@@ -539,6 +836,665 @@ class IssueService {
     }
   }
 
+  /**
+   * Status transitions the user can take from the issue's current status
+   */
+  async getAvailableTransitions(issueId, userContext = null) {
+    try {
+      const { data: issue } = await this.getIssueById(issueId, userContext);
+      const workflow = await WorkflowService.getWorkflow(issue.assignedDepartmentId);
+
+      return {
+        success: true,
+        data: {
+          workflow: { id: workflow.id, name: workflow.name, version: workflow.version },
+          currentStatus: { key: issue.status, ...WorkflowService.describeStatus(issue.status, issue.assignedDepartmentId) },
+          transitions: WorkflowService.describeTransitions(workflow, issue, userContext)
+        }
+      };
+    } catch (error) {
+      throw new Error(error.message || 'Failed to fetch status transitions');
+    }
+  }
+
+  /**
+   * Split one report into sub-issues, each routed to its own department.
+   * The original stays open as the parent and follows its sub-issues' progress.
+   */
+  async splitIssue(issueId, { parts, reason }, splitByUserId, userContext = null, ipAddress = null) {
+    try {
+      const { data: parent } = await this.getIssueById(issueId, userContext);
+
+      if (parent.parentIssueId) {
+        throw new Error('Sub-issues cannot be split again');
+      }
+      if (parent.mergedIntoIssueId) {
+        throw new Error(`This report was merged into ${parent.mergedIntoIssueId}; split that issue instead`);
+      }
+      if (TERMINAL_STAGES.includes(parent.statusStage)) {
+        throw new Error('Only open issues can be split');
+      }
+
+      const parentRow = await this.getIssueRow(issueId);
+      const subIssues = [];
+      for (const part of parts) {
+        subIssues.push(await this.createSubIssue(parentRow, part, splitByUserId));
+      }
+      const subIssueIds = subIssues.map(subIssue => subIssue.issue_id);
+
+      const { error } = await db
+        .from('issues')
+        .update({
+          status_history: [...(parentRow.status_history || []), {
+            timestamp: new Date().toISOString(),
+            status: parentRow.status,
+            action: 'split',
+            changed_by_user_id: splitByUserId,
+            notes: reason || null,
+            sub_issue_ids: subIssueIds
+          }],
+          updated_at: new Date().toISOString()
+        })
+        .eq('issue_id', issueId);
+
+      if (error) {
+        throw new Error(error.message);
+      }
+
+      await AuditService.log(
+        'issue',
+        issueId,
+        'split',
+        null,
+        { sub_issue_ids: subIssueIds },
+        splitByUserId,
+        ipAddress,
+        `Split into ${subIssueIds.join(', ')}${reason ? `: ${reason}` : ''}`
+      );
+
+      try {
+        await NotificationService.notifyIssueLinked(parentRow, 'split', subIssueIds);
+      } catch (notificationError) {
+        console.error('Split notification failed:', notificationError.message);
+      }
+
+      subIssueIds.forEach(subIssueId => this.publishIssueEvent('issue.created', subIssueId));
+      this.publishIssueEvent('issue.linked', issueId);
+
+      return {
+        success: true,
+        message: `Issue split into ${subIssueIds.length} sub-issue${subIssueIds.length === 1 ? '' : 's'}`,
+        data: (await this.getIssueById(issueId, userContext)).data
+      };
+    } catch (error) {
+      throw new Error(error.message || 'Failed to split issue');
+    }
+  }
+
+  /**
+   * Create one sub-issue of a split report, keeping the reporter and location
+   */
+  async createSubIssue(parentRow, { category, description, departmentId, priority }, createdByUserId) {
+    const ward = parentRow.location ? await DepartmentService.determineWardArea(parentRow.location) : null;
+    const subIssueId = await IssueIdService.generate({
+      ward: ward ? ward.code || ward.name : null
+    });
+
+    const departmentAssignment = await DepartmentService.autoAssignIssue({
+      issue_id: subIssueId,
+      category,
+      description: description || parentRow.description,
+      location: parentRow.location,
+      priority: priority || parentRow.priority,
+      confidence_score: parentRow.confidence_score
+    }, createdByUserId);
+
+    const now = new Date().toISOString();
+    const { data: subIssue, error } = await db
+      .from('issues')
+      .insert([{
+        issue_id: subIssueId,
+        parent_issue_id: parentRow.issue_id,
+        citizen_name: parentRow.citizen_name,
+        citizen_email: parentRow.citizen_email,
+        citizen_phone: parentRow.citizen_phone,
+        category,
+        description: description || parentRow.description,
+        location: parentRow.location,
+        images: parentRow.images || [],
+        image_hashes: parentRow.image_hashes || [],
+        severity_level: parentRow.severity_level,
+        priority: priority || parentRow.priority,
+        // Staff chose the category when splitting, so no AI processing is queued
+        confidence_score: parentRow.confidence_score,
+        ai_processing_status: 'completed',
+        processed_at: now,
+        assigned_department_id: departmentAssignment.assignment.assigned_department_id,
+        assigned_to_user_id: departmentAssignment.assignment.assigned_to_user_id,
+        sla_deadline: departmentAssignment.assignment.sla_deadline,
+        routing_logs: departmentAssignment.assignment.routing_logs,
+        status: 'assigned',
+        status_history: [{
+          timestamp: now,
+          status: 'submitted',
+          action: 'split_from',
+          changed_by_user_id: createdByUserId,
+          parent_issue_id: parentRow.issue_id
+        }, {
+          timestamp: now,
+          status: 'assigned',
+          action: 'auto_assigned',
+          changed_by: 'system',
+          department_id: departmentAssignment.assignment.assigned_department_id,
+          user_id: departmentAssignment.assignment.assigned_to_user_id
+        }],
+        submitted_at: now,
+        assigned_at: now
+      }])
+      .select('*')
+      .single();
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    await AuditService.log('issue', subIssueId, 'create', null, subIssue, createdByUserId, null, `Sub-issue split from ${parentRow.issue_id}`);
+
+    // An explicit department overrides category routing
+    if (departmentId && String(departmentId) !== String(subIssue.assigned_department_id)) {
+      const { issue } = await DepartmentService.manualAssignIssue(
+        subIssueId,
+        departmentId,
+        null,
+        createdByUserId,
+        `Routed when split from ${parentRow.issue_id}`
+      );
+      return issue;
+    }
+
+    return subIssue;
+  }
+
+  /**
+   * Merge other reports of the same problem into a master issue. Merged
+   * reports keep their reporters and follow the master's status from then on.
+   */
+  async mergeIssues(masterIssueId, { issueIds, reason }, mergedByUserId, userContext = null, ipAddress = null) {
+    try {
+      const { data: master } = await this.getIssueById(masterIssueId, userContext);
+
+      if (master.mergedIntoIssueId) {
+        throw new Error(`${master.id} was itself merged into ${master.mergedIntoIssueId}; merge into that issue instead`);
+      }
+
+      const sourceIds = [...new Set(issueIds.map(id => IssueIdService.normalize(id)))]
+        .filter(id => id !== master.id);
+      if (sourceIds.length === 0) {
+        throw new Error('Choose at least one other report to merge');
+      }
+
+      // Check every report before changing any of them
+      const sources = [];
+      for (const sourceId of sourceIds) {
+        const { data: source } = await this.getIssueById(sourceId, userContext);
+        if (source.mergedIntoIssueId) {
+          throw new Error(`${source.id} is already merged into ${source.mergedIntoIssueId}`);
+        }
+        if (source.parentIssueId || source.linkedIssues.subIssues.length > 0) {
+          throw new Error(`${source.id} is part of a split report and cannot be merged`);
+        }
+        if (master.parentIssueId && source.id === master.parentIssueId) {
+          throw new Error(`${source.id} is the report ${master.id} was split from`);
+        }
+        sources.push(source);
+      }
+
+      const now = new Date().toISOString();
+      const movedIds = [];
+
+      for (const source of sources) {
+        // Reports already merged into this one now follow the new master
+        const { data: moved, error: moveError } = await db
+          .from('issues')
+          .update({ merged_into_issue_id: master.id, duplicate_of_issue_id: master.id })
+          .eq('merged_into_issue_id', source.id)
+          .select('issue_id');
+
+        if (moveError) {
+          throw new Error(moveError.message);
+        }
+        movedIds.push(...(moved || []).map(row => row.issue_id));
+
+        const { error } = await db
+          .from('issues')
+          .update({
+            merged_into_issue_id: master.id,
+            merged_at: now,
+            is_duplicate: true,
+            duplicate_of_issue_id: master.id,
+            status_history: [...(source.statusHistory || []), {
+              timestamp: now,
+              status: source.status,
+              action: 'merged',
+              changed_by_user_id: mergedByUserId,
+              notes: reason || null,
+              merged_into_issue_id: master.id
+            }],
+            updated_at: now
+          })
+          .eq('issue_id', source.id);
+
+        if (error) {
+          throw new Error(error.message);
+        }
+
+        await AuditService.log(
+          'issue',
+          source.id,
+          'merge',
+          { merged_into_issue_id: null },
+          { merged_into_issue_id: master.id },
+          mergedByUserId,
+          ipAddress,
+          `Merged into ${master.id}${reason ? `: ${reason}` : ''}`
+        );
+      }
+
+      const masterRow = await this.getIssueRow(master.id);
+      await db
+        .from('issues')
+        .update({
+          status_history: [...(masterRow.status_history || []), {
+            timestamp: now,
+            status: masterRow.status,
+            action: 'merge',
+            changed_by_user_id: mergedByUserId,
+            notes: reason || null,
+            merged_issue_ids: sourceIds
+          }],
+          updated_at: now
+        })
+        .eq('issue_id', master.id);
+
+      await AuditService.log(
+        'issue',
+        master.id,
+        'merge',
+        null,
+        { merged_issue_ids: [...sourceIds, ...movedIds] },
+        mergedByUserId,
+        ipAddress,
+        `Merged ${sourceIds.join(', ')} into this issue${reason ? `: ${reason}` : ''}`
+      );
+
+      // Bring every merged report to the master's status, then tell their reporters
+      await this.syncLinkedIssues(masterRow, mergedByUserId);
+
+      for (const mergedId of [...sourceIds, ...movedIds]) {
+        try {
+          await NotificationService.notifyIssueLinked(await this.getIssueRow(mergedId), 'merged', [master.id]);
+        } catch (notificationError) {
+          console.error('Merge notification failed:', notificationError.message);
+        }
+        this.publishIssueEvent('issue.linked', mergedId);
+      }
+      this.publishIssueEvent('issue.linked', master.id);
+
+      return {
+        success: true,
+        message: `Merged ${sourceIds.length} report${sourceIds.length === 1 ? '' : 's'} into ${master.id}`,
+        data: (await this.getIssueById(master.id, userContext)).data
+      };
+    } catch (error) {
+      throw new Error(error.message || 'Failed to merge issues');
+    }
+  }
+
+  /**
+   * Summaries of the issues linked to a raw issue row by splits and merges
+   */
+  async getLinkedIssues(issue) {
+    const summarize = row => ({
+      id: row.issue_id,
+      category: row.category,
+      status: row.status,
+      statusLabel: WorkflowService.describeStatus(row.status, row.assigned_department_id).label,
+      statusStage: WorkflowService.describeStatus(row.status, row.assigned_department_id).stage,
+      assignedDepartmentId: row.assigned_department_id
+    });
+    const fields = 'issue_id, category, status, assigned_department_id';
+
+    const [subIssues, mergedIssues] = await Promise.all([
+      db.from('issues').select(fields).eq('parent_issue_id', issue.issue_id).order('created_at', { ascending: true }),
+      db.from('issues').select(fields).eq('merged_into_issue_id', issue.issue_id).order('merged_at', { ascending: true })
+    ]);
+
+    const related = [issue.parent_issue_id, issue.merged_into_issue_id].filter(Boolean);
+    const { data: relatedRows } = related.length
+      ? await db.from('issues').select(fields).in('issue_id', related)
+      : { data: [] };
+    const findRelated = id => (relatedRows || []).find(row => row.issue_id === id);
+
+    return {
+      parent: issue.parent_issue_id && findRelated(issue.parent_issue_id) ? summarize(findRelated(issue.parent_issue_id)) : null,
+      mergedInto: issue.merged_into_issue_id && findRelated(issue.merged_into_issue_id) ? summarize(findRelated(issue.merged_into_issue_id)) : null,
+      subIssues: (subIssues.data || []).map(summarize),
+      mergedIssues: (mergedIssues.data || []).map(summarize)
+    };
+  }
+
+  /**
+   * Carry a status change through to linked issues: merged reports copy the
+   * issue's status and a split parent advances with its least-advanced
+   * sub-issue. Never throws; the original change has already been saved.
+   */
+  async syncLinkedIssues(issue, changedByUserId = null) {
+    try {
+      const { data: mergedReports, error } = await db
+        .from('issues')
+        .select('*')
+        .eq('merged_into_issue_id', issue.issue_id);
+
+      if (error) {
+        throw new Error(error.message);
+      }
+
+      for (const report of mergedReports || []) {
+        await this.applyLinkedStatus(report, {
+          status: issue.status,
+          sourceDepartmentId: issue.assigned_department_id,
+          sourceIssueId: issue.issue_id,
+          notes: `Follows ${issue.issue_id}`,
+          resolutionNotes: issue.resolution_notes,
+          resolutionImages: issue.resolution_images
+        }, changedByUserId);
+      }
+
+      if (issue.parent_issue_id) {
+        await this.rollUpSplitParent(issue.parent_issue_id, changedByUserId);
+      }
+    } catch (error) {
+      console.error(`🔗 Failed to update issues linked to ${issue.issue_id}:`, error.message);
+    }
+  }
+
+  /**
+   * Move a split parent to the stage of its least-advanced open sub-issue
+   */
+  async rollUpSplitParent(parentIssueId, changedByUserId = null) {
+    const { data: subIssues, error } = await db
+      .from('issues')
+      .select('issue_id, status, assigned_department_id')
+      .eq('parent_issue_id', parentIssueId);
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    await WorkflowService.loadWorkflows();
+    const stages = (subIssues || [])
+      .map(subIssue => WorkflowService.describeStatus(subIssue.status, subIssue.assigned_department_id).stage)
+      .filter(stage => stage !== 'rejected');
+    const stage = stages.length
+      ? ROLL_UP_ORDER[Math.min(...stages.map(s => ROLL_UP_ORDER.indexOf(s)))]
+      : 'rejected';
+
+    const parent = await this.getIssueRow(parentIssueId);
+    const updated = await this.applyLinkedStatus(parent, {
+      status: stage,
+      sourceIssueId: null,
+      notes: `Follows sub-issues ${(subIssues || []).map(subIssue => subIssue.issue_id).join(', ')}`,
+      resolutionNotes: stage === 'resolved' ? 'All sub-issues resolved' : null
+    }, changedByUserId);
+
+    if (updated) {
+      await this.syncLinkedIssues(updated, changedByUserId);
+    }
+  }
+
+  /**
+   * Set a linked issue's status without a workflow transition check, using
+   * the same status key if its workflow has it or else the first status in
+   * the same stage. Returns the updated row, or null if nothing changed.
+   */
+  async applyLinkedStatus(row, { status, sourceDepartmentId = null, sourceIssueId, notes, resolutionNotes, resolutionImages }, changedByUserId = null) {
+    const workflow = await WorkflowService.getWorkflow(row.assigned_department_id);
+    const stage = WorkflowService.describeStatus(status, sourceDepartmentId).stage;
+    const target = WorkflowService.getStatus(workflow, status) ||
+      workflow.statuses.find(candidate => candidate.stage === stage);
+
+    if (!target || target.key === row.status) {
+      return null;
+    }
+
+    const now = new Date().toISOString();
+    const updateData = {
+      status: target.key,
+      status_history: [...(row.status_history || []), {
+        timestamp: now,
+        old_status: row.status,
+        new_status: target.key,
+        changed_by_user_id: changedByUserId,
+        notes,
+        linked_issue_id: sourceIssueId
+      }],
+      updated_at: now,
+      ...this.getStageUpdates(target.stage, WorkflowService.describeStatus(row.status, row.assigned_department_id).stage, {
+        userId: changedByUserId,
+        resolutionNotes,
+        resolutionImages
+      })
+    };
+
+    const { data: updated, error } = await db
+      .from('issues')
+      .update(updateData)
+      .eq('issue_id', row.issue_id)
+      .select('*, departments (id, name, code)')
+      .single();
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    try {
+      await NotificationService.notifyStatusUpdate(updated, row.status, target.key, changedByUserId);
+    } catch (notificationError) {
+      console.error('Linked status notification failed:', notificationError.message);
+    }
+
+    await AuditService.logIssueStatusChange(
+      row.issue_id,
+      row.status,
+      target.key,
+      changedByUserId,
+      null,
+      { linked_issue_id: sourceIssueId, notes }
+    );
+
+    this.publishIssueEvent('issue.status_changed', row.issue_id, {
+      previous: { status: row.status }
+    });
+
+    return updated;
+  }
+
+  /**
+   * Raw issue row by issue ID, without joins or access checks
+   */
+  async getIssueRow(issueId) {
+    const { data, error } = await db
+      .from('issues')
+      .select('*')
+      .eq('issue_id', issueId)
+      .single();
+
+    if (error || !data) {
+      throw new Error('Issue not found');
+    }
+    return data;
+  }
+
+  /**
+   * Open issues near a report that is about to be filed, so the reporter can
+   * confirm one of them instead. Merged reports resolve to their master.
+   */
+  async findSimilarIssues({ category, description, location }) {
+    try {
+      await WorkflowService.loadWorkflows();
+      const duplicateCheck = await AIService.checkForDuplicates({ category, description, location });
+      if (duplicateCheck.error) {
+        throw new Error(duplicateCheck.error);
+      }
+
+      const matches = [];
+      for (const candidate of duplicateCheck.potential_duplicates || []) {
+        const row = candidate.merged_into_issue_id
+          ? await this.getIssueRow(candidate.merged_into_issue_id)
+          : candidate;
+        if (TERMINAL_STAGES.includes(WorkflowService.describeStatus(row.status, row.assigned_department_id).stage)) continue;
+        if (matches.some(match => match.id === row.issue_id)) continue;
+
+        matches.push({
+          ...this.getPublicSummary(row),
+          similarityScore: candidate.similarity_score
+        });
+      }
+
+      return {
+        success: true,
+        data: matches
+      };
+    } catch (error) {
+      throw new Error(error.message || 'Failed to check for similar issues');
+    }
+  }
+
+  /**
+   * Record a signed-in resident confirming an existing issue ("me too"). Each
+   * email counts once; confirming again only changes whether they follow it.
+   * More supporters can raise the issue's priority but never lower it.
+   */
+  async confirmIssue(issueId, { follow = true }, citizen, ipAddress = null) {
+    try {
+      await WorkflowService.loadWorkflows();
+      let row = await this.getIssueRow(issueId);
+
+      // Support goes to the issue the report now follows
+      if (row.merged_into_issue_id) {
+        row = await this.getIssueRow(row.merged_into_issue_id);
+      }
+
+      const status = WorkflowService.describeStatus(row.status, row.assigned_department_id);
+      if (TERMINAL_STAGES.includes(status.stage)) {
+        throw new Error(`Issue ${row.issue_id} is already ${status.label.toLowerCase()}; please submit a new report if the problem is back`);
+      }
+
+      const email = citizen.email.trim().toLowerCase();
+      const citizenName = citizen.full_name || null;
+      if ((row.citizen_email || '').toLowerCase() === email) {
+        throw new Error('You reported this issue and already receive its updates');
+      }
+
+      const { data: existing, error: existingError } = await db
+        .from('issue_supporters')
+        .select('*')
+        .eq('issue_id', row.issue_id)
+        .eq('email', email)
+        .maybeSingle();
+
+      if (existingError) {
+        throw new Error(existingError.message);
+      }
+
+      const now = new Date().toISOString();
+
+      if (existing) {
+        const { error } = await db
+          .from('issue_supporters')
+          .update({ follow, name: citizenName || existing.name, updated_at: now })
+          .eq('id', existing.id);
+
+        if (error) {
+          throw new Error(error.message);
+        }
+
+        return {
+          success: true,
+          message: follow
+            ? `You already confirmed ${row.issue_id}; you will receive its status updates`
+            : `You already confirmed ${row.issue_id}; you will no longer receive its status updates`,
+          data: { ...this.getPublicSummary(row), alreadyConfirmed: true, following: follow }
+        };
+      }
+
+      const { error: insertError } = await db
+        .from('issue_supporters')
+        .insert([{
+          issue_id: row.issue_id,
+          name: citizenName || null,
+          email,
+          follow,
+          ip_address: ipAddress
+        }]);
+
+      if (insertError) {
+        throw new Error(insertError.message);
+      }
+
+      const { data: supporters, error: countError } = await db
+        .from('issue_supporters')
+        .select('id')
+        .eq('issue_id', row.issue_id);
+
+      if (countError) {
+        throw new Error(countError.message);
+      }
+
+      const supporterCount = supporters.length;
+      const rescored = AIService.rescorePriority(row, supporterCount);
+      const priority = AIService.getSeverityOrder(rescored) > AIService.getSeverityOrder(row.priority)
+        ? rescored
+        : row.priority;
+
+      const { data: updated, error: updateError } = await db
+        .from('issues')
+        .update({ supporter_count: supporterCount, priority, updated_at: now })
+        .eq('issue_id', row.issue_id)
+        .select()
+        .single();
+
+      if (updateError) {
+        throw new Error(updateError.message);
+      }
+
+      await AuditService.log(
+        'issue',
+        row.issue_id,
+        'confirm',
+        { supporter_count: row.supporter_count || 0, priority: row.priority },
+        { supporter_count: supporterCount, priority },
+        citizen.id,
+        ipAddress,
+        priority !== row.priority
+          ? `Confirmed by another resident; priority raised to ${priority}`
+          : 'Confirmed by another resident'
+      );
+
+      this.publishIssueEvent(priority !== row.priority ? 'issue.priority_changed' : 'issue.confirmed', row.issue_id, {
+        previous: { priority: row.priority, supporterCount: row.supporter_count || 0 }
+      });
+
+      return {
+        success: true,
+        message: `Thanks — your confirmation was added to ${row.issue_id}`,
+        data: { ...this.getPublicSummary(updated), alreadyConfirmed: false, following: follow }
+      };
+    } catch (error) {
+      throw new Error(error.message || 'Failed to confirm issue');
+    }
+  }
+
   /**
    * Submit citizen feedback
    */
@@ -547,7 +1503,7 @@ class IssueService {
       const { rating, comment } = feedbackData;
 
       // Verify issue exists and belongs to citizen
-      const { data: issue, error } = await supabase
+      const { data: issue, error } = await db
         .from('issues')
         .select('*')
         .eq('issue_id', issueId)
@@ -558,12 +1514,13 @@ class IssueService {
         throw new Error('Issue not found or you are not authorized to provide feedback');
       }
 
-      if (issue.status !== 'resolved' && issue.status !== 'closed') {
+      await WorkflowService.loadWorkflows();
+      if (!['resolved', 'closed'].includes(WorkflowService.describeStatus(issue.status, issue.assigned_department_id).stage)) {
         throw new Error('Feedback can only be provided for resolved or closed issues');
       }
 
       // Update issue with feedback
-      const { data: updatedIssue, error: updateError } = await supabase
+      const { data: updatedIssue, error: updateError } = await db
         .from('issues')
         .update({
           citizen_feedback_rating: rating,
@@ -616,13 +1573,203 @@ class IssueService {
     }
   }
 
+  /**
+   * Reporter rejects a resolution: the issue goes back to work in the same
+   * department. Allowed within REOPEN_WINDOW_DAYS of the resolution.
+   */
+  async rejectResolution(issueId, { reason, imageUrl }, citizenEmail, ipAddress = null) {
+    try {
+      const { data: report, error } = await db
+        .from('issues')
+        .select('*')
+        .eq('issue_id', issueId)
+        .eq('citizen_email', citizenEmail)
+        .single();
+
+      if (error || !report) {
+        throw new Error('Issue not found or you are not authorized to reopen it');
+      }
+
+      // A merged report follows its master, so the master is the one reopened
+      const issue = report.merged_into_issue_id
+        ? await this.getIssueRow(report.merged_into_issue_id)
+        : report;
+
+      const { data: subIssues, error: subIssuesError } = await db
+        .from('issues')
+        .select('issue_id')
+        .eq('parent_issue_id', issue.issue_id)
+        .limit(1);
+
+      if (subIssuesError) {
+        throw new Error(subIssuesError.message);
+      }
+      if (subIssues.length > 0) {
+        throw new Error('This report was split into sub-issues; reject the resolution of the sub-issue that is not fixed');
+      }
+
+      await WorkflowService.loadWorkflows();
+      const previous = WorkflowService.describeStatus(issue.status, issue.assigned_department_id);
+      if (!['resolved', 'closed'].includes(previous.stage)) {
+        throw new Error('Only resolved or closed issues can be reopened');
+      }
+
+      const resolvedAt = issue.resolved_at || issue.closed_at;
+      const deadline = this.getReopenDeadline(issue);
+      if (deadline && new Date() > deadline) {
+        throw new Error(`Resolutions can only be rejected within ${REOPEN_WINDOW_DAYS} days; please submit a new report`);
+      }
+
+      // Prefer the workflow's own way back to work, else its first in-progress status
+      const workflow = await WorkflowService.getWorkflow(issue.assigned_department_id);
+      const target = workflow.transitions
+        .filter(transition => transition.from === issue.status)
+        .map(transition => WorkflowService.getStatus(workflow, transition.to))
+        .find(status => status && status.stage === 'in_progress') ||
+        workflow.statuses.find(status => status.stage === 'in_progress');
+
+      if (!target) {
+        throw new Error(`The ${workflow.name} has no in-progress status to reopen the issue to`);
+      }
+
+      const now = new Date().toISOString();
+      const notes = `Resolution rejected by reporter: ${reason.trim()}`;
+      const resolvedStatuses = await WorkflowService.getStatusesInStages(['resolved', 'closed']);
+
+      // The department gets a fresh SLA from the reopen, and escalation starts over
+      const { data: department } = await db
+        .from('departments')
+        .select('sla_hours, business_calendar')
+        .eq('id', issue.assigned_department_id)
+        .maybeSingle();
+      const slaDeadline = department?.sla_hours
+        ? BusinessCalendarService.addBusinessHours(new Date(now), department.sla_hours, department.business_calendar).toISOString()
+        : issue.sla_deadline;
+
+      // Only while still resolved, so of two rejections sent together only one reopens the issue
+      const { data: reopenedRows, error: updateError } = await db
+        .from('issues')
+        .update({
+          status: target.key,
+          status_history: [...(issue.status_history || []), {
+            timestamp: now,
+            old_status: issue.status,
+            new_status: target.key,
+            changed_by_user_id: null,
+            notes,
+            reopened: true,
+            ...(imageUrl ? { images: [imageUrl] } : {})
+          }],
+          reopen_count: (issue.reopen_count || 0) + 1,
+          last_reopened_at: now,
+          sla_deadline: slaDeadline,
+          escalation_level: 0,
+          escalated_at: null,
+          auto_escalated: false,
+          resolved_at: null,
+          closed_at: null,
+          actual_resolution_time: null,
+          resolved_by_user_id: null,
+          updated_at: now,
+          ...this.getStageUpdates(target.stage, previous.stage)
+        })
+        .eq('issue_id', issue.issue_id)
+        .in('status', resolvedStatuses)
+        .select(`
+          *,
+          departments (id, name, code, contact_email),
+          users!assigned_to_user_id (id, username, full_name, email)
+        `);
+
+      if (updateError) {
+        throw new Error(updateError.message);
+      }
+      if (!reopenedRows || reopenedRows.length === 0) {
+        throw new Error(`Issue ${issue.issue_id} has already been reopened`);
+      }
+      const updatedIssue = reopenedRows[0];
+
+      const { error: reopenError } = await db
+        .from('issue_reopens')
+        .insert([{
+          issue_id: issue.issue_id,
+          department_id: issue.assigned_department_id,
+          previous_status: issue.status,
+          new_status: target.key,
+          reason: reason.trim(),
+          image_url: imageUrl || null,
+          resolved_at: resolvedAt,
+          resolved_by_user_id: issue.resolved_by_user_id,
+          citizen_email: citizenEmail,
+          ip_address: ipAddress
+        }]);
+
+      if (reopenError) {
+        console.error(`Failed to record reopen of ${issue.issue_id}:`, reopenError.message);
+      }
+
+      await AuditService.log(
+        'issue',
+        issue.issue_id,
+        'reopened',
+        { status: issue.status },
+        { status: target.key, reopen_count: updatedIssue.reopen_count, reason: reason.trim(), image_url: imageUrl || null },
+        null,
+        ipAddress,
+        report.issue_id === issue.issue_id
+          ? 'Resolution rejected by reporter'
+          : `Resolution rejected by the reporter of merged report ${report.issue_id}`
+      );
+
+      try {
+        await NotificationService.notifyIssueReopened(updatedIssue, { reason: reason.trim(), imageUrl });
+        await NotificationService.notifyFollowers(updatedIssue, target.key);
+      } catch (notificationError) {
+        console.error('Reopen notification failed:', notificationError.message);
+      }
+
+      this.publishIssueEvent('issue.status_changed', issue.issue_id, {
+        previous: { status: issue.status }
+      });
+
+      await this.syncLinkedIssues(updatedIssue);
+
+      console.log(`↩️ ${issue.issue_id} reopened by its reporter (reopen #${updatedIssue.reopen_count})`);
+
+      return {
+        success: true,
+        message: `Issue ${issue.issue_id} has been reopened and sent back to ${updatedIssue.departments?.name || 'the department'}`,
+        data: this.transformIssueData(updatedIssue)
+      };
+    } catch (error) {
+      throw new Error(error.message || 'Failed to reopen issue');
+    }
+  }
+
+  /**
+   * Last moment the reporter may reject an issue's resolution, or null if it is not resolved
+   */
+  getReopenDeadline(issue) {
+    const resolvedAt = issue.resolved_at || issue.closed_at;
+    if (!resolvedAt) return null;
+    return new Date(new Date(resolvedAt).getTime() + REOPEN_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+  }
+
+  /**
+   * Location with the resolved ward recorded on it (ward name, code and zone)
+   */
+  withWard(location, ward) {
+    if (!location || !ward) return location;
+    return { ...location, ward: ward.name, ward_code: ward.code, zone: ward.zone };
+  }
+
   /**
    * Get issue statistics for dashboard
    */
   async getIssueStatistics(filters = {}, userContext = null) {
     try {
       // Base query with user context
-      let baseQuery = supabase.from('issues').select('*');
+      let baseQuery = db.from('issues').select('*');
       
       if (userContext) {
         baseQuery = this.applyUserContextFiltering(baseQuery, userContext);
@@ -649,7 +1796,7 @@ class IssueService {
         by_severity: this.groupBy(issues, 'severity_level'),
         resolution_times: this.calculateResolutionTimes(issues),
         citizen_satisfaction: this.calculateCitizenSatisfaction(issues),
-        sla_performance: this.calculateSLAPerformance(issues),
+        sla_performance: this.calculateSLAPerformance(issues, await DepartmentService.getBusinessCalendars()),
         trend_data: this.calculateTrendData(issues, filters.timeframe)
       };
 
@@ -679,10 +1826,14 @@ class IssueService {
       location: issue.location,
       images: issue.images || [],
       status: issue.status,
+      statusLabel: WorkflowService.describeStatus(issue.status, issue.assigned_department_id).label,
+      statusStage: WorkflowService.describeStatus(issue.status, issue.assigned_department_id).stage,
       priority: issue.priority,
       severityLevel: issue.severity_level,
       confidenceScore: issue.confidence_score,
+      assignedDepartmentId: issue.assigned_department_id,
       assignedDepartment: issue.departments,
+      assignedUserId: issue.assigned_to_user_id,
       assignedUser: issue.users,
       resolvedBy: issue.resolved_by,
       slaDeadline: issue.sla_deadline,
@@ -690,6 +1841,7 @@ class IssueService {
       actualResolutionTime: issue.actual_resolution_time,
       resolutionImages: issue.resolution_images || [],
       resolutionNotes: issue.resolution_notes || '',
+      resolutionCost: issue.resolution_cost !== null && issue.resolution_cost !== undefined ? Number(issue.resolution_cost) : null,
       citizenFeedback: {
         rating: issue.citizen_feedback_rating,
         comment: issue.citizen_feedback_comment,
@@ -697,11 +1849,23 @@ class IssueService {
       },
       isDuplicate: issue.is_duplicate,
       duplicateOfIssueId: issue.duplicate_of_issue_id,
+      parentIssueId: issue.parent_issue_id || null,
+      mergedIntoIssueId: issue.merged_into_issue_id || null,
+      mergedAt: issue.merged_at || null,
+      supporterCount: issue.supporter_count || 0,
+      reopenCount: issue.reopen_count || 0,
+      lastReopenedAt: issue.last_reopened_at || null,
+      reopenDeadline: this.getReopenDeadline(issue),
       aiClassification: issue.ai_classification,
+      aiProcessingStatus: issue.ai_processing_status || null,
+      needsReview: issue.needs_review || false,
+      wasReclassified: issue.was_reclassified || false,
       statusHistory: issue.status_history || [],
       routingLogs: issue.routing_logs || [],
       autoEscalated: issue.auto_escalated,
       escalationReason: issue.escalation_reason,
+      escalationLevel: issue.escalation_level || 0,
+      escalatedAt: issue.escalated_at || null,
       submittedAt: issue.submitted_at,
       assignedAt: issue.assigned_at,
       inProgressAt: issue.in_progress_at,
@@ -712,37 +1876,127 @@ class IssueService {
     };
   }
 
+  /**
+   * Issue fields safe to show to any resident
+   */
+  getPublicSummary(issue) {
+    const status = WorkflowService.describeStatus(issue.status, issue.assigned_department_id);
+    return {
+      id: issue.issue_id,
+      category: issue.category,
+      description: issue.description || '',
+      address: issue.location?.address || null,
+      status: issue.status,
+      statusLabel: status.label,
+      statusStage: status.stage,
+      priority: issue.priority,
+      supporterCount: issue.supporter_count || 0,
+      submittedAt: issue.submitted_at || issue.created_at
+    };
+  }
+
+  /**
+   * Push a live update for an issue to every subscriber allowed to see it.
+   * `previousRow` (raw row before a reassignment) keeps the old department
+   * informed so it can drop the issue. Never throws.
+   */
+  async publishIssueEvent(type, issueId, { previous = null, previousRow = null } = {}) {
+    try {
+      if (!RealtimeService.hasSubscribers()) return;
+
+      const { data: row, error } = await db
+        .from('issues')
+        .select(`*, departments (id, name, code), users!assigned_to_user_id (id, username, full_name)`)
+        .eq('issue_id', issueId)
+        .single();
+
+      if (error) throw new Error(error.message);
+
+      await WorkflowService.loadWorkflows();
+      const payload = {
+        type,
+        issue: this.transformIssueData(row),
+        previous,
+        timestamp: new Date().toISOString()
+      };
+
+      const delivered = RealtimeService.broadcast(type, payload, client => {
+        const visible = this.isVisibleTo(row, client.user) || (!!previousRow && this.isVisibleTo(previousRow, client.user));
+        if (client.issueIds.length) return client.issueIds.includes(row.issue_id) && visible;
+        return !!client.user && visible;
+      });
+
+      console.log(`📡 ${type} ${issueId} pushed to ${delivered} client(s)`);
+    } catch (error) {
+      console.error(`📡 Failed to publish ${type} for ${issueId}:`, error.message);
+    }
+  }
+
+  /**
+   * Whether a raw issue row passes applyUserContextFiltering for the user
+   */
+  isVisibleTo(row, userContext) {
+    const conditions = [];
+    const recorder = {
+      eq: (column, value) => {
+        conditions.push([column, value]);
+        return recorder;
+      }
+    };
+    this.applyUserContextFiltering(recorder, userContext);
+
+    return conditions.every(([column, value]) =>
+      row[column] !== null && row[column] !== undefined && String(row[column]) === String(value)
+    );
+  }
+
   applyUserContextFiltering(query, userContext) {
     if (!userContext) return query;
 
-    switch (userContext.role) {
-      case 'citizen':
-        // Citizens can only see their own issues
-        return query.eq('citizen_email', userContext.email);
-      
-      case 'authority':
-        // Authorities can only see issues in their department
-        if (userContext.department_id) {
-          return query.eq('assigned_department_id', userContext.department_id);
-        }
-        break;
-      
-      case 'admin':
-      case 'super_admin':
-        // Admins can see all issues
-        return query;
-      
-      default:
-        // Unknown role, restrict to no access
-        return query.eq('id', -1); // This will return no results
+    // Citizens can only see their own issues
+    if (userContext.role === 'citizen') {
+      return query.eq('citizen_email', userContext.email);
+    }
+
+    // Staff with issue.read_all see every department
+    if ((userContext.permissions || []).includes('issue.read_all')) {
+      return query;
     }
 
-    return query;
+    // Other staff only see issues in their department
+    if (userContext.department_id) {
+      return query.eq('assigned_department_id', userContext.department_id);
+    }
+
+    // No department and no wider permission: no access
+    return query.eq('id', -1); // This will return no results
   }
 
-  isValidStatusTransition(currentStatus, newStatus) {
-    const allowedTransitions = this.statusTransitions[currentStatus] || [];
-    return allowedTransitions.includes(newStatus);
+  /**
+   * Columns to set when an issue enters a new lifecycle stage
+   */
+  getStageUpdates(stage, previousStage, { userId = null, resolutionNotes, resolutionImages = [] } = {}) {
+    const now = new Date().toISOString();
+
+    switch (stage === previousStage ? null : stage) {
+      case 'in_progress':
+        return { in_progress_at: now };
+
+      case 'resolved':
+        return {
+          resolved_at: now,
+          actual_resolution_time: now,
+          resolved_by_user_id: userId,
+          resolution_images: resolutionImages || [],
+          ...(resolutionNotes ? { resolution_notes: resolutionNotes } : {})
+        };
+
+      case 'closed':
+        return { closed_at: now };
+
+      default:
+        return {};
+    }
   }
 
   getTimeframeStartDate(timeframe) {
@@ -813,31 +2067,41 @@ class IssueService {
     };
   }
 
-  calculateSLAPerformance(issues) {
+  /**
+   * SLA outcomes in each department's business time (`calendars` maps
+   * department IDs to calendars): an issue is on time if the working hours
+   * it took, or has taken so far, fit within the working hours it was given
+   */
+  calculateSLAPerformance(issues, calendars = new Map()) {
     const issuesWithSLA = issues.filter(issue => issue.sla_deadline);
     
     if (issuesWithSLA.length === 0) {
-      return { on_time: 0, overdue: 0, performance_rate: 0 };
+      return { on_time: 0, overdue: 0, performance_rate: 0, average_sla_used: 0 };
     }
 
     let onTime = 0;
     let overdue = 0;
+    let usedShare = 0;
 
     issuesWithSLA.forEach(issue => {
-      const deadline = new Date(issue.sla_deadline);
-      const resolvedTime = issue.resolved_at ? new Date(issue.resolved_at) : new Date();
+      const calendar = calendars.get(issue.assigned_department_id) || null;
+      const start = issue.submitted_at || issue.created_at;
+      const allowedHours = BusinessCalendarService.businessHoursBetween(start, issue.sla_deadline, calendar);
+      const usedHours = BusinessCalendarService.businessHoursBetween(start, issue.resolved_at || new Date(), calendar);
       
-      if (resolvedTime <= deadline) {
+      if (usedHours <= allowedHours) {
         onTime++;
       } else {
         overdue++;
       }
+      usedShare += allowedHours > 0 ? usedHours / allowedHours : 1;
     });
 
     return {
       on_time: onTime,
       overdue: overdue,
-      performance_rate: Math.round((onTime / issuesWithSLA.length) * 100)
+      performance_rate: Math.round((onTime / issuesWithSLA.length) * 100),
+      average_sla_used: Math.round((usedShare / issuesWithSLA.length) * 100)
     };
   }
 
@@ -882,9 +2146,10 @@ class IssueService {
    * Merge image-based AI classification with text-based classification
    * @param {Object} textClassification - Result from keyword-based AI classification
    * @param {Object} imageClassification - Result from Gemini Vision API
+   * @param {number} reviewThreshold - confidence below which the issue needs a manual review
    * @returns {Object} Merged classification result
    */
-  mergeAIClassifications(textClassification, imageClassification) {
+  mergeAIClassifications(textClassification, imageClassification, reviewThreshold = AIAccuracyService.DEFAULT_THRESHOLDS.review_confidence) {
     try {
       // If no image classification, return text classification with enhanced fields
       if (!imageClassification) {
@@ -892,7 +2157,7 @@ class IssueService {
           ...textClassification,
           verified_category: textClassification.verified_category || textClassification.original_category,
           ai_explanation: 'Classification based on description and keywords only',
-          needs_review: textClassification.confidence_score < 0.6,
+          needs_review: textClassification.confidence_score < reviewThreshold,
           was_reclassified: false,
           reclassification_event: null,
           ai_processing_status: 'completed',
@@ -926,7 +2191,7 @@ class IssueService {
         verified_category: finalCategory,
         confidence_score: finalConfidence,
         ai_explanation: explanations.join('; ') || imageClassification.ai_explanation,
-        needs_review: imageClassification.needs_review || finalConfidence < 0.6,
+        needs_review: imageClassification.needs_review || finalConfidence < reviewThreshold,
         was_reclassified: imageClassification.was_reclassified || false,
         reclassification_event: imageClassification.reclassification_event || null,
         ai_processing_status: imageClassification.ai_processing_status || 'completed',
@@ -937,7 +2202,8 @@ class IssueService {
         classification_details: {
           ...textClassification.classification_details,
           image_analysis: {
-            used_gemini_vision: true,
+            classifier: imageClassification.ai_classifier || null,
+            used_gemini_vision: imageClassification.ai_classifier === 'gemini',
             image_confidence: imageClassification.confidence_score,
             image_category: imageClassification.verified_category,
             explanation: imageClassification.ai_explanation
@@ -972,7 +2238,7 @@ class IssueService {
       const startDate = new Date();
       startDate.setDate(startDate.getDate() - days);
 
-      const { data: issues, error } = await supabase
+      const { data: issues, error } = await db
         .from('issues')
         .select('status, priority, category, created_at, resolved_at')
         .gte('created_at', startDate.toISOString());
@@ -1006,7 +2272,7 @@ class IssueService {
       const startDate = new Date();
       startDate.setDate(startDate.getDate() - days);
 
-      const { data: issues, error } = await supabase
+      const { data: issues, error } = await db
         .from('issues')
         .select('status, created_at, resolved_at, sla_deadline, citizen_feedback_rating')
         .gte('created_at', startDate.toISOString());
@@ -1059,7 +2325,7 @@ class IssueService {
       const startDate = new Date();
       startDate.setDate(startDate.getDate() - days);
 
-      let query = supabase
+      let query = db
         .from('issues')
         .select('status, priority, category, assigned_department_id, created_at, resolved_at')
         .gte('created_at', startDate.toISOString());
@@ -1100,4 +2366,15 @@ class IssueService {
   }
 }
 
-module.exports = new IssueService();
\ No newline at end of file
+const issueService = new IssueService();
+
+JobQueueService.register(AI_PROCESSING_JOB, async ({ issueId }, job) => {
+  const { issue, ...result } = await issueService.processIssueAI(issueId, `job:${job.id}:${job.attempts}`);
+  return result;
+}, {
+  onFailure: ({ issueId }, error) => issueService.failIssueAI(issueId, error)
+});
+
+module.exports = issueService;
+module.exports.TERMINAL_STAGES = TERMINAL_STAGES;
+module.exports.AI_PROCESSING_JOB = AI_PROCESSING_JOB;
\ No newline at end of file
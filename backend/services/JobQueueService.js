@@ -0,0 +1,294 @@
+/**
+ * Job Queue Service
+ * Persistent background job queue. Services register a handler per job type
+ * and enqueue work; workers in the API process (or `npm run worker`) claim due
+ * jobs from the store chosen by JOB_QUEUE_STORE and run them, retrying
+ * failures with an exponential backoff.
+ */
+
+const os = require('os');
+const { createJobStore } = require('./jobs');
+
+const JOB_STATUSES = ['pending', 'running', 'completed', 'failed'];
+
+const DEFAULT_MAX_ATTEMPTS = 3;
+
+// Retry backoff: 5s, 10s, 20s ... capped at 5 minutes
+const BASE_RETRY_DELAY_MS = 5000;
+const MAX_RETRY_DELAY_MS = 5 * 60 * 1000;
+
+// A running job whose worker has not finished it by then is handed back to the queue
+const STALE_LOCK_MS = 10 * 60 * 1000;
+
+class JobQueueService {
+  constructor() {
+    this.handlers = new Map();
+    this.store = null;
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.running = false;
+    this.active = 0;
+    this.concurrency = 0;
+    this.pollIntervalMs = 0;
+    this.timer = null;
+    this.polling = false;
+    this.lastStaleCheck = 0;
+  }
+
+  getStore() {
+    if (!this.store) {
+      this.store = createJobStore();
+    }
+    return this.store;
+  }
+
+  /**
+   * Register the handler for a job type
+   * @param {string} type
+   * @param {Function} handler async (payload, job) => result
+   * @param {Object} options maxAttempts, and onFailure(payload, error, job) called once retries run out
+   */
+  register(type, handler, { maxAttempts = DEFAULT_MAX_ATTEMPTS, onFailure = null } = {}) {
+    this.handlers.set(type, { handler, maxAttempts, onFailure });
+  }
+
+  /**
+   * Add a job to the queue
+   * @returns {Object} the stored job
+   */
+  async enqueue(type, payload = {}, { delayMs = 0, maxAttempts } = {}) {
+    try {
+      const job = await this.getStore().insert({
+        type,
+        payload,
+        max_attempts: maxAttempts || this.handlers.get(type)?.maxAttempts || DEFAULT_MAX_ATTEMPTS,
+        run_at: new Date(Date.now() + delayMs).toISOString()
+      });
+
+      console.log(`📥 Queued ${type} job #${job.id}`);
+      if (this.running && !delayMs) {
+        setImmediate(() => this.poll());
+      }
+      return job;
+    } catch (error) {
+      throw new Error(error.message || 'Failed to enqueue job');
+    }
+  }
+
+  /**
+   * Start polling for jobs in this process
+   */
+  start({
+    concurrency = parseInt(process.env.JOB_WORKER_CONCURRENCY, 10),
+    pollIntervalMs = parseInt(process.env.JOB_POLL_INTERVAL_MS, 10)
+  } = {}) {
+    this.concurrency = Number.isInteger(concurrency) && concurrency >= 0 ? concurrency : 2;
+    this.pollIntervalMs = pollIntervalMs > 0 ? pollIntervalMs : 2000;
+
+    if (this.running) return true;
+    if (this.concurrency === 0) {
+      console.log('⏸️  Job workers disabled in this process (JOB_WORKER_CONCURRENCY=0)');
+      return false;
+    }
+
+    this.running = true;
+    this.timer = setInterval(() => this.poll(), this.pollIntervalMs);
+    console.log(`👷 Job workers started (${this.concurrency} concurrent, ${this.getStore().name} store, types: ${[...this.handlers.keys()].join(', ') || 'none'})`);
+    this.poll();
+    return true;
+  }
+
+  /**
+   * Stop claiming jobs and wait for the running ones to finish
+   */
+  async stop({ timeoutMs = 30000 } = {}) {
+    if (!this.running) return;
+    this.running = false;
+    clearInterval(this.timer);
+    this.timer = null;
+
+    const deadline = Date.now() + timeoutMs;
+    while (this.active > 0 && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 200));
+    }
+    console.log(`👷 Job workers stopped${this.active ? ` (${this.active} job(s) still running)` : ''}`);
+  }
+
+  /**
+   * Claim and start jobs until every worker slot is busy or the queue is empty
+   */
+  async poll() {
+    if (!this.running || this.polling) return;
+    this.polling = true;
+
+    try {
+      const store = this.getStore();
+      if (Date.now() - this.lastStaleCheck > STALE_LOCK_MS) {
+        this.lastStaleCheck = Date.now();
+        const released = await store.releaseStale(new Date(Date.now() - STALE_LOCK_MS).toISOString());
+        if (released) {
+          console.warn(`⚠️ Returned ${released} stalled job(s) to the queue`);
+        }
+      }
+
+      const types = [...this.handlers.keys()];
+      while (this.running && types.length && this.active < this.concurrency) {
+        const job = await store.claim(this.workerId, types);
+        if (!job) break;
+
+        this.active += 1;
+        this.runJob(job).finally(() => {
+          this.active -= 1;
+          if (this.running) setImmediate(() => this.poll());
+        });
+      }
+    } catch (error) {
+      console.error('❌ Job polling failed:', error.message);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Run a claimed job and record its outcome
+   */
+  async runJob(job) {
+    const store = this.getStore();
+    const registration = this.handlers.get(job.type);
+    const startedAt = Date.now();
+
+    try {
+      const result = await registration.handler(job.payload || {}, job);
+      await store.update(job.id, {
+        status: 'completed',
+        result: result === undefined ? null : result,
+        last_error: null,
+        locked_by: null,
+        locked_at: null,
+        completed_at: new Date().toISOString()
+      });
+      console.log(`✅ ${job.type} job #${job.id} completed in ${Date.now() - startedAt}ms`);
+    } catch (error) {
+      const message = error.message || 'Job failed';
+      const exhausted = job.attempts >= job.max_attempts;
+
+      try {
+        await store.update(job.id, {
+          status: exhausted ? 'failed' : 'pending',
+          last_error: message,
+          locked_by: null,
+          locked_at: null,
+          run_at: new Date(Date.now() + (exhausted ? 0 : this.getRetryDelay(job.attempts))).toISOString()
+        });
+      } catch (updateError) {
+        console.error(`❌ Failed to record the outcome of job #${job.id}:`, updateError.message);
+      }
+
+      if (!exhausted) {
+        console.warn(`⚠️ ${job.type} job #${job.id} failed (attempt ${job.attempts}/${job.max_attempts}), will retry: ${message}`);
+        return;
+      }
+
+      console.error(`❌ ${job.type} job #${job.id} failed after ${job.attempts} attempt(s): ${message}`);
+      if (registration.onFailure) {
+        try {
+          await registration.onFailure(job.payload || {}, error, job);
+        } catch (failureError) {
+          console.error(`❌ Failure handler for ${job.type} job #${job.id} failed:`, failureError.message);
+        }
+      }
+    }
+  }
+
+  getRetryDelay(attempts) {
+    return Math.min(MAX_RETRY_DELAY_MS, BASE_RETRY_DELAY_MS * 2 ** Math.max(0, attempts - 1));
+  }
+
+  /**
+   * Job counts by registered type and status, and this process's workers
+   */
+  async getStats() {
+    try {
+      const rows = await this.getStore().countByStatus([...this.handlers.keys()], JOB_STATUSES);
+      const totals = Object.fromEntries(JOB_STATUSES.map(status => [status, 0]));
+      const byType = {};
+
+      for (const { type, status, count } of rows) {
+        const value = Number(count) || 0;
+        totals[status] = (totals[status] || 0) + value;
+        byType[type] = byType[type] || Object.fromEntries(JOB_STATUSES.map(key => [key, 0]));
+        byType[type][status] = value;
+      }
+
+      return {
+        store: this.getStore().describe(),
+        totals,
+        by_type: byType,
+        worker: {
+          id: this.workerId,
+          running: this.running,
+          concurrency: this.concurrency,
+          active: this.active,
+          poll_interval_ms: this.pollIntervalMs,
+          types: [...this.handlers.keys()]
+        }
+      };
+    } catch (error) {
+      throw new Error(error.message || 'Failed to get job statistics');
+    }
+  }
+
+  async getJobs(filters = {}) {
+    try {
+      return await this.getStore().list(filters);
+    } catch (error) {
+      throw new Error(error.message || 'Failed to get jobs');
+    }
+  }
+
+  /**
+   * Put a failed job back in the queue with a fresh set of attempts
+   */
+  async retryJob(id) {
+    try {
+      const store = this.getStore();
+      const job = await store.get(id);
+      if (!job) {
+        throw new Error('Job not found');
+      }
+      if (job.status !== 'failed') {
+        const error = new Error(`Only failed jobs can be retried; job #${id} is ${job.status}`);
+        error.details = [{ field: 'id', message: error.message }];
+        throw error;
+      }
+
+      const updated = await store.update(id, {
+        status: 'pending',
+        attempts: 0,
+        last_error: null,
+        run_at: new Date().toISOString()
+      });
+      if (this.running) setImmediate(() => this.poll());
+      return updated;
+    } catch (error) {
+      const wrapped = new Error(error.message || 'Failed to retry job');
+      wrapped.details = error.details;
+      throw wrapped;
+    }
+  }
+
+  /**
+   * Delete completed jobs older than the given number of days
+   */
+  async cleanup(daysToKeep = 7) {
+    try {
+      const cutoff = new Date(Date.now() - daysToKeep * 24 * 60 * 60 * 1000).toISOString();
+      const deletedCount = await this.getStore().deleteCompleted(cutoff);
+      return { deletedCount };
+    } catch (error) {
+      throw new Error(error.message || 'Failed to clean up jobs');
+    }
+  }
+}
+
+module.exports = new JobQueueService();
+module.exports.JOB_STATUSES = JOB_STATUSES;
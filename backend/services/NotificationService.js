@@ -4,6 +4,10 @@
  * Sends responsive HTML email notifications on:
  *   - Issue creation   → professional submission receipt with ETA
  *   - Issue resolution  → before/after images, resolution time, tracking link
+ *   - Split / merge     → links to the issues now tracking the report
+ *   - Stage changes     → short update to residents following an issue they confirmed
+ *   - Reopened issues   → reporter's reason and photo to the assigned officer
+ *   - SLA escalations   → warnings and overdue notices to the people each level names
  * 
  * Uses Gmail SMTP with App Password.
  * Calculates smart ETA from SLA + department workload + historical averages.
@@ -11,8 +15,10 @@
 
 const nodemailer = require('nodemailer');
 const dns = require('dns');
-const { supabase } = require('../config/database');
-const { submissionEmailTemplate, resolutionEmailTemplate } = require('./EmailTemplates');
+const { db } = require('../config/database');
+const { submissionEmailTemplate, resolutionEmailTemplate, loginCodeEmailTemplate, passwordResetEmailTemplate, issueLinkedEmailTemplate, followerStatusEmailTemplate, reopenedEmailTemplate, slaWarningEmailTemplate, slaEscalationEmailTemplate } = require('./EmailTemplates');
+const WorkflowService = require('./WorkflowService');
+const BusinessCalendarService = require('./BusinessCalendarService');
 
 // Force IPv4 DNS resolution — fixes SMTP timeouts on Render/cloud platforms
 // where IPv6 routes to external hosts silently fail
@@ -24,7 +30,7 @@ class NotificationService {
     this.emailEnabled = false;
     this.initTransporter();
 
-    // SLA hours per category (mirrors DepartmentService.routingRules)
+    // SLA hours per category, for issues whose routed SLA is not known (built-in routing rules)
     this.slaHours = {
       pothole: 48, garbage: 24, water: 12, streetlight: 24,
       traffic: 48, graffiti: 72, sidewalk: 48, other: 168
@@ -106,34 +112,46 @@ class NotificationService {
    * Calculate an estimated resolution time for an issue.
    *
    * Algorithm:
-   *   base  = SLA hours for the category
+   *   base  = SLA hours the issue was routed with (else the category default)
    *   load  = number of active (non-resolved) issues in the same department × 1 hr buffer
    *   historical = average resolution hours for the same department (from resolved issues)
    *   ETA  = now + weightedAverage(base + load, historical)
    *
+   * Hours are business hours in the department's calendar, if it has one.
    * Returns an ISO string.
    */
   async calculateETA(issueData) {
     try {
       const category     = (issueData.category || 'other').toLowerCase();
       const deptId       = issueData.assigned_department_id;
-      const baseSLAHours = this.slaHours[category] || this.slaHours.other;
+      const baseSLAHours = issueData.sla_hours || this.slaHours[category] || this.slaHours.other;
+
+      let calendar = null;
+      if (deptId) {
+        const { data: department } = await db
+          .from('departments')
+          .select('business_calendar')
+          .eq('id', deptId)
+          .maybeSingle();
+        calendar = department?.business_calendar || null;
+      }
 
       // 1. Count active (open) issues in the same department
       let activeCount = 0;
       if (deptId) {
-        const { count, error } = await supabase
+        const openStatuses = await WorkflowService.getStatusesInStages(['submitted', 'assigned', 'in_progress']);
+        const { count, error } = await db
           .from('issues')
           .select('*', { count: 'exact', head: true })
           .eq('assigned_department_id', deptId)
-          .not('status', 'in', '("resolved","closed","rejected")');
+          .in('status', openStatuses);
         if (!error && count !== null) activeCount = count;
       }
 
       // 2. Historical average resolution time for this department
       let historicalAvgHours = null;
       if (deptId) {
-        const { data: resolved } = await supabase
+        const { data: resolved } = await db
           .from('issues')
           .select('submitted_at, resolved_at')
           .eq('assigned_department_id', deptId)
@@ -145,7 +163,7 @@ class NotificationService {
         if (resolved && resolved.length > 0) {
           const durations = resolved
             .filter(r => r.submitted_at && r.resolved_at)
-            .map(r => (new Date(r.resolved_at) - new Date(r.submitted_at)) / (1000 * 60 * 60));
+            .map(r => BusinessCalendarService.businessHoursBetween(r.submitted_at, r.resolved_at, calendar));
           if (durations.length > 0) {
             historicalAvgHours = durations.reduce((a, b) => a + b, 0) / durations.length;
           }
@@ -167,8 +185,7 @@ class NotificationService {
       // Clamp: at least 1 hour, at most 2 × SLA
       finalHours = Math.max(1, Math.min(finalHours, baseSLAHours * 2));
 
-      const eta = new Date();
-      eta.setHours(eta.getHours() + finalHours);
+      const eta = BusinessCalendarService.addBusinessHours(new Date(), finalHours, calendar);
 
       console.log(`📧 ETA calculated: ${finalHours}h (SLA=${baseSLAHours}h, load=${activeCount}, histAvg=${historicalAvgHours?.toFixed(1) || 'N/A'}h)`);
       return eta.toISOString();
@@ -271,16 +288,228 @@ class NotificationService {
   }
 
   /**
-   * Called on status update — sends resolution email when resolved
+   * Called on status update — tells followers about every stage change and
+   * sends the reporter the resolution email when the issue enters the
+   * resolved stage (custom workflow statuses included)
    */
   async notifyStatusUpdate(issueData, oldStatus, newStatus, updatedBy = null) {
-    if (newStatus === 'resolved') {
+    const oldStage = WorkflowService.describeStatus(oldStatus, issueData.assigned_department_id).stage;
+    const newStage = WorkflowService.describeStatus(newStatus, issueData.assigned_department_id).stage;
+    if (newStage !== oldStage) {
+      await this.notifyFollowers(issueData, newStatus);
+    }
+    if (newStage === 'resolved' && oldStage !== 'resolved') {
       return await this.notifyIssueResolved(issueData);
     }
-    console.log(`📧 Status changed to "${newStatus}" — no email sent (only resolved triggers email)`);
+    console.log(`📧 Status changed to "${newStatus}" — no reporter email sent (only resolved triggers one)`);
     return { success: true, skipped: true };
   }
 
+  /**
+   * Email every resident who confirmed an issue and chose to follow it
+   */
+  async notifyFollowers(issueData, newStatus) {
+    if (!this.emailEnabled) {
+      console.log('📧 Skipping follower emails (email not configured)');
+      return { success: true, skipped: true };
+    }
+
+    try {
+      const { data: followers, error } = await db
+        .from('issue_supporters')
+        .select('name, email')
+        .eq('issue_id', issueData.issue_id)
+        .eq('follow', true);
+
+      if (error) {
+        throw new Error(error.message);
+      }
+
+      const status = WorkflowService.describeStatus(newStatus, issueData.assigned_department_id);
+      let sent = 0;
+      for (const follower of followers || []) {
+        try {
+          const { subject, html, text } = followerStatusEmailTemplate(issueData, follower, status);
+          await this.sendHTMLEmail(follower.email, subject, html, text);
+          await this.storeNotification({
+            recipient_email: follower.email,
+            type: 'issue_follower_update',
+            title: subject,
+            message: text,
+            issue_id: issueData.issue_id
+          });
+          sent++;
+        } catch (sendError) {
+          console.error(`📧 Follower email to ${follower.email} failed:`, sendError.message);
+        }
+      }
+
+      return { success: true, sent };
+    } catch (error) {
+      console.error('📧 Follower notifications failed:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Tell the assigned officer (or the department inbox) that the reporter
+   * rejected a resolution and the issue is back in progress
+   */
+  async notifyIssueReopened(issueData, reopen) {
+    if (!this.emailEnabled) {
+      console.log('📧 Skipping issue-reopened email (email not configured)');
+      return { success: true, skipped: true };
+    }
+
+    try {
+      const assignee = issueData.users;
+      const recipient = assignee?.email || issueData.departments?.contact_email;
+      if (!recipient) {
+        console.log(`📧 No assignee or department email for ${issueData.issue_id}, skipping reopen notification`);
+        return { success: true, skipped: true };
+      }
+
+      const recipientName = assignee?.email ? (assignee.full_name || assignee.username) : issueData.departments?.name;
+      const { subject, html, text } = reopenedEmailTemplate(issueData, recipientName, reopen);
+
+      await this.sendHTMLEmail(recipient, subject, html, text);
+
+      await this.storeNotification({
+        recipient_email: recipient,
+        type: 'issue_reopened',
+        title: subject,
+        message: text,
+        issue_id: issueData.issue_id
+      });
+
+      return { success: true };
+    } catch (error) {
+      console.error('📧 Issue-reopened notification failed:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Email the recipients of an SLA escalation level. Levels before the
+   * deadline send a warning; later levels send an escalation notice.
+   */
+  async notifySlaEscalation(issueData, level, { levelNumber, percent, recipients = [] }) {
+    if (!this.emailEnabled) {
+      console.log('📧 Skipping SLA escalation emails (email not configured)');
+      return { success: true, skipped: true };
+    }
+
+    if (recipients.length === 0) {
+      console.log(`📧 No recipients for escalation level ${levelNumber} of ${issueData.issue_id}`);
+      return { success: true, skipped: true };
+    }
+
+    const template = level.at_percent < 100 ? slaWarningEmailTemplate : slaEscalationEmailTemplate;
+    let sent = 0;
+    for (const recipient of recipients) {
+      try {
+        const { subject, html, text } = template(issueData, recipient, { level, levelNumber, percent });
+        await this.sendHTMLEmail(recipient.email, subject, html, text);
+        await this.storeNotification({
+          recipient_email: recipient.email,
+          type: level.at_percent < 100 ? 'sla_warning' : 'sla_escalation',
+          title: subject,
+          message: text,
+          issue_id: issueData.issue_id
+        });
+        sent++;
+      } catch (sendError) {
+        console.error(`📧 Escalation email to ${recipient.email} failed:`, sendError.message);
+      }
+    }
+
+    return { success: true, sent };
+  }
+
+  /**
+   * Tell a reporter their report was split into sub-issues or merged into another issue
+   */
+  async notifyIssueLinked(issueData, type, relatedIssueIds) {
+    if (!this.emailEnabled) {
+      console.log(`📧 Skipping issue-${type} email (email not configured)`);
+      return { success: true, skipped: true };
+    }
+
+    try {
+      const citizenEmail = issueData.citizen_email;
+      if (!citizenEmail) {
+        console.log('📧 No citizen email provided, skipping notification');
+        return { success: true, skipped: true };
+      }
+
+      const { subject, html, text } = issueLinkedEmailTemplate(issueData, type, relatedIssueIds);
+
+      await this.sendHTMLEmail(citizenEmail, subject, html, text);
+
+      await this.storeNotification({
+        recipient_email: citizenEmail,
+        type: `issue_${type}`,
+        title: subject,
+        message: text,
+        issue_id: issueData.issue_id
+      });
+
+      return { success: true };
+    } catch (error) {
+      console.error(`📧 Issue-${type} notification failed:`, error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Email a one-time sign-in code to a citizen. Unlike the issue
+   * notifications this throws on failure — the citizen cannot sign in without it.
+   */
+  async sendLoginCode(email, code, expiresInMinutes) {
+    if (!this.emailEnabled) {
+      if (process.env.NODE_ENV === 'production') {
+        throw new Error('Email delivery is not configured; citizen sign-in is unavailable');
+      }
+      console.log(`📧 Email not configured — sign-in code for ${email}: ${code}`);
+      return { success: true, skipped: true };
+    }
+
+    try {
+      const { subject, html, text } = loginCodeEmailTemplate({ code, expiresInMinutes });
+
+      await this.sendHTMLEmail(email, subject, html, text);
+
+      return { success: true };
+    } catch (error) {
+      console.error('📧 Login code email failed:', error.message);
+      throw new Error('Failed to send sign-in code');
+    }
+  }
+
+  /**
+   * Email a password reset link to a staff user
+   */
+  async sendPasswordReset(user, token, expiresInMinutes) {
+    const { subject, html, text } = passwordResetEmailTemplate({ name: user.full_name || user.username, token, expiresInMinutes });
+
+    if (!this.emailEnabled) {
+      if (process.env.NODE_ENV === 'production') {
+        throw new Error('Email delivery is not configured; password reset is unavailable');
+      }
+      console.log(`📧 Email not configured — password reset token for ${user.username}: ${token} (open /reset-password?token=${token})`);
+      return { success: true, skipped: true };
+    }
+
+    try {
+      await this.sendHTMLEmail(user.email, subject, html, text);
+
+      return { success: true };
+    } catch (error) {
+      console.error('📧 Password reset email failed:', error.message);
+      throw new Error('Failed to send password reset email');
+    }
+  }
+
   // ═══════════════════════════════════════════════════════════════
   // CORE EMAIL SENDING
   // ═══════════════════════════════════════════════════════════════
@@ -326,7 +555,7 @@ class NotificationService {
 
   async storeNotification(notification) {
     try {
-      await supabase.from('notifications').insert([{
+      await db.from('notifications').insert([{
         ...notification,
         is_sent: true,
         sent_at: new Date().toISOString()
@@ -342,7 +571,7 @@ class NotificationService {
 
   async retryFailedNotifications() {
     try {
-      const { data: failedNotifications, error } = await supabase
+      const { data: failedNotifications, error } = await db
         .from('notifications')
         .select('*')
         .eq('status', 'failed')
@@ -361,14 +590,14 @@ class NotificationService {
         try {
           if (notification.channel === 'email' && this.emailEnabled) {
             await this.sendEmail(notification.recipient, notification.subject || 'Notification', notification.message);
-            await supabase.from('notifications').update({ status: 'sent', sent_at: new Date().toISOString() }).eq('id', notification.id);
+            await db.from('notifications').update({ status: 'sent', sent_at: new Date().toISOString() }).eq('id', notification.id);
             succeeded++;
           } else {
-            await supabase.from('notifications').update({ retry_count: (notification.retry_count || 0) + 1 }).eq('id', notification.id);
+            await db.from('notifications').update({ retry_count: (notification.retry_count || 0) + 1 }).eq('id', notification.id);
             failed++;
           }
         } catch (e) {
-          await supabase.from('notifications').update({ retry_count: (notification.retry_count || 0) + 1 }).eq('id', notification.id);
+          await db.from('notifications').update({ retry_count: (notification.retry_count || 0) + 1 }).eq('id', notification.id);
           failed++;
         }
       }
@@ -391,7 +620,7 @@ class NotificationService {
 
   async getNotificationStats() {
     try {
-      const { data, error } = await supabase
+      const { data, error } = await db
         .from('notifications')
         .select('status, channel')
         .order('created_at', { ascending: false })
@@ -415,7 +644,7 @@ class NotificationService {
       const cutoff = new Date();
       cutoff.setDate(cutoff.getDate() - daysToKeep);
 
-      const { data, error } = await supabase
+      const { data, error } = await db
         .from('notifications')
         .delete()
         .lt('created_at', cutoff.toISOString());
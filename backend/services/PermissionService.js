@@ -0,0 +1,370 @@
+/**
+ * Permission Service
+ * Named permissions grouped into roles stored in the `roles` table.
+ *
+ * Routes check a permission (`issue.reassign`, `audit.read`, ...) rather than
+ * a role name, so a city can define roles such as "ward_supervisor" that
+ * reassign issues without managing users. The four built-in roles are
+ * defined here and used until an admin saves an edited copy to the database.
+ * `super_admin` always holds every permission so nobody can lock the
+ * system out of role management.
+ */
+
+const { db } = require('../config/database');
+const AuditService = require('./AuditService');
+
+const PERMISSIONS = {
+  'issue.read_all': 'See issues from every department (otherwise only your own department)',
+  'issue.statistics.read': 'View issue statistics',
+  'issue.status.update': 'Change issue status',
+  'issue.priority.update': 'Change issue priority',
+  'issue.assign': 'Assign issues to departments and officers',
+  'issue.reassign': 'Move issues between departments',
+  'issue.assignee': 'Receive new issues of your department through auto-assignment',
+  'issue.link': 'Split reports into sub-issues and merge duplicate reports',
+  'issue.classification.review': 'Review low-confidence AI classifications and correct their category',
+  'issue.edit': 'Edit issue details',
+  'issue.delete': 'Delete issues',
+  'issue.audit.read': 'View the audit trail of an issue',
+  'comment.respond': 'Post official responses and read internal notes on issues',
+  'comment.moderate': 'Hide and restore comments on issues',
+  'work_order.manage': 'Schedule field crew work orders on issues',
+  'user.read': 'View staff accounts',
+  'user.manage': 'Create, edit and deactivate staff accounts',
+  'user.two_factor.reset': 'Reset another user\'s two-factor authentication',
+  'role.manage': 'Create, edit and delete roles',
+  'department.read': 'View department settings',
+  'department.manage': 'Create, edit and delete departments',
+  'department.status.edit': 'Activate and deactivate departments',
+  'department.sla.edit': 'Change department SLAs',
+  'department.assignment.edit': 'Choose how departments assign issues to officers',
+  'workflow.manage': 'Edit issue workflows',
+  'routing.manage': 'Edit the rules that route issues to departments',
+  'ward.manage': 'Upload and remove ward boundaries',
+  'audit.read': 'View the system audit log',
+  'analytics.read': 'View dashboards, analytics and reports',
+  'ai.settings.manage': 'Tune the AI confidence thresholds',
+  'notification.read': 'View notification statistics',
+  'upload.manage': 'List and delete uploaded files',
+  'system.health': 'View system health',
+  'system.maintenance': 'Run maintenance cleanup'
+};
+
+const AUTHORITY_PERMISSIONS = [
+  'issue.statistics.read',
+  'issue.status.update',
+  'issue.priority.update',
+  'issue.audit.read',
+  'issue.link',
+  'issue.classification.review',
+  'comment.respond',
+  'comment.moderate',
+  'work_order.manage'
+];
+
+const ADMIN_PERMISSIONS = [
+  ...AUTHORITY_PERMISSIONS,
+  'issue.read_all',
+  'issue.assign',
+  'issue.reassign',
+  'issue.edit',
+  'user.read',
+  'user.manage',
+  'department.read',
+  'department.status.edit',
+  'department.assignment.edit',
+  'workflow.manage',
+  'ward.manage',
+  'audit.read',
+  'analytics.read',
+  'ai.settings.manage',
+  'notification.read',
+  'upload.manage'
+];
+
+// Built-in roles, equivalent to the previous citizen < authority < admin < super_admin hierarchy
+const BUILT_IN_ROLES = [
+  { name: 'citizen', display_name: 'Citizen', description: 'Signs in with an emailed code to follow their own reports', permissions: [], is_system: true },
+  { name: 'authority', display_name: 'Authority', description: 'Department staff working on their department\'s issues', permissions: [...AUTHORITY_PERMISSIONS, 'issue.assignee'], is_system: true },
+  { name: 'admin', display_name: 'Admin', description: 'Manages issues, staff and departments across the city', permissions: ADMIN_PERMISSIONS, is_system: true },
+  { name: 'super_admin', display_name: 'Super Admin', description: 'Full access, including roles, SLAs and maintenance', permissions: Object.keys(PERMISSIONS), is_system: true }
+];
+
+const ROLE_NAME_PATTERN = /^[a-z][a-z0-9_]{1,49}$/;
+
+const CACHE_TTL_MS = 60 * 1000;
+
+class PermissionService {
+  constructor() {
+    this.cache = null;
+    this.cacheLoadedAt = 0;
+  }
+
+  /**
+   * Every role, built-in definitions overlaid with saved rows (cached briefly; invalidated on save)
+   */
+  async loadRoles() {
+    if (this.cache && Date.now() - this.cacheLoadedAt < CACHE_TTL_MS) {
+      return this.cache;
+    }
+
+    const { data, error } = await db
+      .from('roles')
+      .select('*')
+      .order('name', { ascending: true });
+
+    let stored = [];
+    if (error) {
+      // Table not migrated yet: behave exactly like the built-in roles
+      console.warn('⚠️ Roles unavailable, using built-in roles:', error.message);
+    } else {
+      stored = data || [];
+    }
+
+    const roles = new Map(BUILT_IN_ROLES.map(role => [role.name, { ...role }]));
+    stored.forEach(row => roles.set(row.name, { ...roles.get(row.name), ...row }));
+    roles.set('super_admin', { ...roles.get('super_admin'), permissions: Object.keys(PERMISSIONS) });
+
+    this.cache = roles;
+    this.cacheLoadedAt = Date.now();
+    return this.cache;
+  }
+
+  invalidateCache() {
+    this.cache = null;
+    this.cacheLoadedAt = 0;
+  }
+
+  /**
+   * Permission names granted to a role; unknown roles get none
+   */
+  async getPermissions(roleName) {
+    const roles = await this.loadRoles();
+    const role = roles.get(roleName);
+    return role ? role.permissions.filter(permission => PERMISSIONS[permission]) : [];
+  }
+
+  /**
+   * Whether a user (with `permissions` attached by the auth middleware) holds a permission
+   */
+  can(user, permission) {
+    return !!user && Array.isArray(user.permissions) && user.permissions.includes(permission);
+  }
+
+  /**
+   * Names of the roles that grant a permission
+   */
+  async getRolesWithPermission(permission) {
+    const roles = await this.loadRoles();
+    return [...roles.values()]
+      .filter(role => role.permissions.includes(permission))
+      .map(role => role.name);
+  }
+
+  /**
+   * The permission catalog, for role editors
+   */
+  listPermissions() {
+    return Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description }));
+  }
+
+  async listRoles() {
+    try {
+      const roles = await this.loadRoles();
+      return [...roles.values()].map(role => this.describeRole(role));
+    } catch (error) {
+      throw new Error(error.message || 'Failed to fetch roles');
+    }
+  }
+
+  async getRole(roleName) {
+    const roles = await this.loadRoles();
+    const role = roles.get(roleName);
+    if (!role) {
+      throw new Error(`Role "${roleName}" not found`);
+    }
+    return this.describeRole(role);
+  }
+
+  async roleExists(roleName) {
+    const roles = await this.loadRoles();
+    return roles.has(roleName);
+  }
+
+  /**
+   * Staff may only hand out roles whose permissions they hold themselves,
+   * unless they can manage roles outright
+   */
+  async canAssignRole(user, roleName) {
+    const roles = await this.loadRoles();
+    const role = roles.get(roleName);
+    if (!role) return false;
+    if (this.can(user, 'role.manage')) return true;
+    return role.permissions.every(permission => this.can(user, permission));
+  }
+
+  async createRole({ name, displayName, description, permissions }, userId = null, ipAddress = null) {
+    try {
+      if (!ROLE_NAME_PATTERN.test(name || '')) {
+        throw new Error('Role name must be lowercase letters, digits and underscores, starting with a letter');
+      }
+      if (await this.roleExists(name)) {
+        throw new Error(`Role "${name}" already exists`);
+      }
+
+      const record = {
+        name,
+        display_name: displayName,
+        description: description || null,
+        permissions: this.validatePermissions(permissions),
+        is_system: false
+      };
+
+      const { data: role, error } = await db
+        .from('roles')
+        .insert([record])
+        .select()
+        .single();
+
+      if (error) {
+        throw new Error(error.message);
+      }
+
+      this.invalidateCache();
+
+      await AuditService.log('role', name, 'create', null, record, userId, ipAddress, `Role "${name}" created`);
+
+      return this.describeRole(role);
+    } catch (error) {
+      throw new Error(error.message || 'Failed to create role');
+    }
+  }
+
+  /**
+   * Edit a role's label or permissions; built-in roles are copied into the table on first edit
+   */
+  async updateRole(roleName, { displayName, description, permissions }, userId = null, ipAddress = null) {
+    try {
+      const roles = await this.loadRoles();
+      const current = roles.get(roleName);
+      if (!current) {
+        throw new Error(`Role "${roleName}" not found`);
+      }
+      if (roleName === 'super_admin' && permissions !== undefined) {
+        throw new Error('The super_admin role always has every permission');
+      }
+      if (roleName === 'citizen' && permissions !== undefined && permissions.length > 0) {
+        throw new Error('Citizen accounts cannot be given staff permissions');
+      }
+
+      const changes = {};
+      if (displayName !== undefined) changes.display_name = displayName;
+      if (description !== undefined) changes.description = description || null;
+      if (permissions !== undefined) changes.permissions = this.validatePermissions(permissions);
+
+      const { data: existing } = await db
+        .from('roles')
+        .select('id')
+        .eq('name', roleName)
+        .maybeSingle();
+
+      const { data: role, error } = existing
+        ? await db.from('roles').update(changes).eq('id', existing.id).select().single()
+        : await db.from('roles').insert([{
+          name: current.name,
+          display_name: current.display_name,
+          description: current.description,
+          permissions: current.permissions,
+          is_system: current.is_system,
+          ...changes
+        }]).select().single();
+
+      if (error) {
+        throw new Error(error.message);
+      }
+
+      this.invalidateCache();
+
+      await AuditService.log(
+        'role',
+        roleName,
+        'update',
+        { display_name: current.display_name, description: current.description, permissions: current.permissions },
+        changes,
+        userId,
+        ipAddress,
+        `Role "${roleName}" updated`
+      );
+
+      return this.describeRole({ ...current, ...role });
+    } catch (error) {
+      throw new Error(error.message || 'Failed to update role');
+    }
+  }
+
+  /**
+   * Delete a custom role that nobody holds
+   */
+  async deleteRole(roleName, userId = null, ipAddress = null) {
+    try {
+      const roles = await this.loadRoles();
+      const role = roles.get(roleName);
+      if (!role) {
+        throw new Error(`Role "${roleName}" not found`);
+      }
+      if (role.is_system) {
+        throw new Error('Built-in roles cannot be deleted');
+      }
+
+      const { data: holders, error: holdersError } = await db
+        .from('users')
+        .select('id')
+        .eq('role', roleName)
+        .limit(1);
+
+      if (holdersError) {
+        throw new Error(holdersError.message);
+      }
+      if (holders.length > 0) {
+        throw new Error('Move every user off this role before deleting it');
+      }
+
+      const { error } = await db
+        .from('roles')
+        .delete()
+        .eq('name', roleName);
+
+      if (error) {
+        throw new Error(error.message);
+      }
+
+      this.invalidateCache();
+
+      await AuditService.log('role', roleName, 'delete', { permissions: role.permissions }, null, userId, ipAddress, `Role "${roleName}" deleted`);
+
+      return true;
+    } catch (error) {
+      throw new Error(error.message || 'Failed to delete role');
+    }
+  }
+
+  validatePermissions(permissions = []) {
+    const unknown = permissions.filter(permission => !PERMISSIONS[permission]);
+    if (unknown.length) {
+      throw new Error(`Unknown permission(s): ${unknown.join(', ')}`);
+    }
+    return [...new Set(permissions)].sort();
+  }
+
+  describeRole(role) {
+    return {
+      name: role.name,
+      displayName: role.display_name,
+      description: role.description || null,
+      permissions: role.permissions,
+      isSystem: !!role.is_system
+    };
+  }
+}
+
+module.exports = new PermissionService();
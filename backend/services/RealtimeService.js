@@ -0,0 +1,173 @@
+/**
+ * Realtime Service
+ * Pushes issue events to connected browsers over Server-Sent Events.
+ *
+ * Each subscriber is an open `text/event-stream` response plus the user it
+ * belongs to; publishers pass a filter so every client only receives events
+ * for issues it is allowed to see. Signed-in streams are checked again on
+ * every heartbeat and closed once their token expires, their session is
+ * revoked or the user is deactivated; the user's permissions are reloaded so
+ * role changes apply. Subscribers live in this process only, so run a single
+ * API instance (or sticky sessions) when relying on live updates.
+ */
+
+const AuthService = require('./AuthService');
+const SessionService = require('./SessionService');
+const PermissionService = require('./PermissionService');
+
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+const RECONNECT_DELAY_MS = 5000;
+
+class RealtimeService {
+  constructor() {
+    this.clients = new Map();
+    this.nextClientId = 1;
+    this.heartbeat = null;
+    this.revalidating = false;
+  }
+
+  /**
+   * Open an event stream on the response and register it
+   * @param {Object} options - `user`, the `sessionId` and access token `expiresAt` (ms) of a
+   *   signed-in stream, and the `issueIds` an anonymous stream follows
+   */
+  subscribe(req, res, { user = null, sessionId = null, expiresAt = null, issueIds = [] } = {}) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx, Render)
+    });
+    res.write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+
+    const id = this.nextClientId++;
+    this.clients.set(id, { id, res, user, sessionId, expiresAt, issueIds });
+    this.send(this.clients.get(id), 'connected', { clientId: id });
+    this.startHeartbeat();
+
+    req.on('close', () => this.unsubscribe(id));
+    return id;
+  }
+
+  unsubscribe(id) {
+    this.clients.delete(id);
+    if (this.clients.size === 0 && this.heartbeat) {
+      clearInterval(this.heartbeat);
+      this.heartbeat = null;
+    }
+  }
+
+  /**
+   * End a client's stream; the browser reconnects with a fresh token if it has one
+   */
+  close(id) {
+    const client = this.clients.get(id);
+    if (!client) return;
+    this.unsubscribe(id);
+    try {
+      client.res.end();
+    } catch (error) {
+      // Already closed by the browser
+    }
+  }
+
+  /**
+   * Close a user's streams, or only those of one session or all but one
+   * @returns {number} streams closed
+   */
+  closeUserStreams(userId, { sessionId = null, exceptSessionId = null } = {}) {
+    let closed = 0;
+    this.clients.forEach(client => {
+      if (!client.user || String(client.user.id) !== String(userId)) return;
+      if (sessionId && String(client.sessionId) !== String(sessionId)) return;
+      if (exceptSessionId && String(client.sessionId) === String(exceptSessionId)) return;
+      this.close(client.id);
+      closed++;
+    });
+    return closed;
+  }
+
+  hasSubscribers() {
+    return this.clients.size > 0;
+  }
+
+  isExpired(client) {
+    return !!client.expiresAt && Date.now() >= client.expiresAt;
+  }
+
+  /**
+   * Send an event to every client accepted by the filter
+   */
+  broadcast(event, data, filter = () => true) {
+    let delivered = 0;
+    this.clients.forEach(client => {
+      if (this.isExpired(client)) {
+        this.close(client.id);
+        return;
+      }
+      try {
+        if (filter(client)) {
+          this.send(client, event, data);
+          delivered++;
+        }
+      } catch (error) {
+        console.error(`📡 Failed to push ${event} to client ${client.id}:`, error.message);
+        this.unsubscribe(client.id);
+      }
+    });
+    return delivered;
+  }
+
+  send(client, event, data) {
+    client.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  // Comment lines keep idle connections open through proxies
+  startHeartbeat() {
+    if (this.heartbeat) return;
+    this.heartbeat = setInterval(() => {
+      this.clients.forEach(client => client.res.write(': heartbeat\n\n'));
+      this.revalidate().catch(error => console.error('📡 Stream revalidation failed:', error.message));
+    }, HEARTBEAT_INTERVAL_MS);
+    this.heartbeat.unref();
+  }
+
+  /**
+   * Close signed-in streams whose token, session or account is no longer
+   * valid, and refresh the user (role, permissions) of the others
+   */
+  async revalidate() {
+    if (this.revalidating) return;
+    this.revalidating = true;
+
+    try {
+      const users = new Map();
+      const loadUser = userId => {
+        if (!users.has(userId)) {
+          users.set(userId, AuthService.getUserById(userId).then(async user => {
+            user.permissions = await PermissionService.getPermissions(user.role);
+            return user;
+          }));
+        }
+        return users.get(userId);
+      };
+
+      for (const client of [...this.clients.values()]) {
+        if (!client.user) continue;
+        try {
+          if (this.isExpired(client)) {
+            throw new Error('Access token expired');
+          }
+          await SessionService.assertActive(client.sessionId, client.user.id);
+          client.user = await loadUser(client.user.id);
+        } catch (error) {
+          this.close(client.id);
+        }
+      }
+    } finally {
+      this.revalidating = false;
+    }
+  }
+}
+
+module.exports = new RealtimeService();
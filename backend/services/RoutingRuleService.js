@@ -0,0 +1,316 @@
+/**
+ * Routing Rule Service
+ * Rules that send new issues to a department, stored in the `routing_rules` table.
+ *
+ * Rules are checked in order and the first one whose conditions all hold wins.
+ * A rule's `conditions` can list:
+ *   categories       the issue's category is one of these
+ *   subcategories    its subcategory is one of these
+ *   wards            its ward code, ward name or zone is one of these
+ *   keywords         its description contains any of these words or phrases
+ *   min_confidence   the AI confidence score (0-1) is at least this
+ *   max_confidence   the AI confidence score is at most this
+ * Conditions left out match every issue. The built-in category rules below
+ * apply until a super admin saves a rule set; the built-in catch-all still
+ * routes issues that no saved rule matches.
+ */
+
+const { db } = require('../config/database');
+const AuditService = require('./AuditService');
+
+const PRIORITIES = ['low', 'medium', 'high', 'critical'];
+
+const LIST_CONDITIONS = ['categories', 'subcategories', 'wards', 'keywords'];
+
+const MAX_RULES = 200;
+
+const CACHE_TTL_MS = 60 * 1000;
+
+// Issues that match nothing else go to town planning
+const FALLBACK_RULE = {
+  id: null,
+  name: 'Everything else',
+  conditions: {},
+  department_code: 'PLANNING',
+  priority: 'low',
+  sla_hours: 168,
+  is_active: true
+};
+
+// Built-in category rules, used until rules are saved to the database
+const BUILT_IN_RULES = [
+  { name: 'Potholes', conditions: { categories: ['pothole'] }, department_code: 'ROADS', priority: 'medium', sla_hours: 48 },
+  { name: 'Garbage', conditions: { categories: ['garbage'] }, department_code: 'SANITATION', priority: 'high', sla_hours: 24 },
+  { name: 'Water supply', conditions: { categories: ['water'] }, department_code: 'WATER', priority: 'high', sla_hours: 12 },
+  { name: 'Streetlights', conditions: { categories: ['streetlight'] }, department_code: 'ELECTRICITY', priority: 'medium', sla_hours: 24 },
+  { name: 'Traffic', conditions: { categories: ['traffic'] }, department_code: 'TRAFFIC', priority: 'high', sla_hours: 48 },
+  { name: 'Graffiti', conditions: { categories: ['graffiti'] }, department_code: 'PARKS', priority: 'low', sla_hours: 72 },
+  { name: 'Sidewalks', conditions: { categories: ['sidewalk'] }, department_code: 'ROADS', priority: 'medium', sla_hours: 48 },
+  FALLBACK_RULE
+].map((rule, index) => ({ id: null, position: index + 1, is_active: true, ...rule }));
+
+class RoutingRuleService {
+  constructor() {
+    this.cache = null;
+    this.cacheLoadedAt = 0;
+  }
+
+  /**
+   * Load saved rules in order (cached briefly; invalidated on save)
+   */
+  async loadRules() {
+    if (this.cache && Date.now() - this.cacheLoadedAt < CACHE_TTL_MS) {
+      return this.cache;
+    }
+
+    const { data, error } = await db
+      .from('routing_rules')
+      .select('*')
+      .order('position', { ascending: true });
+
+    if (error) {
+      // Table not migrated yet: behave exactly like the built-in rules
+      console.warn('⚠️ Routing rules unavailable, using built-in rules:', error.message);
+      this.cache = [];
+    } else {
+      this.cache = data || [];
+    }
+    this.cacheLoadedAt = Date.now();
+    return this.cache;
+  }
+
+  invalidateCache() {
+    this.cache = null;
+    this.cacheLoadedAt = 0;
+  }
+
+  /**
+   * Rules in effect: the saved set, or the built-in rules when none is saved
+   */
+  async listRules() {
+    try {
+      const stored = await this.loadRules();
+      return {
+        builtIn: stored.length === 0,
+        rules: stored.length ? stored : BUILT_IN_RULES
+      };
+    } catch (error) {
+      throw new Error(error.message || 'Failed to fetch routing rules');
+    }
+  }
+
+  /**
+   * First active rule matching an issue `{ category, subcategory, description, ward, confidence }`.
+   * Returns `{ rule, trace }`, where the trace explains why each earlier rule was skipped.
+   * Pass `rules` to test an unsaved rule set.
+   */
+  async match(issue, rules = null) {
+    const candidates = rules || (await this.listRules()).rules;
+    const trace = [];
+
+    for (const rule of candidates) {
+      if (rule.is_active === false) {
+        trace.push({ name: rule.name, matched: false, failed: ['inactive'] });
+        continue;
+      }
+      const failed = this.failedConditions(rule.conditions || {}, issue);
+      trace.push({ name: rule.name, matched: failed.length === 0, failed });
+      if (failed.length === 0) {
+        return { rule, trace };
+      }
+    }
+
+    trace.push({ name: FALLBACK_RULE.name, matched: true, failed: [] });
+    return { rule: FALLBACK_RULE, trace };
+  }
+
+  /**
+   * Names of the conditions an issue does not meet (empty when the rule matches)
+   */
+  failedConditions(conditions, { category, subcategory, description, ward, confidence } = {}) {
+    const failed = [];
+    const lower = value => String(value || '').trim().toLowerCase();
+    const listed = list => Array.isArray(list) && list.length > 0;
+
+    if (listed(conditions.categories) && !conditions.categories.includes(lower(category))) {
+      failed.push('categories');
+    }
+    if (listed(conditions.subcategories) && !conditions.subcategories.includes(lower(subcategory))) {
+      failed.push('subcategories');
+    }
+    if (listed(conditions.wards)) {
+      const names = ward ? [ward.code, ward.name, ward.zone].filter(Boolean).map(lower) : [];
+      if (!conditions.wards.some(entry => names.includes(entry))) {
+        failed.push('wards');
+      }
+    }
+    if (listed(conditions.keywords)) {
+      const text = lower(description);
+      if (!conditions.keywords.some(keyword => text.includes(keyword))) {
+        failed.push('keywords');
+      }
+    }
+
+    const score = Number(confidence);
+    const hasScore = confidence !== null && confidence !== undefined && Number.isFinite(score);
+    if (conditions.min_confidence !== undefined && conditions.min_confidence !== null && (!hasScore || score < conditions.min_confidence)) {
+      failed.push('min_confidence');
+    }
+    if (conditions.max_confidence !== undefined && conditions.max_confidence !== null && (!hasScore || score > conditions.max_confidence)) {
+      failed.push('max_confidence');
+    }
+
+    return failed;
+  }
+
+  /**
+   * Replace the saved rule set with an ordered list of rules
+   */
+  async saveRules(rules, userId = null, ipAddress = null) {
+    try {
+      const records = await this.validateRules(rules);
+      const previous = await this.loadRules();
+
+      const { data: existing, error: existingError } = await db
+        .from('routing_rules')
+        .select('id');
+
+      if (existingError) {
+        throw new Error(existingError.message);
+      }
+
+      // Write the new set before removing the old one, so a failed save keeps the saved rules
+      let insertedIds = [];
+      if (records.length) {
+        const { data: inserted, error } = await db
+          .from('routing_rules')
+          .insert(records.map(record => ({ ...record, updated_by_user_id: userId })))
+          .select('id');
+
+        if (error) {
+          throw new Error(error.message);
+        }
+        insertedIds = (inserted || []).map(row => row.id);
+      }
+
+      const previousIds = (existing || []).map(row => row.id);
+      if (previousIds.length) {
+        const { error: deleteError } = await db
+          .from('routing_rules')
+          .delete()
+          .in('id', previousIds);
+
+        if (deleteError) {
+          // Take the new rows back out so the previous rule set stays in force
+          if (insertedIds.length) {
+            await db.from('routing_rules').delete().in('id', insertedIds);
+          }
+          throw new Error(deleteError.message);
+        }
+      }
+
+      this.invalidateCache();
+
+      await AuditService.log(
+        'routing_rules',
+        'all',
+        'update',
+        previous.length ? { rules: previous } : null,
+        { rules: records },
+        userId,
+        ipAddress,
+        `Routing rules saved (${records.length} rule${records.length === 1 ? '' : 's'})`
+      );
+
+      return this.listRules();
+    } catch (error) {
+      const wrapped = new Error(error.message || 'Failed to save routing rules');
+      wrapped.details = error.details;
+      throw wrapped;
+    }
+  }
+
+  /**
+   * Check a rule set sent by a super admin, returning it normalised for storage.
+   * Every problem is collected so the editor can show them together.
+   */
+  async validateRules(rules) {
+    if (!Array.isArray(rules)) {
+      throw this.invalid(['Rules must be a list']);
+    }
+    if (rules.length > MAX_RULES) {
+      throw this.invalid([`At most ${MAX_RULES} routing rules are allowed`]);
+    }
+
+    const { data: departments, error } = await db
+      .from('departments')
+      .select('code, is_active');
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    const activeCodes = new Set(departments.filter(department => department.is_active).map(department => department.code));
+    const errors = [];
+
+    const records = rules.map((rule, index) => {
+      const label = `Rule ${index + 1}${rule.name ? ` ("${rule.name}")` : ''}`;
+      const conditions = {};
+
+      LIST_CONDITIONS.forEach(key => {
+        const values = rule.conditions?.[key];
+        if (values === undefined || values === null) return;
+        if (!Array.isArray(values)) {
+          errors.push(`${label}: ${key} must be a list`);
+          return;
+        }
+        const cleaned = [...new Set(values.map(value => String(value).trim().toLowerCase()).filter(Boolean))];
+        if (cleaned.length) conditions[key] = cleaned;
+      });
+
+      ['min_confidence', 'max_confidence'].forEach(key => {
+        const value = rule.conditions?.[key];
+        if (value === undefined || value === null) return;
+        if (typeof value !== 'number' || value < 0 || value > 1) {
+          errors.push(`${label}: ${key} must be a number between 0 and 1`);
+          return;
+        }
+        conditions[key] = value;
+      });
+
+      if (conditions.min_confidence !== undefined && conditions.max_confidence !== undefined && conditions.min_confidence > conditions.max_confidence) {
+        errors.push(`${label}: min_confidence is above max_confidence`);
+      }
+      if (!activeCodes.has(rule.department_code)) {
+        errors.push(`${label}: department "${rule.department_code}" does not exist or is inactive`);
+      }
+      if (rule.priority && !PRIORITIES.includes(rule.priority)) {
+        errors.push(`${label}: priority must be one of ${PRIORITIES.join(', ')}`);
+      }
+
+      return {
+        position: index + 1,
+        name: rule.name,
+        conditions,
+        department_code: rule.department_code,
+        priority: rule.priority || 'medium',
+        sla_hours: rule.sla_hours || null,
+        is_active: rule.is_active !== false
+      };
+    });
+
+    if (errors.length) {
+      throw this.invalid(errors);
+    }
+    return records;
+  }
+
+  invalid(errors) {
+    const error = new Error(`Invalid routing rules: ${errors.join('; ')}`);
+    error.details = errors;
+    return error;
+  }
+}
+
+module.exports = new RoutingRuleService();
+module.exports.FALLBACK_RULE = FALLBACK_RULE;
@@ -0,0 +1,252 @@
+/**
+ * Session Service
+ * Server-side sessions behind short-lived access tokens.
+ *
+ * Every sign-in creates a session row that stores the SHA-256 hash of an
+ * opaque refresh token. Access tokens carry the session ID (`sid`), so
+ * revoking the row cuts off its access tokens on their next request.
+ * Refresh tokens rotate on every use. If a superseded token comes back,
+ * someone holds a copy, and the whole session is revoked.
+ */
+
+const crypto = require('crypto');
+const { db } = require('../config/database');
+const AuditService = require('./AuditService');
+
+// Refresh token lifetime per role, in days
+const REFRESH_TTL_DAYS = {
+  citizen: 30,
+  default: 7
+};
+
+class SessionService {
+  /**
+   * Open a session for a user; returns the session and its first refresh token
+   */
+  async createSession(user, { ipAddress = null, userAgent = null } = {}) {
+    try {
+      const refreshToken = this.generateRefreshToken();
+      const ttlDays = REFRESH_TTL_DAYS[user.role] || REFRESH_TTL_DAYS.default;
+
+      const { data: session, error } = await db
+        .from('user_sessions')
+        .insert([{
+          user_id: user.id,
+          refresh_token_hash: this.hashToken(refreshToken),
+          user_agent: userAgent ? String(userAgent).slice(0, 500) : null,
+          ip_address: ipAddress,
+          expires_at: new Date(Date.now() + ttlDays * 24 * 60 * 60 * 1000).toISOString()
+        }])
+        .select()
+        .single();
+
+      if (error) {
+        throw new Error(error.message);
+      }
+
+      return { session, refreshToken };
+    } catch (error) {
+      throw new Error(error.message || 'Failed to create session');
+    }
+  }
+
+  /**
+   * Swap a refresh token for a new one, keeping the same session
+   */
+  async rotate(refreshToken, { ipAddress = null, userAgent = null } = {}) {
+    try {
+      const tokenHash = this.hashToken(String(refreshToken || ''));
+
+      const { data: session, error } = await db
+        .from('user_sessions')
+        .select('*')
+        .eq('refresh_token_hash', tokenHash)
+        .maybeSingle();
+
+      if (error) {
+        throw new Error(error.message);
+      }
+
+      if (!session) {
+        await this.handleReuse(tokenHash, ipAddress);
+        throw new Error('Session expired. Please sign in again.');
+      }
+
+      if (session.revoked_at || new Date(session.expires_at) <= new Date()) {
+        throw new Error('Session expired. Please sign in again.');
+      }
+
+      const nextToken = this.generateRefreshToken();
+
+      // Match on the old hash so two concurrent refreshes cannot both win
+      const { data: rotated, error: updateError } = await db
+        .from('user_sessions')
+        .update({
+          refresh_token_hash: this.hashToken(nextToken),
+          previous_token_hash: tokenHash,
+          last_used_at: new Date().toISOString(),
+          ip_address: ipAddress || session.ip_address,
+          user_agent: userAgent ? String(userAgent).slice(0, 500) : session.user_agent
+        })
+        .eq('id', session.id)
+        .eq('refresh_token_hash', tokenHash)
+        .select()
+        .maybeSingle();
+
+      if (updateError) {
+        throw new Error(updateError.message);
+      }
+      if (!rotated) {
+        throw new Error('Session expired. Please sign in again.');
+      }
+
+      return { session: rotated, refreshToken: nextToken };
+    } catch (error) {
+      throw new Error(error.message || 'Failed to refresh session');
+    }
+  }
+
+  /**
+   * A superseded refresh token was presented — revoke the session it belonged to
+   */
+  async handleReuse(tokenHash, ipAddress = null) {
+    const { data: session } = await db
+      .from('user_sessions')
+      .select('id, user_id, revoked_at')
+      .eq('previous_token_hash', tokenHash)
+      .maybeSingle();
+
+    if (!session || session.revoked_at) return;
+
+    await this.revokeSession(session.id, session.user_id, 'refresh_token_reuse');
+    await AuditService.log('user', session.user_id, 'session_revoked', null, { sessionId: session.id }, null, ipAddress, 'Refresh token reused; session revoked');
+    console.warn(`🔐 Refresh token reuse detected for user ${session.user_id}; session ${session.id} revoked`);
+  }
+
+  /**
+   * Throw unless the session exists, belongs to the user and is still live
+   */
+  async assertActive(sessionId, userId) {
+    if (!sessionId) {
+      throw new Error('Session expired. Please sign in again.');
+    }
+
+    const { data: session, error } = await db
+      .from('user_sessions')
+      .select('id, user_id, revoked_at, expires_at')
+      .eq('id', sessionId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(error.message);
+    }
+    if (!session || session.user_id !== userId || session.revoked_at || new Date(session.expires_at) <= new Date()) {
+      throw new Error('Session expired. Please sign in again.');
+    }
+
+    return session;
+  }
+
+  /**
+   * Live sessions for a user, newest activity first
+   */
+  async listSessions(userId) {
+    try {
+      const { data: sessions, error } = await db
+        .from('user_sessions')
+        .select('id, user_agent, ip_address, created_at, last_used_at, expires_at')
+        .eq('user_id', userId)
+        .is('revoked_at', null)
+        .gt('expires_at', new Date().toISOString())
+        .order('last_used_at', { ascending: false });
+
+      if (error) {
+        throw new Error(error.message);
+      }
+
+      return sessions.map(session => ({
+        id: session.id,
+        userAgent: session.user_agent,
+        ipAddress: session.ip_address,
+        createdAt: session.created_at,
+        lastUsedAt: session.last_used_at,
+        expiresAt: session.expires_at
+      }));
+    } catch (error) {
+      throw new Error(error.message || 'Failed to fetch sessions');
+    }
+  }
+
+  /**
+   * Revoke one session; returns false if it was not found or already revoked
+   */
+  async revokeSession(sessionId, userId, reason = 'logout') {
+    try {
+      const { data, error } = await db
+        .from('user_sessions')
+        .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+        .eq('id', sessionId)
+        .eq('user_id', userId)
+        .is('revoked_at', null)
+        .select('id');
+
+      if (error) {
+        throw new Error(error.message);
+      }
+
+      if ((data || []).length > 0) {
+        this.closeStreams(userId, { sessionId });
+        return true;
+      }
+      return false;
+    } catch (error) {
+      throw new Error(error.message || 'Failed to revoke session');
+    }
+  }
+
+  /**
+   * Revoke every live session of a user, optionally keeping one
+   */
+  async revokeAllSessions(userId, reason = 'logout_everywhere', exceptSessionId = null) {
+    try {
+      let query = db
+        .from('user_sessions')
+        .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+        .eq('user_id', userId)
+        .is('revoked_at', null);
+
+      if (exceptSessionId) {
+        query = query.neq('id', exceptSessionId);
+      }
+
+      const { data, error } = await query.select('id');
+
+      if (error) {
+        throw new Error(error.message);
+      }
+
+      this.closeStreams(userId, { exceptSessionId });
+      return (data || []).length;
+    } catch (error) {
+      throw new Error(error.message || 'Failed to revoke sessions');
+    }
+  }
+
+  /**
+   * Close the user's live event streams for revoked sessions. Required here
+   * rather than at the top because RealtimeService checks sessions itself.
+   */
+  closeStreams(userId, options) {
+    require('./RealtimeService').closeUserStreams(userId, options);
+  }
+
+  generateRefreshToken() {
+    return crypto.randomBytes(48).toString('base64url');
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+}
+
+module.exports = new SessionService();
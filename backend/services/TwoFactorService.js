@@ -0,0 +1,455 @@
+/**
+ * Two-Factor Service
+ * TOTP (RFC 6238) second factor with single-use recovery codes.
+ *
+ * Secrets are stored AES-256-GCM encrypted. A code is accepted one step
+ * either side of the current 30-second window, and never twice: the last
+ * step used is kept on the user row. Which roles must enroll is a policy
+ * read from TWO_FACTOR_REQUIRED_ROLES (default: admin, super_admin).
+ */
+
+const crypto = require('crypto');
+const { db } = require('../config/database');
+const AuditService = require('./AuditService');
+
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_WINDOW = 1;
+const RECOVERY_CODE_COUNT = 10;
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'Civic Issue Reporter';
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+class TwoFactorService {
+  constructor() {
+    this.requiredRoles = (process.env.TWO_FACTOR_REQUIRED_ROLES ?? 'admin,super_admin')
+      .split(',')
+      .map(role => role.trim())
+      .filter(Boolean);
+
+    const keySource = process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-in-production';
+    this.encryptionKey = crypto.createHash('sha256').update(keySource).digest();
+  }
+
+  /**
+   * Whether the policy makes two-factor mandatory for a role
+   */
+  isRequiredFor(role) {
+    return this.requiredRoles.includes(role);
+  }
+
+  /**
+   * Enrollment state for a user
+   */
+  async getStatus(userId) {
+    try {
+      const user = await this.getUser(userId);
+
+      const { data: codes, error } = await db
+        .from('user_recovery_codes')
+        .select('id')
+        .eq('user_id', userId)
+        .is('used_at', null);
+
+      if (error) {
+        throw new Error(error.message);
+      }
+
+      return {
+        enabled: !!user.totp_enabled,
+        enrolledAt: user.totp_enrolled_at,
+        required: this.isRequiredFor(user.role),
+        recoveryCodesRemaining: user.totp_enabled ? codes.length : 0
+      };
+    } catch (error) {
+      throw new Error(error.message || 'Failed to fetch two-factor status');
+    }
+  }
+
+  /**
+   * Generate a new pending secret; it only takes effect once confirmed with a code
+   */
+  async beginEnrollment(userId) {
+    try {
+      const user = await this.getUser(userId);
+
+      if (user.totp_enabled) {
+        throw new Error('Two-factor authentication is already enabled');
+      }
+
+      const secret = this.base32Encode(crypto.randomBytes(20));
+
+      const { error } = await db
+        .from('users')
+        .update({ totp_secret: this.encrypt(secret), totp_last_used_step: null })
+        .eq('id', userId);
+
+      if (error) {
+        throw new Error(error.message);
+      }
+
+      return {
+        secret,
+        otpauthUrl: this.buildOtpauthUrl(user.username, secret)
+      };
+    } catch (error) {
+      throw new Error(error.message || 'Failed to start two-factor enrollment');
+    }
+  }
+
+  /**
+   * Turn two-factor on after the user proves their app produces valid codes
+   */
+  async confirmEnrollment(userId, code, ipAddress = null) {
+    try {
+      const user = await this.getUser(userId);
+
+      if (user.totp_enabled) {
+        throw new Error('Two-factor authentication is already enabled');
+      }
+      if (!user.totp_secret) {
+        throw new Error('Start two-factor setup before confirming it');
+      }
+
+      const step = this.matchTotp(this.decrypt(user.totp_secret), code);
+      if (step === null) {
+        await AuditService.log('user', userId, 'two_factor_failed', null, null, userId, ipAddress, 'Invalid code during two-factor enrollment');
+        throw new Error('Invalid verification code');
+      }
+
+      const { error } = await db
+        .from('users')
+        .update({
+          totp_enabled: true,
+          totp_enrolled_at: new Date().toISOString(),
+          totp_last_used_step: step
+        })
+        .eq('id', userId);
+
+      if (error) {
+        throw new Error(error.message);
+      }
+
+      const recoveryCodes = await this.replaceRecoveryCodes(userId);
+
+      await AuditService.log('user', userId, 'two_factor_enabled', { totpEnabled: false }, { totpEnabled: true }, userId, ipAddress, 'Two-factor authentication enabled');
+
+      return { recoveryCodes };
+    } catch (error) {
+      throw new Error(error.message || 'Failed to enable two-factor authentication');
+    }
+  }
+
+  /**
+   * Check a TOTP code or a recovery code as the second sign-in step
+   */
+  async verifyLoginCode(userId, { code, recoveryCode } = {}, ipAddress = null) {
+    try {
+      const user = await this.getUser(userId);
+
+      if (!user.totp_enabled || !user.totp_secret) {
+        throw new Error('Two-factor authentication is not enabled for this account');
+      }
+
+      if (recoveryCode) {
+        const remaining = await this.consumeRecoveryCode(userId, recoveryCode);
+        if (remaining === null) {
+          await AuditService.log('user', userId, 'two_factor_failed', null, null, userId, ipAddress, 'Invalid recovery code');
+          throw new Error('Invalid recovery code');
+        }
+
+        await AuditService.log('user', userId, 'recovery_code_used', null, { remaining }, userId, ipAddress, 'Signed in with a recovery code');
+        return { method: 'recovery_code', recoveryCodesRemaining: remaining };
+      }
+
+      const step = this.matchTotp(this.decrypt(user.totp_secret), code, user.totp_last_used_step);
+      if (step === null) {
+        await AuditService.log('user', userId, 'two_factor_failed', null, null, userId, ipAddress, 'Invalid authenticator code');
+        throw new Error('Invalid verification code');
+      }
+
+      // Only the request that moves the step forward wins a replayed code
+      const { data: claimed, error } = await db
+        .from('users')
+        .update({ totp_last_used_step: step })
+        .eq('id', userId)
+        .or(`totp_last_used_step.is.null,totp_last_used_step.lt.${step}`)
+        .select('id');
+
+      if (error) {
+        throw new Error(error.message);
+      }
+      if (!claimed || claimed.length === 0) {
+        throw new Error('Invalid verification code');
+      }
+
+      await AuditService.log('user', userId, 'two_factor_verified', null, null, userId, ipAddress, 'Authenticator code accepted');
+      return { method: 'totp' };
+    } catch (error) {
+      throw new Error(error.message || 'Failed to verify two-factor code');
+    }
+  }
+
+  /**
+   * Issue a fresh set of recovery codes; requires a current authenticator code
+   */
+  async regenerateRecoveryCodes(userId, code, ipAddress = null) {
+    try {
+      await this.verifyLoginCode(userId, { code }, ipAddress);
+
+      const recoveryCodes = await this.replaceRecoveryCodes(userId);
+
+      await AuditService.log('user', userId, 'recovery_codes_regenerated', null, null, userId, ipAddress, 'Recovery codes regenerated');
+
+      return { recoveryCodes };
+    } catch (error) {
+      throw new Error(error.message || 'Failed to regenerate recovery codes');
+    }
+  }
+
+  /**
+   * Turn two-factor off for yourself; not allowed where the policy requires it
+   */
+  async disable(userId, code, ipAddress = null) {
+    try {
+      const user = await this.getUser(userId);
+
+      if (this.isRequiredFor(user.role)) {
+        throw new Error('Two-factor authentication is required for your role and cannot be disabled');
+      }
+
+      await this.verifyLoginCode(userId, { code }, ipAddress);
+      await this.clear(userId);
+
+      await AuditService.log('user', userId, 'two_factor_disabled', { totpEnabled: true }, { totpEnabled: false }, userId, ipAddress, 'Two-factor authentication disabled');
+
+      return true;
+    } catch (error) {
+      throw new Error(error.message || 'Failed to disable two-factor authentication');
+    }
+  }
+
+  /**
+   * Remove another user's second factor, e.g. after a lost phone; they re-enroll on next sign-in
+   */
+  async reset(userId, resetByUserId, ipAddress = null) {
+    try {
+      const user = await this.getUser(userId);
+
+      await this.clear(userId);
+
+      await AuditService.log('user', userId, 'two_factor_reset', { totpEnabled: !!user.totp_enabled }, { totpEnabled: false }, resetByUserId, ipAddress, `Two-factor authentication reset for ${user.username}`);
+
+      return true;
+    } catch (error) {
+      throw new Error(error.message || 'Failed to reset two-factor authentication');
+    }
+  }
+
+  async clear(userId) {
+    const { error } = await db
+      .from('users')
+      .update({
+        totp_secret: null,
+        totp_enabled: false,
+        totp_enrolled_at: null,
+        totp_last_used_step: null
+      })
+      .eq('id', userId);
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    await db.from('user_recovery_codes').delete().eq('user_id', userId);
+  }
+
+  async getUser(userId) {
+    const { data: user, error } = await db
+      .from('users')
+      .select('id, username, role, totp_secret, totp_enabled, totp_enrolled_at, totp_last_used_step')
+      .eq('id', userId)
+      .single();
+
+    if (error || !user) {
+      throw new Error('User not found');
+    }
+
+    return user;
+  }
+
+  /**
+   * Replace all recovery codes; the plain codes are only ever returned here
+   */
+  async replaceRecoveryCodes(userId) {
+    const recoveryCodes = Array.from({ length: RECOVERY_CODE_COUNT }, () => this.generateRecoveryCode());
+
+    await db.from('user_recovery_codes').delete().eq('user_id', userId);
+
+    const { error } = await db
+      .from('user_recovery_codes')
+      .insert(recoveryCodes.map(code => ({
+        user_id: userId,
+        code_hash: this.hashRecoveryCode(code)
+      })));
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    return recoveryCodes;
+  }
+
+  /**
+   * Mark a recovery code used; returns the number left, or null if it did not match
+   */
+  async consumeRecoveryCode(userId, recoveryCode) {
+    const { data: claimed, error } = await db
+      .from('user_recovery_codes')
+      .update({ used_at: new Date().toISOString() })
+      .eq('user_id', userId)
+      .eq('code_hash', this.hashRecoveryCode(recoveryCode))
+      .is('used_at', null)
+      .select('id');
+
+    if (error) {
+      throw new Error(error.message);
+    }
+    if (!claimed || claimed.length === 0) {
+      return null;
+    }
+
+    const { data: remaining } = await db
+      .from('user_recovery_codes')
+      .select('id')
+      .eq('user_id', userId)
+      .is('used_at', null);
+
+    return (remaining || []).length;
+  }
+
+  /**
+   * Return the time step a code matches, or null. Steps at or before
+   * `lastUsedStep` are refused so a code cannot be replayed.
+   */
+  matchTotp(secret, code, lastUsedStep = null) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalized)) {
+      return null;
+    }
+
+    const key = this.base32Decode(secret);
+    const currentStep = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+
+    for (let offset = -TOTP_WINDOW; offset <= TOTP_WINDOW; offset++) {
+      const step = currentStep + offset;
+      if (lastUsedStep !== null && lastUsedStep !== undefined && step <= Number(lastUsedStep)) {
+        continue;
+      }
+      const expected = this.generateTotp(key, step);
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+        return step;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * HOTP (RFC 4226) value for a time step
+   */
+  generateTotp(key, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', key).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+  }
+
+  buildOtpauthUrl(accountName, secret) {
+    const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer: ISSUER,
+      algorithm: 'SHA1',
+      digits: String(TOTP_DIGITS),
+      period: String(TOTP_STEP_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+  }
+
+  /**
+   * Recovery codes look like `k7p2m-x9qwd`
+   */
+  generateRecoveryCode() {
+    const chars = 'abcdefghjkmnpqrstuvwxyz23456789';
+    const pick = () => chars[crypto.randomInt(0, chars.length)];
+    const part = () => Array.from({ length: 5 }, pick).join('');
+    return `${part()}-${part()}`;
+  }
+
+  hashRecoveryCode(code) {
+    const normalized = String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+
+  base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+      value = (value << 8) | byte;
+      bits += 8;
+      while (bits >= 5) {
+        output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    }
+    if (bits > 0) {
+      output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+  }
+
+  base32Decode(input) {
+    const cleaned = String(input).toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of cleaned) {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) {
+        throw new Error('Invalid base32 secret');
+      }
+      value = (value << 5) | index;
+      bits += 5;
+      if (bits >= 8) {
+        bytes.push((value >>> (bits - 8)) & 0xff);
+        bits -= 8;
+      }
+    }
+
+    return Buffer.from(bytes);
+  }
+
+  encrypt(plainText) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.encryptionKey, iv);
+    const encrypted = Buffer.concat([cipher.update(plainText, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+  }
+
+  decrypt(payload) {
+    const [iv, tag, encrypted] = String(payload).split('.').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.encryptionKey, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  }
+}
+
+module.exports = new TwoFactorService();
@@ -0,0 +1,368 @@
+/**
+ * Ward Service
+ * Ward and zone boundaries uploaded as GeoJSON and stored in the `wards` table.
+ *
+ * Each ward is a Polygon or MultiPolygon feature with a code, a name and an
+ * optional zone. Issues are placed in a ward by testing their coordinates
+ * against these polygons, and officers own a ward through their `ward_area`
+ * (the ward's code or name, or a zone name for officers covering a whole zone).
+ */
+
+const { db } = require('../config/database');
+const AuditService = require('./AuditService');
+
+const MAX_WARDS = 500;
+
+const MAX_POINTS_PER_WARD = 20000;
+
+const WARD_CODE_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]{0,19}$/;
+
+const CACHE_TTL_MS = 60 * 1000;
+
+class WardService {
+  constructor() {
+    this.cache = null;
+    this.cacheLoadedAt = 0;
+  }
+
+  /**
+   * Load all active wards (cached briefly; invalidated on import)
+   */
+  async loadWards() {
+    if (this.cache && Date.now() - this.cacheLoadedAt < CACHE_TTL_MS) {
+      return this.cache;
+    }
+
+    const { data, error } = await db
+      .from('wards')
+      .select('*')
+      .eq('is_active', true)
+      .order('code', { ascending: true });
+
+    if (error) {
+      // Table not migrated yet: no polygons, so routing stays department-wide
+      console.warn('⚠️ Wards unavailable, routing without ward boundaries:', error.message);
+      this.cache = [];
+    } else {
+      this.cache = data || [];
+    }
+    this.cacheLoadedAt = Date.now();
+    return this.cache;
+  }
+
+  invalidateCache() {
+    this.cache = null;
+    this.cacheLoadedAt = 0;
+  }
+
+  /**
+   * Ward containing a point, or null when it falls outside every boundary
+   */
+  async findWard(lat, lng) {
+    const latitude = Number(lat);
+    const longitude = Number(lng);
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return null;
+
+    const wards = await this.loadWards();
+    const ward = wards.find(candidate =>
+      latitude >= candidate.min_lat && latitude <= candidate.max_lat &&
+      longitude >= candidate.min_lng && longitude <= candidate.max_lng &&
+      this.geometryContains(candidate.boundary, longitude, latitude)
+    );
+    return ward ? this.describeWard(ward) : null;
+  }
+
+  /**
+   * Ward by code or name, case-insensitively
+   */
+  async getWard(codeOrName) {
+    const key = String(codeOrName || '').trim().toLowerCase();
+    if (!key) return null;
+
+    const wards = await this.loadWards();
+    const ward = wards.find(candidate =>
+      candidate.code.toLowerCase() === key || candidate.name.toLowerCase() === key
+    );
+    return ward ? this.describeWard(ward) : null;
+  }
+
+  async listWards() {
+    try {
+      const wards = await this.loadWards();
+      return wards.map(ward => ({
+        ...this.describeWard(ward),
+        bbox: [ward.min_lng, ward.min_lat, ward.max_lng, ward.max_lat],
+        updatedAt: ward.updated_at
+      }));
+    } catch (error) {
+      throw new Error(error.message || 'Failed to fetch wards');
+    }
+  }
+
+  /**
+   * Every ward boundary as a GeoJSON FeatureCollection, for maps
+   */
+  async getBoundaries() {
+    try {
+      const wards = await this.loadWards();
+      return {
+        type: 'FeatureCollection',
+        features: wards.map(ward => ({
+          type: 'Feature',
+          properties: this.describeWard(ward),
+          geometry: ward.boundary
+        }))
+      };
+    } catch (error) {
+      throw new Error(error.message || 'Failed to fetch ward boundaries');
+    }
+  }
+
+  /**
+   * Create or update wards from a GeoJSON FeatureCollection. Features are
+   * matched on their code; with `replace`, wards missing from the upload are removed.
+   */
+  async importWards(geojson, { codeProperty = 'code', nameProperty = 'name', zoneProperty = 'zone', replace = false } = {}, userId = null, ipAddress = null) {
+    try {
+      const wards = this.parseFeatures(geojson, { codeProperty, nameProperty, zoneProperty });
+
+      const { data: existing, error: existingError } = await db
+        .from('wards')
+        .select('id, code');
+
+      if (existingError) {
+        throw new Error(existingError.message);
+      }
+
+      const existingByCode = new Map(existing.map(ward => [ward.code, ward]));
+      let created = 0;
+      let updated = 0;
+
+      for (const ward of wards) {
+        const current = existingByCode.get(ward.code);
+        const { error } = current
+          ? await db.from('wards').update({ ...ward, is_active: true, updated_at: new Date().toISOString() }).eq('id', current.id)
+          : await db.from('wards').insert([ward]);
+
+        if (error) {
+          throw new Error(error.message);
+        }
+        current ? updated++ : created++;
+      }
+
+      const uploadedCodes = new Set(wards.map(ward => ward.code));
+      const removedCodes = replace
+        ? existing.filter(ward => !uploadedCodes.has(ward.code)).map(ward => ward.code)
+        : [];
+
+      if (removedCodes.length) {
+        const { error } = await db
+          .from('wards')
+          .delete()
+          .in('code', removedCodes);
+
+        if (error) {
+          throw new Error(error.message);
+        }
+      }
+
+      this.invalidateCache();
+
+      await AuditService.log(
+        'ward',
+        'boundaries',
+        'import',
+        null,
+        { created, updated, removed: removedCodes },
+        userId,
+        ipAddress,
+        `Imported ${wards.length} ward boundar${wards.length === 1 ? 'y' : 'ies'}`
+      );
+
+      return { created, updated, removed: removedCodes.length, wards: await this.listWards() };
+    } catch (error) {
+      const wrapped = new Error(error.message || 'Failed to import wards');
+      wrapped.details = error.details;
+      throw wrapped;
+    }
+  }
+
+  async deleteWard(code, userId = null, ipAddress = null) {
+    try {
+      const { data: ward, error: findError } = await db
+        .from('wards')
+        .select('id, code, name, zone')
+        .eq('code', code)
+        .maybeSingle();
+
+      if (findError) {
+        throw new Error(findError.message);
+      }
+      if (!ward) {
+        return false;
+      }
+
+      const { error } = await db
+        .from('wards')
+        .delete()
+        .eq('id', ward.id);
+
+      if (error) {
+        throw new Error(error.message);
+      }
+
+      this.invalidateCache();
+
+      await AuditService.log('ward', ward.code, 'delete', { name: ward.name, zone: ward.zone }, null, userId, ipAddress, `Ward "${ward.name}" removed`);
+
+      return true;
+    } catch (error) {
+      throw new Error(error.message || 'Failed to delete ward');
+    }
+  }
+
+  /**
+   * Check uploaded features, collecting every problem so the file can be fixed in one go
+   */
+  parseFeatures(geojson, { codeProperty, nameProperty, zoneProperty }) {
+    const features = geojson?.type === 'FeatureCollection' ? geojson.features : null;
+    if (!Array.isArray(features) || features.length === 0) {
+      throw this.invalid(['Upload a GeoJSON FeatureCollection with at least one ward']);
+    }
+    if (features.length > MAX_WARDS) {
+      throw this.invalid([`A city can have at most ${MAX_WARDS} wards`]);
+    }
+
+    const errors = [];
+    const seen = new Set();
+    const wards = [];
+
+    features.forEach((feature, index) => {
+      const properties = feature?.properties || {};
+      const code = String(properties[codeProperty] ?? '').trim();
+      const name = String(properties[nameProperty] ?? '').trim() || code;
+      const zone = String(properties[zoneProperty] ?? '').trim() || null;
+      const label = code ? `Ward "${code}"` : `Feature ${index + 1}`;
+
+      if (!WARD_CODE_PATTERN.test(code)) {
+        errors.push(`${label}: "${codeProperty}" must be up to 20 letters, digits, dashes or underscores`);
+        return;
+      }
+      if (seen.has(code)) {
+        errors.push(`${label} appears more than once`);
+        return;
+      }
+      seen.add(code);
+      if (name.length > 100 || (zone && zone.length > 100)) {
+        errors.push(`${label}: name and zone must be at most 100 characters`);
+        return;
+      }
+
+      const geometryError = this.validateGeometry(feature.geometry);
+      if (geometryError) {
+        errors.push(`${label}: ${geometryError}`);
+        return;
+      }
+
+      const geometry = { type: feature.geometry.type, coordinates: feature.geometry.coordinates };
+      const positions = this.polygonsOf(geometry).flat(2);
+      const lngs = positions.map(position => position[0]);
+      const lats = positions.map(position => position[1]);
+
+      wards.push({
+        code,
+        name,
+        zone,
+        boundary: geometry,
+        min_lat: Math.min(...lats),
+        max_lat: Math.max(...lats),
+        min_lng: Math.min(...lngs),
+        max_lng: Math.max(...lngs)
+      });
+    });
+
+    if (errors.length) {
+      throw this.invalid(errors);
+    }
+    return wards;
+  }
+
+  /**
+   * Problem with a feature's geometry, or null when it is a usable (Multi)Polygon
+   */
+  validateGeometry(geometry) {
+    if (!geometry || !['Polygon', 'MultiPolygon'].includes(geometry.type)) {
+      return 'geometry must be a Polygon or MultiPolygon';
+    }
+
+    const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+    if (!Array.isArray(polygons) || polygons.length === 0 || !polygons.every(Array.isArray)) {
+      return 'geometry has no polygons';
+    }
+
+    let points = 0;
+    for (const rings of polygons) {
+      if (rings.length === 0 || !rings.every(ring => Array.isArray(ring) && ring.length >= 4)) {
+        return 'every ring needs at least four positions';
+      }
+      for (const ring of rings) {
+        const valid = ring.every(position =>
+          Array.isArray(position) &&
+          Number.isFinite(position[0]) && Math.abs(position[0]) <= 180 &&
+          Number.isFinite(position[1]) && Math.abs(position[1]) <= 90
+        );
+        if (!valid) {
+          return 'positions must be [longitude, latitude] pairs';
+        }
+        points += ring.length;
+      }
+    }
+
+    return points > MAX_POINTS_PER_WARD ? `boundary has more than ${MAX_POINTS_PER_WARD} points; simplify it first` : null;
+  }
+
+  /**
+   * Whether a (Multi)Polygon contains a point; holes are excluded
+   */
+  geometryContains(geometry, lng, lat) {
+    return this.polygonsOf(geometry).some(([outer, ...holes]) =>
+      this.ringContains(outer, lng, lat) && !holes.some(hole => this.ringContains(hole, lng, lat))
+    );
+  }
+
+  polygonsOf(geometry) {
+    if (!geometry) return [];
+    return geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+  }
+
+  /**
+   * Ray casting test of a point against one linear ring
+   */
+  ringContains(ring, lng, lat) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [xi, yi] = ring[i];
+      const [xj, yj] = ring[j];
+      if ((yi > lat) !== (yj > lat) && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+        inside = !inside;
+      }
+    }
+    return inside;
+  }
+
+  invalid(errors) {
+    const error = new Error(`Invalid ward boundaries: ${errors.join('; ')}`);
+    error.details = errors;
+    return error;
+  }
+
+  describeWard(ward) {
+    return {
+      code: ward.code,
+      name: ward.name,
+      zone: ward.zone || null
+    };
+  }
+}
+
+module.exports = new WardService();
@@ -0,0 +1,589 @@
+/**
+ * Work Order Service
+ * Field crew visits scheduled against issues, stored in the `work_orders` table.
+ *
+ * A work order names the crew going out, the window they are booked for, the
+ * materials they take and a checklist they tick off on site. Its estimate is
+ * the labour cost plus each material's quantity times unit cost. Completing a
+ * work order needs every checklist item ticked and records the actual cost;
+ * the issue's `resolution_cost` is the total actual cost of its completed
+ * work orders. Staff only see work orders for issues they can see.
+ */
+
+const { db } = require('../config/database');
+const AuditService = require('./AuditService');
+const IssueService = require('./IssueService');
+const WorkflowService = require('./WorkflowService');
+
+const STATUSES = ['scheduled', 'in_progress', 'completed', 'cancelled'];
+
+// Work orders that still hold a crew's time
+const ACTIVE_STATUSES = ['scheduled', 'in_progress'];
+
+// Longest booking for a single work order, and the widest calendar range returned at once
+const MAX_WINDOW_HOURS = 7 * 24;
+const MAX_RANGE_DAYS = 62;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+class WorkOrderService {
+  /**
+   * Work orders in a date range (or for one issue), ordered by start time.
+   * Each carries its issue's location and `hasConflict` when its crew is
+   * double-booked by another active work order.
+   */
+  async listWorkOrders({ from, to, issueId, departmentId, crew, status } = {}, user = null) {
+    try {
+      let query = db
+        .from('work_orders')
+        .select('*')
+        .order('scheduled_start', { ascending: true });
+
+      if (issueId) {
+        query = query.eq('issue_id', issueId);
+      } else {
+        const range = this.getRange(from, to);
+        // Anything overlapping the range, including work that started the day before
+        query = query.lt('scheduled_start', range.to.toISOString()).gt('scheduled_end', range.from.toISOString());
+      }
+      if (departmentId) {
+        query = query.eq('department_id', departmentId);
+      }
+      if (crew) {
+        query = query.ilike('crew_name', crew);
+      }
+      if (status && status !== 'all') {
+        query = query.eq('status', status);
+      }
+
+      const { data: workOrders, error } = await query;
+
+      if (error) {
+        throw new Error(error.message);
+      }
+
+      const issues = await this.getIssues(workOrders.map(workOrder => workOrder.issue_id));
+      const visible = workOrders.filter(workOrder => {
+        const issue = issues.get(workOrder.issue_id);
+        return issue && IssueService.isVisibleTo(issue, user);
+      });
+
+      const conflicts = this.findConflicts(visible);
+
+      return {
+        success: true,
+        data: visible.map(workOrder => ({
+          ...this.transformWorkOrder(workOrder, issues.get(workOrder.issue_id)),
+          hasConflict: conflicts.has(workOrder.id)
+        })),
+        count: visible.length
+      };
+    } catch (error) {
+      const wrapped = new Error(error.message || 'Failed to fetch work orders');
+      wrapped.details = error.details;
+      throw wrapped;
+    }
+  }
+
+  async getWorkOrder(workOrderId, user = null) {
+    try {
+      const { workOrder, issue } = await this.getVisibleWorkOrder(workOrderId, user);
+      return {
+        success: true,
+        data: this.transformWorkOrder(workOrder, issue)
+      };
+    } catch (error) {
+      throw new Error(error.message || 'Failed to fetch work order');
+    }
+  }
+
+  /**
+   * Schedule a crew for an open issue
+   */
+  async createWorkOrder(issueId, details, user, ipAddress = null) {
+    try {
+      const issue = await IssueService.getIssueRow(issueId);
+      if (!IssueService.isVisibleTo(issue, user)) {
+        throw new Error('Issue not found');
+      }
+      if (IssueService.TERMINAL_STAGES.includes(WorkflowService.describeStatus(issue.status, issue.assigned_department_id).stage)) {
+        throw new Error('Work orders can only be scheduled for open issues');
+      }
+
+      const fields = this.normalizeFields(details);
+      this.checkWindow(fields.scheduled_start, fields.scheduled_end);
+
+      const { data: workOrder, error } = await db
+        .from('work_orders')
+        .insert([{
+          issue_id: issue.issue_id,
+          department_id: issue.assigned_department_id,
+          ...fields,
+          estimated_cost: this.estimateCost(fields.materials, fields.labour_cost),
+          status: 'scheduled',
+          created_by_user_id: user.id
+        }])
+        .select()
+        .single();
+
+      if (error) {
+        throw new Error(error.message);
+      }
+
+      await AuditService.log(
+        'issue',
+        issue.issue_id,
+        'work_order_scheduled',
+        null,
+        { work_order_id: workOrder.id, crew_name: workOrder.crew_name, scheduled_start: workOrder.scheduled_start, scheduled_end: workOrder.scheduled_end },
+        user.id,
+        ipAddress,
+        `Work order "${workOrder.title}" scheduled for ${workOrder.crew_name}`
+      );
+
+      console.log(`🛠️ Work order ${workOrder.id} scheduled for ${issue.issue_id} (${workOrder.crew_name})`);
+
+      return {
+        success: true,
+        message: 'Work order scheduled',
+        data: this.transformWorkOrder(workOrder, issue)
+      };
+    } catch (error) {
+      throw new Error(error.message || 'Failed to schedule work order');
+    }
+  }
+
+  /**
+   * Change the crew, window, materials or checklist of an open work order.
+   * Replacing the checklist keeps the ticks on items whose text is unchanged.
+   */
+  async updateWorkOrder(workOrderId, details, user, ipAddress = null) {
+    try {
+      const { workOrder, issue } = await this.getVisibleWorkOrder(workOrderId, user);
+      this.checkOpen(workOrder);
+
+      const fields = this.normalizeFields(details, workOrder);
+      const start = fields.scheduled_start || workOrder.scheduled_start;
+      const end = fields.scheduled_end || workOrder.scheduled_end;
+      if (fields.scheduled_start || fields.scheduled_end) {
+        this.checkWindow(start, end);
+      }
+
+      const materials = fields.materials || workOrder.materials || [];
+      const labourCost = fields.labour_cost !== undefined ? fields.labour_cost : Number(workOrder.labour_cost) || 0;
+
+      const { data: updated, error } = await db
+        .from('work_orders')
+        .update({
+          ...fields,
+          estimated_cost: this.estimateCost(materials, labourCost),
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', workOrder.id)
+        .select()
+        .single();
+
+      if (error) {
+        throw new Error(error.message);
+      }
+
+      if (fields.scheduled_start || fields.scheduled_end || fields.crew_name) {
+        await AuditService.log(
+          'issue',
+          issue.issue_id,
+          'work_order_rescheduled',
+          { work_order_id: workOrder.id, crew_name: workOrder.crew_name, scheduled_start: workOrder.scheduled_start, scheduled_end: workOrder.scheduled_end },
+          { work_order_id: workOrder.id, crew_name: updated.crew_name, scheduled_start: updated.scheduled_start, scheduled_end: updated.scheduled_end },
+          user.id,
+          ipAddress,
+          `Work order "${updated.title}" rescheduled`
+        );
+      }
+
+      return {
+        success: true,
+        message: 'Work order updated',
+        data: this.transformWorkOrder(updated, issue)
+      };
+    } catch (error) {
+      throw new Error(error.message || 'Failed to update work order');
+    }
+  }
+
+  /**
+   * Tick or untick a checklist item; ticking the first item starts the work order
+   */
+  async setChecklistItem(workOrderId, index, done, user) {
+    try {
+      const { workOrder, issue } = await this.getVisibleWorkOrder(workOrderId, user);
+      this.checkOpen(workOrder);
+
+      const checklist = workOrder.checklist || [];
+      if (!checklist[index]) {
+        throw new Error('Checklist item not found');
+      }
+
+      const nowIso = new Date().toISOString();
+      const updatedChecklist = checklist.map((entry, position) => position !== index ? entry : {
+        ...entry,
+        done: !!done,
+        done_at: done ? nowIso : null,
+        done_by_user_id: done ? user.id : null
+      });
+
+      const changes = { checklist: updatedChecklist, updated_at: nowIso };
+      if (done && workOrder.status === 'scheduled') {
+        Object.assign(changes, { status: 'in_progress', started_at: nowIso });
+      }
+
+      const { data: updated, error } = await db
+        .from('work_orders')
+        .update(changes)
+        .eq('id', workOrder.id)
+        .select()
+        .single();
+
+      if (error) {
+        throw new Error(error.message);
+      }
+
+      return {
+        success: true,
+        data: this.transformWorkOrder(updated, issue)
+      };
+    } catch (error) {
+      throw new Error(error.message || 'Failed to update checklist');
+    }
+  }
+
+  /**
+   * Mark the crew as on site
+   */
+  async startWorkOrder(workOrderId, user, ipAddress = null) {
+    try {
+      const { workOrder, issue } = await this.getVisibleWorkOrder(workOrderId, user);
+      if (workOrder.status !== 'scheduled') {
+        throw new Error(`Work order is already ${workOrder.status.replace('_', ' ')}`);
+      }
+
+      const updated = await this.setStatus(workOrder, { status: 'in_progress', started_at: new Date().toISOString() });
+
+      await AuditService.log('issue', issue.issue_id, 'work_order_started', { work_order_id: workOrder.id, status: workOrder.status }, { work_order_id: workOrder.id, status: 'in_progress' }, user.id, ipAddress, `Work order "${workOrder.title}" started`);
+
+      return {
+        success: true,
+        message: 'Work order started',
+        data: this.transformWorkOrder(updated, issue)
+      };
+    } catch (error) {
+      throw new Error(error.message || 'Failed to start work order');
+    }
+  }
+
+  /**
+   * Close out a work order once its checklist is done, recording what it actually cost
+   * (the estimate when no figure is given) and updating the issue's resolution cost
+   */
+  async completeWorkOrder(workOrderId, { actualCost, notes } = {}, user, ipAddress = null) {
+    try {
+      const { workOrder, issue } = await this.getVisibleWorkOrder(workOrderId, user);
+      this.checkOpen(workOrder);
+
+      const outstanding = (workOrder.checklist || []).filter(entry => !entry.done).map(entry => entry.item);
+      if (outstanding.length) {
+        const error = new Error(`Finish the checklist first: ${outstanding.join(', ')}`);
+        error.details = outstanding;
+        throw error;
+      }
+
+      const nowIso = new Date().toISOString();
+      const cost = actualCost !== undefined && actualCost !== null ? this.roundMoney(actualCost) : Number(workOrder.estimated_cost) || 0;
+
+      const updated = await this.setStatus(workOrder, {
+        status: 'completed',
+        actual_cost: cost,
+        completion_notes: notes || null,
+        started_at: workOrder.started_at || nowIso,
+        completed_at: nowIso,
+        completed_by_user_id: user.id
+      });
+
+      const resolutionCost = await this.updateResolutionCost(issue);
+
+      await AuditService.log(
+        'issue',
+        issue.issue_id,
+        'work_order_completed',
+        { work_order_id: workOrder.id, status: workOrder.status, resolution_cost: issue.resolution_cost ?? null },
+        { work_order_id: workOrder.id, status: 'completed', actual_cost: cost, resolution_cost: resolutionCost },
+        user.id,
+        ipAddress,
+        `Work order "${workOrder.title}" completed by ${workOrder.crew_name}`
+      );
+
+      console.log(`✅ Work order ${workOrder.id} on ${issue.issue_id} completed (cost ${cost})`);
+
+      return {
+        success: true,
+        message: 'Work order completed',
+        data: this.transformWorkOrder(updated, { ...issue, resolution_cost: resolutionCost })
+      };
+    } catch (error) {
+      const wrapped = new Error(error.message || 'Failed to complete work order');
+      wrapped.details = error.details;
+      throw wrapped;
+    }
+  }
+
+  async cancelWorkOrder(workOrderId, { reason } = {}, user, ipAddress = null) {
+    try {
+      const { workOrder, issue } = await this.getVisibleWorkOrder(workOrderId, user);
+      this.checkOpen(workOrder);
+
+      const updated = await this.setStatus(workOrder, { status: 'cancelled', completion_notes: reason || null });
+
+      await AuditService.log('issue', issue.issue_id, 'work_order_cancelled', { work_order_id: workOrder.id, status: workOrder.status }, { work_order_id: workOrder.id, status: 'cancelled' }, user.id, ipAddress, `Work order "${workOrder.title}" cancelled${reason ? `: ${reason}` : ''}`);
+
+      return {
+        success: true,
+        message: 'Work order cancelled',
+        data: this.transformWorkOrder(updated, issue)
+      };
+    } catch (error) {
+      throw new Error(error.message || 'Failed to cancel work order');
+    }
+  }
+
+  /**
+   * Work order and its issue, hiding work orders on issues the user cannot see
+   */
+  async getVisibleWorkOrder(workOrderId, user) {
+    const { data: workOrder, error } = await db
+      .from('work_orders')
+      .select('*')
+      .eq('id', workOrderId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(error.message);
+    }
+    if (!workOrder) {
+      throw new Error('Work order not found');
+    }
+
+    const issue = await IssueService.getIssueRow(workOrder.issue_id);
+    if (!IssueService.isVisibleTo(issue, user)) {
+      throw new Error('Work order not found');
+    }
+    return { workOrder, issue };
+  }
+
+  async setStatus(workOrder, changes) {
+    const { data, error } = await db
+      .from('work_orders')
+      .update({ ...changes, updated_at: new Date().toISOString() })
+      .eq('id', workOrder.id)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(error.message);
+    }
+    return data;
+  }
+
+  /**
+   * Set the issue's resolution cost to the total of its completed work orders
+   */
+  async updateResolutionCost(issue) {
+    const { data: completed, error } = await db
+      .from('work_orders')
+      .select('actual_cost')
+      .eq('issue_id', issue.issue_id)
+      .eq('status', 'completed');
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    const total = this.roundMoney(completed.reduce((sum, workOrder) => sum + (Number(workOrder.actual_cost) || 0), 0));
+
+    const { error: updateError } = await db
+      .from('issues')
+      .update({ resolution_cost: total, updated_at: new Date().toISOString() })
+      .eq('issue_id', issue.issue_id);
+
+    if (updateError) {
+      throw new Error(updateError.message);
+    }
+    return total;
+  }
+
+  async getIssues(issueIds) {
+    const ids = [...new Set(issueIds)];
+    if (!ids.length) return new Map();
+
+    const { data, error } = await db
+      .from('issues')
+      .select('*')
+      .in('issue_id', ids);
+
+    if (error) {
+      throw new Error(error.message);
+    }
+    return new Map(data.map(issue => [issue.issue_id, issue]));
+  }
+
+  /**
+   * IDs of active work orders whose crew is booked for an overlapping window
+   */
+  findConflicts(workOrders) {
+    const conflicts = new Set();
+    const active = workOrders.filter(workOrder => ACTIVE_STATUSES.includes(workOrder.status));
+
+    active.forEach((workOrder, index) => {
+      active.slice(index + 1).forEach(other => {
+        const sameCrew = workOrder.crew_name.toLowerCase() === other.crew_name.toLowerCase();
+        const overlaps = new Date(workOrder.scheduled_start) < new Date(other.scheduled_end) &&
+          new Date(other.scheduled_start) < new Date(workOrder.scheduled_end);
+        if (sameCrew && overlaps) {
+          conflicts.add(workOrder.id);
+          conflicts.add(other.id);
+        }
+      });
+    });
+    return conflicts;
+  }
+
+  /**
+   * Calendar range, defaulting to tomorrow (the day supervisors usually plan)
+   */
+  getRange(from, to) {
+    const start = from ? new Date(from) : new Date(new Date().setHours(24, 0, 0, 0));
+    const end = to ? new Date(to) : new Date(start.getTime() + 24 * HOUR_MS);
+
+    if (isNaN(start) || isNaN(end) || end <= start) {
+      throw this.invalid(['"to" must be after "from"']);
+    }
+    if (end - start > MAX_RANGE_DAYS * 24 * HOUR_MS) {
+      throw this.invalid([`Ask for at most ${MAX_RANGE_DAYS} days of work orders at a time`]);
+    }
+    return { from: start, to: end };
+  }
+
+  /**
+   * Columns from request fields; only the fields sent are returned on update
+   */
+  normalizeFields(details, current = null) {
+    const fields = {};
+    const set = (key, column, transform = value => value) => {
+      if (details[key] !== undefined) fields[column] = transform(details[key]);
+    };
+
+    set('title', 'title', value => value.trim());
+    set('instructions', 'instructions', value => value || null);
+    set('crewName', 'crew_name', value => value.trim());
+    set('crewMembers', 'crew_members', members => members.map(member => member.trim()).filter(Boolean));
+    set('scheduledStart', 'scheduled_start', value => new Date(value).toISOString());
+    set('scheduledEnd', 'scheduled_end', value => new Date(value).toISOString());
+    set('labourCost', 'labour_cost', value => this.roundMoney(value));
+    set('materials', 'materials', materials => materials.map(material => ({
+      item: material.item.trim(),
+      quantity: Number(material.quantity),
+      unit: material.unit || null,
+      unit_cost: this.roundMoney(material.unitCost || 0)
+    })));
+    set('checklist', 'checklist', items => items.map(item => {
+      const text = (typeof item === 'string' ? item : item.item).trim();
+      const previous = (current?.checklist || []).find(entry => entry.item === text);
+      return previous || { item: text, done: false, done_at: null, done_by_user_id: null };
+    }));
+
+    return fields;
+  }
+
+  checkWindow(start, end) {
+    const hours = (new Date(end) - new Date(start)) / HOUR_MS;
+    if (!(hours > 0)) {
+      throw new Error('Scheduled end must be after the start');
+    }
+    if (hours > MAX_WINDOW_HOURS) {
+      throw new Error(`A work order can be booked for at most ${MAX_WINDOW_HOURS / 24} days`);
+    }
+  }
+
+  checkOpen(workOrder) {
+    if (!ACTIVE_STATUSES.includes(workOrder.status)) {
+      throw new Error(`Work order is already ${workOrder.status}`);
+    }
+  }
+
+  /**
+   * Labour plus each material's quantity times unit cost
+   */
+  estimateCost(materials = [], labourCost = 0) {
+    const materialCost = materials.reduce((sum, material) => sum + (Number(material.quantity) || 0) * (Number(material.unit_cost) || 0), 0);
+    return this.roundMoney((Number(labourCost) || 0) + materialCost);
+  }
+
+  roundMoney(value) {
+    return Math.round(Number(value) * 100) / 100;
+  }
+
+  invalid(errors) {
+    const error = new Error(`Invalid work order request: ${errors.join('; ')}`);
+    error.details = errors;
+    return error;
+  }
+
+  transformWorkOrder(workOrder, issue = null) {
+    const checklist = workOrder.checklist || [];
+    return {
+      id: workOrder.id,
+      issueId: workOrder.issue_id,
+      departmentId: workOrder.department_id,
+      title: workOrder.title,
+      instructions: workOrder.instructions || '',
+      crewName: workOrder.crew_name,
+      crewMembers: workOrder.crew_members || [],
+      scheduledStart: workOrder.scheduled_start,
+      scheduledEnd: workOrder.scheduled_end,
+      materials: (workOrder.materials || []).map(material => ({
+        item: material.item,
+        quantity: material.quantity,
+        unit: material.unit,
+        unitCost: material.unit_cost
+      })),
+      labourCost: Number(workOrder.labour_cost) || 0,
+      estimatedCost: Number(workOrder.estimated_cost) || 0,
+      actualCost: workOrder.actual_cost !== null && workOrder.actual_cost !== undefined ? Number(workOrder.actual_cost) : null,
+      checklist: checklist.map(entry => ({
+        item: entry.item,
+        done: !!entry.done,
+        doneAt: entry.done_at || null,
+        doneByUserId: entry.done_by_user_id || null
+      })),
+      checklistDone: checklist.filter(entry => entry.done).length,
+      status: workOrder.status,
+      completionNotes: workOrder.completion_notes || '',
+      startedAt: workOrder.started_at || null,
+      completedAt: workOrder.completed_at || null,
+      createdAt: workOrder.created_at,
+      updatedAt: workOrder.updated_at,
+      ...(issue ? {
+        issue: {
+          id: issue.issue_id,
+          category: issue.category,
+          priority: issue.priority,
+          status: issue.status,
+          statusLabel: WorkflowService.describeStatus(issue.status, issue.assigned_department_id).label,
+          location: issue.location,
+          resolutionCost: issue.resolution_cost !== null && issue.resolution_cost !== undefined ? Number(issue.resolution_cost) : null
+        }
+      } : {})
+    };
+  }
+}
+
+module.exports = new WorkOrderService();
+module.exports.STATUSES = STATUSES;
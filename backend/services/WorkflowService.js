@@ -0,0 +1,438 @@
+/**
+ * Workflow Service
+ * Per-department issue workflows stored in the `workflows` table.
+ *
+ * A workflow lists its statuses and the allowed transitions between them.
+ * Every status maps onto one of the core lifecycle stages (submitted,
+ * assigned, in_progress, resolved, closed, rejected), which drive timestamps,
+ * SLA tracking and notifications, so a city can add states such as
+ * "awaiting_contractor" without touching the rest of the pipeline.
+ *
+ * Transitions can carry guards:
+ *   { type: 'role', roles: ['admin', 'super_admin'] }   only these roles
+ *   { type: 'resolution_images', min: 1 }              proof photo(s) required
+ *   { type: 'notes', minLength: 10 }                    explanation required
+ *   { type: 'assigned' }                                 officer must be assigned
+ * Each guard accepts an optional `message` shown when it fails.
+ */
+
+const { db } = require('../config/database');
+const AuditService = require('./AuditService');
+
+const STAGES = ['submitted', 'assigned', 'in_progress', 'resolved', 'closed', 'rejected'];
+
+const GUARD_TYPES = ['role', 'resolution_images', 'notes', 'assigned'];
+
+const STATUS_KEY_PATTERN = /^[a-z][a-z0-9_]{0,49}$/;
+
+const CACHE_TTL_MS = 60 * 1000;
+
+// Built-in workflow, used until an admin saves one to the database
+const DEFAULT_WORKFLOW = {
+  id: null,
+  department_id: null,
+  name: 'Standard workflow',
+  initial_status: 'submitted',
+  version: 0,
+  statuses: [
+    { key: 'submitted', label: 'Submitted', stage: 'submitted' },
+    { key: 'assigned', label: 'Assigned', stage: 'assigned' },
+    { key: 'in_progress', label: 'In Progress', stage: 'in_progress' },
+    { key: 'resolved', label: 'Resolved', stage: 'resolved' },
+    { key: 'closed', label: 'Closed', stage: 'closed' },
+    { key: 'rejected', label: 'Rejected', stage: 'rejected' }
+  ],
+  transitions: [
+    { from: 'submitted', to: 'assigned' },
+    { from: 'submitted', to: 'in_progress' },
+    { from: 'submitted', to: 'resolved', guards: [{ type: 'resolution_images', min: 1 }] },
+    { from: 'submitted', to: 'rejected' },
+    { from: 'assigned', to: 'in_progress' },
+    { from: 'assigned', to: 'resolved', guards: [{ type: 'resolution_images', min: 1 }] },
+    { from: 'assigned', to: 'rejected' },
+    { from: 'in_progress', to: 'resolved', guards: [{ type: 'resolution_images', min: 1 }] },
+    { from: 'in_progress', to: 'assigned' },
+    { from: 'in_progress', to: 'closed' },
+    { from: 'resolved', to: 'closed' },
+    { from: 'resolved', to: 'in_progress' },
+    { from: 'rejected', to: 'submitted' }
+  ]
+};
+
+class WorkflowService {
+  constructor() {
+    this.cache = null;
+    this.cacheLoadedAt = 0;
+  }
+
+  /**
+   * Load all active workflows (cached briefly; invalidated on save)
+   */
+  async loadWorkflows() {
+    if (this.cache && Date.now() - this.cacheLoadedAt < CACHE_TTL_MS) {
+      return this.cache;
+    }
+
+    const { data, error } = await db
+      .from('workflows')
+      .select('*')
+      .eq('is_active', true);
+
+    if (error) {
+      // Table not migrated yet: behave exactly like the built-in workflow
+      console.warn('⚠️ Workflows unavailable, using built-in workflow:', error.message);
+      this.cache = [];
+    } else {
+      this.cache = data || [];
+    }
+    this.cacheLoadedAt = Date.now();
+    return this.cache;
+  }
+
+  invalidateCache() {
+    this.cache = null;
+    this.cacheLoadedAt = 0;
+  }
+
+  /**
+   * Effective workflow for a department: its own, else the default row,
+   * else the built-in definition
+   */
+  async getWorkflow(departmentId = null) {
+    try {
+      await this.loadWorkflows();
+      return this.getCachedWorkflow(departmentId);
+    } catch (error) {
+      throw new Error(error.message || 'Failed to load workflow');
+    }
+  }
+
+  /**
+   * getWorkflow() from the loaded workflows, for synchronous callers;
+   * call loadWorkflows() first
+   */
+  getCachedWorkflow(departmentId = null) {
+    const workflows = this.cache || [];
+    const own = departmentId
+      ? workflows.find(workflow => String(workflow.department_id) === String(departmentId))
+      : null;
+    const fallback = workflows.find(workflow => workflow.department_id === null);
+    return own || fallback || DEFAULT_WORKFLOW;
+  }
+
+  /**
+   * All workflows, including the built-in one when no default is stored
+   */
+  async listWorkflows() {
+    try {
+      const workflows = await this.loadWorkflows();
+      const hasDefault = workflows.some(workflow => workflow.department_id === null);
+      return hasDefault ? workflows : [DEFAULT_WORKFLOW, ...workflows];
+    } catch (error) {
+      throw new Error(error.message || 'Failed to list workflows');
+    }
+  }
+
+  /**
+   * Status definition (label + stage) for a status key in a workflow
+   */
+  getStatus(workflow, statusKey) {
+    return workflow.statuses.find(status => status.key === statusKey) || null;
+  }
+
+  /**
+   * Label and stage of a status in the workflow of the issue's department
+   * (`departmentId`), falling back to any loaded workflow that defines it.
+   * Synchronous so transformIssueData can use it; call loadWorkflows() first.
+   */
+  describeStatus(statusKey, departmentId = null) {
+    const workflows = [this.getCachedWorkflow(departmentId), ...(this.cache || []), DEFAULT_WORKFLOW];
+    for (const workflow of workflows) {
+      const status = this.getStatus(workflow, statusKey);
+      if (status) return { label: status.label, stage: status.stage };
+    }
+    return { label: statusKey, stage: STAGES.includes(statusKey) ? statusKey : 'in_progress' };
+  }
+
+  /**
+   * Every status key whose stage is in `stages`, across all workflows
+   */
+  async getStatusesInStages(stages) {
+    const workflows = await this.listWorkflows();
+    const keys = new Set(stages.filter(stage => STAGES.includes(stage)));
+    workflows.forEach(workflow => workflow.statuses.forEach(status => {
+      if (stages.includes(status.stage)) keys.add(status.key);
+    }));
+    return [...keys];
+  }
+
+  /**
+   * Check a transition against the workflow and its guards.
+   * Throws with a user-facing message when the move is not allowed.
+   */
+  validateTransition(workflow, issue, toStatus, { user = null, notes = '', resolutionImages = [] } = {}) {
+    const target = this.getStatus(workflow, toStatus);
+    if (!target) {
+      throw new Error(`Unknown status "${toStatus}" for the ${workflow.name}`);
+    }
+
+    const transition = workflow.transitions.find(t => t.from === issue.status && t.to === toStatus);
+    if (!transition) {
+      throw new Error(`Invalid status transition from ${issue.status} to ${toStatus}`);
+    }
+
+    const failure = (transition.guards || [])
+      .map(guard => this.checkGuard(guard, target, issue, { user, notes, resolutionImages }))
+      .find(message => message);
+
+    if (failure) {
+      throw new Error(failure);
+    }
+
+    return { transition, target };
+  }
+
+  /**
+   * Evaluate one guard, returning an error message or null
+   */
+  checkGuard(guard, target, issue, { user, notes, resolutionImages }) {
+    switch (guard.type) {
+      case 'role':
+        if (!user || !(guard.roles || []).includes(user.role)) {
+          return guard.message || `Only ${(guard.roles || []).join(' or ')} users can move an issue to "${target.label}".`;
+        }
+        return null;
+
+      case 'resolution_images': {
+        const min = guard.min || 1;
+        if (!resolutionImages || resolutionImages.length < min) {
+          return guard.message || (target.stage === 'resolved'
+            ? 'Resolution proof image is required to mark an issue as resolved. Please upload at least one photo showing the completed work.'
+            : `At least ${min} photo(s) are required to move an issue to "${target.label}".`);
+        }
+        return null;
+      }
+
+      case 'notes': {
+        const minLength = guard.minLength || 1;
+        if (!notes || notes.trim().length < minLength) {
+          return guard.message || `Please add a note (at least ${minLength} characters) to move an issue to "${target.label}".`;
+        }
+        return null;
+      }
+
+      case 'assigned':
+        if (!issue.assignedUserId) {
+          return guard.message || `Assign the issue to an officer before moving it to "${target.label}".`;
+        }
+        return null;
+
+      default:
+        return `Unknown workflow guard "${guard.type}"`;
+    }
+  }
+
+  /**
+   * Transitions available from the issue's current status, with what each
+   * one requires; role guards are resolved against the user up front
+   */
+  describeTransitions(workflow, issue, user = null) {
+    return workflow.transitions
+      .filter(transition => transition.from === issue.status)
+      .map(transition => {
+        const target = this.getStatus(workflow, transition.to) || { key: transition.to, label: transition.to, stage: 'in_progress' };
+        const guards = transition.guards || [];
+        const roleGuard = guards.find(guard => guard.type === 'role');
+        const imagesGuard = guards.find(guard => guard.type === 'resolution_images');
+        const notesGuard = guards.find(guard => guard.type === 'notes');
+
+        return {
+          to: target.key,
+          label: transition.label || target.label,
+          stage: target.stage,
+          allowed: !roleGuard || (!!user && (roleGuard.roles || []).includes(user.role)),
+          requires: {
+            resolutionImages: imagesGuard ? imagesGuard.min || 1 : 0,
+            notes: notesGuard ? notesGuard.minLength || 1 : 0,
+            roles: roleGuard ? roleGuard.roles : null,
+            assigned: guards.some(guard => guard.type === 'assigned')
+          }
+        };
+      });
+  }
+
+  /**
+   * Validate a workflow definition, returning a list of problems
+   */
+  validateDefinition(definition) {
+    const errors = [];
+    const statuses = Array.isArray(definition.statuses) ? definition.statuses : [];
+    const transitions = Array.isArray(definition.transitions) ? definition.transitions : [];
+    const keys = statuses.map(status => status.key);
+
+    if (!definition.name || !String(definition.name).trim()) errors.push('Workflow name is required');
+    if (!statuses.length) errors.push('At least one status is required');
+
+    statuses.forEach((status, index) => {
+      if (!STATUS_KEY_PATTERN.test(status.key || '')) {
+        errors.push(`Status #${index + 1}: key must be lowercase letters, digits and underscores`);
+      }
+      if (!status.label) errors.push(`Status "${status.key}": label is required`);
+      if (!STAGES.includes(status.stage)) {
+        errors.push(`Status "${status.key}": stage must be one of ${STAGES.join(', ')}`);
+      }
+    });
+
+    keys.filter((key, index) => keys.indexOf(key) !== index)
+      .forEach(key => errors.push(`Duplicate status "${key}"`));
+
+    if (!keys.includes(definition.initial_status)) {
+      errors.push(`Initial status "${definition.initial_status}" is not defined`);
+    }
+
+    // Issues are auto-assigned on creation, so the workflow must accept it
+    if (!keys.includes('assigned')) {
+      errors.push('A status with key "assigned" is required for auto-assignment');
+    }
+
+    transitions.forEach((transition, index) => {
+      if (!keys.includes(transition.from)) errors.push(`Transition #${index + 1}: unknown from-status "${transition.from}"`);
+      if (!keys.includes(transition.to)) errors.push(`Transition #${index + 1}: unknown to-status "${transition.to}"`);
+      (transition.guards || []).forEach(guard => {
+        if (!GUARD_TYPES.includes(guard.type)) {
+          errors.push(`Transition ${transition.from} → ${transition.to}: unknown guard "${guard.type}"`);
+        }
+        if (guard.type === 'role' && (!Array.isArray(guard.roles) || !guard.roles.length)) {
+          errors.push(`Transition ${transition.from} → ${transition.to}: role guard needs a non-empty roles list`);
+        }
+      });
+    });
+
+    return errors;
+  }
+
+  /**
+   * Create or replace the workflow for a department (null = default)
+   */
+  async saveWorkflow(departmentId, definition, userId = null, ipAddress = null) {
+    try {
+      const errors = this.validateDefinition(definition);
+      if (errors.length) {
+        const error = new Error(`Invalid workflow: ${errors.join('; ')}`);
+        error.details = errors;
+        throw error;
+      }
+
+      let query = db.from('workflows').select('*');
+      query = departmentId ? query.eq('department_id', departmentId) : query.is('department_id', null);
+      const { data: existing } = await query.maybeSingle();
+
+      await this.assertStatusesUnused(departmentId, definition);
+
+      const record = {
+        department_id: departmentId || null,
+        name: definition.name,
+        initial_status: definition.initial_status,
+        statuses: definition.statuses.map(({ key, label, stage, description }) => ({ key, label, stage, description: description || null })),
+        transitions: definition.transitions.map(({ from, to, label, guards }) => ({ from, to, label: label || null, guards: guards || [] })),
+        version: existing ? existing.version + 1 : 1,
+        is_active: true,
+        updated_by_user_id: userId
+      };
+
+      const { data, error } = existing
+        ? await db.from('workflows').update(record).eq('id', existing.id).select().single()
+        : await db.from('workflows').insert([record]).select().single();
+
+      if (error) throw new Error(error.message);
+
+      this.invalidateCache();
+
+      await AuditService.log(
+        'workflow',
+        departmentId || 'default',
+        existing ? 'update' : 'create',
+        existing,
+        data,
+        userId,
+        ipAddress,
+        `Workflow "${data.name}" saved (version ${data.version})`
+      );
+
+      return data;
+    } catch (error) {
+      const wrapped = new Error(error.message || 'Failed to save workflow');
+      wrapped.details = error.details;
+      throw wrapped;
+    }
+  }
+
+  /**
+   * Remove a department's own workflow so it falls back to the default
+   */
+  async deleteWorkflow(departmentId, userId = null, ipAddress = null) {
+    try {
+      const workflows = await this.loadWorkflows();
+      const fallback = workflows.find(workflow => workflow.department_id === null) || DEFAULT_WORKFLOW;
+      await this.assertStatusesUnused(departmentId, fallback);
+
+      const { data, error } = await db
+        .from('workflows')
+        .delete()
+        .eq('department_id', departmentId)
+        .select();
+
+      if (error) throw new Error(error.message);
+
+      this.invalidateCache();
+
+      if (data && data.length) {
+        await AuditService.log('workflow', departmentId, 'delete', data[0], null, userId, ipAddress, 'Department workflow reset to default');
+      }
+
+      return !!(data && data.length);
+    } catch (error) {
+      const wrapped = new Error(error.message || 'Failed to delete workflow');
+      wrapped.details = error.details;
+      throw wrapped;
+    }
+  }
+
+  /**
+   * Refuse to replace the workflow in effect for a department (or for every
+   * department without its own, when departmentId is null) with one that
+   * drops a status issues still hold: they would be stranded in it.
+   */
+  async assertStatusesUnused(departmentId, nextWorkflow) {
+    const workflows = await this.loadWorkflows();
+    const current = this.getCachedWorkflow(departmentId);
+    const kept = new Set(nextWorkflow.statuses.map(status => status.key));
+    const removed = current.statuses.map(status => status.key).filter(key => !kept.has(key));
+    if (!removed.length) return;
+
+    let query = db.from('issues').select('issue_id, status, assigned_department_id').in('status', removed);
+    if (departmentId) query = query.eq('assigned_department_id', departmentId);
+    const { data, error } = await query;
+    if (error) throw new Error(error.message);
+
+    const ownWorkflow = new Set(workflows
+      .filter(workflow => workflow.department_id !== null)
+      .map(workflow => String(workflow.department_id)));
+    const stranded = departmentId
+      ? data || []
+      : (data || []).filter(issue => !issue.assigned_department_id || !ownWorkflow.has(String(issue.assigned_department_id)));
+    if (!stranded.length) return;
+
+    const details = removed
+      .map(key => ({ key, count: stranded.filter(issue => issue.status === key).length }))
+      .filter(({ count }) => count > 0)
+      .map(({ key, count }) => `Status "${key}" is still held by ${count} issue(s); move them to another status before removing it`);
+    const inUse = new Error(`Workflow removes statuses in use: ${details.join('; ')}`);
+    inUse.details = details;
+    throw inUse;
+  }
+}
+
+module.exports = new WorkflowService();
+module.exports.STAGES = STAGES;
+module.exports.DEFAULT_WORKFLOW = DEFAULT_WORKFLOW;
@@ -0,0 +1,216 @@
+/**
+ * Gemini Classifier
+ * Classifies civic issue photos with the Google Gemini Vision API (needs GEMINI_API_KEY).
+ */
+
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const fs = require('fs').promises;
+const path = require('path');
+
+const MODEL = 'gemini-2.5-flash';
+
+const MAX_IMAGE_BYTES = 20 * 1024 * 1024; // 20MB limit for Gemini
+
+const MIME_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.gif': 'image/gif'
+};
+
+class GeminiClassifier {
+  constructor({ apiKey = process.env.GEMINI_API_KEY } = {}) {
+    this.name = 'gemini';
+    this.model = apiKey
+      ? new GoogleGenerativeAI(apiKey).getGenerativeModel({
+        model: MODEL,
+        generationConfig: {
+          temperature: 0.1,
+          topP: 0.8,
+          topK: 40,
+        }
+      })
+      : null;
+
+    this.timeoutMs = 10000; // 10 seconds timeout
+    this.maxRetries = 1; // Retry once on failure
+  }
+
+  /**
+   * Why the classifier cannot run, or null when it is ready
+   */
+  getConfigurationError() {
+    return this.model ? null : 'GEMINI_API_KEY not configured';
+  }
+
+  describe() {
+    return { name: this.name, model: MODEL };
+  }
+
+  /**
+   * Raw classification `{ category, confidence, explanation }` of an image
+   */
+  async classify(imagePath) {
+    const configurationError = this.getConfigurationError();
+    if (configurationError) {
+      throw new Error(configurationError);
+    }
+
+    const imageData = await this.prepareImage(imagePath);
+    const text = await this.callWithRetry(this.createPrompt(), imageData);
+    return this.parseResponse(text);
+  }
+
+  /**
+   * Read an image as inline base64 data for the API
+   */
+  async prepareImage(imagePath) {
+    try {
+      const stats = await fs.stat(imagePath);
+      if (stats.size > MAX_IMAGE_BYTES) {
+        throw new Error(`Image file too large: ${Math.round(stats.size / 1024 / 1024)}MB (max: 20MB)`);
+      }
+
+      const ext = path.extname(imagePath).toLowerCase();
+      const mimeType = MIME_TYPES[ext];
+      if (!mimeType) {
+        throw new Error(`Unsupported image format: ${ext}. Supported: jpg, png, webp, gif`);
+      }
+
+      const fileBuffer = await fs.readFile(imagePath);
+      return {
+        inlineData: {
+          data: fileBuffer.toString('base64'),
+          mimeType
+        }
+      };
+    } catch (error) {
+      throw new Error(`Failed to prepare image for AI analysis: ${error.message}`);
+    }
+  }
+
+  createPrompt() {
+    return `You are an expert AI system that analyzes civic infrastructure problems from images.
+
+TASK: Classify this civic issue image into one of these exact categories:
+
+ALLOWED CATEGORIES ONLY:
+- pothole: Road damage, holes in asphalt/concrete
+- garbage: Waste, litter, overflowing bins, illegal dumping
+- water: Leaks, flooding, broken pipes, drainage issues
+- streetlight: Broken lights, missing bulbs, electrical issues
+- traffic: Traffic signals, road signs, traffic-related problems
+- sidewalk: Sidewalk damage, cracks, accessibility issues
+- graffiti: Vandalism, spray paint, unauthorized markings
+
+RESPONSE FORMAT (JSON only):
+{
+  "category": "exact_category_name",
+  "confidence": 0.XX,
+  "explanation": "What you see in 10-15 words"
+}
+
+INSTRUCTIONS:
+- Use EXACT category names from the list above
+- Confidence: 0.9+ (very clear), 0.7-0.8 (clear), 0.5-0.6 (somewhat clear), <0.5 (unclear)
+- Be specific but concise in explanation
+- If unclear, choose closest match with lower confidence
+- Focus on the PRIMARY issue visible`;
+  }
+
+  /**
+   * Call the API with retry logic and timeout protection
+   */
+  async callWithRetry(prompt, imageData) {
+    for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+      try {
+        return await Promise.race([
+          this.callAPI(prompt, imageData),
+          new Promise((_, reject) =>
+            setTimeout(() => reject(new Error('Gemini API timeout after 10 seconds')), this.timeoutMs)
+          )
+        ]);
+      } catch (error) {
+        console.error(`❌ Gemini API attempt ${attempt + 1} failed:`, error.message);
+
+        if (attempt === this.maxRetries) {
+          throw new Error(`Gemini API failed after ${this.maxRetries + 1} attempts: ${error.message}`);
+        }
+
+        // Wait before retry
+        const retryDelay = 1000 * (attempt + 1); // 1s, 2s delay
+        await new Promise(resolve => setTimeout(resolve, retryDelay));
+      }
+    }
+  }
+
+  async callAPI(prompt, imageData) {
+    try {
+      const result = await this.model.generateContent([prompt, imageData]);
+      const response = await result.response;
+
+      if (!response) {
+        throw new Error('Empty response from Gemini API');
+      }
+
+      return response.text();
+    } catch (error) {
+      // Clearer messages for the common Gemini API errors
+      if (error.message.includes('PERMISSION_DENIED')) {
+        throw new Error('Invalid Gemini API key or insufficient permissions');
+      } else if (error.message.includes('QUOTA_EXCEEDED')) {
+        throw new Error('Gemini API quota exceeded - please check your billing');
+      } else if (error.message.includes('SAFETY')) {
+        throw new Error('Image rejected by Gemini safety filters');
+      } else if (error.message.includes('INVALID_ARGUMENT')) {
+        throw new Error('Invalid image format or size for Gemini API');
+      } else {
+        throw new Error(`Gemini API error: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Pull `{ category, confidence, explanation }` out of the model's JSON answer
+   */
+  parseResponse(responseText) {
+    if (!responseText || responseText.trim().length === 0) {
+      throw new Error('Empty response from Gemini API');
+    }
+
+    // Remove code fences and any text around the JSON object
+    let cleanText = responseText.trim()
+      .replace(/^```(json)?\s*/, '')
+      .replace(/```\s*$/, '');
+    const jsonMatch = cleanText.match(/\{[\s\S]*\}/);
+    if (jsonMatch) {
+      cleanText = jsonMatch[0];
+    }
+
+    let parsed;
+    try {
+      parsed = JSON.parse(cleanText);
+    } catch (error) {
+      throw new Error(`Could not parse Gemini response: ${error.message}`);
+    }
+
+    if (!parsed.category) {
+      throw new Error('Missing "category" field in Gemini response');
+    }
+    if (parsed.confidence === undefined || parsed.confidence === null) {
+      throw new Error('Missing "confidence" field in Gemini response');
+    }
+    if (!parsed.explanation) {
+      throw new Error('Missing "explanation" field in Gemini response');
+    }
+
+    return {
+      category: String(parsed.category),
+      confidence: parseFloat(parsed.confidence),
+      explanation: String(parsed.explanation)
+    };
+  }
+}
+
+module.exports = GeminiClassifier;
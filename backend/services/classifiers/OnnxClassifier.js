@@ -0,0 +1,199 @@
+/**
+ * ONNX Classifier
+ * Classifies civic issue photos with a local image model run on the CPU by
+ * onnxruntime-node, so classification works without network access.
+ *
+ * Configuration:
+ *   LOCAL_CLASSIFIER_MODEL       path to the .onnx model (required)
+ *   LOCAL_CLASSIFIER_LABELS      labels file, a JSON array or one label per line, in output order
+ *                                (defaults to the model path with a .labels.json or .labels.txt extension)
+ *   LOCAL_CLASSIFIER_INPUT_SIZE  square input size in pixels (default 224)
+ *   LOCAL_CLASSIFIER_LAYOUT      nchw (default) or nhwc
+ *   LOCAL_CLASSIFIER_NORMALIZE   imagenet (default, mean/std of ImageNet) or unit (pixels scaled to 0-1)
+ * The model takes one RGB image and returns one score per label. Labels are
+ * ideally the category names; other labels are matched to the closest category.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const IMAGENET_MEAN = [0.485, 0.456, 0.406];
+const IMAGENET_STD = [0.229, 0.224, 0.225];
+
+const LAYOUTS = ['nchw', 'nhwc'];
+const NORMALIZATIONS = ['imagenet', 'unit'];
+
+class OnnxClassifier {
+  constructor({
+    modelPath = process.env.LOCAL_CLASSIFIER_MODEL,
+    labelsPath = process.env.LOCAL_CLASSIFIER_LABELS,
+    inputSize = parseInt(process.env.LOCAL_CLASSIFIER_INPUT_SIZE || '224', 10),
+    layout = (process.env.LOCAL_CLASSIFIER_LAYOUT || 'nchw').toLowerCase(),
+    normalize = (process.env.LOCAL_CLASSIFIER_NORMALIZE || 'imagenet').toLowerCase()
+  } = {}) {
+    this.name = 'onnx';
+    this.modelPath = modelPath ? path.resolve(modelPath) : null;
+    this.labelsPath = labelsPath ? path.resolve(labelsPath) : this.findLabelsFile();
+    this.inputSize = inputSize;
+    this.layout = layout;
+    this.normalize = normalize;
+    this.model = null;
+    this.loading = null;
+  }
+
+  /**
+   * Why the classifier cannot run, or null when it is ready
+   */
+  getConfigurationError() {
+    if (!this.modelPath) return 'LOCAL_CLASSIFIER_MODEL not configured';
+    if (!fs.existsSync(this.modelPath)) return `Local classifier model not found at ${this.modelPath}`;
+    if (!this.labelsPath || !fs.existsSync(this.labelsPath)) return 'Local classifier labels file not found (set LOCAL_CLASSIFIER_LABELS)';
+    if (!Number.isInteger(this.inputSize) || this.inputSize < 16 || this.inputSize > 1024) return 'LOCAL_CLASSIFIER_INPUT_SIZE must be between 16 and 1024';
+    if (!LAYOUTS.includes(this.layout)) return `LOCAL_CLASSIFIER_LAYOUT must be one of ${LAYOUTS.join(', ')}`;
+    if (!NORMALIZATIONS.includes(this.normalize)) return `LOCAL_CLASSIFIER_NORMALIZE must be one of ${NORMALIZATIONS.join(', ')}`;
+    return null;
+  }
+
+  describe() {
+    return {
+      name: this.name,
+      model: this.modelPath ? path.basename(this.modelPath) : null,
+      labels: this.model ? this.model.labels.length : null
+    };
+  }
+
+  /**
+   * Raw classification `{ category, confidence, explanation }` of an image;
+   * the category is the best-scoring label
+   */
+  async classify(imagePath) {
+    const { session, labels, ort } = await this.load();
+
+    const pixels = await this.prepareImage(imagePath);
+    const dims = this.layout === 'nchw'
+      ? [1, 3, this.inputSize, this.inputSize]
+      : [1, this.inputSize, this.inputSize, 3];
+
+    const outputs = await session.run({ [session.inputNames[0]]: new ort.Tensor('float32', pixels, dims) });
+    const scores = Array.from(outputs[session.outputNames[0]].data);
+
+    if (scores.length !== labels.length) {
+      throw new Error(`Local classifier returned ${scores.length} scores for ${labels.length} labels`);
+    }
+
+    const probabilities = this.toProbabilities(scores);
+    const best = probabilities.indexOf(Math.max(...probabilities));
+
+    return {
+      category: labels[best],
+      confidence: probabilities[best],
+      explanation: `Local model recognised "${labels[best]}" (${Math.round(probabilities[best] * 100)}%)`
+    };
+  }
+
+  /**
+   * Load the model and labels once; later calls share the session
+   */
+  load() {
+    if (!this.loading) {
+      this.loading = this.createSession().catch(error => {
+        // Allow a retry after the model or runtime is fixed
+        this.loading = null;
+        throw error;
+      });
+    }
+    return this.loading;
+  }
+
+  async createSession() {
+    const configurationError = this.getConfigurationError();
+    if (configurationError) {
+      throw new Error(configurationError);
+    }
+
+    const ort = this.requireOptional('onnxruntime-node');
+    const labels = this.readLabels();
+    const session = await ort.InferenceSession.create(this.modelPath, { executionProviders: ['cpu'] });
+
+    this.model = { labels };
+    console.log(`🧠 Local classifier loaded: ${path.basename(this.modelPath)} (${labels.length} labels)`);
+    return { session, labels, ort };
+  }
+
+  /**
+   * Decode, resize and normalise an image into the model's input tensor
+   */
+  async prepareImage(imagePath) {
+    const sharp = this.requireOptional('sharp');
+    let data;
+    try {
+      data = await sharp(imagePath)
+        .rotate()
+        .resize(this.inputSize, this.inputSize, { fit: 'cover' })
+        .removeAlpha()
+        .toColourspace('srgb')
+        .raw()
+        .toBuffer();
+    } catch (error) {
+      throw new Error(`Failed to prepare image for local classifier: ${error.message}`);
+    }
+
+    const area = this.inputSize * this.inputSize;
+    const pixels = new Float32Array(area * 3);
+    for (let i = 0; i < area; i++) {
+      for (let channel = 0; channel < 3; channel++) {
+        let value = data[i * 3 + channel] / 255;
+        if (this.normalize === 'imagenet') {
+          value = (value - IMAGENET_MEAN[channel]) / IMAGENET_STD[channel];
+        }
+        pixels[this.layout === 'nchw' ? channel * area + i : i * 3 + channel] = value;
+      }
+    }
+    return pixels;
+  }
+
+  /**
+   * Softmax of raw scores, unless the model already returns probabilities
+   */
+  toProbabilities(scores) {
+    const sum = scores.reduce((total, score) => total + score, 0);
+    if (scores.every(score => score >= 0 && score <= 1) && Math.abs(sum - 1) < 0.01) {
+      return scores;
+    }
+    const max = Math.max(...scores);
+    const exps = scores.map(score => Math.exp(score - max));
+    const total = exps.reduce((acc, value) => acc + value, 0);
+    return exps.map(value => value / total);
+  }
+
+  readLabels() {
+    const text = fs.readFileSync(this.labelsPath, 'utf8');
+    const labels = this.labelsPath.endsWith('.json')
+      ? JSON.parse(text)
+      : text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+
+    if (!Array.isArray(labels) || labels.length === 0) {
+      throw new Error(`No labels found in ${path.basename(this.labelsPath)}`);
+    }
+    return labels.map(String);
+  }
+
+  findLabelsFile() {
+    if (!this.modelPath) return null;
+    const base = this.modelPath.replace(/\.onnx$/i, '');
+    return [`${base}.labels.json`, `${base}.labels.txt`].find(candidate => fs.existsSync(candidate)) || null;
+  }
+
+  /**
+   * onnxruntime-node and sharp are optional dependencies, only needed for this classifier
+   */
+  requireOptional(name) {
+    try {
+      return require(name);
+    } catch (error) {
+      throw new Error(`The local classifier needs the "${name}" package; install it with npm install ${name}`);
+    }
+  }
+}
+
+module.exports = OnnxClassifier;
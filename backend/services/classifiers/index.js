@@ -0,0 +1,45 @@
+/**
+ * Image classifiers
+ * Backends that put a civic issue photo in a category, chosen by AI_CLASSIFIER:
+ *   gemini - Google Gemini Vision, via GEMINI_API_KEY
+ *   onnx   - a local image model run on the CPU, via LOCAL_CLASSIFIER_MODEL
+ *   none   - no image classification; the reporter's category is kept
+ * AI_CLASSIFIER is a comma-separated list tried in order, so `gemini,onnx`
+ * falls back to the local model when Gemini fails. Without AI_CLASSIFIER,
+ * every backend that is configured is used, Gemini first.
+ */
+
+const CLASSIFIERS = {
+  gemini: () => require('./GeminiClassifier'),
+  onnx: () => require('./OnnxClassifier')
+};
+
+const parseClassifierNames = (value = process.env.AI_CLASSIFIER) => {
+  if (!value) {
+    return [
+      ...(process.env.GEMINI_API_KEY ? ['gemini'] : []),
+      ...(process.env.LOCAL_CLASSIFIER_MODEL ? ['onnx'] : [])
+    ];
+  }
+
+  const names = String(value).split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+  const unknown = names.filter(name => name !== 'none' && !CLASSIFIERS[name]);
+  if (unknown.length) {
+    throw new Error(`Unknown AI_CLASSIFIER "${unknown.join(', ')}". Expected one of: ${[...Object.keys(CLASSIFIERS), 'none'].join(', ')}`);
+  }
+  return [...new Set(names.filter(name => name !== 'none'))];
+};
+
+/**
+ * Classifier instances in the order they should be tried
+ */
+const createClassifiers = (value = process.env.AI_CLASSIFIER, options = {}) =>
+  parseClassifierNames(value).map(name => {
+    const Classifier = CLASSIFIERS[name]();
+    return new Classifier(options[name] || {});
+  });
+
+module.exports = {
+  createClassifiers,
+  classifiers: Object.keys(CLASSIFIERS)
+};
@@ -0,0 +1,185 @@
+/**
+ * Database Job Store
+ * Keeps jobs in the `jobs` table of the configured database (DB_ADAPTER), so
+ * the queue runs on Postgres or Supabase, or in memory for offline dev.
+ *
+ * A job is claimed with a conditional update from pending to running on an
+ * unchanged attempt count; when two workers race for a job only one update
+ * matches, so several API instances or workers can share the table.
+ */
+
+const { db } = require('../../config/database');
+
+// Pending jobs read per claim; the next one is tried when another worker wins the race
+const CLAIM_BATCH = 5;
+
+class DatabaseJobStore {
+  constructor() {
+    this.name = 'database';
+  }
+
+  describe() {
+    return { name: this.name, adapter: db.name };
+  }
+
+  async insert(job) {
+    const { data, error } = await db
+      .from('jobs')
+      .insert([job])
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(error.message);
+    }
+    return data;
+  }
+
+  /**
+   * Mark the next due job of the given types as running for this worker
+   * @returns {Object|null} the claimed job
+   */
+  async claim(workerId, types) {
+    const now = new Date().toISOString();
+    const { data: candidates, error } = await db
+      .from('jobs')
+      .select('id, attempts')
+      .eq('status', 'pending')
+      .lte('run_at', now)
+      .in('type', types)
+      .order('run_at', { ascending: true })
+      .order('id', { ascending: true })
+      .limit(CLAIM_BATCH);
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    for (const candidate of candidates || []) {
+      const { data: claimed, error: claimError } = await db
+        .from('jobs')
+        .update({
+          status: 'running',
+          attempts: candidate.attempts + 1,
+          locked_by: workerId,
+          locked_at: now,
+          updated_at: now
+        })
+        .eq('id', candidate.id)
+        .eq('status', 'pending')
+        .eq('attempts', candidate.attempts)
+        .select();
+
+      if (claimError) {
+        throw new Error(claimError.message);
+      }
+      if (claimed?.length) {
+        return claimed[0];
+      }
+    }
+    return null;
+  }
+
+  async update(id, changes) {
+    const { data, error } = await db
+      .from('jobs')
+      .update({ ...changes, updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(error.message);
+    }
+    return data;
+  }
+
+  async get(id) {
+    const { data, error } = await db
+      .from('jobs')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(error.message);
+    }
+    return data;
+  }
+
+  /**
+   * Put running jobs locked before the cutoff back in the queue
+   * @returns {number} jobs released
+   */
+  async releaseStale(lockedBefore) {
+    const { data, error } = await db
+      .from('jobs')
+      .update({ status: 'pending', locked_by: null, locked_at: null, updated_at: new Date().toISOString() })
+      .eq('status', 'running')
+      .lt('locked_at', lockedBefore)
+      .select('id');
+
+    if (error) {
+      throw new Error(error.message);
+    }
+    return (data || []).length;
+  }
+
+  /**
+   * `[{ type, status, count }]` for the given types and statuses, one count
+   * query each so the job rows themselves are never loaded
+   */
+  async countByStatus(types, statuses) {
+    const pairs = types.flatMap(type => statuses.map(status => ({ type, status })));
+
+    return Promise.all(pairs.map(async ({ type, status }) => {
+      const { count, error } = await db
+        .from('jobs')
+        .select('id', { count: 'exact', head: true })
+        .eq('type', type)
+        .eq('status', status);
+
+      if (error) {
+        throw new Error(error.message);
+      }
+      return { type, status, count: count || 0 };
+    }));
+  }
+
+  async list({ status, type, limit = 50 } = {}) {
+    let query = db
+      .from('jobs')
+      .select('*')
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (status) query = query.eq('status', status);
+    if (type) query = query.eq('type', type);
+
+    const { data, error } = await query;
+    if (error) {
+      throw new Error(error.message);
+    }
+    return data || [];
+  }
+
+  /**
+   * Delete jobs that completed before the cutoff
+   * @returns {number} jobs deleted
+   */
+  async deleteCompleted(completedBefore) {
+    const { data, error } = await db
+      .from('jobs')
+      .delete()
+      .eq('status', 'completed')
+      .lt('completed_at', completedBefore)
+      .select('id');
+
+    if (error) {
+      throw new Error(error.message);
+    }
+    return (data || []).length;
+  }
+}
+
+module.exports = DatabaseJobStore;
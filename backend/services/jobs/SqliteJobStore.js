@@ -0,0 +1,213 @@
+/**
+ * SQLite Job Store
+ * Keeps jobs in a local SQLite file, for running the queue on one machine
+ * without the `jobs` table, e.g. next to a hosted Supabase database.
+ *
+ * Configuration:
+ *   JOB_QUEUE_SQLITE_PATH  database file (default data/jobs.sqlite in the backend folder)
+ * Needs the optional `better-sqlite3` package. The table is created on first
+ * use. A job is claimed with a single UPDATE ... RETURNING, which SQLite runs
+ * under its write lock, so workers in several processes can share the file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_PATH = path.join(__dirname, '..', '..', 'data', 'jobs.sqlite');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS jobs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    type TEXT NOT NULL,
+    payload TEXT NOT NULL DEFAULT '{}',
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'running', 'completed', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL DEFAULT 3,
+    run_at TEXT NOT NULL,
+    locked_by TEXT,
+    locked_at TEXT,
+    last_error TEXT,
+    result TEXT,
+    completed_at TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_jobs_pending ON jobs(status, run_at);
+`;
+
+// Columns a job update may change
+const UPDATABLE = ['status', 'attempts', 'max_attempts', 'run_at', 'locked_by', 'locked_at', 'last_error', 'result', 'completed_at'];
+
+// Stored as JSON text
+const JSON_COLUMNS = ['payload', 'result'];
+
+class SqliteJobStore {
+  constructor({ filePath = process.env.JOB_QUEUE_SQLITE_PATH } = {}) {
+    this.name = 'sqlite';
+    this.filePath = filePath ? path.resolve(filePath) : DEFAULT_PATH;
+    this.database = null;
+  }
+
+  describe() {
+    return { name: this.name, file: this.filePath };
+  }
+
+  /**
+   * Open the database file once, creating it and the table when missing
+   */
+  open() {
+    if (!this.database) {
+      let Database;
+      try {
+        Database = require('better-sqlite3');
+      } catch (error) {
+        throw new Error('The SQLite job store needs the "better-sqlite3" package; install it with npm install better-sqlite3');
+      }
+
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      const database = new Database(this.filePath);
+      database.pragma('journal_mode = WAL');
+      database.pragma('busy_timeout = 5000');
+      database.exec(SCHEMA);
+      this.database = database;
+      console.log(`🗃️ SQLite job store opened at ${this.filePath}`);
+    }
+    return this.database;
+  }
+
+  async insert(job) {
+    const now = new Date().toISOString();
+    const row = this.open()
+      .prepare(`
+        INSERT INTO jobs (type, payload, max_attempts, run_at, created_at, updated_at)
+        VALUES (@type, @payload, @max_attempts, @run_at, @created_at, @updated_at)
+        RETURNING *
+      `)
+      .get({
+        type: job.type,
+        payload: JSON.stringify(job.payload || {}),
+        max_attempts: job.max_attempts || 3,
+        run_at: job.run_at || now,
+        created_at: now,
+        updated_at: now
+      });
+    return this.decode(row);
+  }
+
+  /**
+   * Mark the next due job of the given types as running for this worker
+   * @returns {Object|null} the claimed job
+   */
+  async claim(workerId, types) {
+    const now = new Date().toISOString();
+    const row = this.open()
+      .prepare(`
+        UPDATE jobs
+        SET status = 'running', attempts = attempts + 1, locked_by = ?, locked_at = ?, updated_at = ?
+        WHERE id = (
+          SELECT id FROM jobs
+          WHERE status = 'pending' AND run_at <= ? AND type IN (${types.map(() => '?').join(', ')})
+          ORDER BY run_at, id
+          LIMIT 1
+        )
+        RETURNING *
+      `)
+      .get(workerId, now, now, now, ...types);
+    return this.decode(row);
+  }
+
+  async update(id, changes) {
+    const columns = Object.keys(changes).filter(column => UPDATABLE.includes(column) && changes[column] !== undefined);
+    const values = Object.fromEntries(columns.map(column => [
+      column,
+      JSON_COLUMNS.includes(column) && changes[column] !== null ? JSON.stringify(changes[column]) : changes[column]
+    ]));
+
+    const row = this.open()
+      .prepare(`
+        UPDATE jobs
+        SET ${[...columns.map(column => `${column} = @${column}`), 'updated_at = @updated_at'].join(', ')}
+        WHERE id = @id
+        RETURNING *
+      `)
+      .get({ ...values, updated_at: new Date().toISOString(), id });
+    return this.decode(row);
+  }
+
+  async get(id) {
+    return this.decode(this.open().prepare('SELECT * FROM jobs WHERE id = ?').get(id));
+  }
+
+  /**
+   * Put running jobs locked before the cutoff back in the queue
+   * @returns {number} jobs released
+   */
+  async releaseStale(lockedBefore) {
+    return this.open()
+      .prepare(`
+        UPDATE jobs SET status = 'pending', locked_by = NULL, locked_at = NULL, updated_at = ?
+        WHERE status = 'running' AND locked_at < ?
+      `)
+      .run(new Date().toISOString(), lockedBefore)
+      .changes;
+  }
+
+  /**
+   * `[{ type, status, count }]` for the given types and statuses that have jobs
+   */
+  async countByStatus(types, statuses) {
+    if (!types.length || !statuses.length) return [];
+    return this.open()
+      .prepare(`
+        SELECT type, status, COUNT(*) AS count FROM jobs
+        WHERE type IN (${types.map(() => '?').join(', ')}) AND status IN (${statuses.map(() => '?').join(', ')})
+        GROUP BY type, status
+      `)
+      .all(...types, ...statuses);
+  }
+
+  async list({ status, type, limit = 50 } = {}) {
+    const conditions = [];
+    const params = [];
+    if (status) {
+      conditions.push('status = ?');
+      params.push(status);
+    }
+    if (type) {
+      conditions.push('type = ?');
+      params.push(type);
+    }
+
+    return this.open()
+      .prepare(`
+        SELECT * FROM jobs
+        ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+        ORDER BY created_at DESC
+        LIMIT ?
+      `)
+      .all(...params, limit)
+      .map(row => this.decode(row));
+  }
+
+  /**
+   * Delete jobs that completed before the cutoff
+   * @returns {number} jobs deleted
+   */
+  async deleteCompleted(completedBefore) {
+    return this.open()
+      .prepare(`DELETE FROM jobs WHERE status = 'completed' AND completed_at < ?`)
+      .run(completedBefore)
+      .changes;
+  }
+
+  decode(row) {
+    if (!row) return null;
+    const job = { ...row };
+    for (const column of JSON_COLUMNS) {
+      job[column] = job[column] === null ? null : JSON.parse(job[column]);
+    }
+    return job;
+  }
+}
+
+module.exports = SqliteJobStore;
@@ -0,0 +1,29 @@
+/**
+ * Job stores
+ * Where the background job queue keeps its jobs, chosen by JOB_QUEUE_STORE:
+ *   database - the `jobs` table of the configured database (default; Postgres,
+ *              Supabase or the in-memory adapter, see DB_ADAPTER)
+ *   sqlite   - a local SQLite file, via JOB_QUEUE_SQLITE_PATH
+ */
+
+const STORES = {
+  database: () => require('./DatabaseJobStore'),
+  sqlite: () => require('./SqliteJobStore')
+};
+
+const createJobStore = (name = process.env.JOB_QUEUE_STORE || 'database', options = {}) => {
+  const key = String(name).trim().toLowerCase();
+  const load = STORES[key];
+
+  if (!load) {
+    throw new Error(`Unknown JOB_QUEUE_STORE "${name}". Expected one of: ${Object.keys(STORES).join(', ')}`);
+  }
+
+  const Store = load();
+  return new Store(options);
+};
+
+module.exports = {
+  createJobStore,
+  stores: Object.keys(STORES)
+};
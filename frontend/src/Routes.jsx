@@ -8,7 +8,9 @@ import PublicTransparency from './pages/public-transparency';
 import IssueConfirmation from './pages/issue-confirmation';
 import AuthorityDashboard from './pages/authority-dashboard';
 import AuthorityLogin from './pages/authority-login';
+import ResetPassword from './pages/reset-password';
 import ReportIssue from './pages/report-issue';
+import MyReports from './pages/my-reports';
 import ProtectedRoute from './components/ProtectedRoute';
 import { AuthProvider } from './contexts/AuthContext';
 
@@ -25,6 +27,7 @@ const Routes = () => {
             <Route path="/public-transparency" element={<PublicTransparency />} />
             <Route path="/issue-confirmation" element={<IssueConfirmation />} />
             <Route path="/authority-login" element={<AuthorityLogin />} />
+            <Route path="/reset-password" element={<ResetPassword />} />
             <Route 
               path="/authority-dashboard" 
               element={
@@ -34,6 +37,7 @@ const Routes = () => {
               } 
             />
             <Route path="/report-issue" element={<ReportIssue />} />
+            <Route path="/my-reports" element={<MyReports />} />
             <Route path="*" element={<NotFound />} />
           </RouterRoutes>
         </ErrorBoundary>
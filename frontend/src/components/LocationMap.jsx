@@ -1,6 +1,7 @@
-import React, { useEffect, useRef } from 'react';
-import { MapContainer, TileLayer, Marker, Popup, useMap, Circle } from 'react-leaflet';
+import React, { useEffect, useRef, useState } from 'react';
+import { MapContainer, TileLayer, Marker, Popup, useMap, Circle, GeoJSON } from 'react-leaflet';
 import L from 'leaflet';
+import { wardsApi } from '../utils/api';
 
 // Fix default marker icon issue with webpack/vite bundlers
 // Leaflet's default icon URLs break when bundled
@@ -27,6 +28,49 @@ const RecenterMap = ({ lat, lng }) => {
   return null;
 };
 
+// Ward boundaries are fetched once per page load and shared by every map
+let wardBoundariesRequest = null;
+
+const loadWardBoundaries = () => {
+  if (!wardBoundariesRequest) {
+    wardBoundariesRequest = wardsApi.getBoundaries()
+      .then(response => response?.data || null)
+      .catch(() => {
+        wardBoundariesRequest = null;
+        return null;
+      });
+  }
+  return wardBoundariesRequest;
+};
+
+// Outlines of the city's wards, labelled with the ward name and zone on hover
+const WardBoundaries = () => {
+  const [boundaries, setBoundaries] = useState(null);
+
+  useEffect(() => {
+    let active = true;
+    loadWardBoundaries().then(data => {
+      if (active) setBoundaries(data);
+    });
+    return () => {
+      active = false;
+    };
+  }, []);
+
+  if (!boundaries?.features?.length) return null;
+
+  return (
+    <GeoJSON
+      data={boundaries}
+      style={{ color: '#6366f1', weight: 1.5, fillColor: '#6366f1', fillOpacity: 0.04, dashArray: '4 4' }}
+      onEachFeature={(feature, layer) => {
+        const { name, zone } = feature.properties || {};
+        layer.bindTooltip(zone ? `${name} · ${zone}` : name, { sticky: true, direction: 'top' });
+      }}
+    />
+  );
+};
+
 /**
  * LocationMap - Shows detected/manual location on an OpenStreetMap
  * @param {number} latitude - Latitude coordinate
@@ -36,6 +80,7 @@ const RecenterMap = ({ lat, lng }) => {
  * @param {string} className - Additional CSS classes
  * @param {boolean} draggable - Whether the marker can be dragged (for future pin-drop)
  * @param {function} onMarkerDrag - Callback when marker is dragged to new position
+ * @param {boolean} showWards - Whether to draw the uploaded ward boundaries
  */
 const LocationMap = ({ 
   latitude, 
@@ -44,7 +89,8 @@ const LocationMap = ({
   address = '', 
   className = '',
   draggable = false,
-  onMarkerDrag = null
+  onMarkerDrag = null,
+  showWards = true
 }) => {
   const markerRef = useRef(null);
 
@@ -84,6 +130,8 @@ const LocationMap = ({
           attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
           url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
         />
+
+        {showWards && <WardBoundaries />}
         
         <Marker 
           position={[latitude, longitude]}
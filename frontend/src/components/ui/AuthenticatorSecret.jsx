@@ -0,0 +1,45 @@
+import React from 'react';
+import { useTranslation } from 'react-i18next';
+import { toast } from '../../utils/toast';
+import Icon from '../AppIcon';
+
+// Shows a TOTP secret for manual entry, plus an otpauth:// link that opens
+// an authenticator app directly on phones.
+const AuthenticatorSecret = ({ secret, otpauthUrl }) => {
+  const { t } = useTranslation();
+  const grouped = secret?.match(/.{1,4}/g)?.join(' ') || '';
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(secret);
+      toast.success(t('twoFactor.copied'));
+    } catch (error) {
+      toast.error(t('twoFactor.copyFailed'));
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      <p className="text-sm text-gray-600">{t('twoFactor.addKeyHint')}</p>
+      <div className="flex items-center justify-between gap-2 p-3 rounded-lg bg-gray-50 border">
+        <code className="font-mono text-sm tracking-wider text-gray-900 break-all">{grouped}</code>
+        <button
+          type="button"
+          onClick={handleCopy}
+          className="p-2 rounded-md hover:bg-gray-200 flex-shrink-0"
+          aria-label={t('twoFactor.copy')}
+        >
+          <Icon name="Copy" size={16} />
+        </button>
+      </div>
+      {otpauthUrl && (
+        <a href={otpauthUrl} className="inline-flex items-center gap-1 text-sm text-blue-600 hover:underline">
+          <Icon name="Smartphone" size={14} />
+          {t('twoFactor.openInApp')}
+        </a>
+      )}
+    </div>
+  );
+};
+
+export default AuthenticatorSecret;
@@ -0,0 +1,129 @@
+import React, { useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { toast } from '../../utils/toast';
+import { citizenApi } from '../../utils/api';
+import Button from './Button';
+import Input from './Input';
+import Icon from '../AppIcon';
+import { LoadingButton } from './Loading';
+
+const CitizenSignIn = ({ onSignedIn }) => {
+  const { t } = useTranslation();
+  const [step, setStep] = useState('email');
+  const [email, setEmail] = useState('');
+  const [code, setCode] = useState('');
+  const [error, setError] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  const handleRequestCode = async (e) => {
+    e.preventDefault();
+    if (!/^\S+@\S+\.\S+$/.test(email.trim())) {
+      setError(t('myReports.invalidEmail'));
+      return;
+    }
+
+    setIsLoading(true);
+    setError(null);
+    try {
+      await citizenApi.requestCode(email.trim());
+      toast.success(t('myReports.codeSent'));
+      setStep('code');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleVerifyCode = async (e) => {
+    e.preventDefault();
+    if (!/^\d{6}$/.test(code.trim())) {
+      setError(t('myReports.invalidCode'));
+      return;
+    }
+
+    setIsLoading(true);
+    setError(null);
+    try {
+      await citizenApi.verifyCode(email.trim(), code.trim());
+      toast.success(t('myReports.signedIn'));
+      onSignedIn?.();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="max-w-md mx-auto bg-card rounded-lg border border-border shadow-elevation-1 overflow-hidden">
+      <div className="p-6 border-b border-border text-center">
+        <div className="w-14 h-14 bg-primary/10 rounded-full flex items-center justify-center mx-auto mb-3">
+          <Icon name="Mail" size={28} className="text-primary" />
+        </div>
+        <h2 className="text-xl font-semibold text-foreground mb-1">{t('myReports.signInTitle')}</h2>
+        <p className="text-sm text-muted-foreground">
+          {step === 'email' ? t('myReports.signInSubtitle') : t('myReports.codeSubtitle', { email: email.trim() })}
+        </p>
+      </div>
+
+      <div className="p-6">
+        {step === 'email' ? (
+          <form onSubmit={handleRequestCode} className="space-y-4">
+            <Input
+              type="email"
+              label={t('myReports.email')}
+              value={email}
+              onChange={(e) => { setEmail(e.target.value); setError(null); }}
+              placeholder={t('myReports.emailPlaceholder')}
+              error={error}
+              required
+            />
+            <LoadingButton
+              type="submit"
+              isLoading={isLoading}
+              className="w-full bg-primary text-primary-foreground py-2.5 rounded-lg font-medium"
+            >
+              {t('myReports.sendCode')}
+            </LoadingButton>
+          </form>
+        ) : (
+          <form onSubmit={handleVerifyCode} className="space-y-4">
+            <Input
+              type="text"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              maxLength={6}
+              label={t('myReports.code')}
+              value={code}
+              onChange={(e) => { setCode(e.target.value.replace(/\D/g, '')); setError(null); }}
+              placeholder="000000"
+              error={error}
+              required
+            />
+            <LoadingButton
+              type="submit"
+              isLoading={isLoading}
+              className="w-full bg-primary text-primary-foreground py-2.5 rounded-lg font-medium"
+            >
+              {t('myReports.verifyCode')}
+            </LoadingButton>
+            <Button
+              type="button"
+              variant="ghost"
+              size="sm"
+              fullWidth
+              iconName="ArrowLeft"
+              iconPosition="left"
+              onClick={() => { setStep('email'); setCode(''); setError(null); }}
+            >
+              {t('myReports.useDifferentEmail')}
+            </Button>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CitizenSignIn;
@@ -0,0 +1,241 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { issuesApi } from '../../utils/api';
+import { toast } from '../../utils/toast';
+import Icon from '../AppIcon';
+import Input from './Input';
+import { Checkbox } from './Checkbox';
+import { LoadingSpinner, LoadingButton } from './Loading';
+
+const formatDate = (dateString) => {
+  const date = new Date(dateString);
+  if (isNaN(date.getTime())) return '';
+  return date.toLocaleString('en-IN', {
+    timeZone: 'Asia/Kolkata',
+    day: '2-digit',
+    month: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hour12: true
+  });
+};
+
+const Comment = ({ comment, asStaff, canModerate, onReply, onReport, onModerate }) => {
+  const { t } = useTranslation();
+  const isRemoved = comment.isHidden && !comment.message;
+
+  return (
+    <div className={`rounded-lg p-3 border ${
+      comment.isInternal ? 'bg-amber-50 border-amber-200' :
+      comment.isOfficial ? 'bg-blue-50 border-blue-200' : 'bg-card border-border'
+    }`}>
+      <div className="flex items-center gap-2 flex-wrap mb-1">
+        <span className="text-sm font-semibold text-foreground">
+          {isRemoved ? t('comments.removedAuthor') : comment.authorName}
+        </span>
+        {comment.isOfficial && !comment.isInternal && (
+          <span className="inline-flex items-center gap-1 px-1.5 py-0.5 rounded text-[10px] font-bold uppercase bg-blue-100 text-blue-700">
+            <Icon name="BadgeCheck" size={12} />
+            {t('comments.official')}
+          </span>
+        )}
+        {comment.isInternal && (
+          <span className="inline-flex items-center gap-1 px-1.5 py-0.5 rounded text-[10px] font-bold uppercase bg-amber-100 text-amber-700">
+            <Icon name="Lock" size={12} />
+            {t('comments.internal')}
+          </span>
+        )}
+        {asStaff && comment.isHidden && (
+          <span className="px-1.5 py-0.5 rounded text-[10px] font-bold uppercase bg-red-100 text-red-700">
+            {t('comments.hidden')}
+          </span>
+        )}
+        {asStaff && comment.reportCount > 0 && (
+          <span className="text-[10px] text-red-600">
+            {t('comments.reportCount', { count: comment.reportCount })}
+          </span>
+        )}
+        <span className="text-xs text-muted-foreground ml-auto">{formatDate(comment.createdAt)}</span>
+      </div>
+
+      <p className={`text-sm whitespace-pre-line ${isRemoved ? 'italic text-muted-foreground' : 'text-foreground'}`}>
+        {isRemoved ? t('comments.removed') : comment.message}
+      </p>
+      {asStaff && comment.hiddenReason && (
+        <p className="text-xs text-red-600 mt-1">{comment.hiddenReason}</p>
+      )}
+
+      <div className="flex items-center gap-3 mt-2">
+        {onReply && (
+          <button onClick={() => onReply(comment)} className="text-xs font-medium text-primary hover:underline">
+            {t('comments.reply')}
+          </button>
+        )}
+        {!asStaff && !comment.isHidden && !comment.isOfficial && (
+          <button onClick={() => onReport(comment)} className="text-xs text-muted-foreground hover:text-red-600">
+            {t('comments.report')}
+          </button>
+        )}
+        {canModerate && !comment.isInternal && (
+          <button onClick={() => onModerate(comment, !comment.isHidden)} className="text-xs text-muted-foreground hover:text-red-600">
+            {comment.isHidden ? t('comments.restore') : t('comments.hide')}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Comment threads for an issue: residents comment and report, staff answer officially and moderate
+const CommentThread = ({ issueId, asStaff = false, canModerate = false }) => {
+  const { t } = useTranslation();
+  const [threads, setThreads] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [message, setMessage] = useState('');
+  const [citizenName, setCitizenName] = useState('');
+  const [citizenEmail, setCitizenEmail] = useState('');
+  const [isInternal, setIsInternal] = useState(false);
+  const [replyTo, setReplyTo] = useState(null);
+  const [isPosting, setIsPosting] = useState(false);
+
+  const loadComments = useCallback(async () => {
+    try {
+      const response = await issuesApi.getComments(issueId, { asStaff });
+      setThreads(response?.data || []);
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [issueId, asStaff]);
+
+  useEffect(() => {
+    loadComments();
+  }, [loadComments]);
+
+  const handlePost = async (e) => {
+    e.preventDefault();
+    if (message.trim().length < 2) return;
+    if (!asStaff && (!citizenName.trim() || !/\S+@\S+\.\S+/.test(citizenEmail))) {
+      toast.error(t('comments.detailsRequired'));
+      return;
+    }
+
+    setIsPosting(true);
+    try {
+      await issuesApi.addComment(issueId, {
+        message: message.trim(),
+        ...(replyTo ? { parentCommentId: replyTo.id } : {}),
+        ...(asStaff ? { internal: isInternal } : { citizenName: citizenName.trim(), citizenEmail: citizenEmail.trim() })
+      }, { asStaff });
+      setMessage('');
+      setReplyTo(null);
+      await loadComments();
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setIsPosting(false);
+    }
+  };
+
+  const handleReport = async (comment) => {
+    try {
+      const response = await issuesApi.reportComment(issueId, comment.id);
+      toast.success(response?.message);
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const handleModerate = async (comment, hidden) => {
+    try {
+      const response = await issuesApi.moderateComment(issueId, comment.id, hidden);
+      toast.success(response?.message);
+      await loadComments();
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const commentProps = { asStaff, canModerate, onReport: handleReport, onModerate: handleModerate };
+
+  return (
+    <div className="space-y-3">
+      {isLoading ? (
+        <div className="flex justify-center py-4">
+          <LoadingSpinner />
+        </div>
+      ) : threads.length === 0 ? (
+        <p className="text-sm text-muted-foreground">{t('comments.empty')}</p>
+      ) : (
+        threads.map(thread => (
+          <div key={thread.id} className="space-y-2">
+            <Comment comment={thread} onReply={setReplyTo} {...commentProps} />
+            {thread.replies.length > 0 && (
+              <div className="ml-6 space-y-2 border-l-2 border-border pl-3">
+                {thread.replies.map(reply => (
+                  <Comment key={reply.id} comment={reply} {...commentProps} />
+                ))}
+              </div>
+            )}
+          </div>
+        ))
+      )}
+
+      <form onSubmit={handlePost} className="space-y-3 pt-3 border-t border-border">
+        {replyTo && (
+          <div className="flex items-center justify-between text-xs text-muted-foreground">
+            <span>{t('comments.replyingTo', { name: replyTo.authorName || t('comments.removedAuthor') })}</span>
+            <button type="button" onClick={() => setReplyTo(null)} className="text-primary hover:underline">
+              {t('common.cancel')}
+            </button>
+          </div>
+        )}
+        <textarea
+          value={message}
+          onChange={(e) => setMessage(e.target.value)}
+          placeholder={asStaff ? t('comments.staffPlaceholder') : t('comments.placeholder')}
+          className="w-full px-3 py-2 rounded-lg border border-input bg-background text-sm text-foreground placeholder:text-muted-foreground focus:outline-none focus:ring-2 focus:ring-ring resize-none"
+          rows={3}
+          maxLength={2000}
+        />
+        {!asStaff && (
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+            <Input
+              placeholder={t('comments.name')}
+              value={citizenName}
+              onChange={(e) => setCitizenName(e.target.value)}
+            />
+            <Input
+              type="email"
+              placeholder={t('comments.email')}
+              value={citizenEmail}
+              onChange={(e) => setCitizenEmail(e.target.value)}
+            />
+          </div>
+        )}
+        <div className="flex items-center justify-between gap-3">
+          {asStaff ? (
+            <Checkbox
+              checked={isInternal || !!replyTo?.isInternal}
+              disabled={!!replyTo?.isInternal}
+              onChange={(e) => setIsInternal(e.target.checked)}
+              label={t('comments.internalNote')}
+            />
+          ) : (
+            <span className="text-xs text-muted-foreground">{t('comments.publicHint')}</span>
+          )}
+          <LoadingButton
+            type="submit"
+            isLoading={isPosting}
+            className="bg-blue-600 hover:bg-blue-700 text-white h-9 px-4 rounded-md text-sm font-medium flex-shrink-0"
+          >
+            {asStaff && !isInternal && !replyTo?.isInternal ? t('comments.postOfficial') : t('comments.post')}
+          </LoadingButton>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default CommentThread;
@@ -0,0 +1,77 @@
+import React, { useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { citizenApi } from '../../utils/api';
+import { toast } from '../../utils/toast';
+import Button from './Button';
+import { Checkbox } from './Checkbox';
+import { LoadingButton } from './Loading';
+import CitizenSignIn from './CitizenSignIn';
+
+// "Me too" form: adds the signed-in resident as a supporter of an existing issue
+const ConfirmIssueForm = ({ issueId, onConfirmed, onCancel }) => {
+  const { t } = useTranslation();
+  const [isSignedIn, setIsSignedIn] = useState(citizenApi.isSignedIn());
+  const [follow, setFollow] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    try {
+      const response = await citizenApi.confirmIssue(issueId, follow);
+      toast.success(response?.message);
+      onConfirmed?.(response?.data);
+    } catch (error) {
+      // An expired session clears the token; ask for a new code
+      if (!citizenApi.isSignedIn()) setIsSignedIn(false);
+      toast.error(error.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (!isSignedIn) {
+    return (
+      <div className="space-y-3">
+        <p className="text-xs text-muted-foreground">{t('confirmIssue.signInRequired')}</p>
+        <CitizenSignIn onSignedIn={() => setIsSignedIn(true)} />
+        {onCancel && (
+          <Button type="button" variant="outline" onClick={onCancel} fullWidth>
+            {t('common.cancel')}
+          </Button>
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-3">
+      <p className="text-sm text-muted-foreground">
+        {t('confirmIssue.confirmingAs', { email: citizenApi.getEmail() })}
+      </p>
+      <Checkbox
+        checked={follow}
+        onChange={(e) => setFollow(e.target.checked)}
+        label={t('confirmIssue.follow')}
+        description={t('confirmIssue.followHint')}
+      />
+      <div className="flex items-center gap-3">
+        {onCancel && (
+          <Button type="button" variant="outline" onClick={onCancel} fullWidth>
+            {t('common.cancel')}
+          </Button>
+        )}
+        <LoadingButton
+          type="submit"
+          isLoading={isSaving}
+          fullWidth
+          className="bg-blue-600 hover:bg-blue-700 text-white h-10 px-4 rounded-md text-sm font-medium"
+        >
+          {t('confirmIssue.submit')}
+        </LoadingButton>
+      </div>
+    </form>
+  );
+};
+
+export default ConfirmIssueForm;
@@ -14,6 +14,7 @@ const Header = ({ isAuthenticated = false }) => {
   const publicNavItems = [
     { label: t('navbar.reportIssue'), path: '/report-issue', icon: 'Camera' },
     { label: t('navbar.trackIssues'), path: '/public-transparency', icon: 'Eye' },
+    { label: t('navbar.myReports'), path: '/my-reports', icon: 'FileText' },
   ];
 
   const isActivePath = (path) => location?.pathname === path;
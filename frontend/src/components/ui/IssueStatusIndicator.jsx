@@ -4,6 +4,8 @@ import Icon from '../AppIcon';
 
 const IssueStatusIndicator = ({ 
   status = 'pending',
+  label = null,
+  stage = null,
   size = 'default',
   showLabel = true,
   className = ''
@@ -77,7 +79,10 @@ const IssueStatusIndicator = ({
     }
   };
 
-  const config = statusConfig?.[status] || statusConfig?.pending;
+  // Custom workflow statuses borrow the look of their lifecycle stage
+  const config = statusConfig?.[status]
+    || (statusConfig?.[stage] && { ...statusConfig[stage], label: label || status })
+    || statusConfig?.pending;
   
   const sizeClasses = {
     sm: 'px-2 py-1 text-xs gap-1',
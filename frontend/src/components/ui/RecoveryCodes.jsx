@@ -0,0 +1,42 @@
+import React from 'react';
+import { useTranslation } from 'react-i18next';
+import { toast } from '../../utils/toast';
+import Icon from '../AppIcon';
+
+// One-time display of freshly generated recovery codes
+const RecoveryCodes = ({ codes }) => {
+  const { t } = useTranslation();
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(codes.join('\n'));
+      toast.success(t('twoFactor.copied'));
+    } catch (error) {
+      toast.error(t('twoFactor.copyFailed'));
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-start gap-2 p-3 rounded-lg bg-amber-50 border border-amber-200 text-sm text-amber-800">
+        <Icon name="AlertTriangle" size={16} className="mt-0.5 flex-shrink-0" />
+        <p>{t('twoFactor.recoveryCodesHint')}</p>
+      </div>
+      <div className="grid grid-cols-2 gap-2 p-3 rounded-lg bg-gray-50 border font-mono text-sm text-gray-900">
+        {codes.map(code => (
+          <span key={code}>{code}</span>
+        ))}
+      </div>
+      <button
+        type="button"
+        onClick={handleCopy}
+        className="inline-flex items-center gap-1 text-sm text-blue-600 hover:underline"
+      >
+        <Icon name="Copy" size={14} />
+        {t('twoFactor.copyCodes')}
+      </button>
+    </div>
+  );
+};
+
+export default RecoveryCodes;
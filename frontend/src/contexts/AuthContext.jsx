@@ -31,14 +31,14 @@ export const AuthProvider = ({ children }) => {
 
       const response = await authApi.getCurrentUser();
       if (response.success) {
-        setUser(response.data);
+        setUser(response.data.user);
         setIsAuthenticated(true);
       } else {
-        localStorage.removeItem('auth_token');
+        authApi.clearSession();
       }
     } catch (error) {
       console.error('Auth check failed:', error);
-      localStorage.removeItem('auth_token');
+      authApi.clearSession();
     } finally {
       setIsLoading(false);
     }
@@ -47,7 +47,10 @@ export const AuthProvider = ({ children }) => {
   const login = async (credentials) => {
     try {
       const response = await authApi.login(credentials);
-      if (response.success) {
+      if (response.success && response.data.twoFactorRequired) {
+        // Password accepted; the login page collects the second factor
+        return { success: true, twoFactor: response.data };
+      } else if (response.success) {
         setUser(response.data.user);
         setIsAuthenticated(true);
         return { success: true };
@@ -59,15 +62,27 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  const logout = async () => {
+  // Finish a two-step sign-in; `setupCode` enrolls first when the role requires it
+  const completeTwoFactor = async (challengeToken, { code, recoveryCode, setupCode } = {}) => {
+    const response = setupCode
+      ? await authApi.completeTwoFactorSetup(challengeToken, setupCode)
+      : await authApi.verifyTwoFactor(challengeToken, { code, recoveryCode });
+
+    setUser(response.data.user);
+    setIsAuthenticated(true);
+    return response.data;
+  };
+
+  // serverSide: false when the session is already revoked (e.g. "sign out everywhere")
+  const logout = async ({ serverSide = true } = {}) => {
     try {
-      await authApi.logout();
+      if (serverSide) await authApi.logout();
     } catch (error) {
       console.error('Logout error:', error);
     } finally {
       setUser(null);
       setIsAuthenticated(false);
-      localStorage.removeItem('auth_token');
+      authApi.clearSession();
     }
   };
 
@@ -76,6 +91,7 @@ export const AuthProvider = ({ children }) => {
     isAuthenticated,
     isLoading,
     login,
+    completeTwoFactor,
     logout,
     checkAuthStatus
   };
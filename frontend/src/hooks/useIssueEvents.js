@@ -0,0 +1,44 @@
+import { useState, useEffect, useRef } from 'react';
+import { eventsApi } from '../utils/api';
+
+/**
+ * Live issue updates pushed by the backend over Server-Sent Events
+ *
+ * - Staff (signed in) receive every issue their role lets them see
+ * - Anyone can follow specific issues by passing `issueIds`
+ * - The stream reconnects automatically; `isConnected` reflects its state
+ *
+ * @param {function} onEvent - Called with { type, issue, previous, timestamp }
+ * @param {string[]} issueIds - Issue IDs to follow (optional for staff)
+ * @param {boolean} enabled - Set false to keep the stream closed
+ */
+export const useIssueEvents = ({ onEvent, issueIds = [], enabled = true } = {}) => {
+  const [isConnected, setIsConnected] = useState(false);
+
+  // Keep the latest callback without reopening the stream on every render
+  const onEventRef = useRef(onEvent);
+  useEffect(() => {
+    onEventRef.current = onEvent;
+  }, [onEvent]);
+
+  const issueKey = issueIds.filter(Boolean).join(',');
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+
+    const close = eventsApi.subscribeToIssues({
+      issueIds: issueKey ? issueKey.split(',') : [],
+      onEvent: (event) => onEventRef.current?.(event),
+      onConnectionChange: setIsConnected
+    });
+
+    return () => {
+      close();
+      setIsConnected(false);
+    };
+  }, [issueKey, enabled]);
+
+  return { isConnected };
+};
+
+export default useIssueEvents;
@@ -0,0 +1,380 @@
+import React, { useEffect, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import {
+  ResponsiveContainer,
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ReferenceLine
+} from 'recharts';
+import { aiAccuracyApi } from '../../../utils/api';
+import { toast } from '../../../utils/toast';
+import Icon from '../../../components/AppIcon';
+import Button from '../../../components/ui/Button';
+import Input from '../../../components/ui/Input';
+import Select from '../../../components/ui/Select';
+import { SkeletonTable } from '../../../components/ui/Loading';
+
+const THRESHOLD_KEYS = ['review_confidence', 'duplicate_confidence'];
+
+const THRESHOLD_LABELS = {
+  review_confidence: 'reviewConfidence',
+  duplicate_confidence: 'duplicateConfidence'
+};
+
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+const percent = (value) => (value === null || value === undefined ? '—' : `${Math.round(value * 100)}%`);
+
+const SummaryCard = ({ icon, label, value, hint }) => (
+  <div className="bg-card border border-border rounded-lg p-4">
+    <div className="flex items-center gap-2 text-sm text-muted-foreground">
+      <Icon name={icon} size={16} />
+      {label}
+    </div>
+    <div className="text-2xl font-semibold text-foreground mt-1">{value}</div>
+    {hint && <p className="text-xs text-muted-foreground mt-1">{hint}</p>}
+  </div>
+);
+
+const Section = ({ title, description, children }) => (
+  <section className="bg-card border border-border rounded-lg p-4 space-y-3">
+    <div>
+      <h3 className="font-semibold text-foreground">{title}</h3>
+      {description && <p className="text-xs text-muted-foreground">{description}</p>}
+    </div>
+    {children}
+  </section>
+);
+
+/**
+ * Actual (rows) against predicted (columns) categories; the diagonal is where the AI was right
+ */
+const ConfusionMatrix = ({ matrix }) => {
+  const { t } = useTranslation();
+  const max = Math.max(1, ...matrix.counts.flat());
+  const categoryLabel = (category) => t(`category.${category}`, category);
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="text-xs border-collapse">
+        <thead>
+          <tr>
+            <th className="p-2 text-left text-muted-foreground font-normal">{t('aiAccuracy.actualPredicted')}</th>
+            {matrix.labels.map(label => (
+              <th key={label} className="p-2 font-medium text-foreground">{categoryLabel(label)}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {matrix.labels.map((actual, row) => (
+            <tr key={actual}>
+              <th className="p-2 text-left font-medium text-foreground">{categoryLabel(actual)}</th>
+              {matrix.counts[row].map((count, column) => {
+                const strength = count / max;
+                const isCorrect = row === column;
+                return (
+                  <td
+                    key={matrix.labels[column]}
+                    className="p-2 text-center border border-border min-w-[3rem]"
+                    style={count ? {
+                      backgroundColor: isCorrect
+                        ? `rgba(16, 185, 129, ${0.15 + strength * 0.6})`
+                        : `rgba(220, 38, 38, ${0.1 + strength * 0.5})`
+                    } : undefined}
+                  >
+                    {count}
+                  </td>
+                );
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+/**
+ * Review cutoff and duplicate threshold, editable with ai.settings.manage
+ */
+const ThresholdSettings = ({ thresholds, canManage, onSaved }) => {
+  const { t } = useTranslation();
+  const [values, setValues] = useState({});
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    setValues(Object.fromEntries(THRESHOLD_KEYS.map(key => [key, String(thresholds.current[key])])));
+  }, [thresholds]);
+
+  const recommended = thresholds.recommendation?.reviewConfidence;
+  const changes = Object.fromEntries(
+    THRESHOLD_KEYS
+      .filter(key => values[key] !== undefined && Number(values[key]) !== thresholds.current[key])
+      .map(key => [key, Number(values[key])])
+  );
+
+  const handleSave = async () => {
+    try {
+      setIsSaving(true);
+      await aiAccuracyApi.updateThresholds(changes);
+      toast.success(t('aiAccuracy.thresholdsSaved'));
+      onSaved?.();
+    } catch (saveError) {
+      toast.error(saveError.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {THRESHOLD_KEYS.map(key => (
+          <Input
+            key={key}
+            type="number"
+            label={t(`aiAccuracy.${THRESHOLD_LABELS[key]}`)}
+            description={t(`aiAccuracy.${THRESHOLD_LABELS[key]}Help`, { value: thresholds.defaults[key] })}
+            min={0.05}
+            max={0.99}
+            step={0.05}
+            value={values[key] ?? ''}
+            onChange={(e) => setValues(current => ({ ...current, [key]: e.target.value }))}
+            disabled={!canManage}
+          />
+        ))}
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2">
+        {canManage && (
+          <Button size="sm" iconName="Save" iconPosition="left" disabled={isSaving || Object.keys(changes).length === 0} onClick={handleSave}>
+            {t('aiAccuracy.saveThresholds')}
+          </Button>
+        )}
+        {canManage && recommended && recommended !== thresholds.current.review_confidence && (
+          <Button
+            variant="outline"
+            size="sm"
+            iconName="Wand2"
+            iconPosition="left"
+            onClick={() => setValues(current => ({ ...current, review_confidence: String(recommended) }))}
+          >
+            {t('aiAccuracy.useRecommended', { value: recommended })}
+          </Button>
+        )}
+        {!canManage && <p className="text-xs text-muted-foreground">{t('aiAccuracy.readOnly')}</p>}
+      </div>
+
+      {thresholds.recommendation && (
+        <p className="text-sm text-muted-foreground flex items-start gap-2">
+          <Icon name="Lightbulb" size={16} className="mt-0.5 flex-shrink-0" />
+          {recommended
+            ? t('aiAccuracy.recommendation', {
+              value: recommended,
+              accuracy: percent(thresholds.recommendation.expectedAccuracy),
+              share: percent(thresholds.recommendation.reviewShare)
+            })
+            : t('aiAccuracy.noRecommendation', { target: percent(thresholds.recommendation.targetAccuracy) })}
+        </p>
+      )}
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-xs">
+          <thead>
+            <tr className="text-left text-muted-foreground border-b border-border">
+              <th className="p-2 font-medium">{t('aiAccuracy.cutoff')}</th>
+              <th className="p-2 font-medium">{t('aiAccuracy.reviewShare')}</th>
+              <th className="p-2 font-medium">{t('aiAccuracy.accuracyAbove')}</th>
+              <th className="p-2 font-medium">{t('aiAccuracy.accuracyBelow')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {thresholds.curve.map(point => (
+              <tr
+                key={point.threshold}
+                className={`border-b border-border ${
+                  point.threshold === thresholds.current.review_confidence ? 'bg-primary/10 font-semibold' : ''
+                }`}
+              >
+                <td className="p-2">
+                  {point.threshold}
+                  {point.threshold === recommended && <Icon name="Star" size={12} className="inline ml-1 text-warning" />}
+                </td>
+                <td className="p-2">{percent(point.reviewShare)}</td>
+                <td className="p-2">{percent(point.above.accuracy)} <span className="text-muted-foreground">({point.above.labelled})</span></td>
+                <td className="p-2">{percent(point.below.accuracy)} <span className="text-muted-foreground">({point.below.labelled})</span></td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * How often the AI's category was right against reviewed categories, with
+ * the thresholds the AI pipeline uses
+ */
+const AIAccuracyPanel = ({ canManageThresholds = false }) => {
+  const { t } = useTranslation();
+  const [from, setFrom] = useState(daysAgo(90));
+  const [to, setTo] = useState(daysAgo(0));
+  const [granularity, setGranularity] = useState('week');
+  const [report, setReport] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    let isActive = true;
+
+    setIsLoading(true);
+    aiAccuracyApi.report({ from, to: `${to}T23:59:59.999Z`, granularity })
+      .then(response => {
+        if (!isActive) return;
+        setReport(response?.data || null);
+        setError(null);
+      })
+      .catch(loadError => {
+        if (isActive) setError(loadError.message);
+      })
+      .finally(() => {
+        if (isActive) setIsLoading(false);
+      });
+    return () => {
+      isActive = false;
+    };
+  }, [from, to, granularity, reloadKey]);
+
+  const granularityOptions = ['day', 'week', 'month'].map(value => ({ value, label: t(`aiAccuracy.${value}`) }));
+  const categoryLabel = (category) => t(`category.${category}`, category);
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-col md:flex-row md:items-end justify-between gap-4">
+        <div>
+          <h2 className="text-xl font-semibold text-foreground">{t('aiAccuracy.title')}</h2>
+          <p className="text-sm text-muted-foreground">{t('aiAccuracy.subtitle')}</p>
+        </div>
+        <div className="flex flex-wrap items-end gap-2">
+          <Input type="date" label={t('aiAccuracy.from')} value={from} max={to} onChange={(e) => e.target.value && setFrom(e.target.value)} />
+          <Input type="date" label={t('aiAccuracy.to')} value={to} min={from} onChange={(e) => e.target.value && setTo(e.target.value)} />
+          <Select options={granularityOptions} value={granularity} onChange={setGranularity} className="w-36" />
+        </div>
+      </div>
+
+      {isLoading && !report ? (
+        <SkeletonTable rows={5} />
+      ) : error ? (
+        <p className="text-sm text-error">{error}</p>
+      ) : report && (
+        <>
+          <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+            <SummaryCard icon="Target" label={t('aiAccuracy.accuracy')} value={percent(report.summary.accuracy)}
+              hint={t('aiAccuracy.correctOf', { correct: report.summary.correct, total: report.summary.labelled })} />
+            <SummaryCard icon="ClipboardCheck" label={t('aiAccuracy.labelled')} value={report.summary.labelled}
+              hint={t('aiAccuracy.classifiedCount', { count: report.summary.classified })} />
+            <SummaryCard icon="Gauge" label={t('aiAccuracy.averageConfidence')} value={percent(report.summary.averageConfidence)} />
+            <SummaryCard icon="Scale" label={t('aiAccuracy.calibrationError')} value={percent(report.calibration.expectedCalibrationError)}
+              hint={t('aiAccuracy.calibrationErrorHint')} />
+          </div>
+
+          {report.summary.labelled === 0 && (
+            <div className="bg-muted/50 rounded-lg p-6 text-center text-sm text-muted-foreground">
+              <Icon name="Info" size={20} className="mx-auto mb-2" />
+              {t('aiAccuracy.noData')}
+            </div>
+          )}
+
+          <div className="grid grid-cols-1 xl:grid-cols-2 gap-6">
+            <Section title={t('aiAccuracy.overTime')} description={t('aiAccuracy.overTimeHelp')}>
+              <div className="h-64">
+                <ResponsiveContainer width="100%" height="100%">
+                  <LineChart data={report.overTime}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="var(--color-border)" />
+                    <XAxis dataKey="period" tick={{ fontSize: 11 }} />
+                    <YAxis domain={[0, 1]} tickFormatter={percent} tick={{ fontSize: 11 }} />
+                    <Tooltip formatter={(value) => percent(value)} />
+                    <Legend />
+                    <Line type="monotone" dataKey="accuracy" name={t('aiAccuracy.accuracy')} stroke="var(--color-primary)" connectNulls />
+                    <Line type="monotone" dataKey="precision" name={t('aiAccuracy.precision')} stroke="var(--color-accent)" connectNulls />
+                    <Line type="monotone" dataKey="recall" name={t('aiAccuracy.recall')} stroke="var(--color-warning)" connectNulls />
+                  </LineChart>
+                </ResponsiveContainer>
+              </div>
+            </Section>
+
+            <Section title={t('aiAccuracy.calibration')} description={t('aiAccuracy.calibrationHelp')}>
+              <div className="h-64">
+                <ResponsiveContainer width="100%" height="100%">
+                  <LineChart data={report.calibration.bins.filter(bin => bin.count > 0)}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="var(--color-border)" />
+                    <XAxis type="number" dataKey="meanConfidence" domain={[0, 1]} tickFormatter={percent} tick={{ fontSize: 11 }} />
+                    <YAxis domain={[0, 1]} tickFormatter={percent} tick={{ fontSize: 11 }} />
+                    <Tooltip
+                      formatter={(value) => percent(value)}
+                      labelFormatter={(value) => t('aiAccuracy.confidenceLabel', { value: percent(value) })}
+                    />
+                    <ReferenceLine segment={[{ x: 0, y: 0 }, { x: 1, y: 1 }]} stroke="var(--color-muted-foreground)" strokeDasharray="4 4" />
+                    <Line type="monotone" dataKey="accuracy" name={t('aiAccuracy.accuracy')} stroke="var(--color-primary)" />
+                  </LineChart>
+                </ResponsiveContainer>
+              </div>
+            </Section>
+          </div>
+
+          {report.confusionMatrix.labels.length > 0 && (
+            <div className="grid grid-cols-1 xl:grid-cols-2 gap-6">
+              <Section title={t('aiAccuracy.confusionMatrix')} description={t('aiAccuracy.confusionMatrixHelp')}>
+                <ConfusionMatrix matrix={report.confusionMatrix} />
+              </Section>
+
+              <Section title={t('aiAccuracy.byCategory')}>
+                <div className="overflow-x-auto">
+                  <table className="w-full text-xs">
+                    <thead>
+                      <tr className="text-left text-muted-foreground border-b border-border">
+                        <th className="p-2 font-medium">{t('aiAccuracy.category')}</th>
+                        <th className="p-2 font-medium">{t('aiAccuracy.precision')}</th>
+                        <th className="p-2 font-medium">{t('aiAccuracy.recall')}</th>
+                        <th className="p-2 font-medium">F1</th>
+                        <th className="p-2 font-medium">{t('aiAccuracy.support')}</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {report.categories.map(metrics => (
+                        <tr key={metrics.category} className="border-b border-border">
+                          <td className="p-2 font-medium text-foreground">{categoryLabel(metrics.category)}</td>
+                          <td className="p-2">{percent(metrics.precision)}</td>
+                          <td className="p-2">{percent(metrics.recall)}</td>
+                          <td className="p-2">{percent(metrics.f1)}</td>
+                          <td className="p-2">{metrics.support}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </Section>
+            </div>
+          )}
+
+          <Section title={t('aiAccuracy.thresholds')} description={t('aiAccuracy.thresholdsHelp')}>
+            <ThresholdSettings
+              thresholds={report.thresholds}
+              canManage={canManageThresholds}
+              onSaved={() => setReloadKey(key => key + 1)}
+            />
+          </Section>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default AIAccuracyPanel;
@@ -6,8 +6,12 @@ import Button from '../../../components/ui/Button';
 import IssueStatusIndicator from '../../../components/ui/IssueStatusIndicator';
 import LocationDisplay from '../../../components/ui/LocationDisplay';
 import AIClassificationBadge from '../../../components/ui/AIClassificationBadge';
+import LinkedIssuesPanel from './LinkedIssuesPanel';
+import WorkOrdersPanel from './WorkOrdersPanel';
+import CommentThread from '../../../components/ui/CommentThread';
+import { getImageUrl } from '../../../utils/api';
 
-const IssueDetailModal = ({ issue, onClose, onStatusChange, onPriorityChange }) => {
+const IssueDetailModal = ({ issue, onClose, onStatusChange, onPriorityChange, candidates = [], canLink = false, onLinksChanged, canModerateComments = false, canManageWorkOrders = false }) => {
   const { t } = useTranslation();
 
   if (!issue) return null;
@@ -108,7 +112,7 @@ const IssueDetailModal = ({ issue, onClose, onStatusChange, onPriorityChange })
 
               {/* Status + Priority + Severity + Category Badges */}
               <div className="flex flex-wrap items-center gap-2">
-                <IssueStatusIndicator status={issue?.status} />
+                <IssueStatusIndicator status={issue?.status} label={issue?.statusLabel} stage={issue?.statusStage} />
                 <span className={`inline-flex items-center gap-1.5 px-2.5 py-1 rounded-md border ${priority?.bg} ${priority?.border} ${priority?.color} text-xs font-semibold`}>
                   <Icon name={priority?.icon} size={14} />
                   {t('issueDetailModal.priorityLabel')}{priority?.label}
@@ -185,6 +189,17 @@ const IssueDetailModal = ({ issue, onClose, onStatusChange, onPriorityChange })
             </div>
           )}
 
+          {/* Split / merged reports */}
+          <LinkedIssuesPanel
+            issue={issue}
+            candidates={candidates}
+            canLink={canLink}
+            onChanged={onLinksChanged}
+          />
+
+          {/* Field crew work orders */}
+          <WorkOrdersPanel issue={issue} canManage={canManageWorkOrders} />
+
           {/* Info Grid: Submission + Assignment + Department */}
           <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
             {/* Submission Details */}
@@ -324,6 +339,15 @@ const IssueDetailModal = ({ issue, onClose, onStatusChange, onPriorityChange })
                               {entry.notes}
                             </p>
                           )}
+                          {entry.images?.length > 0 && (
+                            <div className="flex gap-2 mt-1">
+                              {entry.images.map((src, imageIndex) => (
+                                <a key={imageIndex} href={getImageUrl(src)} target="_blank" rel="noreferrer" className="w-16 h-16 rounded overflow-hidden border border-border">
+                                  <Image src={src} alt={t('issueDetailModal.reopenPhoto')} className="w-full h-full object-cover" />
+                                </a>
+                              ))}
+                            </div>
+                          )}
                         </div>
                       </div>
                     );
@@ -333,6 +357,17 @@ const IssueDetailModal = ({ issue, onClose, onStatusChange, onPriorityChange })
             </div>
           )}
 
+          {/* Comments and internal notes */}
+          <div className="bg-muted/50 rounded-lg p-4">
+            <div className="flex items-center gap-2 text-muted-foreground mb-4">
+              <Icon name="MessagesSquare" size={16} />
+              <span className="text-xs font-semibold uppercase tracking-wider">
+                {t('comments.title')}
+              </span>
+            </div>
+            <CommentThread issueId={issue.id} asStaff canModerate={canModerateComments} />
+          </div>
+
           {/* Routing Logs */}
           {issue?.routingLogs && issue.routingLogs.length > 0 && (
             <div className="bg-muted/50 rounded-lg p-4">
@@ -376,6 +411,12 @@ const IssueDetailModal = ({ issue, onClose, onStatusChange, onPriorityChange })
                         </>
                       )}
                     </div>
+                    {log.assignment_reason && (
+                      <p className="text-xs text-muted-foreground mt-2">
+                        <span>{t('issueDetailModal.assignmentReason')}</span>
+                        <span className="ml-1 text-foreground">{log.assignment_reason}</span>
+                      </p>
+                    )}
                   </div>
                 ))}
               </div>
@@ -448,22 +489,32 @@ const IssueDetailModal = ({ issue, onClose, onStatusChange, onPriorityChange })
             </div>
           )}
 
+          {/* Rejected resolutions */}
+          {issue?.reopenCount > 0 && (
+            <div className="rounded-lg p-3 flex items-center gap-3 bg-amber-50 border border-amber-200 text-amber-800">
+              <Icon name="RotateCcw" size={18} />
+              <span className="text-sm font-semibold">{t('issueDetailModal.reopened', { count: issue.reopenCount })}</span>
+            </div>
+          )}
+
           {/* Action Buttons */}
           <div className="flex flex-col sm:flex-row items-center gap-3 pt-4 border-t border-border">
-            <Button
-              variant="outline"
-              onClick={() => {
-                onClose();
-                // Use setTimeout so close state settles before opening status modal
-                setTimeout(() => onStatusChange(issue?.id), 50);
-              }}
-              iconName="Edit"
-              iconPosition="left"
-              iconSize={18}
-              fullWidth
-            >
-              {t('issueDetailModal.updateStatus')}
-            </Button>
+            {!issue?.mergedIntoIssueId && (
+              <Button
+                variant="outline"
+                onClick={() => {
+                  onClose();
+                  // Use setTimeout so close state settles before opening status modal
+                  setTimeout(() => onStatusChange(issue?.id), 50);
+                }}
+                iconName="Edit"
+                iconPosition="left"
+                iconSize={18}
+                fullWidth
+              >
+                {t('issueDetailModal.updateStatus')}
+              </Button>
+            )}
             <Button
               variant="outline"
               onClick={() => {
@@ -55,6 +55,19 @@ const IssueTableRow = ({
 
   const slaInfo = getSlaInfo();
 
+  // Highest SLA escalation level reached; amber before the deadline, red after
+  const escalationBadge = issue?.escalationLevel > 0 && (
+    <span
+      title={issue.escalationReason || undefined}
+      className={`inline-flex items-center gap-0.5 px-1.5 py-0.5 rounded text-[10px] font-semibold ${
+        issue.autoEscalated ? 'bg-red-100 text-red-700' : 'bg-amber-100 text-amber-700'
+      }`}
+    >
+      <Icon name="TrendingUp" size={10} />
+      {t('issueTableRow.escalationLevel', { level: issue.escalationLevel })}
+    </span>
+  );
+
   if (variant === 'mobile') {
     return (
       <div className="bg-card rounded-lg border border-border p-4 mb-4">
@@ -75,7 +88,7 @@ const IssueTableRow = ({
               {issue?.description}
             </p>
             <div className="flex items-center gap-1.5 flex-wrap">
-              <IssueStatusIndicator status={issue?.status} size="sm" />
+              <IssueStatusIndicator status={issue?.status} label={issue?.statusLabel} stage={issue?.statusStage} size="sm" />
               {issue?.isDuplicate && (
                 <span className="inline-flex items-center gap-0.5 px-1.5 py-0.5 rounded bg-amber-100 text-amber-700 text-[10px] font-medium">
                   <Icon name="Copy" size={10} />
@@ -129,8 +142,11 @@ const IssueTableRow = ({
           {slaInfo && (
             <div className="flex items-center justify-between">
               <span className="text-xs text-muted-foreground">{t('issueTableRow.slaLabel')}</span>
-              <span className={`text-xs font-semibold ${slaInfo.isOverdue ? 'text-red-600' : 'text-foreground'}`}>
-                {slaInfo.isOverdue ? t('issueTableRow.breached') : formatDate(issue.slaDeadline)}
+              <span className="inline-flex items-center gap-1.5">
+                {escalationBadge}
+                <span className={`text-xs font-semibold ${slaInfo.isOverdue ? 'text-red-600' : 'text-foreground'}`}>
+                  {slaInfo.isOverdue ? t('issueTableRow.breached') : formatDate(issue.slaDeadline)}
+                </span>
               </span>
             </div>
           )}
@@ -242,9 +258,12 @@ const IssueTableRow = ({
         </td>
         <td className="p-3">
           {slaInfo ? (
-            <span className={`text-xs font-medium ${slaInfo.isOverdue ? 'text-red-600 font-semibold' : 'text-muted-foreground'}`}>
-              {slaInfo.isOverdue ? t('issueTableRow.breachedShort') : formatDate(issue.slaDeadline)}
-            </span>
+            <div className="flex flex-col items-start gap-1">
+              <span className={`text-xs font-medium ${slaInfo.isOverdue ? 'text-red-600 font-semibold' : 'text-muted-foreground'}`}>
+                {slaInfo.isOverdue ? t('issueTableRow.breachedShort') : formatDate(issue.slaDeadline)}
+              </span>
+              {escalationBadge}
+            </div>
           ) : (
             <span className="text-xs text-muted-foreground">—</span>
           )}
@@ -255,7 +274,7 @@ const IssueTableRow = ({
           </p>
         </td>
         <td className="p-3">
-          <IssueStatusIndicator status={issue?.status} size="sm" />
+          <IssueStatusIndicator status={issue?.status} label={issue?.statusLabel} stage={issue?.statusStage} size="sm" />
         </td>
         <td className="p-3">
           <div className="flex items-center gap-1">
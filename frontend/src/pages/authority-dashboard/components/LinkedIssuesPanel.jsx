@@ -0,0 +1,288 @@
+import React, { useEffect, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { issuesApi } from '../../../utils/api';
+import { toast } from '../../../utils/toast';
+import Icon from '../../../components/AppIcon';
+import Button from '../../../components/ui/Button';
+import Input from '../../../components/ui/Input';
+import Select from '../../../components/ui/Select';
+import { Checkbox } from '../../../components/ui/Checkbox';
+import { LoadingButton } from '../../../components/ui/Loading';
+
+const CATEGORIES = ['pothole', 'garbage', 'streetlight', 'graffiti', 'water', 'traffic', 'sidewalk', 'other'];
+const CLOSED_STAGES = ['resolved', 'closed', 'rejected'];
+const MAX_PARTS = 5;
+
+const LinkedIssueRow = ({ linked }) => {
+  const { t } = useTranslation();
+  return (
+    <div className="flex items-center justify-between gap-3 bg-card rounded-md px-3 py-2 border border-border">
+      <span className="text-sm font-mono font-semibold text-foreground">#{linked.id}</span>
+      <span className="text-xs text-muted-foreground">{t(`category.${linked.category}`, linked.category)}</span>
+      <span className="text-xs font-medium text-foreground">{linked.statusLabel}</span>
+    </div>
+  );
+};
+
+const LinkedIssuesPanel = ({ issue, candidates = [], canLink = false, onChanged }) => {
+  const { t } = useTranslation();
+  const [links, setLinks] = useState(null);
+  const [mode, setMode] = useState(null);
+  const [parts, setParts] = useState([]);
+  const [mergeIds, setMergeIds] = useState([]);
+  const [otherIds, setOtherIds] = useState('');
+  const [reason, setReason] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    let isActive = true;
+    issuesApi.getById(issue.id)
+      .then(response => {
+        if (isActive) setLinks(response?.data?.linkedIssues || null);
+      })
+      .catch(() => {
+        if (isActive) setLinks(null);
+      });
+    return () => {
+      isActive = false;
+    };
+  }, [issue.id]);
+
+  const categoryOptions = CATEGORIES.map(category => ({ value: category, label: t(`category.${category}`) }));
+
+  // Open reports of the same category that could describe the same problem
+  const mergeCandidates = candidates
+    .filter(candidate => candidate.id !== issue.id &&
+      candidate.category === issue.category &&
+      !candidate.mergedIntoIssueId &&
+      !candidate.parentIssueId &&
+      !CLOSED_STAGES.includes(candidate.statusStage))
+    .slice(0, 8);
+
+  const isMerged = !!issue.mergedIntoIssueId;
+  const isSubIssue = !!issue.parentIssueId;
+  const subIssues = links?.subIssues || [];
+  const mergedIssues = links?.mergedIssues || [];
+  const canSplit = canLink && !isMerged && !isSubIssue && !CLOSED_STAGES.includes(issue.statusStage);
+  const canMerge = canLink && !isMerged;
+
+  const openForm = (nextMode) => {
+    setMode(nextMode);
+    setReason('');
+    setParts([
+      { category: issue.category, description: '' },
+      { category: 'other', description: '' }
+    ]);
+    setMergeIds([]);
+    setOtherIds('');
+  };
+
+  const updatePart = (index, changes) => {
+    setParts(prev => prev.map((part, i) => (i === index ? { ...part, ...changes } : part)));
+  };
+
+  const handleSaved = (response) => {
+    setLinks(response?.data?.linkedIssues || links);
+    setMode(null);
+    toast.success(response?.message);
+    onChanged?.();
+  };
+
+  const handleSplit = async () => {
+    setIsSaving(true);
+    try {
+      const payload = parts.map(part => ({
+        category: part.category,
+        ...(part.description.trim() ? { description: part.description.trim() } : {})
+      }));
+      handleSaved(await issuesApi.splitIssue(issue.id, payload, reason));
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleMerge = async () => {
+    const issueIds = [...mergeIds, ...otherIds.split(/[\s,]+/).filter(Boolean)];
+    if (issueIds.length === 0) {
+      toast.error(t('issueLinks.chooseReports'));
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      handleSaved(await issuesApi.mergeIssues(issue.id, issueIds, reason));
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const hasLinks = isMerged || isSubIssue || subIssues.length > 0 || mergedIssues.length > 0;
+  if (!hasLinks && !canSplit && !canMerge) return null;
+
+  return (
+    <div className="bg-muted/50 rounded-lg p-4 space-y-4">
+      <div className="flex items-center justify-between gap-2 flex-wrap">
+        <div className="flex items-center gap-2 text-muted-foreground">
+          <Icon name="GitBranch" size={16} />
+          <span className="text-xs font-semibold uppercase tracking-wider">
+            {t('issueLinks.title')}
+          </span>
+        </div>
+        {!mode && (
+          <div className="flex items-center gap-2">
+            {canSplit && (
+              <Button variant="outline" size="sm" iconName="Split" iconPosition="left" onClick={() => openForm('split')}>
+                {t('issueLinks.split')}
+              </Button>
+            )}
+            {canMerge && (
+              <Button variant="outline" size="sm" iconName="Merge" iconPosition="left" onClick={() => openForm('merge')}>
+                {t('issueLinks.merge')}
+              </Button>
+            )}
+          </div>
+        )}
+      </div>
+
+      {isMerged && (
+        <p className="text-sm text-foreground">
+          {t('issueLinks.mergedInto', { id: issue.mergedIntoIssueId })}
+        </p>
+      )}
+      {isSubIssue && (
+        <p className="text-sm text-foreground">
+          {t('issueLinks.splitFrom', { id: issue.parentIssueId })}
+        </p>
+      )}
+
+      {subIssues.length > 0 && (
+        <div className="space-y-2">
+          <p className="text-xs text-muted-foreground">{t('issueLinks.subIssues')}</p>
+          {subIssues.map(linked => <LinkedIssueRow key={linked.id} linked={linked} />)}
+          <p className="text-xs text-muted-foreground">{t('issueLinks.parentFollows')}</p>
+        </div>
+      )}
+
+      {mergedIssues.length > 0 && (
+        <div className="space-y-2">
+          <p className="text-xs text-muted-foreground">{t('issueLinks.mergedReports')}</p>
+          {mergedIssues.map(linked => <LinkedIssueRow key={linked.id} linked={linked} />)}
+        </div>
+      )}
+
+      {mode === 'split' && (
+        <div className="space-y-3 border-t border-border pt-4">
+          <p className="text-sm text-muted-foreground">{t('issueLinks.splitHelp')}</p>
+          {parts.map((part, index) => (
+            <div key={index} className="flex flex-col md:flex-row md:items-end gap-2 bg-card rounded-md p-3 border border-border">
+              <Select
+                label={t('issueLinks.subIssueCategory', { number: index + 1 })}
+                options={categoryOptions}
+                value={part.category}
+                onChange={(value) => updatePart(index, { category: value })}
+                className="md:w-48"
+              />
+              <Input
+                label={t('issueLinks.subIssueDescription')}
+                placeholder={t('issueLinks.descriptionPlaceholder')}
+                value={part.description}
+                onChange={(e) => updatePart(index, { description: e.target.value })}
+                className="flex-1"
+              />
+              {parts.length > 1 && (
+                <button
+                  type="button"
+                  onClick={() => setParts(prev => prev.filter((_, i) => i !== index))}
+                  className="p-2 rounded-md hover:bg-muted transition-smooth"
+                  aria-label={t('issueLinks.removeSubIssue')}
+                >
+                  <Icon name="Trash2" size={16} />
+                </button>
+              )}
+            </div>
+          ))}
+          {parts.length < MAX_PARTS && (
+            <Button
+              variant="ghost"
+              size="sm"
+              iconName="Plus"
+              iconPosition="left"
+              onClick={() => setParts(prev => [...prev, { category: 'other', description: '' }])}
+            >
+              {t('issueLinks.addSubIssue')}
+            </Button>
+          )}
+          <Input
+            label={t('issueLinks.reason')}
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+          />
+          <div className="flex items-center gap-3">
+            <Button variant="outline" onClick={() => setMode(null)} fullWidth>
+              {t('common.cancel')}
+            </Button>
+            <LoadingButton
+              isLoading={isSaving}
+              onClick={handleSplit}
+              fullWidth
+              className="bg-blue-600 hover:bg-blue-700 text-white h-10 px-4 rounded-md text-sm font-medium"
+            >
+              {t('issueLinks.confirmSplit', { count: parts.length })}
+            </LoadingButton>
+          </div>
+        </div>
+      )}
+
+      {mode === 'merge' && (
+        <div className="space-y-3 border-t border-border pt-4">
+          <p className="text-sm text-muted-foreground">{t('issueLinks.mergeHelp', { id: issue.id })}</p>
+          {mergeCandidates.length > 0 && (
+            <div className="space-y-2">
+              {mergeCandidates.map(candidate => (
+                <Checkbox
+                  key={candidate.id}
+                  checked={mergeIds.includes(candidate.id)}
+                  onChange={(e) => setMergeIds(prev => (
+                    e.target.checked ? [...prev, candidate.id] : prev.filter(id => id !== candidate.id)
+                  ))}
+                  label={`#${candidate.id} — ${candidate.location}`}
+                  description={candidate.description}
+                />
+              ))}
+            </div>
+          )}
+          <Input
+            label={t('issueLinks.otherIds')}
+            placeholder={t('issueLinks.otherIdsPlaceholder')}
+            value={otherIds}
+            onChange={(e) => setOtherIds(e.target.value)}
+          />
+          <Input
+            label={t('issueLinks.reason')}
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+          />
+          <div className="flex items-center gap-3">
+            <Button variant="outline" onClick={() => setMode(null)} fullWidth>
+              {t('common.cancel')}
+            </Button>
+            <LoadingButton
+              isLoading={isSaving}
+              onClick={handleMerge}
+              fullWidth
+              className="bg-blue-600 hover:bg-blue-700 text-white h-10 px-4 rounded-md text-sm font-medium"
+            >
+              {t('issueLinks.confirmMerge')}
+            </LoadingButton>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LinkedIssuesPanel;
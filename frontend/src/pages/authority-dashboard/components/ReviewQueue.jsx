@@ -0,0 +1,232 @@
+import React, { useEffect, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { classificationReviewsApi } from '../../../utils/api';
+import { toast } from '../../../utils/toast';
+import Icon from '../../../components/AppIcon';
+import Image from '../../../components/AppImage';
+import Button from '../../../components/ui/Button';
+import Input from '../../../components/ui/Input';
+import Select from '../../../components/ui/Select';
+import { SkeletonTable } from '../../../components/ui/Loading';
+
+const CATEGORIES = ['pothole', 'garbage', 'streetlight', 'graffiti', 'water', 'traffic', 'sidewalk', 'other'];
+
+const PAGE_SIZE = 10;
+
+const confidenceStyle = (confidence) => {
+  if (confidence >= 0.6) return 'bg-amber-100 text-amber-700';
+  return 'bg-red-100 text-red-700';
+};
+
+/**
+ * One issue waiting for review: accept the AI's category, override it or
+ * reject it (back to the reporter's category)
+ */
+const ReviewCard = ({ issue, onDecide, isSaving, onOpenIssue }) => {
+  const { t } = useTranslation();
+  const { review } = issue;
+  const [override, setOverride] = useState('');
+  const [notes, setNotes] = useState('');
+  const categoryLabel = (category) => t(`category.${category}`, category);
+  const categoryOptions = CATEGORIES
+    .filter(category => category !== issue.category)
+    .map(category => ({ value: category, label: categoryLabel(category) }));
+
+  const decide = (decision) => onDecide(issue, decision, { category: override, notes: notes.trim() });
+
+  return (
+    <div className="bg-card border border-border rounded-lg p-4 flex flex-col md:flex-row gap-4">
+      <div className="w-full md:w-40 h-40 rounded-md overflow-hidden bg-muted flex-shrink-0">
+        {issue.images?.[0] ? (
+          <Image src={issue.images[0]} alt={t('reviewQueue.photoAlt', { id: issue.id })} className="w-full h-full object-cover" />
+        ) : (
+          <div className="w-full h-full flex items-center justify-center text-muted-foreground">
+            <Icon name="ImageOff" size={24} />
+          </div>
+        )}
+      </div>
+
+      <div className="flex-1 min-w-0 space-y-2">
+        <div className="flex items-center justify-between gap-2 flex-wrap">
+          <button type="button" className="font-mono text-sm text-primary hover:underline" onClick={() => onOpenIssue?.(issue.id)}>
+            #{issue.id}
+          </button>
+          <span className={`px-2 py-0.5 rounded text-xs font-semibold ${confidenceStyle(review.confidence || 0)}`}>
+            {t('reviewQueue.confidence', { percent: Math.round((review.confidence || 0) * 100) })}
+          </span>
+        </div>
+
+        <p className="text-sm text-foreground line-clamp-3">{issue.description}</p>
+
+        <div className="flex items-center gap-2 text-sm flex-wrap">
+          <span className="text-muted-foreground">{t('reviewQueue.reporterChose')}</span>
+          <span className="font-medium text-foreground">{categoryLabel(review.reporterCategory)}</span>
+          {review.reporterCategory !== review.aiCategory && (
+            <>
+              <Icon name="ArrowRight" size={14} className="text-muted-foreground" />
+              <span className="text-muted-foreground">{t('reviewQueue.aiChose')}</span>
+              <span className="font-medium text-foreground">{categoryLabel(review.aiCategory)}</span>
+            </>
+          )}
+          {review.classifier && (
+            <span className="px-1.5 py-0.5 rounded bg-muted text-[10px] font-bold uppercase tracking-wider text-muted-foreground">
+              {review.classifier}
+            </span>
+          )}
+        </div>
+
+        {(review.explanation || review.aiError) && (
+          <p className="text-xs text-muted-foreground">{review.aiError || review.explanation}</p>
+        )}
+
+        <Input
+          placeholder={t('reviewQueue.notesPlaceholder')}
+          value={notes}
+          onChange={(e) => setNotes(e.target.value)}
+          maxLength={500}
+        />
+
+        <div className="flex flex-wrap items-end gap-2">
+          <Button size="sm" iconName="Check" iconPosition="left" disabled={isSaving} onClick={() => decide('accepted')}>
+            {t('reviewQueue.accept', { category: categoryLabel(review.aiCategory) })}
+          </Button>
+          {review.canReject && (
+            <Button variant="outline" size="sm" iconName="Undo2" iconPosition="left" disabled={isSaving} onClick={() => decide('rejected')}>
+              {t('reviewQueue.reject', { category: categoryLabel(review.reporterCategory) })}
+            </Button>
+          )}
+          <div className="flex items-end gap-2">
+            <Select
+              options={categoryOptions}
+              value={override}
+              onChange={setOverride}
+              placeholder={t('reviewQueue.overridePlaceholder')}
+              className="w-44"
+            />
+            <Button variant="secondary" size="sm" disabled={isSaving || !override} onClick={() => decide('overridden')}>
+              {t('reviewQueue.override')}
+            </Button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Issues whose AI classification needs a human decision, least confident first
+ */
+const ReviewQueue = ({ onOpenIssue, onReviewed }) => {
+  const { t } = useTranslation();
+  const [items, setItems] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(1);
+  const [category, setCategory] = useState('all');
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [savingId, setSavingId] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    let isActive = true;
+
+    setIsLoading(true);
+    classificationReviewsApi.queue({ category, page, limit: PAGE_SIZE })
+      .then(response => {
+        if (!isActive) return;
+        setItems(response?.data || []);
+        setTotal(response?.pagination?.total || 0);
+        setError(null);
+      })
+      .catch(loadError => {
+        if (isActive) setError(loadError.message);
+      })
+      .finally(() => {
+        if (isActive) setIsLoading(false);
+      });
+    return () => {
+      isActive = false;
+    };
+  }, [category, page, reloadKey]);
+
+  const handleDecide = async (issue, decision, { category: newCategory, notes }) => {
+    try {
+      setSavingId(issue.id);
+      const response = await classificationReviewsApi.review(issue.id, decision, { category: newCategory, notes });
+      toast.success(t(`reviewQueue.${decision}`, { id: issue.id }));
+      onReviewed?.(response.data.issue);
+
+      const remaining = items.filter(item => item.id !== issue.id);
+      setItems(remaining);
+      setTotal(count => Math.max(0, count - 1));
+      // Refill the page once it runs out
+      if (remaining.length === 0) {
+        if (page > 1) setPage(page - 1);
+        else setReloadKey(key => key + 1);
+      }
+    } catch (reviewError) {
+      toast.error(reviewError.message);
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  const pages = Math.max(1, Math.ceil(total / PAGE_SIZE));
+  const filterOptions = [
+    { value: 'all', label: t('filterControls.allCategories') },
+    ...CATEGORIES.map(value => ({ value, label: t(`category.${value}`, value) }))
+  ];
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-col md:flex-row md:items-end justify-between gap-4">
+        <div>
+          <h2 className="text-xl font-semibold text-foreground">{t('reviewQueue.title')}</h2>
+          <p className="text-sm text-muted-foreground">{t('reviewQueue.subtitle', { count: total })}</p>
+        </div>
+        <Select
+          options={filterOptions}
+          value={category}
+          onChange={(value) => {
+            setCategory(value);
+            setPage(1);
+          }}
+          className="w-full md:w-56"
+        />
+      </div>
+
+      {isLoading ? (
+        <SkeletonTable rows={4} />
+      ) : error ? (
+        <p className="text-sm text-error">{error}</p>
+      ) : items.length === 0 ? (
+        <div className="bg-muted/50 rounded-lg p-8 text-center text-sm text-muted-foreground">
+          <Icon name="CheckCircle2" size={24} className="mx-auto mb-2 text-success" />
+          {t('reviewQueue.empty')}
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {items.map(issue => (
+            <ReviewCard
+              key={issue.id}
+              issue={issue}
+              onDecide={handleDecide}
+              isSaving={savingId === issue.id}
+              onOpenIssue={onOpenIssue}
+            />
+          ))}
+        </div>
+      )}
+
+      {pages > 1 && (
+        <div className="flex items-center justify-center gap-2">
+          <Button variant="outline" size="sm" iconName="ChevronLeft" disabled={page <= 1} onClick={() => setPage(page - 1)} aria-label={t('reviewQueue.previousPage')} />
+          <span className="text-sm text-muted-foreground">{t('reviewQueue.page', { page, pages })}</span>
+          <Button variant="outline" size="sm" iconName="ChevronRight" disabled={page >= pages} onClick={() => setPage(page + 1)} aria-label={t('reviewQueue.nextPage')} />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ReviewQueue;
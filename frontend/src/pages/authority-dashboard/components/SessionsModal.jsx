@@ -0,0 +1,140 @@
+import React, { useEffect, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { authApi } from '../../../utils/api';
+import { toast } from '../../../utils/toast';
+import Icon from '../../../components/AppIcon';
+import Button from '../../../components/ui/Button';
+import { LoadingSpinner, LoadingButton } from '../../../components/ui/Loading';
+
+// Rough device description from a user agent string
+const describeDevice = (userAgent) => {
+  if (!userAgent) return null;
+  const browser = ['Edg', 'Chrome', 'Firefox', 'Safari'].find(name => userAgent.includes(name));
+  const platform = ['Android', 'iPhone', 'iPad', 'Windows', 'Mac OS', 'Linux'].find(name => userAgent.includes(name));
+  return [browser === 'Edg' ? 'Edge' : browser, platform].filter(Boolean).join(' · ') || null;
+};
+
+const SessionsModal = ({ onClose, onSignedOutEverywhere }) => {
+  const { t } = useTranslation();
+  const [sessions, setSessions] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [revokingId, setRevokingId] = useState(null);
+  const [isSigningOutAll, setIsSigningOutAll] = useState(false);
+
+  useEffect(() => {
+    const loadSessions = async () => {
+      try {
+        const response = await authApi.getSessions();
+        setSessions(response?.data || []);
+      } catch (error) {
+        toast.error(error.message);
+      } finally {
+        setIsLoading(false);
+      }
+    };
+    loadSessions();
+  }, []);
+
+  const handleRevoke = async (sessionId) => {
+    setRevokingId(sessionId);
+    try {
+      await authApi.revokeSession(sessionId);
+      setSessions(prev => prev.filter(session => session.id !== sessionId));
+      toast.success(t('sessions.revoked'));
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setRevokingId(null);
+    }
+  };
+
+  const handleSignOutEverywhere = async () => {
+    setIsSigningOutAll(true);
+    try {
+      await authApi.signOutEverywhere();
+      onSignedOutEverywhere?.();
+    } catch (error) {
+      toast.error(error.message);
+      setIsSigningOutAll(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-[200] flex items-center justify-center p-4 bg-background/80 backdrop-blur-sm">
+      <div className="bg-card rounded-lg border border-border shadow-elevation-4 w-full max-w-lg">
+        <div className="border-b border-border p-4 md:p-6 flex items-center justify-between">
+          <div>
+            <h2 className="text-lg md:text-xl font-semibold text-foreground">
+              {t('sessions.title')}
+            </h2>
+            <p className="text-sm text-muted-foreground">{t('sessions.subtitle')}</p>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-2 rounded-md hover:bg-muted transition-smooth"
+            aria-label="Close modal"
+          >
+            <Icon name="X" size={20} />
+          </button>
+        </div>
+
+        <div className="p-4 md:p-6 space-y-3 max-h-[60vh] overflow-y-auto">
+          {isLoading ? (
+            <div className="flex justify-center py-8">
+              <LoadingSpinner />
+            </div>
+          ) : sessions.length === 0 ? (
+            <p className="text-sm text-muted-foreground text-center py-8">{t('sessions.empty')}</p>
+          ) : (
+            sessions.map(session => (
+              <div key={session.id} className="flex items-center justify-between gap-3 p-3 rounded-lg border border-border">
+                <div className="flex items-start gap-3 min-w-0">
+                  <Icon name="Monitor" size={18} className="text-muted-foreground mt-0.5 flex-shrink-0" />
+                  <div className="min-w-0">
+                    <p className="text-sm font-medium text-foreground truncate">
+                      {describeDevice(session.userAgent) || t('sessions.unknownDevice')}
+                      {session.isCurrent && (
+                        <span className="ml-2 inline-flex items-center px-2 py-0.5 rounded text-[10px] font-bold uppercase bg-green-100 text-green-700">
+                          {t('sessions.thisDevice')}
+                        </span>
+                      )}
+                    </p>
+                    <p className="text-xs text-muted-foreground">
+                      {t('sessions.lastActive', { date: new Date(session.lastUsedAt).toLocaleString() })}
+                      {session.ipAddress ? ` · ${session.ipAddress}` : ''}
+                    </p>
+                  </div>
+                </div>
+                {!session.isCurrent && (
+                  <LoadingButton
+                    isLoading={revokingId === session.id}
+                    onClick={() => handleRevoke(session.id)}
+                    className="text-xs text-red-600 hover:text-red-700 px-2 py-1 rounded-md hover:bg-red-50 flex-shrink-0"
+                  >
+                    {t('sessions.signOut')}
+                  </LoadingButton>
+                )}
+              </div>
+            ))
+          )}
+        </div>
+
+        <div className="flex items-center gap-3 p-4 md:p-6 border-t border-border">
+          <Button type="button" variant="outline" onClick={onClose} fullWidth>
+            {t('common.close')}
+          </Button>
+          <LoadingButton
+            isLoading={isSigningOutAll}
+            onClick={handleSignOutEverywhere}
+            fullWidth
+            className="bg-red-600 hover:bg-red-700 text-white h-10 px-4 rounded-md text-sm font-medium"
+          >
+            {t('sessions.signOutEverywhere')}
+          </LoadingButton>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SessionsModal;
@@ -6,11 +6,14 @@ import Button from '../../../components/ui/Button';
 import { LoadingButton } from '../../../components/ui/Loading';
 import Select from '../../../components/ui/Select';
 import Input from '../../../components/ui/Input';
-import { uploadApi } from '../../../utils/api';
+import { issuesApi, uploadApi } from '../../../utils/api';
 
 const StatusUpdateModal = ({ issue, onClose, onUpdate, isUpdating = false }) => {
   const { t } = useTranslation();
-  const [status, setStatus] = useState(issue?.status || 'submitted');
+  const [status, setStatus] = useState('');
+  const [transitions, setTransitions] = useState([]);
+  const [isLoadingTransitions, setIsLoadingTransitions] = useState(true);
+  const [transitionsError, setTransitionsError] = useState('');
   const [notes, setNotes] = useState('');
   const [resolutionImages, setResolutionImages] = useState([]);
   const [imagePreviews, setImagePreviews] = useState([]);
@@ -27,14 +30,41 @@ const StatusUpdateModal = ({ issue, onClose, onUpdate, isUpdating = false }) =>
     };
   }, []);  // eslint-disable-line react-hooks/exhaustive-deps
 
-  const statusOptions = [
-    { value: 'submitted', label: t('statusUpdate.submitted') },
-    { value: 'in-progress', label: t('statusUpdate.inProgress') },
-    { value: 'resolved', label: t('statusUpdate.resolved') }
-  ];
+  // Available statuses and their requirements come from the department's workflow
+  useEffect(() => {
+    if (!issue?.id) return;
+    let cancelled = false;
+
+    setIsLoadingTransitions(true);
+    setTransitionsError('');
+    issuesApi.getTransitions(issue.id)
+      .then((result) => {
+        if (!cancelled) setTransitions(result?.data?.transitions || []);
+      })
+      .catch((error) => {
+        if (!cancelled) setTransitionsError(error.message || t('statusUpdate.transitionsFailed'));
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoadingTransitions(false);
+      });
+
+    return () => { cancelled = true; };
+  }, [issue?.id]);  // eslint-disable-line react-hooks/exhaustive-deps
+
+  const statusOptions = transitions.map((transition) => ({
+    value: transition.to,
+    label: transition.label,
+    disabled: !transition.allowed,
+    description: !transition.allowed
+      ? t('statusUpdate.requiresRole', { roles: (transition.requires?.roles || []).join(', ') })
+      : undefined
+  }));
 
-  const isResolved = status === 'resolved';
-  const needsImages = isResolved && resolutionImages.length === 0;
+  const selectedTransition = transitions.find((transition) => transition.to === status);
+  const requiredImages = selectedTransition?.requires?.resolutionImages || 0;
+  const requiredNotes = selectedTransition?.requires?.notes || 0;
+  const needsImages = resolutionImages.length < requiredImages;
+  const needsNotes = notes.trim().length < requiredNotes;
 
   const handleImageSelect = async (e) => {
     const files = Array.from(e.target.files || []);
@@ -93,8 +123,10 @@ const StatusUpdateModal = ({ issue, onClose, onUpdate, isUpdating = false }) =>
 
   const handleSubmit = async (e) => {
     e?.preventDefault();
-    
-    if (isResolved && resolutionImages.length === 0) {
+
+    if (!selectedTransition?.allowed) return;
+
+    if (needsImages) {
       setUploadError(t('statusUpdate.uploadAtLeastOne'));
       return;
     }
@@ -136,18 +168,30 @@ const StatusUpdateModal = ({ issue, onClose, onUpdate, isUpdating = false }) =>
             </p>
           </div>
 
-          <Select
-            label={t('statusUpdate.newStatus')}
-            description={t('statusUpdate.selectStatus')}
-            options={statusOptions}
-            value={status}
-            onChange={setStatus}
-            required
-          />
+          {isLoadingTransitions ? (
+            <p className="text-sm text-muted-foreground">{t('statusUpdate.loadingTransitions')}</p>
+          ) : transitionsError ? (
+            <div className="flex items-center gap-2 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+              <Icon name="AlertTriangle" size={16} className="flex-shrink-0" />
+              {transitionsError}
+            </div>
+          ) : statusOptions.length === 0 ? (
+            <p className="text-sm text-muted-foreground">{t('statusUpdate.noTransitions')}</p>
+          ) : (
+            <Select
+              label={t('statusUpdate.newStatus')}
+              description={t('statusUpdate.selectStatus')}
+              options={statusOptions}
+              value={status}
+              onChange={setStatus}
+              required
+            />
+          )}
 
           <Input
             label={t('statusUpdate.resolutionNotes')}
-            description={t('statusUpdate.notesPlaceholder')}
+            description={requiredNotes > 0 ? t('statusUpdate.notesRequired', { count: requiredNotes }) : t('statusUpdate.notesPlaceholder')}
+            required={requiredNotes > 0}
             type="text"
             placeholder={t('statusUpdate.enterNotes')}
             value={notes}
@@ -155,8 +199,8 @@ const StatusUpdateModal = ({ issue, onClose, onUpdate, isUpdating = false }) =>
             className="h-24"
           />
 
-          {/* Resolution Image Upload — required when resolving */}
-          {isResolved && (
+          {/* Resolution Image Upload — when the workflow requires proof photos */}
+          {requiredImages > 0 && (
             <div className="space-y-3">
               <div>
                 <label className="block text-sm font-medium text-foreground mb-1">
@@ -249,7 +293,7 @@ const StatusUpdateModal = ({ issue, onClose, onUpdate, isUpdating = false }) =>
               iconSize={18}
               fullWidth
               isLoading={isUpdating || isUploading}
-              disabled={isUpdating || isUploading || (isResolved && resolutionImages.length === 0)}
+              disabled={isUpdating || isUploading || !selectedTransition?.allowed || needsImages || needsNotes}
             >
               {isUpdating ? t('statusUpdate.updatingBtn') : isUploading ? t('statusUpdate.uploadingBtn') : t('statusUpdate.updateBtn')}
             </LoadingButton>
@@ -0,0 +1,198 @@
+import React, { useEffect, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { authApi } from '../../../utils/api';
+import { toast } from '../../../utils/toast';
+import Icon from '../../../components/AppIcon';
+import Button from '../../../components/ui/Button';
+import Input from '../../../components/ui/Input';
+import AuthenticatorSecret from '../../../components/ui/AuthenticatorSecret';
+import RecoveryCodes from '../../../components/ui/RecoveryCodes';
+import { LoadingSpinner, LoadingButton } from '../../../components/ui/Loading';
+
+const TwoFactorModal = ({ onClose }) => {
+  const { t } = useTranslation();
+  const [status, setStatus] = useState(null);
+  const [enrollment, setEnrollment] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [code, setCode] = useState('');
+  const [pendingAction, setPendingAction] = useState(null);
+
+  const loadStatus = async () => {
+    try {
+      const response = await authApi.getTwoFactorStatus();
+      setStatus(response?.data || null);
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  useEffect(() => {
+    loadStatus();
+  }, []);
+
+  // Every action here needs a current authenticator code
+  const runWithCode = async (action, request) => {
+    if (!/^\d{6}$/.test(code.trim())) {
+      toast.error(t('twoFactor.invalidCode'));
+      return;
+    }
+
+    setPendingAction(action);
+    try {
+      const response = await request(code.trim());
+      setCode('');
+      if (response?.data?.recoveryCodes) {
+        setRecoveryCodes(response.data.recoveryCodes);
+      }
+      setEnrollment(null);
+      toast.success(response?.message || t('twoFactor.updated'));
+      await loadStatus();
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setPendingAction(null);
+    }
+  };
+
+  const handleStartSetup = async () => {
+    setPendingAction('setup');
+    try {
+      const response = await authApi.startTwoFactorSetup();
+      setEnrollment(response.data);
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setPendingAction(null);
+    }
+  };
+
+  const codeInput = (
+    <Input
+      type="text"
+      label={t('twoFactor.code')}
+      value={code}
+      onChange={(e) => setCode(e.target.value)}
+      placeholder="123456"
+      inputMode="numeric"
+      autoComplete="one-time-code"
+      maxLength={6}
+      leftIcon="KeyRound"
+    />
+  );
+
+  const renderBody = () => {
+    if (!status) {
+      return (
+        <div className="flex justify-center py-8">
+          <LoadingSpinner />
+        </div>
+      );
+    }
+
+    if (recoveryCodes) {
+      return <RecoveryCodes codes={recoveryCodes} />;
+    }
+
+    if (enrollment) {
+      return (
+        <div className="space-y-4">
+          <AuthenticatorSecret secret={enrollment.secret} otpauthUrl={enrollment.otpauthUrl} />
+          {codeInput}
+          <LoadingButton
+            isLoading={pendingAction === 'enable'}
+            onClick={() => runWithCode('enable', authApi.enableTwoFactor)}
+            className="w-full bg-blue-600 hover:bg-blue-700 text-white h-10 px-4 rounded-md text-sm font-medium"
+          >
+            {t('twoFactor.enable')}
+          </LoadingButton>
+        </div>
+      );
+    }
+
+    if (!status.enabled) {
+      return (
+        <div className="space-y-4">
+          <div className="flex items-start gap-3 p-3 rounded-lg border border-border">
+            <Icon name="ShieldOff" size={18} className="text-muted-foreground mt-0.5" />
+            <p className="text-sm text-foreground">{t('twoFactor.statusOff')}</p>
+          </div>
+          <LoadingButton
+            isLoading={pendingAction === 'setup'}
+            onClick={handleStartSetup}
+            className="w-full bg-blue-600 hover:bg-blue-700 text-white h-10 px-4 rounded-md text-sm font-medium"
+          >
+            {t('twoFactor.setUp')}
+          </LoadingButton>
+        </div>
+      );
+    }
+
+    return (
+      <div className="space-y-4">
+        <div className="flex items-start gap-3 p-3 rounded-lg border border-border">
+          <Icon name="ShieldCheck" size={18} className="text-green-600 mt-0.5" />
+          <div>
+            <p className="text-sm font-medium text-foreground">{t('twoFactor.statusOn')}</p>
+            <p className="text-xs text-muted-foreground">
+              {t('twoFactor.recoveryCodesLeft', { count: status.recoveryCodesRemaining })}
+              {status.required ? ` · ${t('twoFactor.requiredForRole')}` : ''}
+            </p>
+          </div>
+        </div>
+        {codeInput}
+        <div className="flex flex-wrap gap-3">
+          <LoadingButton
+            isLoading={pendingAction === 'regenerate'}
+            onClick={() => runWithCode('regenerate', authApi.regenerateRecoveryCodes)}
+            className="flex-1 border border-border hover:bg-muted h-10 px-4 rounded-md text-sm font-medium"
+          >
+            {t('twoFactor.newRecoveryCodes')}
+          </LoadingButton>
+          {!status.required && (
+            <LoadingButton
+              isLoading={pendingAction === 'disable'}
+              onClick={() => runWithCode('disable', authApi.disableTwoFactor)}
+              className="flex-1 bg-red-600 hover:bg-red-700 text-white h-10 px-4 rounded-md text-sm font-medium"
+            >
+              {t('twoFactor.disable')}
+            </LoadingButton>
+          )}
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <div className="fixed inset-0 z-[200] flex items-center justify-center p-4 bg-background/80 backdrop-blur-sm">
+      <div className="bg-card rounded-lg border border-border shadow-elevation-4 w-full max-w-lg">
+        <div className="border-b border-border p-4 md:p-6 flex items-center justify-between">
+          <div>
+            <h2 className="text-lg md:text-xl font-semibold text-foreground">
+              {t('twoFactor.title')}
+            </h2>
+            <p className="text-sm text-muted-foreground">{t('twoFactor.subtitle')}</p>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-2 rounded-md hover:bg-muted transition-smooth"
+            aria-label="Close modal"
+          >
+            <Icon name="X" size={20} />
+          </button>
+        </div>
+
+        <div className="p-4 md:p-6 max-h-[60vh] overflow-y-auto">
+          {renderBody()}
+        </div>
+
+        <div className="flex items-center gap-3 p-4 md:p-6 border-t border-border">
+          <Button type="button" variant="outline" onClick={onClose} fullWidth>
+            {t('common.close')}
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TwoFactorModal;
@@ -0,0 +1,194 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { workOrdersApi } from '../../../utils/api';
+import Icon from '../../../components/AppIcon';
+import Button from '../../../components/ui/Button';
+import Input from '../../../components/ui/Input';
+import { SkeletonTable } from '../../../components/ui/Loading';
+import { formatMoney } from './WorkOrdersPanel';
+
+const STATUS_STYLES = {
+  scheduled: 'bg-blue-100 text-blue-700',
+  in_progress: 'bg-amber-100 text-amber-700',
+  completed: 'bg-green-100 text-green-700',
+  cancelled: 'bg-gray-100 text-gray-600'
+};
+
+const toDateInput = (date) => {
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return local.toISOString().slice(0, 10);
+};
+
+const tomorrow = () => {
+  const date = new Date();
+  date.setDate(date.getDate() + 1);
+  return toDateInput(date);
+};
+
+const shiftDay = (day, days) => {
+  const date = new Date(`${day}T00:00:00`);
+  date.setDate(date.getDate() + days);
+  return toDateInput(date);
+};
+
+const formatTime = (value) => new Date(value).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+const addressOf = (location) => location?.address || location?.street || location?.ward || '';
+
+// Google Maps directions through a crew's stops, in visiting order
+const routeUrl = (stops) => {
+  const points = stops
+    .map(stop => stop.issue?.location)
+    .filter(location => location?.lat && location?.lng)
+    .map(location => `${location.lat},${location.lng}`);
+  return points.length ? `https://www.google.com/maps/dir/${points.join('/')}` : null;
+};
+
+/**
+ * Day plan of work orders grouped by crew, for planning tomorrow's routes
+ */
+const WorkOrderCalendar = ({ onOpenIssue }) => {
+  const { t } = useTranslation();
+  const [day, setDay] = useState(tomorrow);
+  const [workOrders, setWorkOrders] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let isActive = true;
+    const from = new Date(`${day}T00:00:00`);
+    const to = new Date(`${shiftDay(day, 1)}T00:00:00`);
+
+    setIsLoading(true);
+    workOrdersApi.list({ from: from.toISOString(), to: to.toISOString() })
+      .then(response => {
+        if (!isActive) return;
+        setWorkOrders(response?.data || []);
+        setError(null);
+      })
+      .catch(loadError => {
+        if (isActive) setError(loadError.message);
+      })
+      .finally(() => {
+        if (isActive) setIsLoading(false);
+      });
+    return () => {
+      isActive = false;
+    };
+  }, [day]);
+
+  const crews = useMemo(() => {
+    const byCrew = new Map();
+    workOrders.forEach(workOrder => {
+      const key = workOrder.crewName.toLowerCase();
+      if (!byCrew.has(key)) byCrew.set(key, { name: workOrder.crewName, stops: [] });
+      byCrew.get(key).stops.push(workOrder);
+    });
+    return [...byCrew.values()].sort((a, b) => a.name.localeCompare(b.name));
+  }, [workOrders]);
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-col md:flex-row md:items-end justify-between gap-4">
+        <div>
+          <h2 className="text-xl font-semibold text-foreground">{t('workOrders.calendarTitle')}</h2>
+          <p className="text-sm text-muted-foreground">{t('workOrders.calendarSubtitle')}</p>
+        </div>
+        <div className="flex items-end gap-2">
+          <Button variant="outline" size="sm" iconName="ChevronLeft" onClick={() => setDay(shiftDay(day, -1))} aria-label={t('workOrders.previousDay')} />
+          <Input type="date" value={day} onChange={(e) => e.target.value && setDay(e.target.value)} />
+          <Button variant="outline" size="sm" iconName="ChevronRight" onClick={() => setDay(shiftDay(day, 1))} aria-label={t('workOrders.nextDay')} />
+          <Button variant="ghost" size="sm" onClick={() => setDay(tomorrow())}>
+            {t('workOrders.tomorrow')}
+          </Button>
+        </div>
+      </div>
+
+      {isLoading ? (
+        <SkeletonTable rows={4} />
+      ) : error ? (
+        <p className="text-sm text-error">{error}</p>
+      ) : crews.length === 0 ? (
+        <div className="bg-muted/50 rounded-lg p-8 text-center text-sm text-muted-foreground">
+          {t('workOrders.nothingScheduled')}
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+          {crews.map(crew => {
+            const activeStops = crew.stops.filter(stop => stop.status !== 'cancelled');
+            const route = routeUrl(activeStops);
+            const estimate = activeStops.reduce((sum, stop) => sum + stop.estimatedCost, 0);
+
+            return (
+              <div key={crew.name} className="bg-card border border-border rounded-lg p-4 space-y-3">
+                <div className="flex items-center justify-between gap-2">
+                  <div className="flex items-center gap-2">
+                    <Icon name="HardHat" size={18} className="text-muted-foreground" />
+                    <span className="font-semibold text-foreground">{crew.name}</span>
+                    <span className="text-xs text-muted-foreground">
+                      {t('workOrders.stopCount', { count: activeStops.length })} · {formatMoney(estimate)}
+                    </span>
+                  </div>
+                  {route && (
+                    <a
+                      href={route}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="inline-flex items-center gap-1 text-xs font-medium text-primary hover:underline"
+                    >
+                      <Icon name="Route" size={14} />
+                      {t('workOrders.openRoute')}
+                    </a>
+                  )}
+                </div>
+
+                <ol className="space-y-2">
+                  {crew.stops.map((stop, index) => (
+                    <li
+                      key={stop.id}
+                      className={`flex items-start gap-3 rounded-md border px-3 py-2 ${stop.hasConflict ? 'border-amber-300 bg-amber-50' : 'border-border'} ${stop.status === 'cancelled' ? 'opacity-60 line-through' : ''}`}
+                    >
+                      <span className="text-xs font-bold text-muted-foreground w-5 pt-0.5">{index + 1}</span>
+                      <div className="flex-1 min-w-0">
+                        <div className="flex items-center justify-between gap-2">
+                          <span className="text-sm font-medium text-foreground truncate">{stop.title}</span>
+                          <span className={`shrink-0 px-2 py-0.5 rounded text-[10px] font-bold uppercase tracking-wider ${STATUS_STYLES[stop.status]}`}>
+                            {t(`workOrders.status.${stop.status}`)}
+                          </span>
+                        </div>
+                        <p className="text-xs text-muted-foreground">
+                          {formatTime(stop.scheduledStart)} – {formatTime(stop.scheduledEnd)}
+                          {' · '}
+                          <button type="button" className="font-mono text-primary hover:underline" onClick={() => onOpenIssue?.(stop.issueId)}>
+                            #{stop.issueId}
+                          </button>
+                          {stop.issue?.category && ` · ${t(`category.${stop.issue.category}`, stop.issue.category)}`}
+                        </p>
+                        {addressOf(stop.issue?.location) && (
+                          <p className="text-xs text-foreground truncate">{addressOf(stop.issue.location)}</p>
+                        )}
+                        {stop.checklist.length > 0 && (
+                          <p className="text-xs text-muted-foreground">
+                            {t('workOrders.checklistProgress', { done: stop.checklistDone, total: stop.checklist.length })}
+                          </p>
+                        )}
+                        {stop.hasConflict && (
+                          <p className="text-xs font-medium text-amber-700 flex items-center gap-1">
+                            <Icon name="AlertTriangle" size={12} />
+                            {t('workOrders.conflict')}
+                          </p>
+                        )}
+                      </div>
+                    </li>
+                  ))}
+                </ol>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default WorkOrderCalendar;
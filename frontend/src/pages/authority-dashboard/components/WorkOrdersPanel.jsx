@@ -0,0 +1,460 @@
+import React, { useEffect, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { workOrdersApi } from '../../../utils/api';
+import { toast } from '../../../utils/toast';
+import Icon from '../../../components/AppIcon';
+import Button from '../../../components/ui/Button';
+import Input from '../../../components/ui/Input';
+import { Checkbox } from '../../../components/ui/Checkbox';
+import { LoadingButton } from '../../../components/ui/Loading';
+
+const CLOSED_STAGES = ['resolved', 'closed', 'rejected'];
+const OPEN_STATUSES = ['scheduled', 'in_progress'];
+
+const STATUS_STYLES = {
+  scheduled: 'bg-blue-100 text-blue-700',
+  in_progress: 'bg-amber-100 text-amber-700',
+  completed: 'bg-green-100 text-green-700',
+  cancelled: 'bg-gray-100 text-gray-600'
+};
+
+// Value for a datetime-local input, in the browser's timezone
+export const toLocalInput = (date) => {
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return local.toISOString().slice(0, 16);
+};
+
+export const formatMoney = (value) => Number(value || 0).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+export const formatWindow = (start, end) => {
+  const from = new Date(start);
+  const to = new Date(end);
+  const time = { hour: '2-digit', minute: '2-digit' };
+  const sameDay = from.toDateString() === to.toDateString();
+  return `${from.toLocaleDateString()} ${from.toLocaleTimeString([], time)} – ${sameDay ? '' : `${to.toLocaleDateString()} `}${to.toLocaleTimeString([], time)}`;
+};
+
+// Tomorrow morning, the usual slot for a new crew visit
+const defaultForm = () => {
+  const start = new Date();
+  start.setDate(start.getDate() + 1);
+  start.setHours(9, 0, 0, 0);
+  const end = new Date(start.getTime() + 3 * 60 * 60 * 1000);
+  return {
+    title: '',
+    crewName: '',
+    crewMembers: '',
+    scheduledStart: toLocalInput(start),
+    scheduledEnd: toLocalInput(end),
+    labourCost: '',
+    materials: [],
+    checklist: '',
+    instructions: ''
+  };
+};
+
+const WorkOrderCard = ({ workOrder, onChanged }) => {
+  const { t } = useTranslation();
+  const [isCompleting, setIsCompleting] = useState(false);
+  const [actualCost, setActualCost] = useState('');
+  const [notes, setNotes] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  const isOpen = OPEN_STATUSES.includes(workOrder.status);
+  const checklistComplete = workOrder.checklistDone === workOrder.checklist.length;
+
+  const run = async (action) => {
+    setIsSaving(true);
+    try {
+      const response = await action();
+      if (response?.message) toast.success(response.message);
+      onChanged?.(response?.data);
+      return true;
+    } catch (error) {
+      toast.error(error.message);
+      return false;
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleComplete = async () => {
+    const completed = await run(() => workOrdersApi.complete(workOrder.id, {
+      actualCost: actualCost === '' ? null : Number(actualCost),
+      notes
+    }));
+    if (completed) setIsCompleting(false);
+  };
+
+  return (
+    <div className="bg-card rounded-md p-3 border border-border space-y-3">
+      <div className="flex items-start justify-between gap-3">
+        <div>
+          <p className="text-sm font-semibold text-foreground">{workOrder.title}</p>
+          <p className="text-xs text-muted-foreground">
+            {formatWindow(workOrder.scheduledStart, workOrder.scheduledEnd)}
+          </p>
+        </div>
+        <span className={`inline-flex items-center px-2 py-0.5 rounded text-[10px] font-bold uppercase tracking-wider ${STATUS_STYLES[workOrder.status]}`}>
+          {t(`workOrders.status.${workOrder.status}`)}
+        </span>
+      </div>
+
+      <div className="grid grid-cols-2 gap-2 text-xs">
+        <div>
+          <span className="text-muted-foreground">{t('workOrders.crew')}: </span>
+          <span className="font-medium text-foreground">{workOrder.crewName}</span>
+          {workOrder.crewMembers.length > 0 && (
+            <span className="text-muted-foreground"> ({workOrder.crewMembers.join(', ')})</span>
+          )}
+        </div>
+        <div className="text-right">
+          <span className="text-muted-foreground">{t('workOrders.estimate')}: </span>
+          <span className="font-medium text-foreground">{formatMoney(workOrder.estimatedCost)}</span>
+          {workOrder.actualCost !== null && (
+            <span className="block">
+              <span className="text-muted-foreground">{t('workOrders.actualCost')}: </span>
+              <span className="font-medium text-foreground">{formatMoney(workOrder.actualCost)}</span>
+            </span>
+          )}
+        </div>
+      </div>
+
+      {workOrder.instructions && (
+        <p className="text-xs text-foreground whitespace-pre-line">{workOrder.instructions}</p>
+      )}
+
+      {workOrder.materials.length > 0 && (
+        <ul className="text-xs text-foreground space-y-0.5">
+          {workOrder.materials.map((material, index) => (
+            <li key={index} className="flex justify-between gap-2">
+              <span>{material.item} × {material.quantity}{material.unit ? ` ${material.unit}` : ''}</span>
+              <span className="text-muted-foreground">{formatMoney(material.quantity * material.unitCost)}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {workOrder.checklist.length > 0 && (
+        <div className="space-y-1">
+          <p className="text-xs text-muted-foreground">
+            {t('workOrders.checklistProgress', { done: workOrder.checklistDone, total: workOrder.checklist.length })}
+          </p>
+          {workOrder.checklist.map((entry, index) => (
+            <Checkbox
+              key={index}
+              checked={entry.done}
+              disabled={!isOpen || isSaving}
+              onChange={(e) => run(() => workOrdersApi.setChecklistItem(workOrder.id, index, e.target.checked))}
+              label={entry.item}
+            />
+          ))}
+        </div>
+      )}
+
+      {workOrder.completionNotes && (
+        <p className="text-xs text-muted-foreground italic">{workOrder.completionNotes}</p>
+      )}
+
+      {isOpen && !isCompleting && (
+        <div className="flex items-center gap-2 flex-wrap">
+          {workOrder.status === 'scheduled' && (
+            <Button variant="outline" size="sm" iconName="Truck" iconPosition="left" disabled={isSaving} onClick={() => run(() => workOrdersApi.start(workOrder.id))}>
+              {t('workOrders.startWork')}
+            </Button>
+          )}
+          <Button
+            variant="outline"
+            size="sm"
+            iconName="CheckCircle2"
+            iconPosition="left"
+            disabled={isSaving || !checklistComplete}
+            title={checklistComplete ? undefined : t('workOrders.finishChecklist')}
+            onClick={() => setIsCompleting(true)}
+          >
+            {t('workOrders.complete')}
+          </Button>
+          <Button variant="ghost" size="sm" disabled={isSaving} onClick={() => run(() => workOrdersApi.cancel(workOrder.id))}>
+            {t('workOrders.cancelOrder')}
+          </Button>
+        </div>
+      )}
+
+      {isCompleting && (
+        <div className="space-y-2 border-t border-border pt-3">
+          <Input
+            type="number"
+            min="0"
+            step="0.01"
+            label={t('workOrders.actualCost')}
+            placeholder={formatMoney(workOrder.estimatedCost)}
+            description={t('workOrders.actualCostHelp')}
+            value={actualCost}
+            onChange={(e) => setActualCost(e.target.value)}
+          />
+          <Input
+            label={t('workOrders.completionNotes')}
+            value={notes}
+            onChange={(e) => setNotes(e.target.value)}
+          />
+          <div className="flex items-center gap-3">
+            <Button variant="outline" onClick={() => setIsCompleting(false)} fullWidth>
+              {t('common.cancel')}
+            </Button>
+            <LoadingButton
+              isLoading={isSaving}
+              onClick={handleComplete}
+              fullWidth
+              className="bg-blue-600 hover:bg-blue-700 text-white h-10 px-4 rounded-md text-sm font-medium"
+            >
+              {t('workOrders.confirmComplete')}
+            </LoadingButton>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const WorkOrdersPanel = ({ issue, canManage = false }) => {
+  const { t } = useTranslation();
+  const [workOrders, setWorkOrders] = useState(null);
+  const [resolutionCost, setResolutionCost] = useState(issue.resolutionCost ?? null);
+  const [form, setForm] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const loadWorkOrders = () => workOrdersApi.list({ issueId: issue.id })
+    .then(response => setWorkOrders(response?.data || []))
+    .catch(() => setWorkOrders([]));
+
+  useEffect(() => {
+    if (canManage) loadWorkOrders();
+  }, [issue.id, canManage]);
+
+  if (!canManage) return null;
+
+  const canSchedule = !CLOSED_STAGES.includes(issue.statusStage);
+
+  const updateForm = (changes) => setForm(prev => ({ ...prev, ...changes }));
+
+  const updateMaterial = (index, changes) => {
+    updateForm({ materials: form.materials.map((material, i) => (i === index ? { ...material, ...changes } : material)) });
+  };
+
+  const estimate = form
+    ? (Number(form.labourCost) || 0) + form.materials.reduce((sum, material) => sum + (Number(material.quantity) || 0) * (Number(material.unitCost) || 0), 0)
+    : 0;
+
+  const handleChanged = (workOrder) => {
+    if (workOrder?.issue) setResolutionCost(workOrder.issue.resolutionCost);
+    loadWorkOrders();
+  };
+
+  const handleSchedule = async () => {
+    setIsSaving(true);
+    try {
+      const response = await workOrdersApi.create(issue.id, {
+        title: form.title.trim(),
+        crewName: form.crewName.trim(),
+        crewMembers: form.crewMembers.split(',').map(member => member.trim()).filter(Boolean),
+        scheduledStart: new Date(form.scheduledStart).toISOString(),
+        scheduledEnd: new Date(form.scheduledEnd).toISOString(),
+        labourCost: Number(form.labourCost) || 0,
+        materials: form.materials
+          .filter(material => material.item.trim())
+          .map(material => ({
+            item: material.item.trim(),
+            quantity: Number(material.quantity) || 1,
+            unit: material.unit.trim() || null,
+            unitCost: Number(material.unitCost) || 0
+          })),
+        checklist: form.checklist.split('\n').map(item => item.trim()).filter(Boolean),
+        instructions: form.instructions.trim()
+      });
+      toast.success(response?.message);
+      setForm(null);
+      loadWorkOrders();
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="bg-muted/50 rounded-lg p-4 space-y-4">
+      <div className="flex items-center justify-between gap-2 flex-wrap">
+        <div className="flex items-center gap-2 text-muted-foreground">
+          <Icon name="HardHat" size={16} />
+          <span className="text-xs font-semibold uppercase tracking-wider">
+            {t('workOrders.title')}
+          </span>
+        </div>
+        <div className="flex items-center gap-3">
+          {resolutionCost !== null && (
+            <span className="text-xs text-muted-foreground">
+              {t('workOrders.resolutionCost')}: <span className="font-semibold text-foreground">{formatMoney(resolutionCost)}</span>
+            </span>
+          )}
+          {canSchedule && !form && (
+            <Button variant="outline" size="sm" iconName="CalendarPlus" iconPosition="left" onClick={() => setForm(defaultForm())}>
+              {t('workOrders.schedule')}
+            </Button>
+          )}
+        </div>
+      </div>
+
+      {workOrders === null && (
+        <p className="text-sm text-muted-foreground">{t('common.loading')}</p>
+      )}
+      {workOrders?.length === 0 && !form && (
+        <p className="text-sm text-muted-foreground">{t('workOrders.none')}</p>
+      )}
+      {workOrders?.map(workOrder => (
+        <WorkOrderCard key={workOrder.id} workOrder={workOrder} onChanged={handleChanged} />
+      ))}
+
+      {form && (
+        <div className="space-y-3 border-t border-border pt-4">
+          <Input
+            label={t('workOrders.workTitle')}
+            placeholder={t('workOrders.workTitlePlaceholder')}
+            value={form.title}
+            onChange={(e) => updateForm({ title: e.target.value })}
+            required
+          />
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+            <Input
+              label={t('workOrders.crew')}
+              placeholder={t('workOrders.crewPlaceholder')}
+              value={form.crewName}
+              onChange={(e) => updateForm({ crewName: e.target.value })}
+              required
+            />
+            <Input
+              label={t('workOrders.crewMembers')}
+              placeholder={t('workOrders.crewMembersPlaceholder')}
+              value={form.crewMembers}
+              onChange={(e) => updateForm({ crewMembers: e.target.value })}
+            />
+            <Input
+              type="datetime-local"
+              label={t('workOrders.startsAt')}
+              value={form.scheduledStart}
+              onChange={(e) => updateForm({ scheduledStart: e.target.value })}
+              required
+            />
+            <Input
+              type="datetime-local"
+              label={t('workOrders.endsAt')}
+              value={form.scheduledEnd}
+              onChange={(e) => updateForm({ scheduledEnd: e.target.value })}
+              required
+            />
+          </div>
+
+          <div className="space-y-2">
+            <p className="text-xs text-muted-foreground">{t('workOrders.materials')}</p>
+            {form.materials.map((material, index) => (
+              <div key={index} className="flex flex-col md:flex-row md:items-end gap-2">
+                <Input
+                  placeholder={t('workOrders.materialItem')}
+                  value={material.item}
+                  onChange={(e) => updateMaterial(index, { item: e.target.value })}
+                  className="flex-1"
+                />
+                <Input
+                  type="number"
+                  min="0"
+                  placeholder={t('workOrders.quantity')}
+                  value={material.quantity}
+                  onChange={(e) => updateMaterial(index, { quantity: e.target.value })}
+                  className="md:w-24"
+                />
+                <Input
+                  placeholder={t('workOrders.unit')}
+                  value={material.unit}
+                  onChange={(e) => updateMaterial(index, { unit: e.target.value })}
+                  className="md:w-24"
+                />
+                <Input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  placeholder={t('workOrders.unitCost')}
+                  value={material.unitCost}
+                  onChange={(e) => updateMaterial(index, { unitCost: e.target.value })}
+                  className="md:w-28"
+                />
+                <button
+                  type="button"
+                  onClick={() => updateForm({ materials: form.materials.filter((_, i) => i !== index) })}
+                  className="p-2 rounded-md hover:bg-muted transition-smooth"
+                  aria-label={t('workOrders.removeMaterial')}
+                >
+                  <Icon name="Trash2" size={16} />
+                </button>
+              </div>
+            ))}
+            <Button
+              variant="ghost"
+              size="sm"
+              iconName="Plus"
+              iconPosition="left"
+              onClick={() => updateForm({ materials: [...form.materials, { item: '', quantity: '1', unit: '', unitCost: '' }] })}
+            >
+              {t('workOrders.addMaterial')}
+            </Button>
+          </div>
+
+          <Input
+            type="number"
+            min="0"
+            step="0.01"
+            label={t('workOrders.labourCost')}
+            value={form.labourCost}
+            onChange={(e) => updateForm({ labourCost: e.target.value })}
+          />
+
+          <div className="space-y-2">
+            <label className="text-sm font-medium text-foreground">{t('workOrders.checklist')}</label>
+            <textarea
+              rows={3}
+              value={form.checklist}
+              onChange={(e) => updateForm({ checklist: e.target.value })}
+              placeholder={t('workOrders.checklistPlaceholder')}
+              className="w-full rounded-md border border-input bg-background px-3 py-2 text-sm"
+            />
+          </div>
+
+          <Input
+            label={t('workOrders.instructions')}
+            value={form.instructions}
+            onChange={(e) => updateForm({ instructions: e.target.value })}
+          />
+
+          <p className="text-sm text-foreground">
+            {t('workOrders.estimate')}: <span className="font-semibold">{formatMoney(estimate)}</span>
+          </p>
+
+          <div className="flex items-center gap-3">
+            <Button variant="outline" onClick={() => setForm(null)} fullWidth>
+              {t('common.cancel')}
+            </Button>
+            <LoadingButton
+              isLoading={isSaving}
+              onClick={handleSchedule}
+              disabled={isSaving || !form.title.trim() || !form.crewName.trim()}
+              fullWidth
+              className="bg-blue-600 hover:bg-blue-700 text-white h-10 px-4 rounded-md text-sm font-medium"
+            >
+              {t('workOrders.schedule')}
+            </LoadingButton>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default WorkOrdersPanel;
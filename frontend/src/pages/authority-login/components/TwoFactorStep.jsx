@@ -0,0 +1,94 @@
+import React, { useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import Input from '../../../components/ui/Input';
+import AuthenticatorSecret from '../../../components/ui/AuthenticatorSecret';
+import { LoadingButton } from '../../../components/ui/Loading';
+
+// Second sign-in step. `challenge.setupRequired` means the user's role must
+// use two-factor and they have not enrolled yet, so they enroll here first.
+const TwoFactorStep = ({ challenge, isLoading, onSubmit, onCancel }) => {
+  const { t } = useTranslation();
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const value = code.trim();
+
+    if (useRecoveryCode) {
+      if (!/^[a-zA-Z0-9]{5}-?[a-zA-Z0-9]{5}$/.test(value)) {
+        setError(t('twoFactor.invalidRecoveryCode'));
+        return;
+      }
+      onSubmit({ recoveryCode: value });
+      return;
+    }
+
+    if (!/^\d{6}$/.test(value)) {
+      setError(t('twoFactor.invalidCode'));
+      return;
+    }
+    onSubmit(challenge.setupRequired ? { setupCode: value } : { code: value });
+  };
+
+  const toggleRecoveryCode = () => {
+    setUseRecoveryCode(!useRecoveryCode);
+    setCode('');
+    setError(null);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-6">
+      <div>
+        <h2 className="text-lg font-semibold text-gray-900">
+          {challenge.setupRequired ? t('twoFactor.setupTitle') : t('twoFactor.verifyTitle')}
+        </h2>
+        <p className="text-sm text-gray-600 mt-1">
+          {challenge.setupRequired
+            ? t('twoFactor.setupRequired')
+            : useRecoveryCode ? t('twoFactor.recoveryPrompt') : t('twoFactor.verifyPrompt')}
+        </p>
+      </div>
+
+      {challenge.setupRequired && challenge.enrollment && (
+        <AuthenticatorSecret secret={challenge.enrollment.secret} otpauthUrl={challenge.enrollment.otpauthUrl} />
+      )}
+
+      <Input
+        type="text"
+        label={useRecoveryCode ? t('twoFactor.recoveryCode') : t('twoFactor.code')}
+        value={code}
+        onChange={(e) => { setCode(e.target.value); setError(null); }}
+        placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+        inputMode={useRecoveryCode ? 'text' : 'numeric'}
+        autoComplete="one-time-code"
+        maxLength={useRecoveryCode ? 11 : 6}
+        error={error}
+        leftIcon="KeyRound"
+        autoFocus
+      />
+
+      <LoadingButton
+        type="submit"
+        isLoading={isLoading}
+        className="w-full bg-blue-600 hover:bg-blue-700 text-white py-3 rounded-lg font-medium transition-colors"
+      >
+        {challenge.setupRequired ? t('twoFactor.enableAndSignIn') : t('twoFactor.verify')}
+      </LoadingButton>
+
+      <div className="flex items-center justify-between text-sm">
+        <button type="button" onClick={onCancel} className="text-gray-600 hover:text-blue-600 hover:underline">
+          {t('twoFactor.startOver')}
+        </button>
+        {!challenge.setupRequired && (
+          <button type="button" onClick={toggleRecoveryCode} className="text-blue-600 hover:text-blue-700 hover:underline">
+            {useRecoveryCode ? t('twoFactor.useAuthenticator') : t('twoFactor.useRecoveryCode')}
+          </button>
+        )}
+      </div>
+    </form>
+  );
+};
+
+export default TwoFactorStep;
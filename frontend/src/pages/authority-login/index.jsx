@@ -7,12 +7,14 @@ import Button from '../../components/ui/Button';
 import Input from '../../components/ui/Input';
 import Icon from '../../components/AppIcon';
 import { LoadingButton } from '../../components/ui/Loading';
+import RecoveryCodes from '../../components/ui/RecoveryCodes';
+import TwoFactorStep from './components/TwoFactorStep';
 
 const AuthorityLogin = () => {
   const { t } = useTranslation();
   const navigate = useNavigate();
   const location = useLocation();
-  const { login, isAuthenticated } = useAuth();
+  const { login, completeTwoFactor, isAuthenticated } = useAuth();
   
   const [formData, setFormData] = useState({
     username: '',
@@ -21,15 +23,21 @@ const AuthorityLogin = () => {
   const [isLoading, setIsLoading] = useState(false);
   const [showPassword, setShowPassword] = useState(false);
   const [errors, setErrors] = useState({});
+  // Set after the password step when a second factor is needed
+  const [challenge, setChallenge] = useState(null);
+  // Shown once after enrolling during sign-in; redirect waits until they are saved
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [holdRedirect, setHoldRedirect] = useState(false);
+
+  const redirectTo = location.state?.from?.pathname || '/authority-dashboard';
 
   // Redirect if already authenticated
   useEffect(() => {
     document.title = t('authorityLogin.pageTitle');
-    if (isAuthenticated) {
-      const from = location.state?.from?.pathname || '/authority-dashboard';
-      navigate(from, { replace: true });
+    if (isAuthenticated && !holdRedirect) {
+      navigate(redirectTo, { replace: true });
     }
-  }, [isAuthenticated, navigate, location]);
+  }, [isAuthenticated, holdRedirect, navigate, redirectTo]);
 
   const validateForm = () => {
     const newErrors = {};
@@ -65,12 +73,13 @@ const AuthorityLogin = () => {
         password: formData.password
       });
 
-      if (result.success) {
+      if (result.success && result.twoFactor) {
+        setChallenge(result.twoFactor);
+      } else if (result.success) {
         toast.success(t('authorityLogin.loginSuccess'));
         
         // Redirect to the intended page or dashboard
-        const from = location.state?.from?.pathname || '/authority-dashboard';
-        navigate(from, { replace: true });
+        navigate(redirectTo, { replace: true });
       } else {
         toast.error(result.error || t('authorityLogin.loginFailed'));
       }
@@ -82,6 +91,37 @@ const AuthorityLogin = () => {
     }
   };
 
+  const handleTwoFactorSubmit = async (payload) => {
+    setIsLoading(true);
+    // Enrolling returns recovery codes; keep the user here until they have saved them
+    if (payload.setupCode) setHoldRedirect(true);
+
+    try {
+      const result = await completeTwoFactor(challenge.challengeToken, payload);
+
+      if (result.recoveryCodes) {
+        setRecoveryCodes(result.recoveryCodes);
+        return;
+      }
+      if (result.recoveryCodesRemaining !== undefined) {
+        toast.warning(t('twoFactor.recoveryCodesLeft', { count: result.recoveryCodesRemaining }));
+      }
+
+      toast.success(t('authorityLogin.loginSuccess'));
+      navigate(redirectTo, { replace: true });
+    } catch (error) {
+      setHoldRedirect(false);
+      toast.error(error.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleStartOver = () => {
+    setChallenge(null);
+    setFormData(prev => ({ ...prev, password: '' }));
+  };
+
   const handleInputChange = (field, value) => {
     setFormData(prev => ({ ...prev, [field]: value }));
     
@@ -109,46 +149,79 @@ const AuthorityLogin = () => {
 
           {/* Login Form */}
           <div className="p-8">
-            <form onSubmit={handleSubmit} className="space-y-6">
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">
-                  {t('authorityLogin.username')}
-                </label>
-                <Input
-                  type="text"
-                  value={formData.username}
-                  onChange={(e) => handleInputChange('username', e.target.value)}
-                  placeholder={t('authorityLogin.username')}
-                  error={errors.username}
-                  className="w-full"
-                />
+            {recoveryCodes ? (
+              <div className="space-y-6">
+                <div>
+                  <h2 className="text-lg font-semibold text-gray-900">{t('twoFactor.recoveryCodesTitle')}</h2>
+                  <p className="text-sm text-gray-600 mt-1">{t('twoFactor.enabled')}</p>
+                </div>
+                <RecoveryCodes codes={recoveryCodes} />
+                <Button
+                  type="button"
+                  fullWidth
+                  onClick={() => navigate(redirectTo, { replace: true })}
+                >
+                  {t('twoFactor.savedContinue')}
+                </Button>
               </div>
+            ) : challenge ? (
+              <TwoFactorStep
+                challenge={challenge}
+                isLoading={isLoading}
+                onSubmit={handleTwoFactorSubmit}
+                onCancel={handleStartOver}
+              />
+            ) : (
+              <form onSubmit={handleSubmit} className="space-y-6">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    {t('authorityLogin.username')}
+                  </label>
+                  <Input
+                    type="text"
+                    value={formData.username}
+                    onChange={(e) => handleInputChange('username', e.target.value)}
+                    placeholder={t('authorityLogin.username')}
+                    error={errors.username}
+                    className="w-full"
+                  />
+                </div>
 
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">
-                  {t('authorityLogin.password')}
-                </label>
-                <Input
-                  type={showPassword ? 'text' : 'password'}
-                  value={formData.password}
-                  onChange={(e) => handleInputChange('password', e.target.value)}
-                  placeholder={t('authorityLogin.password')}
-                  error={errors.password}
-                  className="w-full"
-                  leftIcon="Lock"
-                  rightIcon={showPassword ? 'EyeOff' : 'Eye'}
-                  onRightIconClick={() => setShowPassword(!showPassword)}
-                />
-              </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    {t('authorityLogin.password')}
+                  </label>
+                  <Input
+                    type={showPassword ? 'text' : 'password'}
+                    value={formData.password}
+                    onChange={(e) => handleInputChange('password', e.target.value)}
+                    placeholder={t('authorityLogin.password')}
+                    error={errors.password}
+                    className="w-full"
+                    leftIcon="Lock"
+                    rightIcon={showPassword ? 'EyeOff' : 'Eye'}
+                    onRightIconClick={() => setShowPassword(!showPassword)}
+                  />
+                  <div className="mt-2 text-right">
+                    <button
+                      type="button"
+                      onClick={() => navigate('/reset-password')}
+                      className="text-sm text-blue-600 hover:text-blue-700 hover:underline"
+                    >
+                      {t('authorityLogin.forgotPassword')}
+                    </button>
+                  </div>
+                </div>
 
-              <LoadingButton
-                type="submit"
-                isLoading={isLoading}
-                className="w-full bg-blue-600 hover:bg-blue-700 text-white py-3 rounded-lg font-medium transition-colors"
-              >
-                {isLoading ? t('authorityLogin.signingIn') : t('authorityLogin.signIn')}
-              </LoadingButton>
-            </form>
+                <LoadingButton
+                  type="submit"
+                  isLoading={isLoading}
+                  className="w-full bg-blue-600 hover:bg-blue-700 text-white py-3 rounded-lg font-medium transition-colors"
+                >
+                  {isLoading ? t('authorityLogin.signingIn') : t('authorityLogin.signIn')}
+                </LoadingButton>
+              </form>
+            )}
 
             {/* Demo Credentials Info */}
             <div className="mt-6 p-4 bg-gray-50 rounded-lg border">
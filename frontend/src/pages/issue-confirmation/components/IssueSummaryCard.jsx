@@ -6,6 +6,7 @@ import IssueStatusIndicator from '../../../components/ui/IssueStatusIndicator';
 
 const IssueSummaryCard = ({ issue }) => {
   const { t } = useTranslation();
+  const isAnalysing = ['pending', 'processing'].includes(issue?.aiProcessingStatus);
   return (
     <div className="bg-card rounded-lg border border-border overflow-hidden shadow-elevation-1">
       <div className="p-4 md:p-5 lg:p-6 border-b border-border">
@@ -13,7 +14,7 @@ const IssueSummaryCard = ({ issue }) => {
           <h2 className="text-lg md:text-xl lg:text-2xl font-semibold text-foreground">
             {t('issueSummary.title')}
           </h2>
-          <IssueStatusIndicator status="submitted" size="default" />
+          <IssueStatusIndicator status={issue?.status || 'submitted'} label={issue?.statusLabel} stage={issue?.statusStage} size="default" />
         </div>
       </div>
       <div className="p-4 md:p-5 lg:p-6 space-y-4 md:space-y-5 lg:space-y-6">
@@ -37,6 +38,12 @@ const IssueSummaryCard = ({ issue }) => {
               <p className="text-sm md:text-base lg:text-lg font-medium text-foreground">
                 {issue?.category}
               </p>
+              {isAnalysing && (
+                <p className="flex items-center gap-1.5 mt-1 text-xs md:text-sm text-muted-foreground">
+                  <Icon name="Loader2" size={14} className="animate-spin" />
+                  {t('issueSummary.aiAnalysing')}
+                </p>
+              )}
             </div>
           </div>
 
@@ -2,39 +2,49 @@ import React from 'react';
 import { useTranslation } from 'react-i18next';
 import Icon from '../../../components/AppIcon';
 
-const TrackingTimeline = ({ estimatedResolutionDays }) => {
+// Index of the current step for each lifecycle stage (past the end = all done)
+const STAGE_STEP = {
+  submitted: 1,
+  assigned: 1,
+  rejected: 1,
+  in_progress: 2,
+  resolved: 4,
+  closed: 4
+};
+
+const TrackingTimeline = ({ estimatedResolutionDays, stage = 'submitted', isLive = false }) => {
   const { t } = useTranslation();
+  const currentStep = STAGE_STEP[stage] ?? 1;
 
   const timelineSteps = [
     {
       icon: 'CheckCircle',
       title: t('timeline.submitted'),
       description: t('timeline.submittedDesc'),
-      status: 'completed',
       time: t('timeline.justNow')
     },
     {
       icon: 'Eye',
       title: t('timeline.underReview'),
       description: t('timeline.underReviewDesc'),
-      status: 'current',
       time: t('timeline.within24h')
     },
     {
       icon: 'Wrench',
       title: t('timeline.inProgress'),
       description: t('timeline.inProgressDesc'),
-      status: 'upcoming',
       time: t('timeline.twoThreeDays')
     },
     {
       icon: 'CheckCircle2',
       title: t('timeline.resolved'),
       description: t('timeline.resolvedDesc'),
-      status: 'upcoming',
       time: t('timeline.estimatedDays', { days: estimatedResolutionDays })
     }
-  ];
+  ].map((step, index) => ({
+    ...step,
+    status: index < currentStep ? 'completed' : index === currentStep ? 'current' : 'upcoming'
+  }));
 
   const getStepStyles = (status) => {
     switch (status) {
@@ -69,6 +79,12 @@ const TrackingTimeline = ({ estimatedResolutionDays }) => {
         <h2 className="text-lg md:text-xl lg:text-2xl font-semibold text-foreground">
           {t('timeline.title')}
         </h2>
+        {isLive && (
+          <span className="ml-auto inline-flex items-center gap-1.5 text-xs font-medium text-success">
+            <span className="w-2 h-2 rounded-full bg-success animate-pulse" />
+            {t('timeline.liveUpdates')}
+          </span>
+        )}
       </div>
       <div className="space-y-4 md:space-y-5 lg:space-y-6">
         {timelineSteps?.map((step, index) => {
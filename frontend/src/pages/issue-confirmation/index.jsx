@@ -1,4 +1,4 @@
-import React, { useEffect } from 'react';
+import React, { useEffect, useState } from 'react';
 import { useLocation, useNavigate } from 'react-router-dom';
 import { useTranslation } from 'react-i18next';
 import Header from '../../components/ui/Header';
@@ -8,12 +8,21 @@ import TrackingTimeline from './components/TrackingTimeline';
 import ActionButtons from './components/ActionButtons';
 import NextStepsGuide from './components/NextStepsGuide';
 import HelpfulResources from './components/HelpfulResources';
+import { useIssueEvents } from '../../hooks/useIssueEvents';
 
 const IssueConfirmation = () => {
   const { t } = useTranslation();
   const location = useLocation();
   const navigate = useNavigate();
-  const submittedIssue = location?.state?.issue;
+  const submittedIssue = location?.state?.issue || location?.state?.report;
+  const [liveIssue, setLiveIssue] = useState(null);
+
+  // Follow this issue so status changes show up without a reload
+  const { isConnected } = useIssueEvents({
+    issueIds: [submittedIssue?.id],
+    enabled: !!submittedIssue?.id,
+    onEvent: ({ issue }) => setLiveIssue(issue)
+  });
 
   useEffect(() => {
     document.title = t('confirmation.pageTitle');
@@ -28,16 +37,19 @@ const IssueConfirmation = () => {
 
   const issueData = {
     id: submittedIssue?.id || `SCR-${Date.now()?.toString()?.slice(-8)}`,
-    category: submittedIssue?.category || t('confirmation.generalIssue'),
+    category: liveIssue?.category || submittedIssue?.category || t('confirmation.generalIssue'),
     location: submittedIssue?.location?.address || submittedIssue?.location || t('confirmation.locationNotSpecified'),
     description: submittedIssue?.description || t('confirmation.issuePending'),
     image: submittedIssue?.images?.[0] || submittedIssue?.image || null,
     imageAlt: `Photo of ${submittedIssue?.category || 'civic issue'} submitted by citizen`,
     submittedDate: submittedIssue?.submittedDate || new Date()?.toISOString(),
-    status: submittedIssue?.status || 'submitted',
-    priority: submittedIssue?.priority || null,
+    status: liveIssue?.status || submittedIssue?.status || 'submitted',
+    statusLabel: liveIssue?.statusLabel || submittedIssue?.statusLabel,
+    statusStage: liveIssue?.statusStage || submittedIssue?.statusStage || submittedIssue?.status || 'submitted',
+    priority: liveIssue?.priority || submittedIssue?.priority || null,
     severityLevel: submittedIssue?.severityLevel || null,
-    assignedDepartment: submittedIssue?.assignedDepartment || null,
+    assignedDepartment: liveIssue?.assignedDepartment || submittedIssue?.assignedDepartment || null,
+    aiProcessingStatus: liveIssue?.aiProcessingStatus || submittedIssue?.aiProcessingStatus || null,
     estimatedResolutionDays: 7,
     citizenName: submittedIssue?.citizenName || t('confirmation.citizen'),
     citizenEmail: submittedIssue?.citizenEmail || ''
@@ -57,7 +69,11 @@ const IssueConfirmation = () => {
             </div>
 
             <div className="space-y-4 md:space-y-6">
-              <TrackingTimeline estimatedResolutionDays={issueData?.estimatedResolutionDays} />
+              <TrackingTimeline
+                estimatedResolutionDays={issueData?.estimatedResolutionDays}
+                stage={issueData?.statusStage}
+                isLive={isConnected}
+              />
             </div>
           </div>
 
@@ -0,0 +1,200 @@
+import React, { useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { toast } from '../../../utils/toast';
+import { citizenApi, uploadApi } from '../../../utils/api';
+import Icon from '../../../components/AppIcon';
+import IssueStatusIndicator from '../../../components/ui/IssueStatusIndicator';
+import { LoadingButton } from '../../../components/ui/Loading';
+
+const FEEDBACK_STAGES = ['resolved', 'closed'];
+
+const MyReportCard = ({ issue, onFeedbackSubmitted, onReopened }) => {
+  const { t } = useTranslation();
+  const [rating, setRating] = useState(0);
+  const [comment, setComment] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [showReopen, setShowReopen] = useState(false);
+  const [reopenReason, setReopenReason] = useState('');
+  const [reopenPhoto, setReopenPhoto] = useState(null);
+  const [isReopening, setIsReopening] = useState(false);
+
+  const existingRating = issue?.citizenFeedback?.rating;
+  const canGiveFeedback = FEEDBACK_STAGES.includes(issue?.statusStage) && !existingRating;
+  const canReopen = FEEDBACK_STAGES.includes(issue?.statusStage) &&
+    !!issue?.reopenDeadline && new Date(issue.reopenDeadline) > new Date();
+  const location = issue?.location?.address || (typeof issue?.location === 'string' ? issue.location : null);
+
+  const handleSubmitFeedback = async (e) => {
+    e.preventDefault();
+    if (!rating) return;
+
+    setIsSubmitting(true);
+    try {
+      await citizenApi.submitFeedback(issue.id, rating, comment.trim());
+      toast.success(t('myReports.feedbackThanks'));
+      onFeedbackSubmitted?.(issue.id, { rating, comment: comment.trim() });
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleReopen = async (e) => {
+    e.preventDefault();
+    if (reopenReason.trim().length < 10) {
+      toast.error(t('myReports.reopenReasonRequired'));
+      return;
+    }
+
+    setIsReopening(true);
+    try {
+      const upload = reopenPhoto ? await uploadApi.uploadImage(reopenPhoto) : null;
+      await citizenApi.rejectResolution(issue.id, reopenReason.trim(), upload?.data?.url);
+      toast.success(t('myReports.reopened'));
+      setShowReopen(false);
+      onReopened?.(issue.id);
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setIsReopening(false);
+    }
+  };
+
+  return (
+    <div className="bg-card rounded-lg border border-border shadow-elevation-1 p-4 md:p-5">
+      <div className="flex items-start justify-between gap-3 mb-3">
+        <div className="min-w-0">
+          <p className="text-sm font-mono font-semibold text-primary">#{issue?.id}</p>
+          <p className="text-base font-medium text-foreground capitalize">{issue?.category}</p>
+        </div>
+        <IssueStatusIndicator status={issue?.status} label={issue?.statusLabel} stage={issue?.statusStage} size="sm" />
+      </div>
+
+      {issue?.description && (
+        <p className="text-sm text-muted-foreground line-clamp-2 mb-3">{issue.description}</p>
+      )}
+
+      <div className="flex flex-wrap gap-x-4 gap-y-1 text-xs text-muted-foreground">
+        {location && (
+          <span className="inline-flex items-center gap-1">
+            <Icon name="MapPin" size={12} />
+            {location}
+          </span>
+        )}
+        <span className="inline-flex items-center gap-1">
+          <Icon name="Calendar" size={12} />
+          {t('myReports.submittedOn', { date: new Date(issue?.submittedAt || issue?.createdAt).toLocaleDateString() })}
+        </span>
+        {issue?.assignedDepartment?.name && (
+          <span className="inline-flex items-center gap-1">
+            <Icon name="Building2" size={12} />
+            {issue.assignedDepartment.name}
+          </span>
+        )}
+      </div>
+
+      {existingRating && (
+        <div className="mt-3 pt-3 border-t border-border flex items-center gap-1 text-sm text-muted-foreground">
+          <span className="mr-1">{t('myReports.yourRating')}</span>
+          {[1, 2, 3, 4, 5].map((star) => (
+            <Icon key={star} name="Star" size={14} className={star <= existingRating ? 'text-warning fill-current' : 'text-muted-foreground'} />
+          ))}
+        </div>
+      )}
+
+      {canGiveFeedback && (
+        <form onSubmit={handleSubmitFeedback} className="mt-3 pt-3 border-t border-border space-y-3">
+          <p className="text-sm font-medium text-foreground">{t('myReports.rateResolution')}</p>
+          <div className="flex items-center gap-1">
+            {[1, 2, 3, 4, 5].map((star) => (
+              <button
+                key={star}
+                type="button"
+                onClick={() => setRating(star)}
+                className="p-1"
+                aria-label={t('myReports.starLabel', { count: star })}
+              >
+                <Icon name="Star" size={20} className={star <= rating ? 'text-warning fill-current' : 'text-muted-foreground'} />
+              </button>
+            ))}
+          </div>
+          <textarea
+            value={comment}
+            onChange={(e) => setComment(e.target.value)}
+            placeholder={t('myReports.commentPlaceholder')}
+            maxLength={1000}
+            rows={2}
+            className="w-full rounded-md border border-input bg-background px-3 py-2 text-sm focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring"
+          />
+          <LoadingButton
+            type="submit"
+            isLoading={isSubmitting}
+            disabled={!rating || isSubmitting}
+            className="bg-primary text-primary-foreground px-4 py-2 rounded-lg text-sm font-medium disabled:opacity-50"
+          >
+            {t('myReports.submitFeedback')}
+          </LoadingButton>
+        </form>
+      )}
+
+      {canReopen && !showReopen && (
+        <div className="mt-3 pt-3 border-t border-border flex items-center justify-between gap-3">
+          <p className="text-xs text-muted-foreground">
+            {t('myReports.reopenHint', { date: new Date(issue.reopenDeadline).toLocaleDateString() })}
+          </p>
+          <button
+            type="button"
+            onClick={() => setShowReopen(true)}
+            className="inline-flex items-center gap-1 text-sm font-medium text-red-600 hover:underline flex-shrink-0"
+          >
+            <Icon name="RotateCcw" size={14} />
+            {t('myReports.notFixed')}
+          </button>
+        </div>
+      )}
+
+      {canReopen && showReopen && (
+        <form onSubmit={handleReopen} className="mt-3 pt-3 border-t border-border space-y-3">
+          <p className="text-sm font-medium text-foreground">{t('myReports.reopenTitle')}</p>
+          <textarea
+            value={reopenReason}
+            onChange={(e) => setReopenReason(e.target.value)}
+            placeholder={t('myReports.reopenPlaceholder')}
+            maxLength={1000}
+            rows={3}
+            className="w-full rounded-md border border-input bg-background px-3 py-2 text-sm focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring"
+          />
+          <label className="block text-xs text-muted-foreground">
+            {t('myReports.reopenPhoto')}
+            <input
+              type="file"
+              accept="image/*"
+              onChange={(e) => setReopenPhoto(e.target.files?.[0] || null)}
+              className="block mt-1 text-sm text-foreground"
+            />
+          </label>
+          <div className="flex items-center gap-3">
+            <button
+              type="button"
+              onClick={() => setShowReopen(false)}
+              className="px-4 py-2 rounded-lg text-sm font-medium border border-border text-foreground"
+            >
+              {t('common.cancel')}
+            </button>
+            <LoadingButton
+              type="submit"
+              isLoading={isReopening}
+              disabled={isReopening}
+              className="bg-red-600 hover:bg-red-700 text-white px-4 py-2 rounded-lg text-sm font-medium disabled:opacity-50"
+            >
+              {t('myReports.reopenSubmit')}
+            </LoadingButton>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default MyReportCard;
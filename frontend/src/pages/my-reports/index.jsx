@@ -0,0 +1,140 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useTranslation } from 'react-i18next';
+import { citizenApi } from '../../utils/api';
+import Header from '../../components/ui/Header';
+import Button from '../../components/ui/Button';
+import Icon from '../../components/AppIcon';
+import { LoadingSpinner } from '../../components/ui/Loading';
+import CitizenSignIn from '../../components/ui/CitizenSignIn';
+import MyReportCard from './components/MyReportCard';
+
+const MyReports = () => {
+  const { t } = useTranslation();
+  const navigate = useNavigate();
+  const [isSignedIn, setIsSignedIn] = useState(citizenApi.isSignedIn());
+  const [issues, setIssues] = useState([]);
+  const [statistics, setStatistics] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadReports = useCallback(async () => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      const response = await citizenApi.getMyDashboard();
+      setIssues(response?.data?.issues || []);
+      setStatistics(response?.data?.statistics || null);
+    } catch (err) {
+      // An expired session clears the token; fall back to the sign-in form
+      if (!citizenApi.isSignedIn()) {
+        setIsSignedIn(false);
+      } else {
+        setError(err.message);
+      }
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    document.title = t('myReports.pageTitle');
+  }, [t]);
+
+  useEffect(() => {
+    if (isSignedIn) loadReports();
+  }, [isSignedIn, loadReports]);
+
+  const handleSignOut = async () => {
+    await citizenApi.signOut();
+    setIssues([]);
+    setStatistics(null);
+    setIsSignedIn(false);
+  };
+
+  const handleFeedbackSubmitted = (issueId, feedback) => {
+    setIssues(prev => prev.map(issue => (
+      issue.id === issueId
+        ? { ...issue, citizenFeedback: { ...feedback, submittedAt: new Date().toISOString() } }
+        : issue
+    )));
+  };
+
+  const statCards = statistics ? [
+    { key: 'total', label: t('myReports.statTotal'), value: statistics.total, icon: 'FileText' },
+    { key: 'open', label: t('myReports.statOpen'), value: statistics.submitted + statistics.assigned + statistics.in_progress, icon: 'Clock' },
+    { key: 'resolved', label: t('myReports.statResolved'), value: statistics.resolved + statistics.closed, icon: 'CheckCircle' },
+    { key: 'avg', label: t('myReports.statAvgDays'), value: statistics.avg_resolution_days || '—', icon: 'Timer' }
+  ] : [];
+
+  return (
+    <div className="min-h-screen bg-background">
+      <Header isAuthenticated={false} />
+      <main className="pt-16 sm:pt-20 pb-8 md:pb-12 lg:pb-16">
+        <div className="max-w-[1000px] mx-auto px-4 md:px-6 lg:px-8 py-6">
+          <div className="flex flex-wrap items-center justify-between gap-3 mb-6">
+            <div>
+              <h1 className="text-2xl md:text-3xl font-bold text-foreground">{t('myReports.title')}</h1>
+              <p className="text-sm text-muted-foreground">
+                {isSignedIn ? t('myReports.signedInAs', { email: citizenApi.getEmail() }) : t('myReports.subtitle')}
+              </p>
+            </div>
+            {isSignedIn && (
+              <Button variant="outline" size="sm" iconName="LogOut" iconPosition="left" onClick={handleSignOut}>
+                {t('myReports.signOut')}
+              </Button>
+            )}
+          </div>
+
+          {!isSignedIn ? (
+            <CitizenSignIn onSignedIn={() => setIsSignedIn(true)} />
+          ) : isLoading ? (
+            <div className="flex justify-center py-16">
+              <LoadingSpinner size="lg" />
+            </div>
+          ) : error ? (
+            <div className="text-center py-16">
+              <Icon name="AlertCircle" size={32} className="text-error mx-auto mb-3" />
+              <p className="text-sm text-muted-foreground mb-4">{error}</p>
+              <Button variant="outline" size="sm" onClick={loadReports}>{t('myReports.retry')}</Button>
+            </div>
+          ) : (
+            <>
+              {statCards.length > 0 && (
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-6">
+                  {statCards.map(card => (
+                    <div key={card.key} className="bg-card rounded-lg border border-border p-4">
+                      <div className="flex items-center gap-2 text-muted-foreground text-xs mb-1">
+                        <Icon name={card.icon} size={14} />
+                        {card.label}
+                      </div>
+                      <p className="text-2xl font-semibold text-foreground">{card.value}</p>
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              {issues.length === 0 ? (
+                <div className="text-center py-16">
+                  <Icon name="Inbox" size={32} className="text-muted-foreground mx-auto mb-3" />
+                  <p className="text-sm text-muted-foreground mb-4">{t('myReports.empty')}</p>
+                  <Button size="sm" iconName="Camera" iconPosition="left" onClick={() => navigate('/report-issue')}>
+                    {t('navbar.reportIssue')}
+                  </Button>
+                </div>
+              ) : (
+                <div className="space-y-4">
+                  {issues.map(issue => (
+                    <MyReportCard key={issue.id} issue={issue} onFeedbackSubmitted={handleFeedbackSubmitted} onReopened={loadReports} />
+                  ))}
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      </main>
+    </div>
+  );
+};
+
+export default MyReports;
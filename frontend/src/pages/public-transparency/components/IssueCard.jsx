@@ -1,13 +1,23 @@
-import React from 'react';
+import React, { useEffect, useState } from 'react';
 import { useTranslation } from 'react-i18next';
 import Image from '../../../components/AppImage';
 import Icon from '../../../components/AppIcon';
 import IssueStatusIndicator from '../../../components/ui/IssueStatusIndicator';
 import LocationDisplay from '../../../components/ui/LocationDisplay';
 import AIClassificationBadge from '../../../components/ui/AIClassificationBadge';
+import ConfirmIssueForm from '../../../components/ui/ConfirmIssueForm';
+
+const CLOSED_STAGES = ['resolved', 'closed', 'rejected'];
 
 const IssueCard = ({ issue, onViewDetails }) => {
   const { t } = useTranslation();
+  const [isConfirming, setIsConfirming] = useState(false);
+  const [supporterCount, setSupporterCount] = useState(issue?.supporterCount || 0);
+  const canConfirm = !CLOSED_STAGES.includes(issue?.statusStage);
+
+  useEffect(() => {
+    setSupporterCount(issue?.supporterCount || 0);
+  }, [issue?.supporterCount]);
 
   const priorityBadge = {
     critical: { color: 'text-red-700', bg: 'bg-red-100', label: t('issueCard.critical') },
@@ -126,6 +136,37 @@ const IssueCard = ({ issue, onViewDetails }) => {
           className="mb-3"
         />
 
+        {/* Residents who confirmed this issue ("me too") */}
+        <div className="flex items-center justify-between gap-2 mb-3">
+          <span className="inline-flex items-center gap-1.5 text-xs text-muted-foreground">
+            <Icon name="Users" size={14} />
+            {t('issueCard.supporters', { count: supporterCount })}
+          </span>
+          {canConfirm && !isConfirming && (
+            <button
+              onClick={() => setIsConfirming(true)}
+              className="inline-flex items-center gap-1.5 px-2.5 py-1 text-xs font-medium text-primary border border-primary/30 hover:bg-primary/10 rounded-md transition-smooth"
+            >
+              <Icon name="ThumbsUp" size={14} />
+              {t('issueCard.meToo')}
+            </button>
+          )}
+        </div>
+
+        {isConfirming && (
+          <div className="mb-3 p-3 rounded-lg bg-muted/50 border border-border">
+            <p className="text-xs text-muted-foreground mb-3">{t('issueCard.meTooHint')}</p>
+            <ConfirmIssueForm
+              issueId={issue?.id}
+              onConfirmed={(confirmed) => {
+                setSupporterCount(confirmed?.supporterCount ?? supporterCount);
+                setIsConfirming(false);
+              }}
+              onCancel={() => setIsConfirming(false)}
+            />
+          </div>
+        )}
+
         <div className="flex items-center justify-between pt-3 border-t border-border">
           <div className="flex flex-col gap-1">
             <span className="text-xs text-muted-foreground">{t('issueCard.submitted')}</span>
@@ -6,6 +6,7 @@ import Button from '../../../components/ui/Button';
 import IssueStatusIndicator from '../../../components/ui/IssueStatusIndicator';
 import LocationDisplay from '../../../components/ui/LocationDisplay';
 import AIClassificationBadge from '../../../components/ui/AIClassificationBadge';
+import CommentThread from '../../../components/ui/CommentThread';
 
 const IssueDetailsModal = ({ issue, onClose }) => {
   const { t } = useTranslation();
@@ -246,6 +247,15 @@ const IssueDetailsModal = ({ issue, onClose }) => {
                 </p>
               </div>
             )}
+
+            {/* Comments */}
+            <div className="border border-border rounded-lg p-4">
+              <h4 className="text-sm font-semibold text-foreground mb-3 flex items-center gap-2">
+                <Icon name="MessagesSquare" size={16} />
+                {t('comments.title')}
+              </h4>
+              <CommentThread issueId={issue?.id} />
+            </div>
           </div>
         </div>
 
@@ -52,7 +52,9 @@ const PublicTransparency = () => {
           category: issue.category,
           categoryIcon: getCategoryIcon(issue.category),
           status: issue.status,
+          statusStage: issue.statusStage,
           priority: issue.priority || 'medium',
+          supporterCount: issue.supporterCount || 0,
           severityLevel: issue.severityLevel || 'medium',
           location: typeof issue.location === 'string' ? issue.location : 
                    (issue.location?.address || issue.location?.street || t('transparency.locationNotProvided')),
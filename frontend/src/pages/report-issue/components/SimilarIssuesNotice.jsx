@@ -0,0 +1,64 @@
+import React, { useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import Icon from '../../../components/AppIcon';
+import Button from '../../../components/ui/Button';
+import ConfirmIssueForm from '../../../components/ui/ConfirmIssueForm';
+
+// Open issues near the report being filed; the reporter can confirm one instead
+const SimilarIssuesNotice = ({ issues = [], onConfirmed }) => {
+  const { t } = useTranslation();
+  const [confirmingId, setConfirmingId] = useState(null);
+
+  if (issues.length === 0) return null;
+
+  return (
+    <div className="bg-amber-50 rounded-lg border border-amber-200 p-4 lg:p-6 space-y-4">
+      <div className="flex items-start gap-3">
+        <Icon name="Users" size={20} className="text-amber-700 flex-shrink-0 mt-0.5" />
+        <div>
+          <h3 className="text-base font-semibold text-amber-900">
+            {t('similarIssues.title', { count: issues.length })}
+          </h3>
+          <p className="text-sm text-amber-800">{t('similarIssues.subtitle')}</p>
+        </div>
+      </div>
+
+      {issues.map(issue => (
+        <div key={issue.id} className="bg-card rounded-md border border-border p-3 space-y-3">
+          <div className="flex items-start justify-between gap-3">
+            <div className="min-w-0">
+              <p className="text-sm font-mono font-semibold text-foreground">#{issue.id}</p>
+              <p className="text-sm text-muted-foreground line-clamp-2">{issue.description}</p>
+              <p className="text-xs text-muted-foreground mt-1">
+                {issue.address ? `${issue.address} · ` : ''}{issue.statusLabel} · {t('issueCard.supporters', { count: issue.supporterCount })}
+              </p>
+            </div>
+            {confirmingId !== issue.id && (
+              <Button
+                variant="outline"
+                size="sm"
+                iconName="ThumbsUp"
+                iconPosition="left"
+                onClick={() => setConfirmingId(issue.id)}
+              >
+                {t('similarIssues.confirm')}
+              </Button>
+            )}
+          </div>
+
+          {confirmingId === issue.id && (
+            <ConfirmIssueForm
+              issueId={issue.id}
+              onConfirmed={onConfirmed}
+              onCancel={() => setConfirmingId(null)}
+            />
+          )}
+        </div>
+      ))}
+
+      <p className="text-xs text-amber-800">{t('similarIssues.different')}</p>
+    </div>
+  );
+};
+
+export default SimilarIssuesNotice;
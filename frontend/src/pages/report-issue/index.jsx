@@ -11,6 +11,7 @@ import CategorySelector from './components/CategorySelector';
 import FreeLocationPicker from './components/FreeLocationPicker';
 import DescriptionInput from './components/DescriptionInput';
 import SubmitSection from './components/SubmitSection';
+import SimilarIssuesNotice from './components/SimilarIssuesNotice';
 import Icon from '../../components/AppIcon';
 
 const ReportIssue = () => {
@@ -33,12 +34,48 @@ const ReportIssue = () => {
   const [aiPrediction, setAiPrediction] = useState(null);
   const [isAIClassifying, setIsAIClassifying] = useState(false);
   const [validationErrors, setValidationErrors] = useState([]);
+  const [similarIssues, setSimilarIssues] = useState([]);
 
   useEffect(() => {
     document.title = t('reportIssue.pageTitle');
     window.scrollTo(0, 0);
   }, []);
 
+  // Look for open issues nearby once category, location and description are known
+  const similarLat = formData?.location?.coordinates?.latitude || formData?.location?.lat;
+  const similarLng = formData?.location?.coordinates?.longitude || formData?.location?.lng;
+  useEffect(() => {
+    const description = formData?.description?.trim() || '';
+    if (!formData?.category || !similarLat || !similarLng || description.length < 10) {
+      setSimilarIssues([]);
+      return undefined;
+    }
+
+    let isActive = true;
+    const timer = setTimeout(async () => {
+      try {
+        const response = await issuesApi.findSimilar({
+          category: formData.category,
+          description,
+          location: { lat: parseFloat(similarLat), lng: parseFloat(similarLng) }
+        });
+        if (isActive) setSimilarIssues(response?.data || []);
+      } catch (error) {
+        // The check only helps the reporter; filing a new report still works
+        if (isActive) setSimilarIssues([]);
+      }
+    }, 800);
+
+    return () => {
+      isActive = false;
+      clearTimeout(timer);
+    };
+  }, [formData?.category, formData?.description, similarLat, similarLng]);
+
+  const handleSimilarConfirmed = () => {
+    navigate('/public-transparency');
+  };
+
   const workflowSteps = [
     { label: t('reportIssue.stepCapture'), icon: 'Camera', description: t('reportIssue.stepCaptureDesc') },
     { label: t('reportIssue.stepCategorize'), icon: 'Tag', description: t('reportIssue.stepCategorizeDesc') },
@@ -207,7 +244,11 @@ const ReportIssue = () => {
           id: createResponse.data.id,
           ...formData,
           images: uploadedImageUrls,
-          status: 'submitted',
+          status: createResponse.data.status || 'submitted',
+          statusLabel: createResponse.data.statusLabel,
+          statusStage: createResponse.data.statusStage,
+          assignedDepartment: createResponse.data.assignedDepartment,
+          aiProcessingStatus: createResponse.data.aiProcessingStatus,
           submittedAt: new Date().toISOString(),
           estimatedResolution: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString()
         };
@@ -321,6 +362,11 @@ const ReportIssue = () => {
               />
             </div>
 
+            <SimilarIssuesNotice
+              issues={similarIssues}
+              onConfirmed={handleSimilarConfirmed}
+            />
+
             <div className="animate-bounce-in animate-stagger-5">
               <SubmitSection
                 onSubmit={handleSubmit}
@@ -0,0 +1,169 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { useTranslation } from 'react-i18next';
+import { toast } from '../../utils/toast';
+import { authApi } from '../../utils/api';
+import Button from '../../components/ui/Button';
+import Input from '../../components/ui/Input';
+import Icon from '../../components/AppIcon';
+import { LoadingButton } from '../../components/ui/Loading';
+
+// Mirrors the backend rule in userSchemas.resetPassword
+const PASSWORD_PATTERN = /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d).{8,128}$/;
+
+const ResetPassword = () => {
+  const { t } = useTranslation();
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [showPassword, setShowPassword] = useState(false);
+  const [errors, setErrors] = useState({});
+  const [isLoading, setIsLoading] = useState(false);
+  const [emailSent, setEmailSent] = useState(false);
+
+  useEffect(() => {
+    document.title = t('passwordReset.pageTitle');
+  }, [t]);
+
+  const handleRequestLink = async (e) => {
+    e.preventDefault();
+    if (!/^\S+@\S+\.\S+$/.test(email.trim())) {
+      setErrors({ email: t('passwordReset.invalidEmail') });
+      return;
+    }
+
+    setIsLoading(true);
+    try {
+      await authApi.forgotPassword(email.trim());
+      setEmailSent(true);
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleResetPassword = async (e) => {
+    e.preventDefault();
+    const newErrors = {};
+    if (!PASSWORD_PATTERN.test(password)) {
+      newErrors.password = t('passwordReset.passwordRules');
+    }
+    if (password !== confirmPassword) {
+      newErrors.confirmPassword = t('passwordReset.passwordMismatch');
+    }
+    setErrors(newErrors);
+    if (Object.keys(newErrors).length > 0) return;
+
+    setIsLoading(true);
+    try {
+      await authApi.resetPassword(token, password);
+      toast.success(t('passwordReset.resetSuccess'));
+      navigate('/authority-login', { replace: true });
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center px-4">
+      <div className="max-w-md w-full">
+        <div className="bg-white rounded-2xl shadow-xl border border-gray-200 overflow-hidden">
+          {/* Header */}
+          <div className="bg-gradient-to-r from-blue-600 to-indigo-600 px-8 py-6 text-center">
+            <div className="w-16 h-16 bg-white rounded-full flex items-center justify-center mx-auto mb-4">
+              <Icon name="KeyRound" size={32} className="text-blue-600" />
+            </div>
+            <h1 className="text-2xl font-bold text-white mb-2">
+              {token ? t('passwordReset.chooseTitle') : t('passwordReset.forgotTitle')}
+            </h1>
+            <p className="text-blue-100 text-sm">
+              {token ? t('passwordReset.chooseSubtitle') : t('passwordReset.forgotSubtitle')}
+            </p>
+          </div>
+
+          <div className="p-8">
+            {token ? (
+              <form onSubmit={handleResetPassword} className="space-y-6">
+                <Input
+                  type={showPassword ? 'text' : 'password'}
+                  label={t('passwordReset.newPassword')}
+                  value={password}
+                  onChange={(e) => { setPassword(e.target.value); setErrors({}); }}
+                  description={t('passwordReset.passwordRules')}
+                  error={errors.password}
+                  autoComplete="new-password"
+                  leftIcon="Lock"
+                  rightIcon={showPassword ? 'EyeOff' : 'Eye'}
+                  onRightIconClick={() => setShowPassword(!showPassword)}
+                />
+                <Input
+                  type={showPassword ? 'text' : 'password'}
+                  label={t('passwordReset.confirmPassword')}
+                  value={confirmPassword}
+                  onChange={(e) => { setConfirmPassword(e.target.value); setErrors({}); }}
+                  error={errors.confirmPassword}
+                  autoComplete="new-password"
+                  leftIcon="Lock"
+                />
+                <LoadingButton
+                  type="submit"
+                  isLoading={isLoading}
+                  className="w-full bg-blue-600 hover:bg-blue-700 text-white py-3 rounded-lg font-medium transition-colors"
+                >
+                  {t('passwordReset.resetButton')}
+                </LoadingButton>
+              </form>
+            ) : emailSent ? (
+              <div className="text-center space-y-3">
+                <Icon name="MailCheck" size={40} className="text-green-600 mx-auto" />
+                <p className="text-sm text-gray-700">{t('passwordReset.emailSent')}</p>
+              </div>
+            ) : (
+              <form onSubmit={handleRequestLink} className="space-y-6">
+                <Input
+                  type="email"
+                  label={t('passwordReset.email')}
+                  value={email}
+                  onChange={(e) => { setEmail(e.target.value); setErrors({}); }}
+                  error={errors.email}
+                  autoComplete="email"
+                  leftIcon="Mail"
+                />
+                <LoadingButton
+                  type="submit"
+                  isLoading={isLoading}
+                  className="w-full bg-blue-600 hover:bg-blue-700 text-white py-3 rounded-lg font-medium transition-colors"
+                >
+                  {t('passwordReset.sendLink')}
+                </LoadingButton>
+              </form>
+            )}
+
+            <div className="mt-6 text-center">
+              <Button
+                variant="ghost"
+                size="sm"
+                onClick={() => navigate('/authority-login')}
+                iconName="ArrowLeft"
+                iconPosition="left"
+                iconSize={16}
+                className="text-gray-600 hover:text-blue-600"
+              >
+                {t('passwordReset.backToLogin')}
+              </Button>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ResetPassword;
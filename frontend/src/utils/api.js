@@ -51,7 +51,7 @@ const apiClient = axios.create({
 apiClient.interceptors.request.use(
   (config) => {
     // Add auth token if available
-    const token = localStorage.getItem('auth_token');
+    const token = localStorage.getItem(STAFF_TOKENS.access);
     if (token) {
       config.headers.Authorization = `Bearer ${token}`;
     }
@@ -62,16 +62,82 @@ apiClient.interceptors.request.use(
   }
 );
 
+// Public API client — identical to apiClient but NEVER sends auth tokens.
+// Used for public-facing pages (transparency dashboard) so the backend
+// returns ALL issues instead of filtering by the logged-in user's department.
+const publicApiClient = axios.create({
+  baseURL: API_BASE_URL,
+  timeout: API_TIMEOUT,
+  headers: { 'Content-Type': 'application/json' },
+});
+
+// Access tokens live for minutes; the refresh token renews them silently.
+// Staff and citizen sessions are stored under separate keys.
+const STAFF_TOKENS = { access: 'auth_token', refresh: 'refresh_token' };
+const CITIZEN_TOKENS = { access: 'citizen_token', refresh: 'citizen_refresh_token' };
+
+const storeTokens = (keys, { token, refreshToken }) => {
+  if (token) localStorage.setItem(keys.access, token);
+  if (refreshToken) localStorage.setItem(keys.refresh, refreshToken);
+};
+
+const clearTokens = (keys) => {
+  localStorage.removeItem(keys.access);
+  localStorage.removeItem(keys.refresh);
+};
+
+// Parallel requests that hit an expired token share one refresh call —
+// refresh tokens rotate, so a second call with the same token would fail
+const pendingRefresh = {};
+
+const refreshAccessToken = (keys) => {
+  if (!pendingRefresh[keys.refresh]) {
+    const refreshToken = localStorage.getItem(keys.refresh);
+
+    pendingRefresh[keys.refresh] = (refreshToken
+      ? publicApiClient.post('/auth/refresh', { refreshToken }).then((response) => {
+          storeTokens(keys, response.data.data);
+          return response.data.data.token;
+        })
+      : Promise.reject(new Error('No refresh token'))
+    ).finally(() => {
+      delete pendingRefresh[keys.refresh];
+    });
+  }
+  return pendingRefresh[keys.refresh];
+};
+
+// Replay a request once with a renewed access token; resolves null if the session is gone
+const retryWithFreshToken = async (client, keys, error) => {
+  const config = error.config;
+  if (error.response?.data?.code !== 'TOKEN_EXPIRED' || !config || config._retried) {
+    return null;
+  }
+
+  let token;
+  try {
+    token = await refreshAccessToken(keys);
+  } catch (refreshError) {
+    return null; // refresh token missing, expired or revoked
+  }
+
+  config._retried = true;
+  config.headers.Authorization = `Bearer ${token}`;
+  return client(config);
+};
+
 // Response interceptor for error handling
 apiClient.interceptors.response.use(
   (response) => response,
-  (error) => {
-    // Handle common errors
+  async (error) => {
     if (error.response?.status === 401) {
+      const retried = await retryWithFreshToken(apiClient, STAFF_TOKENS, error);
+      if (retried) return retried;
+
       // Don't redirect for auth-check calls — let AuthContext handle those
       const requestUrl = error.config?.url || '';
       if (!requestUrl.includes('/auth/me')) {
-        localStorage.removeItem('auth_token');
+        clearTokens(STAFF_TOKENS);
         window.location.href = '/authority-login';
       }
     }
@@ -79,15 +145,6 @@ apiClient.interceptors.response.use(
   }
 );
 
-// Public API client — identical to apiClient but NEVER sends auth tokens.
-// Used for public-facing pages (transparency dashboard) so the backend
-// returns ALL issues instead of filtering by the logged-in user's department.
-const publicApiClient = axios.create({
-  baseURL: API_BASE_URL,
-  timeout: API_TIMEOUT,
-  headers: { 'Content-Type': 'application/json' },
-});
-
 // API Service Functions
 
 // Issues API
@@ -152,6 +209,17 @@ export const issuesApi = {
     }
   },
 
+  // Open issues near a report before it is filed: { category, description, location: { lat, lng } }
+  findSimilar: async (reportData) => {
+    try {
+      const response = await publicApiClient.post('/issues/similar', reportData);
+      return response.data;
+    } catch (error) {
+      console.error('Error checking for similar issues:', error);
+      throw new Error(error.response?.data?.message || 'Failed to check for similar issues');
+    }
+  },
+
   // Update issue status
   updateStatus: async (issueId, status, notes = '', resolutionImages = []) => {
     try {
@@ -168,6 +236,17 @@ export const issuesApi = {
     }
   },
 
+  // Get the status changes the current user can make (from the department's workflow)
+  getTransitions: async (issueId) => {
+    try {
+      const response = await apiClient.get(`/issues/${issueId}/transitions`);
+      return response.data;
+    } catch (error) {
+      console.error(`Error fetching transitions for issue ${issueId}:`, error);
+      throw new Error(error.response?.data?.message || 'Failed to fetch status transitions');
+    }
+  },
+
   // Get success stories (resolved issues with before/after images) — public, no auth
   getSuccessStories: async (limit = 10) => {
     try {
@@ -192,6 +271,73 @@ export const issuesApi = {
     }
   },
 
+  // Split a report into sub-issues: parts = [{ category, description? }]
+  splitIssue: async (issueId, parts, reason = '') => {
+    try {
+      const response = await apiClient.post(`/issues/${issueId}/split`, { parts, reason });
+      return response.data;
+    } catch (error) {
+      console.error(`Error splitting issue ${issueId}:`, error);
+      throw new Error(error.response?.data?.message || 'Failed to split issue');
+    }
+  },
+
+  // Merge other reports of the same problem into this issue
+  mergeIssues: async (issueId, issueIds, reason = '') => {
+    try {
+      const response = await apiClient.post(`/issues/${issueId}/merge`, { issueIds, reason });
+      return response.data;
+    } catch (error) {
+      console.error(`Error merging into issue ${issueId}:`, error);
+      throw new Error(error.response?.data?.message || 'Failed to merge issues');
+    }
+  },
+
+  // Comment threads; staff (asStaff) also get internal notes and moderation details
+  getComments: async (issueId, { asStaff = false } = {}) => {
+    try {
+      const client = asStaff ? apiClient : publicApiClient;
+      const response = await client.get(`/issues/${issueId}/comments`);
+      return response.data;
+    } catch (error) {
+      console.error(`Error fetching comments for issue ${issueId}:`, error);
+      throw new Error(error.response?.data?.message || 'Failed to fetch comments');
+    }
+  },
+
+  // Post a comment or reply: { message, parentCommentId?, internal? (staff), citizenName?, citizenEmail? }
+  addComment: async (issueId, comment, { asStaff = false } = {}) => {
+    try {
+      const client = asStaff ? apiClient : publicApiClient;
+      const response = await client.post(`/issues/${issueId}/comments`, comment);
+      return response.data;
+    } catch (error) {
+      console.error(`Error posting comment on issue ${issueId}:`, error);
+      throw new Error(error.response?.data?.message || 'Failed to post comment');
+    }
+  },
+
+  reportComment: async (issueId, commentId, reason = '') => {
+    try {
+      const response = await publicApiClient.post(`/issues/${issueId}/comments/${commentId}/report`, { reason });
+      return response.data;
+    } catch (error) {
+      console.error(`Error reporting comment ${commentId}:`, error);
+      throw new Error(error.response?.data?.message || 'Failed to report comment');
+    }
+  },
+
+  // Hide (hidden = true) or restore a comment
+  moderateComment: async (issueId, commentId, hidden, reason = '') => {
+    try {
+      const response = await apiClient.patch(`/issues/${issueId}/comments/${commentId}/moderation`, { hidden, reason });
+      return response.data;
+    } catch (error) {
+      console.error(`Error moderating comment ${commentId}:`, error);
+      throw new Error(error.response?.data?.message || 'Failed to moderate comment');
+    }
+  },
+
   // Add assignment to issue
   assignIssue: async (issueId, assigneeData) => {
     try {
@@ -273,11 +419,8 @@ export const authApi = {
   login: async (credentials) => {
     try {
       const response = await apiClient.post('/auth/login', credentials);
-      // Token is nested inside response.data.data.token (axios wraps in .data, then API wraps in .data)
-      const token = response.data?.data?.token || response.data?.token;
-      if (token) {
-        localStorage.setItem('auth_token', token);
-      }
+      // Tokens are nested inside response.data.data (axios wraps in .data, then API wraps in .data)
+      storeTokens(STAFF_TOKENS, response.data?.data || {});
       return response.data;
     } catch (error) {
       console.error('Error during login:', error);
@@ -289,11 +432,123 @@ export const authApi = {
   logout: async () => {
     try {
       await apiClient.post('/auth/logout');
-      localStorage.removeItem('auth_token');
+      clearTokens(STAFF_TOKENS);
     } catch (error) {
       console.error('Error during logout:', error);
       // Continue with local logout even if server request fails
-      localStorage.removeItem('auth_token');
+      clearTokens(STAFF_TOKENS);
+    }
+  },
+
+  // Forget the local session without calling the server
+  clearSession: () => clearTokens(STAFF_TOKENS),
+
+  // Second sign-in step: an authenticator code or a recovery code
+  verifyTwoFactor: async (challengeToken, { code, recoveryCode }) => {
+    try {
+      const response = await publicApiClient.post('/auth/2fa/verify', { challengeToken, code, recoveryCode });
+      storeTokens(STAFF_TOKENS, response.data?.data || {});
+      return response.data;
+    } catch (error) {
+      console.error('Error verifying two-factor code:', error);
+      throw new Error(error.response?.data?.message || 'Two-factor verification failed');
+    }
+  },
+
+  // Enroll during sign-in when the role requires two-factor
+  completeTwoFactorSetup: async (challengeToken, code) => {
+    try {
+      const response = await publicApiClient.post('/auth/2fa/setup/complete', { challengeToken, code });
+      storeTokens(STAFF_TOKENS, response.data?.data || {});
+      return response.data;
+    } catch (error) {
+      console.error('Error completing two-factor setup:', error);
+      throw new Error(error.response?.data?.message || 'Two-factor setup failed');
+    }
+  },
+
+  getTwoFactorStatus: async () => {
+    try {
+      const response = await apiClient.get('/auth/2fa');
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching two-factor status:', error);
+      throw new Error(error.response?.data?.message || 'Failed to fetch two-factor status');
+    }
+  },
+
+  // Returns the secret to add to an authenticator app
+  startTwoFactorSetup: async () => {
+    try {
+      const response = await apiClient.post('/auth/2fa/setup');
+      return response.data;
+    } catch (error) {
+      console.error('Error starting two-factor setup:', error);
+      throw new Error(error.response?.data?.message || 'Failed to start two-factor setup');
+    }
+  },
+
+  enableTwoFactor: async (code) => {
+    try {
+      const response = await apiClient.post('/auth/2fa/enable', { code });
+      return response.data;
+    } catch (error) {
+      console.error('Error enabling two-factor:', error);
+      throw new Error(error.response?.data?.message || 'Failed to enable two-factor authentication');
+    }
+  },
+
+  disableTwoFactor: async (code) => {
+    try {
+      const response = await apiClient.post('/auth/2fa/disable', { code });
+      return response.data;
+    } catch (error) {
+      console.error('Error disabling two-factor:', error);
+      throw new Error(error.response?.data?.message || 'Failed to disable two-factor authentication');
+    }
+  },
+
+  regenerateRecoveryCodes: async (code) => {
+    try {
+      const response = await apiClient.post('/auth/2fa/recovery-codes', { code });
+      return response.data;
+    } catch (error) {
+      console.error('Error regenerating recovery codes:', error);
+      throw new Error(error.response?.data?.message || 'Failed to regenerate recovery codes');
+    }
+  },
+
+  // Devices currently signed in to this account
+  getSessions: async () => {
+    try {
+      const response = await apiClient.get('/auth/sessions');
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching sessions:', error);
+      throw new Error(error.response?.data?.message || 'Failed to fetch sessions');
+    }
+  },
+
+  // Sign out a single device
+  revokeSession: async (sessionId) => {
+    try {
+      const response = await apiClient.delete(`/auth/sessions/${sessionId}`);
+      return response.data;
+    } catch (error) {
+      console.error(`Error revoking session ${sessionId}:`, error);
+      throw new Error(error.response?.data?.message || 'Failed to sign out session');
+    }
+  },
+
+  // Sign out every device, this one included
+  signOutEverywhere: async () => {
+    try {
+      const response = await apiClient.post('/auth/sessions/revoke-all');
+      clearTokens(STAFF_TOKENS);
+      return response.data;
+    } catch (error) {
+      console.error('Error signing out everywhere:', error);
+      throw new Error(error.response?.data?.message || 'Failed to sign out everywhere');
     }
   },
 
@@ -306,6 +561,305 @@ export const authApi = {
       console.error('Error fetching current user:', error);
       throw new Error(error.response?.data?.message || 'Failed to fetch user info');
     }
+  },
+
+  // Email a password reset link (same response whether or not the email exists)
+  forgotPassword: async (email) => {
+    try {
+      const response = await publicApiClient.post('/auth/forgot-password', { email });
+      return response.data;
+    } catch (error) {
+      console.error('Error requesting password reset:', error);
+      throw new Error(error.response?.data?.message || 'Failed to request password reset');
+    }
+  },
+
+  // Set a new password with the token from the reset email
+  resetPassword: async (token, password) => {
+    try {
+      const response = await publicApiClient.post('/auth/reset-password', { token, password });
+      return response.data;
+    } catch (error) {
+      console.error('Error resetting password:', error);
+      throw new Error(error.response?.data?.message || 'Failed to reset password');
+    }
+  }
+};
+
+// Citizen API — citizens sign in with an emailed code. Their token is kept
+// apart from the staff token so a citizen session never opens the dashboard.
+const citizenApiClient = axios.create({
+  baseURL: API_BASE_URL,
+  timeout: API_TIMEOUT,
+  headers: { 'Content-Type': 'application/json' },
+});
+
+citizenApiClient.interceptors.request.use((config) => {
+  const token = localStorage.getItem(CITIZEN_TOKENS.access);
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+citizenApiClient.interceptors.response.use(
+  (response) => response,
+  async (error) => {
+    if (error.response?.status === 401 && !error.config?.url?.includes('/auth/citizen/')) {
+      const retried = await retryWithFreshToken(citizenApiClient, CITIZEN_TOKENS, error);
+      if (retried) return retried;
+
+      // Session is gone — drop it and let the page ask for a new code
+      clearTokens(CITIZEN_TOKENS);
+      localStorage.removeItem('citizen_email');
+    }
+    return Promise.reject(error);
+  }
+);
+
+export const citizenApi = {
+  isSignedIn: () => !!localStorage.getItem(CITIZEN_TOKENS.refresh),
+
+  getEmail: () => localStorage.getItem('citizen_email'),
+
+  // Email a one-time sign-in code
+  requestCode: async (email) => {
+    try {
+      const response = await citizenApiClient.post('/auth/citizen/request-code', { email });
+      return response.data;
+    } catch (error) {
+      console.error('Error requesting sign-in code:', error);
+      throw new Error(error.response?.data?.message || 'Failed to send sign-in code');
+    }
+  },
+
+  // Exchange the code for a citizen session
+  verifyCode: async (email, code) => {
+    try {
+      const response = await citizenApiClient.post('/auth/citizen/verify', { email, code });
+      const { user, ...tokens } = response.data?.data || {};
+      if (tokens.token) {
+        storeTokens(CITIZEN_TOKENS, tokens);
+        localStorage.setItem('citizen_email', user?.email || email);
+      }
+      return response.data;
+    } catch (error) {
+      console.error('Error verifying sign-in code:', error);
+      throw new Error(error.response?.data?.message || 'Sign-in failed');
+    }
+  },
+
+  signOut: async () => {
+    try {
+      await citizenApiClient.post('/auth/logout');
+    } catch (error) {
+      console.error('Error during citizen sign-out:', error);
+    } finally {
+      clearTokens(CITIZEN_TOKENS);
+      localStorage.removeItem('citizen_email');
+    }
+  },
+
+  // Reports submitted with the signed-in email, plus statistics
+  getMyDashboard: async () => {
+    try {
+      const response = await citizenApiClient.get('/issues/my/dashboard');
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching my reports:', error);
+      throw new Error(error.response?.data?.message || 'Failed to fetch your reports');
+    }
+  },
+
+  // Rate a resolved report
+  submitFeedback: async (issueId, rating, comment = '') => {
+    try {
+      const body = { rating };
+      if (comment) body.comment = comment;
+
+      const response = await citizenApiClient.post(`/issues/${issueId}/feedback`, body);
+      return response.data;
+    } catch (error) {
+      console.error(`Error submitting feedback for issue ${issueId}:`, error);
+      throw new Error(error.response?.data?.message || 'Failed to submit feedback');
+    }
+  },
+
+  // Confirm an existing issue ("me too"); follow = receive its status emails
+  confirmIssue: async (issueId, follow = true) => {
+    try {
+      const response = await citizenApiClient.post(`/issues/${issueId}/confirm`, { follow });
+      return response.data;
+    } catch (error) {
+      console.error(`Error confirming issue ${issueId}:`, error);
+      throw new Error(error.response?.data?.message || 'Failed to confirm issue');
+    }
+  },
+
+  // Reject a resolution: the issue goes back to the department
+  rejectResolution: async (issueId, reason, imageUrl = null) => {
+    try {
+      const body = { reason };
+      if (imageUrl) body.imageUrl = imageUrl;
+
+      const response = await citizenApiClient.post(`/issues/${issueId}/reopen`, body);
+      return response.data;
+    } catch (error) {
+      console.error(`Error reopening issue ${issueId}:`, error);
+      throw new Error(error.response?.data?.message || 'Failed to reopen issue');
+    }
+  }
+};
+
+// Ward boundaries (public)
+export const wardsApi = {
+  // GeoJSON FeatureCollection of every ward boundary
+  getBoundaries: async () => {
+    try {
+      const response = await apiClient.get('/wards');
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching ward boundaries:', error);
+      throw new Error(error.response?.data?.message || 'Failed to fetch ward boundaries');
+    }
+  }
+};
+
+// Field crew work orders (staff with work_order.manage)
+export const workOrdersApi = {
+  // Work orders overlapping a date range, or every work order of one issue ({ issueId })
+  list: async (filters = {}) => {
+    try {
+      const response = await apiClient.get('/work-orders', { params: filters });
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching work orders:', error);
+      throw new Error(error.response?.data?.message || 'Failed to fetch work orders');
+    }
+  },
+
+  create: async (issueId, workOrder) => {
+    try {
+      const response = await apiClient.post('/work-orders', { issueId, ...workOrder });
+      return response.data;
+    } catch (error) {
+      console.error(`Error scheduling work order for issue ${issueId}:`, error);
+      throw new Error(error.response?.data?.message || 'Failed to schedule work order');
+    }
+  },
+
+  update: async (workOrderId, changes) => {
+    try {
+      const response = await apiClient.patch(`/work-orders/${workOrderId}`, changes);
+      return response.data;
+    } catch (error) {
+      console.error(`Error updating work order ${workOrderId}:`, error);
+      throw new Error(error.response?.data?.message || 'Failed to update work order');
+    }
+  },
+
+  setChecklistItem: async (workOrderId, index, done) => {
+    try {
+      const response = await apiClient.patch(`/work-orders/${workOrderId}/checklist/${index}`, { done });
+      return response.data;
+    } catch (error) {
+      console.error(`Error updating checklist of work order ${workOrderId}:`, error);
+      throw new Error(error.response?.data?.message || 'Failed to update checklist');
+    }
+  },
+
+  start: async (workOrderId) => {
+    try {
+      const response = await apiClient.post(`/work-orders/${workOrderId}/start`);
+      return response.data;
+    } catch (error) {
+      console.error(`Error starting work order ${workOrderId}:`, error);
+      throw new Error(error.response?.data?.message || 'Failed to start work order');
+    }
+  },
+
+  // actualCost defaults to the estimate on the server
+  complete: async (workOrderId, { actualCost = null, notes = '' } = {}) => {
+    try {
+      const response = await apiClient.post(`/work-orders/${workOrderId}/complete`, { actualCost, notes });
+      return response.data;
+    } catch (error) {
+      console.error(`Error completing work order ${workOrderId}:`, error);
+      throw new Error(error.response?.data?.message || 'Failed to complete work order');
+    }
+  },
+
+  cancel: async (workOrderId, reason = '') => {
+    try {
+      const response = await apiClient.post(`/work-orders/${workOrderId}/cancel`, { reason });
+      return response.data;
+    } catch (error) {
+      console.error(`Error cancelling work order ${workOrderId}:`, error);
+      throw new Error(error.response?.data?.message || 'Failed to cancel work order');
+    }
+  }
+};
+
+// Review queue for low-confidence AI classifications
+export const classificationReviewsApi = {
+  queue: async (params = {}) => {
+    try {
+      const response = await apiClient.get('/classification-reviews', { params });
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching review queue:', error);
+      throw new Error(error.response?.data?.message || 'Failed to fetch review queue');
+    }
+  },
+
+  // decision: accepted, overridden (with category) or rejected
+  review: async (issueId, decision, { category, notes } = {}) => {
+    try {
+      const response = await apiClient.post(`/classification-reviews/${issueId}`, {
+        decision,
+        ...(decision === 'overridden' ? { category } : {}),
+        ...(notes ? { notes } : {})
+      });
+      return response.data;
+    } catch (error) {
+      console.error(`Error reviewing classification of issue ${issueId}:`, error);
+      throw new Error(error.response?.data?.message || 'Failed to review classification');
+    }
+  }
+};
+
+// AI accuracy report and confidence thresholds
+export const aiAccuracyApi = {
+  // params: from, to, granularity (day, week or month), targetAccuracy
+  report: async (params = {}) => {
+    try {
+      const response = await apiClient.get('/admin/ai-accuracy', { params });
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching AI accuracy report:', error);
+      throw new Error(error.response?.data?.message || 'Failed to fetch AI accuracy report');
+    }
+  },
+
+  thresholds: async () => {
+    try {
+      const response = await apiClient.get('/admin/ai-thresholds');
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching AI thresholds:', error);
+      throw new Error(error.response?.data?.message || 'Failed to fetch AI thresholds');
+    }
+  },
+
+  // thresholds: { review_confidence, duplicate_confidence }
+  updateThresholds: async (thresholds) => {
+    try {
+      const response = await apiClient.put('/admin/ai-thresholds', thresholds);
+      return response.data;
+    } catch (error) {
+      console.error('Error updating AI thresholds:', error);
+      throw new Error(error.response?.data?.message || 'Failed to update AI thresholds');
+    }
   }
 };
 
@@ -322,6 +876,61 @@ export const healthApi = {
   }
 };
 
+// Live issue events (Server-Sent Events)
+export const ISSUE_EVENT_TYPES = ['issue.created', 'issue.assigned', 'issue.status_changed', 'issue.priority_changed', 'issue.linked', 'issue.confirmed', 'issue.reviewed', 'issue.processed'];
+
+export const eventsApi = {
+  // Open the issue event stream. Staff get every issue they can see; pass
+  // issueIds to follow specific issues without signing in. Returns a close function.
+  subscribeToIssues: ({ issueIds = [], onEvent, onConnectionChange } = {}) => {
+    if (!localStorage.getItem(STAFF_TOKENS.access) && issueIds.length === 0) return () => {};
+
+    let source = null;
+    let retryTimer = null;
+    let isClosed = false;
+
+    const connect = () => {
+      const params = new URLSearchParams();
+      const token = localStorage.getItem(STAFF_TOKENS.access);
+      // EventSource cannot send headers, so the token travels in the query string
+      if (token) params.set('token', token);
+      if (issueIds.length > 0) params.set('issueIds', issueIds.join(','));
+
+      source = new EventSource(`${API_BASE_URL}/events/issues?${params.toString()}`);
+
+      source.onopen = () => onConnectionChange?.(true);
+      source.onerror = () => {
+        onConnectionChange?.(false);
+        // EventSource reconnects after network drops on its own, but gives up
+        // on an HTTP error such as an expired token — renew it and reconnect
+        if (source.readyState !== EventSource.CLOSED || isClosed) return;
+        retryTimer = setTimeout(() => {
+          const renew = token ? refreshAccessToken(STAFF_TOKENS) : Promise.resolve();
+          renew.then(() => { if (!isClosed) connect(); }).catch(() => {});
+        }, 5000);
+      };
+
+      ISSUE_EVENT_TYPES.forEach((type) => {
+        source.addEventListener(type, (event) => {
+          try {
+            onEvent?.(JSON.parse(event.data));
+          } catch (error) {
+            console.error(`Malformed ${type} event:`, error);
+          }
+        });
+      });
+    };
+
+    connect();
+
+    return () => {
+      isClosed = true;
+      clearTimeout(retryTimer);
+      source?.close();
+    };
+  }
+};
+
 // Utility function to handle API errors consistently
 export const handleApiError = (error) => {
   if (error.response) {